@@ -0,0 +1,20 @@
+import React from 'react';
+import { Upload } from 'lucide-react';
+
+const BoundaryDropOverlay = ({ isDarkMode }) => (
+  <div className="fixed inset-0 z-[60] pointer-events-none p-6">
+    <div className={`w-full h-full rounded-2xl border-4 border-dashed flex flex-col items-center justify-center gap-3 backdrop-blur-sm ${
+      isDarkMode
+        ? 'border-gold bg-gray-900/60 text-gold-light'
+        : 'border-forest bg-cream/70 text-forest'
+    }`}>
+      <Upload className="w-10 h-10" />
+      <div className="text-xl font-semibold">Drop a boundary file to analyse it</div>
+      <div className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+        GeoJSON, KML/KMZ or zipped Shapefile in longitude/latitude
+      </div>
+    </div>
+  </div>
+);
+
+export default BoundaryDropOverlay;
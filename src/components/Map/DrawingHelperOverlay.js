@@ -1,12 +1,20 @@
 import React from 'react';
 import { Check } from 'lucide-react';
 import DrawingAnimation from './controls/AnimatedDrawingExample';
-import { canCompletePolygon } from './drawing/DrawingInstructions';
+import { canCompletePolygon, getDrawingInstructions } from './drawing/DrawingInstructions';
+import { DRAWING_TOOLS } from '../../constants/map/drawingTools';
+import { formatArea, formatDistance, formatCoordinate } from '../../utils/map/geodesy';
 
-const DrawingHelperOverlay = ({ drawingMode, tempPolygon, isDarkMode, finishDrawing }) => {
+const DrawingHelperOverlay = ({ drawingMode, drawingTool = 'polygon', tempPolygon, measurement, isDarkMode, finishDrawing }) => {
   if (!drawingMode) return null;
 
   const getStageInfo = () => {
+    if (drawingTool !== 'polygon') {
+      return {
+        instruction: `${DRAWING_TOOLS[drawingTool].label}: ${getDrawingInstructions(tempPolygon.length, drawingTool).toLowerCase()}`
+      };
+    }
+
     if (tempPolygon.length === 0) {
       return {
         instruction: "Click anywhere on the map to start drawing"
@@ -23,7 +31,7 @@ const DrawingHelperOverlay = ({ drawingMode, tempPolygon, isDarkMode, finishDraw
   };
   
   const stageInfo = getStageInfo();
-  const showCompletionButton = canCompletePolygon(tempPolygon);
+  const showCompletionButton = canCompletePolygon(tempPolygon, drawingTool);
 
   return (
     <div className={`fixed top-24 left-1/2 -translate-x-1/2 z-[60] py-2 px-3 rounded-lg backdrop-blur-md shadow-lg max-w-md ${
@@ -45,6 +53,14 @@ const DrawingHelperOverlay = ({ drawingMode, tempPolygon, isDarkMode, finishDraw
             <div className={`text-xs ${isDarkMode ? 'text-sage' : 'text-forest-light'}`}>
               Points added: <span className="font-medium">{tempPolygon.length}</span>
             </div>
+
+            {measurement && (
+              <div className={`text-xs ${isDarkMode ? 'text-sage' : 'text-forest-light'}`}>
+                <span className="font-medium">{formatArea(measurement.areaKm2)}</span>
+                {' · '}perimeter {formatDistance(measurement.perimeterKm)}
+                {measurement.centroid && <>{' · '}centre {formatCoordinate(measurement.centroid)}</>}
+              </div>
+            )}
           </div>
           
           {showCompletionButton && (
@@ -1,11 +1,12 @@
 import React, { useEffect, useState } from 'react';
 import { CornerUpLeft } from 'lucide-react';
-import { getDrawingInstructions } from './drawing/DrawingInstructions';
+import { getDrawingInstructions, canCompletePolygon } from './drawing/DrawingInstructions';
+import { formatArea } from '../../utils/map/geodesy';
 
 /**
  * Specialized tooltip for drawing mode that follows the cursor
  */
-const DrawingTooltip = ({ drawingMode, tempPolygon }) => {
+const DrawingTooltip = ({ drawingMode, drawingTool = 'polygon', tempPolygon, measurement }) => {
   const [position, setPosition] = useState({ x: 0, y: 0 });
   const [isVisible, setIsVisible] = useState(false);
 
@@ -26,8 +27,8 @@ const DrawingTooltip = ({ drawingMode, tempPolygon }) => {
 
   if (!isVisible || !drawingMode) return null;
 
-  const message = getDrawingInstructions(tempPolygon.length);
-  const showIcon = tempPolygon.length >= 2;
+  const message = getDrawingInstructions(tempPolygon.length, drawingTool);
+  const showIcon = drawingTool !== 'freehand' && canCompletePolygon(tempPolygon, drawingTool);
 
   return (
     <div 
@@ -41,7 +42,14 @@ const DrawingTooltip = ({ drawingMode, tempPolygon }) => {
       {showIcon && (
         <CornerUpLeft className="w-4 h-4 mr-2 text-sage" />
       )}
-      {message}
+      <div>
+        {message}
+        {measurement && (
+          <div className="text-xs font-normal text-forest-light">
+            {formatArea(measurement.areaKm2)}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,26 @@
+import React from 'react';
+
+// Faint hatching over forecast frames, so they never pass for observations
+const HATCH_COLORS = {
+  dark: 'rgba(206, 162, 93, 0.08)',
+  light: 'rgba(45, 89, 84, 0.06)'
+};
+
+const ForecastFrameOverlay = ({ isForecast, isDarkMode }) => {
+  if (!isForecast) return null;
+
+  const hatchColor = isDarkMode ? HATCH_COLORS.dark : HATCH_COLORS.light;
+
+  return (
+    <div
+      className={`fixed inset-0 z-10 pointer-events-none border-4 border-dashed ${
+        isDarkMode ? 'border-gold/40' : 'border-forest/30'
+      }`}
+      style={{
+        backgroundImage: `repeating-linear-gradient(135deg, ${hatchColor} 0 2px, transparent 2px 14px)`
+      }}
+    />
+  );
+};
+
+export default ForecastFrameOverlay;
@@ -18,7 +18,7 @@ const IntroTour = ({ onComplete, isDarkMode }) => {
     },
     {
       title: "Time Controls",
-      description: "Use these controls to play through time, change the playback speed, or jump to a specific time. This lets you see how air quality changes over 4 days, 2 days of archival data and 2 days of forecast data.",
+      description: "Use these controls to play through time, change the playback speed, or jump to a specific time. This lets you see how air quality changes over 4 days, 2 days of archival data and 2 days of forecast data. Forecast hours are shaded on the slider and the Now marker shows the current time.",
       target: "time-controls",
       position: "top",
       icon: Clock
@@ -1,21 +1,32 @@
-import React, { useRef } from 'react';
+import React, { useRef, useMemo } from 'react';
 import Map from 'react-map-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
 
 import { MAPBOX_TOKEN } from '../../utils/map/constants.js'; 
 import { BASEMAPS } from '../../constants/map/basemaps';
+import { getDrawingPreview } from '../../utils/map/drawingShapes';
+import { measureArea } from '../../utils/map/geodesy';
+import { detectTimeZone, resolveTimeZone, toUtcDate } from '../../utils/map/timeZones';
+import { isForecastTime } from '../../utils/map/forecast';
+import { getAqiStandard } from '../../utils/map/aqi';
 
 // Map UI Components
 import MapControls from './controls'; 
 import MapAdditionalControls from './panels/MapAdditionalControls';
 import LoadingOverlay from './LoadingOverlay';
 import AreaAnalysis from './panels/AreaAnalysis';
+import EventLibrary from './panels/EventLibrary';
 import DrawingTooltip from './DrawingTooltip';
 import PopulationExposureCounter from './controls/PopulationExposureCounter';
 import ZoomControls from './controls/ZoomControls';
 import IntroTour from './IntroTour';
 import TourButton from './TourButton';
 import DrawingHelperOverlay from './DrawingHelperOverlay';
+import ProbePopover, { PinnedProbeMarker } from './ProbePopover';
+import ProbeComparison from './panels/ProbeComparison';
+import MonitorValidation from './panels/MonitorValidation';
+import BoundaryDropOverlay from './BoundaryDropOverlay';
+import ForecastFrameOverlay from './ForecastFrameOverlay';
 
 // Custom hooks
 import {
@@ -30,9 +41,24 @@ import {
   useMapInteraction,
   useDrawingInteraction,
   useThemeControl,
+  useTimeWindowControl,
   usePolygonVisualization,
   useTourManager,
-  useCensusDataManager
+  useCensusDataManager,
+  useEventLibrary,
+  useUrlState,
+  useAnimationRecorder,
+  useMapSnapshot,
+  useProbeInspector,
+  useBoundaryImport,
+  useAdminUnitSelection,
+  useAreaWorkspace,
+  useDistanceRuler,
+  usePM25Surface,
+  useHourBlending,
+  useForecastBoundary,
+  useGroundMonitors,
+  usePolygonEditing
 } from '../../hooks';
 
 const MapComponent = () => {
@@ -65,7 +91,13 @@ const MapComponent = () => {
     isPlaying,
     setIsPlaying,
     playbackSpeed,
-    setPlaybackSpeed
+    setPlaybackSpeed,
+    isInterpolated,
+    setIsInterpolated,
+    timeWindow,
+    setTimeWindow,
+    timeZoneMode,
+    setTimeZoneMode
   } = timeState;
   
   const {
@@ -74,12 +106,29 @@ const MapComponent = () => {
     currentBasemap,
     setCurrentBasemap,
     pm25Threshold,
-    setPM25Threshold
+    setPM25Threshold,
+    renderMode,
+    setRenderMode,
+    hexbinAggregation,
+    setHexbinAggregation,
+    aqiStandard,
+    setAqiStandard,
+    aqiAveraging,
+    setAqiAveraging,
+    aqiDisplayUnit,
+    setAqiDisplayUnit
   } = themeState;
+
+  // Colours, thresholds and exposure categories all follow the selected breakpoint table
+  const { levels: pm25Levels } = getAqiStandard(aqiStandard);
   
   const {
     drawingMode,
     setDrawingMode,
+    drawingTool,
+    setDrawingTool,
+    drawingOptions,
+    setDrawingOptions,
     isPointSelected,
     setIsPointSelected,
     polygon,
@@ -89,7 +138,11 @@ const MapComponent = () => {
     mousePosition,
     setMousePosition,
     lastClickTime,
-    setLastClickTime
+    setLastClickTime,
+    selectedTracts,
+    setSelectedTracts,
+    savedAreas,
+    setSavedAreas
   } = drawingState;
   
   const {
@@ -102,8 +155,12 @@ const MapComponent = () => {
   } = uiState;
 
   // Effects and functionality hooks
-  useTimeAnimation(isPlaying, playbackSpeed, setCurrentHour);
-  const getCurrentDateTime = useDateTimeCalculator(currentHour);
+  useTimeAnimation(isPlaying, playbackSpeed, setCurrentHour, timeWindow.totalHours);
+  const getCurrentDateTime = useDateTimeCalculator(currentHour, timeWindow);
+  const { now, forecastStart } = useForecastBoundary();
+  const currentDateTime = getCurrentDateTime();
+  const isForecast = Boolean(currentDateTime.date) &&
+    isForecastTime(toUtcDate(currentDateTime.date, currentDateTime.hour), forecastStart);
   
   const { updateLayers } = useMapLayers(
     mapRef,
@@ -112,9 +169,38 @@ const MapComponent = () => {
     isMapLoaded,
     getCurrentDateTime,
     isDarkMode,
-    needsLayerReinitRef
+    needsLayerReinitRef,
+    timeWindow.tilesets,
+    renderMode,
+    pm25Levels
   );
 
+  useHourBlending({
+    mapInstance,
+    isMapLoaded,
+    isInterpolated,
+    isPlaying,
+    playbackSpeed,
+    currentHour,
+    getCurrentDateTime,
+    tilesets: timeWindow.tilesets,
+    pm25Threshold,
+    isDarkMode,
+    renderMode
+  });
+
+  usePM25Surface({
+    mapInstance,
+    isMapLoaded,
+    renderMode,
+    hexbinAggregation,
+    pm25Threshold,
+    getCurrentDateTime,
+    tilesets: timeWindow.tilesets,
+    pm25Levels,
+    isDarkMode
+  });
+
   const { handleTourComplete } = useTourManager({ 
     showTour, 
     setShowTour, 
@@ -130,12 +216,63 @@ const MapComponent = () => {
     setCensusError
   });
 
-  usePolygonVisualization({
+  const {
+    isEditing,
+    draftPolygon,
+    editCursor,
+    canUndo,
+    canRedo,
+    toggleEditing,
+    stopEditing,
+    undo,
+    redo
+  } = usePolygonEditing({
     mapInstance,
     polygon,
+    setPolygon,
+    drawingMode,
+    isDarkMode
+  });
+
+  const drawingPreview = useMemo(
+    () => drawingMode ? getDrawingPreview(drawingTool, tempPolygon, mousePosition, drawingOptions) : null,
+    [drawingMode, drawingTool, tempPolygon, mousePosition, drawingOptions]
+  );
+
+  // Size of the shape as it would be if finished at the pointer
+  const drawingMeasurement = useMemo(() => {
+    if (!drawingMode) return null;
+    if (drawingPreview) return measureArea(drawingPreview);
+
+    const points = mousePosition ? [...tempPolygon, mousePosition] : tempPolygon;
+    return points.length >= 3 ? measureArea([...points, points[0]]) : null;
+  }, [drawingMode, drawingPreview, tempPolygon, mousePosition]);
+
+  // Time zone at the selected area, taken from its most populous county once census data has loaded
+  const areaTimeZone = useMemo(() => {
+    if (!polygon) return null;
+
+    const populationByCounty = {};
+    Object.values(selectedTracts || {}).forEach(tract => {
+      const county = tract.metadata?.geoid?.slice(0, 5);
+      if (county) populationByCounty[county] = (populationByCounty[county] || 0) + tract.population;
+    });
+    const [countyFips] = Object.entries(populationByCounty).sort((a, b) => b[1] - a[1])[0] || [];
+
+    return detectTimeZone(measureArea(polygon)?.centroid, countyFips);
+  }, [polygon, selectedTracts]);
+
+  const timeZone = resolveTimeZone(timeZoneMode, areaTimeZone);
+
+  // Stats follow the committed polygon; the draft only moves the outline while dragging
+  usePolygonVisualization({
+    mapInstance,
+    polygon: draftPolygon || polygon,
     tempPolygon,
     mousePosition,
     drawingMode,
+    drawingPreview,
+    showVertices: drawingTool !== 'freehand',
     isDarkMode
   });
 
@@ -154,6 +291,91 @@ const MapComponent = () => {
     layerSetupComplete
   });
 
+  const {
+    isProbeMode,
+    activeProbe,
+    pinnedProbes,
+    probeAt,
+    toggleProbeMode,
+    closeProbe,
+    pinProbe,
+    unpinProbe
+  } = useProbeInspector({
+    timeWindow
+  });
+
+  const {
+    isUnitMode,
+    unitLevel,
+    selectedUnits,
+    isSelectingUnit,
+    unitError,
+    selectUnitAt,
+    toggleUnitMode,
+    changeUnitLevel
+  } = useAdminUnitSelection({
+    mapInstance,
+    polygon,
+    setPolygon,
+    setIsPlaying
+  });
+
+  const {
+    isRulerMode,
+    rulerPoints,
+    isRulerFinished,
+    rulerUnit,
+    segmentsKm: rulerSegmentsKm,
+    totalKm: rulerTotalKm,
+    pendingKm: rulerPendingKm,
+    addRulerPoint,
+    clearRuler,
+    toggleRulerMode,
+    stopRuler,
+    setRulerUnit
+  } = useDistanceRuler({
+    mapInstance,
+    isDarkMode
+  });
+
+  const { saveArea, removeArea, showArea } = useAreaWorkspace({
+    mapInstance,
+    polygon,
+    setPolygon,
+    selectedTracts,
+    savedAreas,
+    setSavedAreas
+  });
+
+  // Probing, selecting by boundary, editing and measuring all take over map clicks, so only one is on at a time
+  const handleToggleProbeMode = () => {
+    if (isUnitMode) toggleUnitMode();
+    stopEditing();
+    stopRuler();
+    toggleProbeMode();
+  };
+
+  const handleToggleUnitMode = () => {
+    if (isProbeMode) toggleProbeMode();
+    stopEditing();
+    stopRuler();
+    toggleUnitMode();
+  };
+
+  const handleToggleEditing = () => {
+    if (isProbeMode) toggleProbeMode();
+    if (isUnitMode) toggleUnitMode();
+    stopRuler();
+    toggleEditing();
+  };
+
+  const handleToggleRulerMode = () => {
+    if (isProbeMode) toggleProbeMode();
+    if (isUnitMode) toggleUnitMode();
+    stopEditing();
+    toggleRulerMode();
+  };
+
   const { 
     handleMapClick, 
     clearPolygon, 
@@ -164,6 +386,9 @@ const MapComponent = () => {
     mapInstance,
     drawingMode,
     setDrawingMode,
+    drawingTool,
+    setDrawingTool,
+    drawingOptions,
     isPointSelected,
     setIsPointSelected,
     polygon,
@@ -175,7 +400,22 @@ const MapComponent = () => {
     setLastClickTime,
     setIsPlaying,
     showTour,
-    isDarkMode
+    isDarkMode,
+    isProbeMode,
+    onProbe: probeAt,
+    isUnitMode,
+    onSelectUnit: selectUnitAt,
+    isRulerMode,
+    onMeasure: addRulerPoint,
+    isEditing,
+    editCursor
+  });
+
+  const { isDraggingFile, isImporting, importError, importBoundary } = useBoundaryImport({
+    mapInstance,
+    setPolygon,
+    clearPolygon,
+    setIsPlaying
   });
 
   const { handleThemeChange, handleBasemapChange } = useThemeControl({
@@ -186,6 +426,95 @@ const MapComponent = () => {
     layerSetupComplete
   });
 
+  const { handleDateRangeChange, resetDateRange } = useTimeWindowControl({
+    setTimeWindow,
+    setCurrentHour,
+    setIsPlaying
+  });
+
+  const { events, activeEventId, eventError, selectEvent, restoreEvent } = useEventLibrary({
+    mapInstance,
+    isMapLoaded,
+    timeWindow,
+    handleDateRangeChange,
+    setPM25Threshold,
+    setIsPlaying
+  });
+
+  const {
+    isRecording,
+    recordingProgress,
+    recordingError,
+    startRecording,
+    cancelRecording
+  } = useAnimationRecorder({
+    mapInstance,
+    timeWindow,
+    currentHour,
+    setCurrentHour,
+    setIsPlaying,
+    isDarkMode,
+    pm25Threshold,
+    timeZone,
+    forecastStart,
+    aqiStandard,
+    aqiDisplayUnit
+  });
+
+  const {
+    monitors,
+    monitorFileName,
+    pairs: monitorPairs,
+    pairingProgress: monitorPairingProgress,
+    currentTime: monitorTime,
+    isImportingMonitors,
+    monitorError,
+    isMonitorLayerVisible,
+    importMonitors,
+    clearMonitors,
+    toggleMonitorLayer
+  } = useGroundMonitors({
+    mapInstance,
+    isMapLoaded,
+    getCurrentDateTime,
+    timeWindow,
+    pm25Levels,
+    isDarkMode
+  });
+
+  const { isCapturing, snapshotError, takeSnapshot } = useMapSnapshot({
+    mapInstance,
+    getCurrentDateTime,
+    isDarkMode,
+    pm25Threshold,
+    timeZone,
+    forecastStart,
+    aqiStandard,
+    aqiDisplayUnit
+  });
+
+  useUrlState({
+    viewport,
+    setViewport,
+    timeWindow,
+    setTimeWindow,
+    currentHour,
+    setCurrentHour,
+    isPlaying: isPlaying || isRecording,
+    setIsPlaying,
+    pm25Threshold,
+    setPM25Threshold,
+    isDarkMode,
+    setIsDarkMode,
+    currentBasemap,
+    handleBasemapChange,
+    polygon,
+    setPolygon,
+    clearPolygon,
+    activeEventId,
+    restoreEvent
+  });
+
   return (
     <div className={`fixed inset-0 overflow-hidden ${isDarkMode ? 'bg-gray-900' : 'bg-gray-100'}`}>
       <Map
@@ -198,7 +527,26 @@ const MapComponent = () => {
         onLoad={handleMapLoad}
         onClick={handleMapClick}
         cursor={getCursor()}
-      />
+        preserveDrawingBuffer
+      >
+        {pinnedProbes.map((probe, index) => (
+          <PinnedProbeMarker key={probe.id} probe={probe} index={index} />
+        ))}
+        {activeProbe && (
+          <ProbePopover
+            probe={activeProbe}
+            currentDateTime={getCurrentDateTime()}
+            aqiStandard={aqiStandard}
+            aqiAveraging={aqiAveraging}
+            aqiDisplayUnit={aqiDisplayUnit}
+            onPin={pinProbe}
+            onClose={closeProbe}
+            isDarkMode={isDarkMode}
+          />
+        )}
+      </Map>
+
+      <ForecastFrameOverlay isForecast={isForecast} isDarkMode={isDarkMode} />
       
       {!isMapLoaded && <LoadingOverlay isDarkMode={isDarkMode} />}
 
@@ -217,6 +565,24 @@ const MapComponent = () => {
           {censusError}
         </div>
       )}
+
+      {importError && (
+        <div className={`fixed top-16 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg ${
+          isDarkMode ? 'bg-red-900/90 text-red-200' : 'bg-red-50 text-red-600'
+        } shadow-lg z-50`}>
+          {importError}
+        </div>
+      )}
+
+      {monitorError && (
+        <div className={`fixed top-28 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg ${
+          isDarkMode ? 'bg-red-900/90 text-red-200' : 'bg-red-50 text-red-600'
+        } shadow-lg z-50`}>
+          {monitorError}
+        </div>
+      )}
+
+      {isDraggingFile && <BoundaryDropOverlay isDarkMode={isDarkMode} />}
       
       {isMapLoaded && mapInstance && (
         <>
@@ -235,10 +601,46 @@ const MapComponent = () => {
                       polygon={polygon}
                       isDarkMode={isDarkMode}
                       currentDateTime={getCurrentDateTime()}
+                      tilesets={timeWindow.tilesets}
+                      pm25Levels={pm25Levels}
+                      onTractsChange={setSelectedTracts}
                     />
                   </div>
                 </div>
               )}
+
+              <EventLibrary
+                events={events}
+                activeEventId={activeEventId}
+                eventError={eventError}
+                onSelectEvent={selectEvent}
+                pm25Levels={pm25Levels}
+                isDarkMode={isDarkMode}
+              />
+
+              <ProbeComparison
+                probes={pinnedProbes}
+                currentDateTime={getCurrentDateTime()}
+                aqiStandard={aqiStandard}
+                aqiAveraging={aqiAveraging}
+                aqiDisplayUnit={aqiDisplayUnit}
+                onUnpin={unpinProbe}
+                isDarkMode={isDarkMode}
+              />
+
+              <MonitorValidation
+                monitors={monitors}
+                monitorFileName={monitorFileName}
+                pairs={monitorPairs}
+                pairingProgress={monitorPairingProgress}
+                currentTime={monitorTime}
+                isLayerVisible={isMonitorLayerVisible}
+                onToggleLayer={toggleMonitorLayer}
+                onClear={clearMonitors}
+                timeZone={timeZone}
+                pm25Levels={pm25Levels}
+                isDarkMode={isDarkMode}
+              />
             </div>
           </div>
   
@@ -250,6 +652,20 @@ const MapComponent = () => {
             polygon={polygon}
             isDarkMode={isDarkMode}
             onExpandChange={() => {}}
+            tilesets={timeWindow.tilesets}
+            timeWindow={timeWindow}
+            pm25Threshold={pm25Threshold}
+            timeZone={timeZone}
+            forecastStart={forecastStart}
+            now={now}
+            aqiStandard={aqiStandard}
+            aqiAveraging={aqiAveraging}
+            aqiDisplayUnit={aqiDisplayUnit}
+            selectedTracts={selectedTracts}
+            savedAreas={savedAreas}
+            onSaveArea={saveArea}
+            onRemoveArea={removeArea}
+            onShowArea={showArea}
           />
   
           <MapAdditionalControls
@@ -260,17 +676,24 @@ const MapComponent = () => {
             currentDateTime={getCurrentDateTime()}
             isDarkMode={isDarkMode}
             pm25Threshold={pm25Threshold}
+            pm25Levels={pm25Levels}
             onExpandChange={() => {}}
+            tilesets={timeWindow.tilesets}
+            savedAreas={savedAreas}
           />
   
           <DrawingTooltip 
             drawingMode={drawingMode} 
+            drawingTool={drawingTool}
             tempPolygon={tempPolygon}
+            measurement={drawingMeasurement}
           />
           
           <DrawingHelperOverlay
             drawingMode={drawingMode}
+            drawingTool={drawingTool}
             tempPolygon={tempPolygon}
+            measurement={drawingMeasurement}
             isDarkMode={isDarkMode}
             finishDrawing={finishDrawing}
           />
@@ -283,10 +706,14 @@ const MapComponent = () => {
             setIsPlaying={setIsPlaying}
             playbackSpeed={playbackSpeed}
             setPlaybackSpeed={setPlaybackSpeed}
+            isInterpolated={isInterpolated}
+            setIsInterpolated={setIsInterpolated}
             getCurrentDateTime={getCurrentDateTime}
             drawingMode={drawingMode}
             startDrawing={startDrawing}
             finishDrawing={finishDrawing}
+            drawingOptions={drawingOptions}
+            setDrawingOptions={setDrawingOptions}
             clearPolygon={clearPolygon}
             polygon={polygon}
             isDarkMode={isDarkMode}
@@ -297,6 +724,64 @@ const MapComponent = () => {
             mapInstance={mapInstance}
             pm25Threshold={pm25Threshold}
             setPM25Threshold={setPM25Threshold}
+            timeWindow={timeWindow}
+            onDateRangeChange={handleDateRangeChange}
+            onDateRangeReset={resetDateRange}
+            isRecording={isRecording}
+            recordingProgress={recordingProgress}
+            recordingError={recordingError}
+            onStartRecording={startRecording}
+            onCancelRecording={cancelRecording}
+            isCapturingSnapshot={isCapturing}
+            snapshotError={snapshotError}
+            onTakeSnapshot={takeSnapshot}
+            isProbeMode={isProbeMode}
+            onToggleProbeMode={handleToggleProbeMode}
+            isImportingBoundary={isImporting}
+            onImportBoundary={importBoundary}
+            isUnitMode={isUnitMode}
+            unitLevel={unitLevel}
+            selectedUnits={selectedUnits}
+            isSelectingUnit={isSelectingUnit}
+            unitError={unitError}
+            onToggleUnitMode={handleToggleUnitMode}
+            onChangeUnitLevel={changeUnitLevel}
+            isEditingArea={isEditing}
+            canUndoEdit={canUndo}
+            canRedoEdit={canRedo}
+            onToggleEditArea={handleToggleEditing}
+            onUndoEdit={undo}
+            onRedoEdit={redo}
+            isRulerMode={isRulerMode}
+            rulerPoints={rulerPoints}
+            isRulerFinished={isRulerFinished}
+            rulerUnit={rulerUnit}
+            rulerSegmentsKm={rulerSegmentsKm}
+            rulerTotalKm={rulerTotalKm}
+            rulerPendingKm={rulerPendingKm}
+            onToggleRulerMode={handleToggleRulerMode}
+            onClearRuler={clearRuler}
+            onChangeRulerUnit={setRulerUnit}
+            renderMode={renderMode}
+            onChangeRenderMode={setRenderMode}
+            hexbinAggregation={hexbinAggregation}
+            onChangeHexbinAggregation={setHexbinAggregation}
+            aqiStandard={aqiStandard}
+            onChangeAqiStandard={setAqiStandard}
+            aqiAveraging={aqiAveraging}
+            onChangeAqiAveraging={setAqiAveraging}
+            aqiDisplayUnit={aqiDisplayUnit}
+            onChangeAqiDisplayUnit={setAqiDisplayUnit}
+            timeZone={timeZone}
+            timeZoneMode={timeZoneMode}
+            onChangeTimeZoneMode={setTimeZoneMode}
+            areaTimeZone={areaTimeZone}
+            forecastStart={forecastStart}
+            now={now}
+            isForecast={isForecast}
+            hasMonitors={monitors.stations.length > 0}
+            isImportingMonitors={isImportingMonitors}
+            onImportMonitors={importMonitors}
           />
           
           {showTour && (
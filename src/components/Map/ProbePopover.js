@@ -0,0 +1,126 @@
+import React from 'react';
+import { Marker } from 'react-map-gl';
+import { Pin, X } from 'lucide-react';
+import { getPM25Level } from '../../constants/pm25Levels';
+import { AQI_AVERAGING } from '../../constants/map/aqi';
+import { getProbeValueAt, getProbeAqiReading } from '../../utils/map/probeSeries';
+import { getAqiStandard, formatPM25, formatIndex, getPM25UnitLabel } from '../../utils/map/aqi';
+import ProbeSparkline from './panels/ProbeSparkline';
+
+const formatLngLat = ([lng, lat]) => (
+  `${Math.abs(lat).toFixed(3)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(3)}°${lng >= 0 ? 'E' : 'W'}`
+);
+
+export const PinnedProbeMarker = ({ probe, index }) => (
+  <Marker longitude={probe.lngLat[0]} latitude={probe.lngLat[1]} anchor="center">
+    <div
+      className="probe-popover w-6 h-6 rounded-full border-2 border-white shadow-md flex items-center justify-center text-xs font-bold text-white"
+      style={{ backgroundColor: probe.color }}
+    >
+      {index + 1}
+    </div>
+  </Marker>
+);
+
+const ProbePopover = ({
+  probe,
+  currentDateTime,
+  aqiStandard,
+  aqiAveraging = 'hourly',
+  aqiDisplayUnit = 'concentration',
+  onPin,
+  onClose,
+  isDarkMode
+}) => {
+  const standard = getAqiStandard(aqiStandard);
+  const current = getProbeValueAt(probe.series, currentDateTime);
+  const level = current ? getPM25Level(current.pm25, standard.levels) : null;
+  const reading = aqiAveraging === 'hourly'
+    ? null
+    : getProbeAqiReading(probe.series, currentDateTime, standard, aqiAveraging);
+  const currentTime = `${currentDateTime.date}T${String(currentDateTime.hour).padStart(2, '0')}:00:00`;
+
+  return (
+    <Marker longitude={probe.lngLat[0]} latitude={probe.lngLat[1]} anchor="bottom" offset={[0, -8]}>
+      <div className={`probe-popover w-60 rounded-lg shadow-lg border p-3 space-y-2 ${
+        isDarkMode ? 'bg-gray-800 border-forest-dark text-gray-200' : 'bg-white border-forest-light text-gray-800'
+      }`}>
+        <div className="flex items-center justify-between">
+          <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {formatLngLat(probe.lngLat)}
+          </span>
+          <button
+            onClick={onClose}
+            className={isDarkMode ? 'text-gray-400 hover:text-gray-200' : 'text-gray-500 hover:text-gray-700'}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {current ? (
+          <div className="flex items-end justify-between gap-2">
+            <div>
+              <span className="text-2xl font-semibold">{formatPM25(current.pm25, standard, aqiDisplayUnit)}</span>
+              <span className={`ml-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {getPM25UnitLabel(standard, aqiDisplayUnit)}
+              </span>
+            </div>
+            {level && (
+              <span
+                className="px-2 py-0.5 rounded text-xs font-medium"
+                style={{
+                  color: isDarkMode ? level.darkColor : level.color,
+                  backgroundColor: `${level.color}20`
+                }}
+              >
+                {level.label}
+              </span>
+            )}
+          </div>
+        ) : (
+          <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {probe.isLoading ? 'Reading the PM2.5 grid…' : 'No PM2.5 grid point nearby for this hour'}
+          </div>
+        )}
+
+        {reading && (
+          <div className="text-xs flex items-center justify-between">
+            <span className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+              {AQI_AVERAGING[aqiAveraging].label} {standard.indexName}
+            </span>
+            <span className="font-medium" style={{ color: isDarkMode ? reading.level.darkColor : reading.level.color }}>
+              {formatIndex(reading.index, standard)} · {reading.level.shortLabel || reading.level.label}
+            </span>
+          </div>
+        )}
+
+        {current && (
+          <div className={`text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+            Nearest grid point {current.distanceKm.toFixed(1)} km away
+          </div>
+        )}
+
+        <ProbeSparkline
+          series={probe.series}
+          currentTime={currentTime}
+          color={isDarkMode ? '#cea25d' : '#2d5954'}
+          isDarkMode={isDarkMode}
+        />
+
+        <button
+          onClick={onPin}
+          className={`w-full px-3 py-1 rounded-lg text-sm font-medium flex items-center justify-center gap-1.5 transition-colors ${
+            isDarkMode
+              ? 'bg-forest hover:bg-forest-dark text-gold-light'
+              : 'bg-forest hover:bg-forest-dark text-cream'
+          }`}
+        >
+          <Pin className="w-3.5 h-3.5" />
+          Pin to compare
+        </button>
+      </div>
+    </Marker>
+  );
+};
+
+export default ProbePopover;
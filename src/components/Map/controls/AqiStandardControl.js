@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge } from 'lucide-react';
+import { AQI_STANDARDS, AQI_AVERAGING, AQI_DISPLAY_UNITS } from '../../../constants/map/aqi';
+import { getAqiStandard } from '../../../utils/map/aqi';
+
+export const AqiStandardControl = ({
+  aqiStandard,
+  onChangeAqiStandard,
+  aqiAveraging,
+  onChangeAqiAveraging,
+  aqiDisplayUnit,
+  onChangeAqiDisplayUnit,
+  isDarkMode
+}) => {
+  const [showPanel, setShowPanel] = useState(false);
+
+  useEffect(() => {
+    if (!showPanel) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.aqi-standard-container')) {
+        setShowPanel(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showPanel]);
+
+  const standard = getAqiStandard(aqiStandard);
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className="relative aqi-standard-container">
+      <button
+        onClick={() => setShowPanel(!showPanel)}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isDarkMode
+            ? 'bg-gray-800 text-gold hover:bg-gray-700'
+            : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title={`Air quality scale: ${standard.label}`}
+      >
+        <Gauge className="w-5 h-5" />
+      </button>
+
+      {showPanel && (
+        <div className={`absolute top-full right-0 mt-2 w-72 rounded-lg shadow-lg border p-3 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <span className={`text-sm font-semibold ${isDarkMode ? 'text-gold-light' : 'text-forest'}`}>
+            Air quality scale
+          </span>
+
+          <div className="space-y-1">
+            {Object.entries(AQI_STANDARDS).map(([key, { label, description }]) => (
+              <button
+                key={key}
+                onClick={() => onChangeAqiStandard(key)}
+                className={`w-full text-left ${toggleClasses(aqiStandard === key)}`}
+              >
+                <div>{label}</div>
+                <div className="text-xs opacity-75">{description}</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="space-y-1">
+            <span className={labelClasses}>Index averaging</span>
+            <div className="flex items-center gap-1">
+              {Object.entries(AQI_AVERAGING).map(([averaging, { label, description }]) => (
+                <button
+                  key={averaging}
+                  onClick={() => onChangeAqiAveraging(averaging)}
+                  className={toggleClasses(aqiAveraging === averaging)}
+                  title={description}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-1">
+            <span className={labelClasses}>Show values as</span>
+            <div className="flex items-center gap-1">
+              {Object.entries(AQI_DISPLAY_UNITS).map(([unit, { label }]) => (
+                <button
+                  key={unit}
+                  onClick={() => onChangeAqiDisplayUnit(unit)}
+                  className={toggleClasses(aqiDisplayUnit === unit)}
+                >
+                  {unit === 'index' ? standard.indexName : label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className={labelClasses}>
+            Map colours follow the value at each hour; averaged readings appear in the probe and area table.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AqiStandardControl;
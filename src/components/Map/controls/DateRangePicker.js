@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarRange } from 'lucide-react';
+import {
+  MAX_WINDOW_DAYS,
+  formatDateParam,
+  parseDateParam
+} from '../../../utils/map/constants.js';
+
+const formatRangeLabel = (timeWindow) => {
+  const options = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  const first = timeWindow.days[0];
+  const last = timeWindow.days[timeWindow.days.length - 1];
+  return `${first.toLocaleDateString('en-US', options)} – ${last.toLocaleDateString('en-US', options)}`;
+};
+
+export const DateRangePicker = ({
+  timeWindow,
+  onDateRangeChange,
+  onDateRangeReset,
+  isDarkMode
+}) => {
+  const [showPanel, setShowPanel] = useState(false);
+  const [startValue, setStartValue] = useState('');
+  const [endValue, setEndValue] = useState('');
+  const [error, setError] = useState(null);
+
+  // Start from the loaded window each time the panel opens
+  useEffect(() => {
+    if (!showPanel) return;
+    setStartValue(formatDateParam(timeWindow.days[0]));
+    setEndValue(formatDateParam(timeWindow.days[timeWindow.days.length - 1]));
+    setError(null);
+  }, [showPanel, timeWindow]);
+
+  useEffect(() => {
+    if (!showPanel) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.date-range-container')) {
+        setShowPanel(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showPanel]);
+
+  const handleApply = () => {
+    const rangeError = onDateRangeChange(parseDateParam(startValue), parseDateParam(endValue));
+    if (rangeError) {
+      setError(rangeError);
+      return;
+    }
+    setShowPanel(false);
+  };
+
+  const handleReset = () => {
+    onDateRangeReset();
+    setShowPanel(false);
+  };
+
+  const inputClasses = `w-full px-2 py-1 rounded text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 text-gray-200 focus:bg-gray-600'
+      : 'bg-gray-100 text-gray-800 focus:bg-white'
+  } focus:outline-none focus:ring-2 focus:ring-forest`;
+
+  return (
+    <div className="relative date-range-container">
+      <button
+        onClick={() => setShowPanel(!showPanel)}
+        className={`h-10 px-3 rounded-lg flex items-center gap-2 transition-colors ${
+          isDarkMode
+            ? 'bg-gray-800 text-gold hover:bg-gray-700'
+            : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title="Change date range"
+      >
+        <CalendarRange className="w-5 h-5" />
+        <span className="text-sm font-medium whitespace-nowrap">{formatRangeLabel(timeWindow)}</span>
+      </button>
+
+      {showPanel && (
+        <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-4 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <label className="block space-y-1">
+            <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              Start date (UTC)
+            </span>
+            <input
+              type="date"
+              value={startValue}
+              onChange={(e) => setStartValue(e.target.value)}
+              className={inputClasses}
+            />
+          </label>
+
+          <label className="block space-y-1">
+            <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              End date (UTC)
+            </span>
+            <input
+              type="date"
+              value={endValue}
+              min={startValue}
+              onChange={(e) => setEndValue(e.target.value)}
+              className={inputClasses}
+            />
+          </label>
+
+          <div className={`text-xs ${
+            error
+              ? isDarkMode ? 'text-rose-400' : 'text-rust'
+              : isDarkMode ? 'text-gray-400' : 'text-gray-500'
+          }`}>
+            {error || `Up to ${MAX_WINDOW_DAYS} days`}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleApply}
+              className={`flex-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                isDarkMode
+                  ? 'bg-forest hover:bg-forest-dark text-gold-light'
+                  : 'bg-forest hover:bg-forest-dark text-cream'
+              }`}
+            >
+              Apply
+            </button>
+            <button
+              onClick={handleReset}
+              className={`flex-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                isDarkMode
+                  ? 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+                  : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+              }`}
+            >
+              Latest
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DateRangePicker;
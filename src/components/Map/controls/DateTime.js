@@ -1,20 +1,57 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Calendar, Clock } from 'lucide-react';
+import { TIME_ZONE_MODES } from '../../../constants/map/time';
+import {
+  toUtcDate,
+  getZonedParts,
+  formatZonedClock,
+  getTimeZoneLabel,
+  formatZonedDateTime,
+  resolveTimeZone
+} from '../../../utils/map/timeZones';
+
+export const DateTime = ({
+  currentDateTime,
+  timeZone = 'UTC',
+  timeZoneMode,
+  onChangeTimeZoneMode,
+  areaTimeZone,
+  isForecast = false,
+  forecastStart,
+  isDarkMode
+}) => {
+  const [showZones, setShowZones] = useState(false);
+
+  useEffect(() => {
+    if (!showZones) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.time-zone-container')) {
+        setShowZones(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showZones]);
 
-export const DateTime = ({ currentDateTime, isDarkMode }) => {
   if (!currentDateTime || !currentDateTime.date) return null;
 
+  // The current hour is a UTC data hour; the date and clock shown follow the chosen zone
+  const instant = toUtcDate(currentDateTime.date, currentDateTime.hour);
+  const { date } = getZonedParts(instant, timeZone);
+
   return (
     <div className={`backdrop-blur-md rounded-lg border-2 shadow-lg px-6 py-3 ${
-      isDarkMode 
-        ? 'bg-gray-900/95 border-forest' 
+      isDarkMode
+        ? 'bg-gray-900/95 border-forest'
         : 'bg-white/95 border-forest'
     }`}>
       <div className="flex items-center gap-6">
         <div className="flex items-center gap-3">
           <div className={`p-2 rounded-md ${
-            isDarkMode 
-              ? 'bg-forest/10 text-gold' 
+            isDarkMode
+              ? 'bg-forest/10 text-gold'
               : 'bg-sage-light text-forest'
           }`}>
             <Calendar className="w-5 h-5" />
@@ -22,7 +59,7 @@ export const DateTime = ({ currentDateTime, isDarkMode }) => {
           <span className={`text-lg font-medium ${
             isDarkMode ? 'text-gold-light' : 'text-forest'
           }`}>
-            {currentDateTime.date}
+            {date}
           </span>
         </div>
 
@@ -32,26 +69,87 @@ export const DateTime = ({ currentDateTime, isDarkMode }) => {
 
         <div className="flex items-center gap-3">
           <div className={`p-2 rounded-md ${
-            isDarkMode 
-              ? 'bg-forest/10 text-gold' 
+            isDarkMode
+              ? 'bg-forest/10 text-gold'
               : 'bg-sage-light text-forest'
           }`}>
             <Clock className="w-5 h-5" />
           </div>
-          <div className={`text-lg font-medium ${
+          <div className={`flex items-center text-lg font-medium ${
             isDarkMode ? 'text-gold-light' : 'text-forest'
           }`}>
-            {String(currentDateTime.hour).padStart(2, '0')}:00
-            <span className={`ml-2 text-sm ${
-              isDarkMode ? 'text-sage' : 'text-forest-light'
-            }`}>
-              UTC
-            </span>
+            {formatZonedClock(instant, timeZone)}
+            <div className="relative ml-2 time-zone-container">
+              <button
+                onClick={() => onChangeTimeZoneMode && setShowZones(!showZones)}
+                className={`px-1 rounded text-sm transition-colors ${
+                  isDarkMode ? 'text-sage hover:bg-gray-800' : 'text-forest-light hover:bg-gray-100'
+                }`}
+                title={timeZone}
+              >
+                {getTimeZoneLabel(instant, timeZone)}
+              </button>
+
+              {showZones && (
+                <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-2 space-y-1 ${
+                  isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+                }`}>
+                  {Object.entries(TIME_ZONE_MODES).map(([mode, { label, description }]) => {
+                    const isDisabled = mode === 'area' && !areaTimeZone;
+                    const isActive = timeZoneMode === mode;
+                    return (
+                      <button
+                        key={mode}
+                        onClick={() => {
+                          onChangeTimeZoneMode(mode);
+                          setShowZones(false);
+                        }}
+                        disabled={isDisabled}
+                        className={`w-full text-left px-3 py-1 rounded-md text-sm transition-colors ${
+                          isDisabled
+                            ? 'opacity-50 cursor-not-allowed'
+                            : isActive
+                              ? isDarkMode
+                                ? 'bg-forest/70 text-gold-light'
+                                : 'bg-forest/70 text-cream'
+                              : isDarkMode
+                                ? 'text-gray-300 hover:bg-gray-700'
+                                : 'text-gray-600 hover:bg-gray-100'
+                        }`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <span>{label}</span>
+                          {!isDisabled && (
+                            <span className="text-xs opacity-75">{resolveTimeZone(mode, areaTimeZone)}</span>
+                          )}
+                        </div>
+                        <div className="text-xs opacity-75">
+                          {isDisabled ? 'Draw or select an area first' : description}
+                        </div>
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
           </div>
         </div>
+
+        {isForecast && (
+          <span
+            className={`px-2 py-0.5 rounded-full border border-dashed text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode ? 'border-gold text-gold' : 'border-forest text-forest'
+            }`}
+            title={forecastStart
+              ? `Forecast from ${formatZonedDateTime(forecastStart, timeZone)}; earlier hours are observed`
+              : 'Forecast'}
+          >
+            Forecast
+          </span>
+        )}
       </div>
     </div>
   );
 };
 
-export default DateTime;
\ No newline at end of file
+export default DateTime;
@@ -1,5 +1,14 @@
-import React from 'react';
-import { Pen, X } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Pen, X, Pentagon, Square, Circle, Lasso, Route } from 'lucide-react';
+import { DRAWING_TOOLS, DISTANCE_UNITS } from '../../../constants/map/drawingTools';
+
+const TOOL_ICONS = {
+  polygon: Pentagon,
+  rectangle: Square,
+  circle: Circle,
+  freehand: Lasso,
+  corridor: Route
+};
 
 export const DrawingControls = ({
   polygon,
@@ -7,8 +16,50 @@ export const DrawingControls = ({
   startDrawing,
   finishDrawing,
   clearPolygon,
+  drawingOptions,
+  setDrawingOptions,
   isDarkMode,
 }) => {
+  const [showTools, setShowTools] = useState(false);
+
+  useEffect(() => {
+    if (!showTools) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.drawing-tools-container')) {
+        setShowTools(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showTools]);
+
+  const updateDistance = (key, value) => {
+    const distance = parseFloat(value);
+    if (distance > 0) {
+      setDrawingOptions(prev => ({ ...prev, [key]: distance }));
+    }
+  };
+
+  const inputClasses = `w-20 px-2 py-1 rounded text-sm text-right ${
+    isDarkMode
+      ? 'bg-gray-700 text-gray-200 focus:bg-gray-600'
+      : 'bg-gray-100 text-gray-800 focus:bg-white'
+  } focus:outline-none focus:ring-2 focus:ring-forest`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
   if (drawingMode) {
     return (
       <button
@@ -26,17 +77,83 @@ export const DrawingControls = ({
 
   if (!polygon) {
     return (
-      <button
-        onClick={startDrawing}
-        className={`h-10 px-4 rounded-lg flex items-center gap-2 transition-colors ${
-          isDarkMode
-            ? 'bg-forest-dark/50 hover:bg-forest/70 text-gold'
-            : 'bg-sage-light hover:bg-sage text-forest-dark'
-        }`}
-      >
-        <Pen className="w-5 h-5" />
-        <span className="font-medium">Draw Area</span>
-      </button>
+      <div className="relative drawing-tools-container">
+        <button
+          onClick={() => setShowTools(!showTools)}
+          className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+            isDarkMode
+              ? 'bg-gray-800 text-purple-400 hover:bg-gray-700'
+              : 'bg-gray-50 text-purple-500 hover:bg-gray-100'
+          }`}
+          title="Draw Area"
+        >
+          <Pen className="w-5 h-5" />
+        </button>
+
+        {showTools && (
+          <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-2 space-y-1 ${
+            isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+          }`}>
+            {Object.entries(DRAWING_TOOLS).map(([tool, { label, description }]) => {
+              const Icon = TOOL_ICONS[tool];
+              return (
+                <button
+                  key={tool}
+                  onClick={() => {
+                    setShowTools(false);
+                    startDrawing(tool);
+                  }}
+                  className={`w-full px-2 py-1.5 rounded-md flex items-center gap-3 text-left transition-colors ${
+                    isDarkMode ? 'text-gray-200 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <Icon className="w-4 h-4 flex-shrink-0" />
+                  <span className="flex-1">
+                    <span className="block text-sm font-medium">{label}</span>
+                    <span className={labelClasses}>{description}</span>
+                  </span>
+                </button>
+              );
+            })}
+
+            <div className={`pt-2 mt-1 border-t space-y-2 ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              <div className="flex items-center gap-1">
+                {Object.entries(DISTANCE_UNITS).map(([unit, { label }]) => (
+                  <button
+                    key={unit}
+                    onClick={() => setDrawingOptions(prev => ({ ...prev, unit }))}
+                    className={toggleClasses(drawingOptions.unit === unit)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center justify-between gap-2">
+                <span className={labelClasses}>Circle radius</span>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={drawingOptions.circleRadius}
+                  onChange={(e) => updateDistance('circleRadius', e.target.value)}
+                  className={inputClasses}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                <span className={labelClasses}>Corridor width</span>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={drawingOptions.corridorWidth}
+                  onChange={(e) => updateDistance('corridorWidth', e.target.value)}
+                  className={inputClasses}
+                />
+              </label>
+            </div>
+          </div>
+        )}
+      </div>
     );
   }
 
@@ -0,0 +1,63 @@
+import React from 'react';
+import { PencilLine, Undo2, Redo2 } from 'lucide-react';
+
+export const EditAreaControl = ({
+  isEditing,
+  canUndo,
+  canRedo,
+  onToggleEditing,
+  onUndo,
+  onRedo,
+  isDarkMode
+}) => {
+  const historyButtonClasses = `flex-1 flex items-center justify-center gap-1 px-3 py-1 rounded-md text-sm transition-colors disabled:opacity-40 ${
+    isDarkMode
+      ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className="relative edit-area-container">
+      <button
+        onClick={onToggleEditing}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isEditing
+            ? isDarkMode
+              ? 'bg-forest/70 text-gold-light'
+              : 'bg-forest/70 text-cream'
+            : isDarkMode
+              ? 'bg-gray-800 text-purple-400 hover:bg-gray-700'
+              : 'bg-gray-50 text-purple-500 hover:bg-gray-100'
+        }`}
+        title={isEditing ? 'Finish editing' : 'Edit area'}
+      >
+        <PencilLine className="w-5 h-5" />
+      </button>
+
+      {isEditing && (
+        <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-3 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <div className="flex items-center gap-1">
+            <button onClick={onUndo} disabled={!canUndo} className={historyButtonClasses} title="Undo (Ctrl+Z)">
+              <Undo2 className="w-4 h-4" />
+              Undo
+            </button>
+            <button onClick={onRedo} disabled={!canRedo} className={historyButtonClasses} title="Redo (Ctrl+Shift+Z)">
+              <Redo2 className="w-4 h-4" />
+              Redo
+            </button>
+          </div>
+
+          <ul className={`text-xs space-y-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            <li>Drag a vertex to move it; click it to delete it.</li>
+            <li>Drag or click the handle on an edge to add a vertex.</li>
+            <li>Drag inside the area to move the whole shape.</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditAreaControl;
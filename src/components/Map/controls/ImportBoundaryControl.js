@@ -0,0 +1,37 @@
+import React, { useRef } from 'react';
+import { Upload, Loader2 } from 'lucide-react';
+import { BOUNDARY_FILE_ACCEPT } from '../../../utils/map/boundaryImport';
+
+export const ImportBoundaryControl = ({ isImporting, onImportBoundary, isDarkMode }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current?.click()}
+        disabled={isImporting}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors disabled:opacity-60 ${
+          isDarkMode
+            ? 'bg-gray-800 text-gold hover:bg-gray-700'
+            : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title="Import boundary (GeoJSON, KML, zipped Shapefile)"
+      >
+        {isImporting ? <Loader2 className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={BOUNDARY_FILE_ACCEPT}
+        className="hidden"
+        onChange={(e) => {
+          onImportBoundary(e.target.files[0]);
+          // Allow importing the same file again after clearing it
+          e.target.value = '';
+        }}
+      />
+    </>
+  );
+};
+
+export default ImportBoundaryControl;
@@ -2,9 +2,21 @@ import React from 'react';
 import { TimeControls } from './TimeControls';
 import { ThemeControls } from './ThemeControls';
 import { DateTime } from './DateTime';
+import { DateRangePicker } from './DateRangePicker';
+import { RecordAnimationControl } from './RecordAnimationControl';
+import { SnapshotControl } from './SnapshotControl';
+import { ProbeControl } from './ProbeControl';
+import { ImportBoundaryControl } from './ImportBoundaryControl';
+import { UnitSelectControl } from './UnitSelectControl';
+import { EditAreaControl } from './EditAreaControl';
+import { DrawingControls } from './DrawingControls';
+import { RulerControl } from './RulerControl';
+import { RenderModeControl } from './RenderModeControl';
+import { AqiStandardControl } from './AqiStandardControl';
+import { MonitorControl } from './MonitorControl';
 import PM25ThresholdSlider from './PM25ThresholdSlider';
-import { Pen, X } from 'lucide-react';
-import { TILESET_INFO } from '../../../utils/map/constants.js';
+import { X } from 'lucide-react';
+import { DEFAULT_TIME_WINDOW, findTileset } from '../../../utils/map/constants.js';
 
 const MapControls = ({
   currentHour,
@@ -13,10 +25,14 @@ const MapControls = ({
   setIsPlaying,
   playbackSpeed,
   setPlaybackSpeed,
+  isInterpolated,
+  setIsInterpolated,
   getCurrentDateTime,
   drawingMode,
   startDrawing,
   finishDrawing,
+  drawingOptions,
+  setDrawingOptions,
   clearPolygon,
   polygon,
   isDarkMode,
@@ -26,7 +42,65 @@ const MapControls = ({
   basemapOptions,
   mapInstance,
   pm25Threshold,
-  setPM25Threshold
+  setPM25Threshold,
+  timeWindow = DEFAULT_TIME_WINDOW,
+  onDateRangeChange,
+  onDateRangeReset,
+  isRecording,
+  recordingProgress,
+  recordingError,
+  onStartRecording,
+  onCancelRecording,
+  isCapturingSnapshot,
+  snapshotError,
+  onTakeSnapshot,
+  isProbeMode,
+  onToggleProbeMode,
+  isImportingBoundary,
+  onImportBoundary,
+  isUnitMode,
+  unitLevel,
+  selectedUnits,
+  isSelectingUnit,
+  unitError,
+  onToggleUnitMode,
+  onChangeUnitLevel,
+  isEditingArea,
+  canUndoEdit,
+  canRedoEdit,
+  onToggleEditArea,
+  onUndoEdit,
+  onRedoEdit,
+  isRulerMode,
+  rulerPoints,
+  isRulerFinished,
+  rulerUnit,
+  rulerSegmentsKm,
+  rulerTotalKm,
+  rulerPendingKm,
+  onToggleRulerMode,
+  onClearRuler,
+  onChangeRulerUnit,
+  renderMode,
+  onChangeRenderMode,
+  hexbinAggregation,
+  onChangeHexbinAggregation,
+  aqiStandard,
+  onChangeAqiStandard,
+  aqiAveraging,
+  onChangeAqiAveraging,
+  aqiDisplayUnit,
+  onChangeAqiDisplayUnit,
+  timeZone = 'UTC',
+  timeZoneMode,
+  onChangeTimeZoneMode,
+  areaTimeZone,
+  forecastStart,
+  now,
+  isForecast,
+  hasMonitors,
+  isImportingMonitors,
+  onImportMonitors
 }) => {
   const dateTime = getCurrentDateTime ? getCurrentDateTime() : { date: '', hour: 0 };
 
@@ -39,10 +113,18 @@ const MapControls = ({
           <PM25ThresholdSlider 
             pm25Threshold={pm25Threshold}
             setPM25Threshold={setPM25Threshold}
+            aqiStandard={aqiStandard}
+            aqiDisplayUnit={aqiDisplayUnit}
             isDarkMode={isDarkMode}
           />
           <DateTime
             currentDateTime={getCurrentDateTime()}
+            timeZone={timeZone}
+            timeZoneMode={timeZoneMode}
+            onChangeTimeZoneMode={onChangeTimeZoneMode}
+            areaTimeZone={areaTimeZone}
+            isForecast={isForecast}
+            forecastStart={forecastStart}
             isDarkMode={isDarkMode}
           />
           <div className="flex items-center gap-2">
@@ -53,22 +135,119 @@ const MapControls = ({
               setCurrentBasemap={setCurrentBasemap}
               basemapOptions={basemapOptions}
             />
+            <RenderModeControl
+              renderMode={renderMode}
+              onChangeRenderMode={onChangeRenderMode}
+              hexbinAggregation={hexbinAggregation}
+              onChangeHexbinAggregation={onChangeHexbinAggregation}
+              isDarkMode={isDarkMode}
+            />
+            <AqiStandardControl
+              aqiStandard={aqiStandard}
+              onChangeAqiStandard={onChangeAqiStandard}
+              aqiAveraging={aqiAveraging}
+              onChangeAqiAveraging={onChangeAqiAveraging}
+              aqiDisplayUnit={aqiDisplayUnit}
+              onChangeAqiDisplayUnit={onChangeAqiDisplayUnit}
+              isDarkMode={isDarkMode}
+            />
+            {!drawingMode && (
+              <ProbeControl
+                isProbeMode={isProbeMode}
+                onToggleProbeMode={onToggleProbeMode}
+                isDarkMode={isDarkMode}
+              />
+            )}
             {!polygon && !drawingMode && (
               <>
-                <button
-                  onClick={startDrawing}
-                  className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
-                    isDarkMode
-                      ? 'bg-gray-800 text-purple-400 hover:bg-gray-700'
-                      : 'bg-gray-50 text-purple-500 hover:bg-gray-100'
-                  }`}
-                  title="Draw Area"
-                >
-                  <Pen className="w-5 h-5" />
-                </button>
+                <DrawingControls
+                  drawingMode={drawingMode}
+                  polygon={polygon}
+                  startDrawing={startDrawing}
+                  finishDrawing={finishDrawing}
+                  clearPolygon={clearPolygon}
+                  drawingOptions={drawingOptions}
+                  setDrawingOptions={setDrawingOptions}
+                  isDarkMode={isDarkMode}
+                />
               </>
             )}
+            {polygon && !drawingMode && (
+              <EditAreaControl
+                isEditing={isEditingArea}
+                canUndo={canUndoEdit}
+                canRedo={canRedoEdit}
+                onToggleEditing={onToggleEditArea}
+                onUndo={onUndoEdit}
+                onRedo={onRedoEdit}
+                isDarkMode={isDarkMode}
+              />
+            )}
+            {!drawingMode && (
+              <UnitSelectControl
+                isUnitMode={isUnitMode}
+                unitLevel={unitLevel}
+                selectedUnits={selectedUnits}
+                isSelectingUnit={isSelectingUnit}
+                unitError={unitError}
+                onToggleUnitMode={onToggleUnitMode}
+                onChangeUnitLevel={onChangeUnitLevel}
+                isDarkMode={isDarkMode}
+              />
+            )}
+            {!drawingMode && (
+              <RulerControl
+                isRulerMode={isRulerMode}
+                rulerPoints={rulerPoints}
+                isRulerFinished={isRulerFinished}
+                rulerUnit={rulerUnit}
+                segmentsKm={rulerSegmentsKm}
+                totalKm={rulerTotalKm}
+                pendingKm={rulerPendingKm}
+                onToggleRulerMode={onToggleRulerMode}
+                onClearRuler={onClearRuler}
+                onChangeRulerUnit={onChangeRulerUnit}
+                isDarkMode={isDarkMode}
+              />
+            )}
+            {!drawingMode && (
+              <ImportBoundaryControl
+                isImporting={isImportingBoundary}
+                onImportBoundary={onImportBoundary}
+                isDarkMode={isDarkMode}
+              />
+            )}
+            {!drawingMode && (
+              <MonitorControl
+                hasMonitors={hasMonitors}
+                isImporting={isImportingMonitors}
+                onImportMonitors={onImportMonitors}
+                isDarkMode={isDarkMode}
+              />
+            )}
           </div>
+          <DateRangePicker
+            timeWindow={timeWindow}
+            onDateRangeChange={onDateRangeChange}
+            onDateRangeReset={onDateRangeReset}
+            isDarkMode={isDarkMode}
+          />
+          <RecordAnimationControl
+            timeWindow={timeWindow}
+            isRecording={isRecording}
+            recordingProgress={recordingProgress}
+            recordingError={recordingError}
+            onStartRecording={onStartRecording}
+            onCancelRecording={onCancelRecording}
+            timeZone={timeZone}
+            isDarkMode={isDarkMode}
+          />
+          <SnapshotControl
+            isCapturing={isCapturingSnapshot}
+            snapshotError={snapshotError}
+            onTakeSnapshot={onTakeSnapshot}
+            isDarkMode={isDarkMode}
+          />
         </div>
       </div>
 
@@ -81,16 +260,18 @@ const MapControls = ({
           setIsPlaying={setIsPlaying}
           playbackSpeed={playbackSpeed}
           setPlaybackSpeed={setPlaybackSpeed}
+          isInterpolated={isInterpolated}
+          setIsInterpolated={setIsInterpolated}
           isDarkMode={isDarkMode}
+          timeWindow={timeWindow}
+          timeZone={timeZone}
+          forecastStart={forecastStart}
+          now={now}
           onTimeChange={(hour) => {
             // Force an immediate layer update when time is changed manually
             if (mapInstance) {
               const { date, hour: newHour } = getCurrentDateTime(hour);
-              const currentTileset = TILESET_INFO.find(tileset => 
-                tileset.date === date && 
-                newHour >= tileset.startHour && 
-                newHour <= tileset.endHour
-              );
+              const currentTileset = findTileset(date, newHour, timeWindow.tilesets);
               
               if (currentTileset) {
                 const layerId = `layer-${currentTileset.id}`;
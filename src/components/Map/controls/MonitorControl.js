@@ -0,0 +1,43 @@
+import React, { useRef } from 'react';
+import { RadioTower, Loader2 } from 'lucide-react';
+import { MONITOR_FILE_ACCEPT } from '../../../utils/map/groundMonitors';
+
+export const MonitorControl = ({ hasMonitors, isImporting, onImportMonitors, isDarkMode }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current?.click()}
+        disabled={isImporting}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors disabled:opacity-60 ${
+          hasMonitors
+            ? isDarkMode
+              ? 'bg-forest/70 text-gold-light'
+              : 'bg-forest/70 text-cream'
+            : isDarkMode
+              ? 'bg-gray-800 text-gold hover:bg-gray-700'
+              : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title={hasMonitors
+          ? 'Replace ground monitor observations (CSV, GeoJSON)'
+          : 'Load ground monitor observations (CSV, GeoJSON)'}
+      >
+        {isImporting ? <Loader2 className="w-5 h-5 animate-spin" /> : <RadioTower className="w-5 h-5" />}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={MONITOR_FILE_ACCEPT}
+        className="hidden"
+        onChange={(e) => {
+          onImportMonitors(e.target.files[0]);
+          // Allow loading the same file again after removing it
+          e.target.value = '';
+        }}
+      />
+    </>
+  );
+};
+
+export default MonitorControl;
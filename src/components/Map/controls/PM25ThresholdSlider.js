@@ -1,19 +1,27 @@
 import React, { useState } from 'react';
-import { PM25_LEVELS } from '../../../constants/pm25Levels';
+import { getAqiStandard, formatPM25, indexToConcentration } from '../../../utils/map/aqi';
 
 const PM25ThresholdSlider = ({ 
   pm25Threshold = 1,
   setPM25Threshold, 
+  aqiStandard,
+  aqiDisplayUnit = 'concentration',
   isDarkMode 
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [inputValue, setInputValue] = useState(pm25Threshold.toString());
   const [isEditing, setIsEditing] = useState(false);
 
+  // The threshold stays a concentration; only what is shown and typed follows the unit
+  const standard = getAqiStandard(aqiStandard);
+  const levels = standard.levels;
+  const maxValue = levels[levels.length - 1].value;
+  const formatValue = (value) => formatPM25(value, standard, aqiDisplayUnit);
+
   const valueToPosition = (value) => {
-    for (let i = 0; i < PM25_LEVELS.length - 1; i++) {
-      const currentLevel = PM25_LEVELS[i];
-      const nextLevel = PM25_LEVELS[i + 1];
+    for (let i = 0; i < levels.length - 1; i++) {
+      const currentLevel = levels[i];
+      const nextLevel = levels[i + 1];
       
       if (value >= currentLevel.value && value < nextLevel.value) {
         const valueRange = nextLevel.value - currentLevel.value;
@@ -26,9 +34,9 @@ const PM25ThresholdSlider = ({
   };
 
   const positionToValue = (position) => {
-    for (let i = 0; i < PM25_LEVELS.length - 1; i++) {
-      const currentLevel = PM25_LEVELS[i];
-      const nextLevel = PM25_LEVELS[i + 1];
+    for (let i = 0; i < levels.length - 1; i++) {
+      const currentLevel = levels[i];
+      const nextLevel = levels[i + 1];
       
       if (position >= currentLevel.position && position < nextLevel.position) {
         const positionRange = nextLevel.position - currentLevel.position;
@@ -37,12 +45,12 @@ const PM25ThresholdSlider = ({
         return currentLevel.value + (percent * valueRange);
       }
     }
-    return 500;
+    return maxValue;
   };
 
   const getCurrentLevel = (value) => {
-    return PM25_LEVELS.find((level, index) => {
-      const nextLevel = PM25_LEVELS[index + 1];
+    return levels.find((level, index) => {
+      const nextLevel = levels[index + 1];
       return value >= level.value && (!nextLevel || value < nextLevel.value);
     });
   };
@@ -51,7 +59,7 @@ const PM25ThresholdSlider = ({
     const position = parseFloat(e.target.value);
     const value = positionToValue(position);
     setPM25Threshold(value);
-    setInputValue(value.toFixed(1));
+    setInputValue(formatValue(value));
   };
 
   const handleInputChange = (e) => {
@@ -65,11 +73,14 @@ const PM25ThresholdSlider = ({
     if (isNaN(newValue)) {
       newValue = pm25Threshold;
     } else {
-      newValue = Math.max(0, Math.min(500, newValue));
+      if (aqiDisplayUnit === 'index') {
+        newValue = indexToConcentration(newValue, standard);
+      }
+      newValue = Math.max(0, Math.min(maxValue, newValue));
     }
     
     setPM25Threshold(newValue);
-    setInputValue(newValue.toFixed(1));
+    setInputValue(formatValue(newValue));
   };
 
   const handleInputKeyDown = (e) => {
@@ -96,6 +107,7 @@ const PM25ThresholdSlider = ({
         className="text-xl font-medium flex items-center gap-2"
         onClick={(e) => {
           e.stopPropagation();
+          setInputValue(formatValue(pm25Threshold));
           setIsEditing(true);
         }}
       >
@@ -115,7 +127,12 @@ const PM25ThresholdSlider = ({
           />
         ) : (
           <span style={{ color: currentLevel?.color }}>
-            {pm25Threshold.toFixed(1)}+
+            {formatValue(pm25Threshold)}+
+            {aqiDisplayUnit === 'index' && (
+              <span className={`ml-1 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {standard.indexName}
+              </span>
+            )}
           </span>
         )}
       </div>
@@ -151,7 +168,7 @@ const PM25ThresholdSlider = ({
             />
 
             <div className="absolute left-0 right-0 top-0 h-1 pointer-events-none">
-              {PM25_LEVELS.slice(0, -1).map((level) => (
+              {levels.slice(0, -1).map((level) => (
                 <div
                   key={level.value}
                   className="absolute w-1 h-3 -mt-1 rounded-full"
@@ -161,11 +178,27 @@ const PM25ThresholdSlider = ({
                     backgroundColor: level.color,
                     boxShadow: isDarkMode ? '0 0 2px rgba(0,0,0,0.5)' : '0 0 2px rgba(255,255,255,0.5)'
                   }}
-                  title={`${level.label} (${level.value})`}
+                  title={`${level.label} (${formatValue(level.value)})`}
                 />
               ))}
             </div>
           </div>
+
+          <div className="mt-4 flex flex-wrap gap-x-3 gap-y-1 text-xs">
+            {levels.slice(0, -1).map((level) => (
+              <div key={level.value} className="flex items-center gap-1">
+                <span
+                  className="w-2.5 h-2.5 rounded-full"
+                  style={{ backgroundColor: isDarkMode ? level.darkColor : level.color }}
+                />
+                <span className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>{level.shortLabel || level.label}</span>
+                <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>{formatValue(level.value)}+</span>
+              </div>
+            ))}
+          </div>
+          <div className={`mt-1 text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+            {standard.label} · {standard.description}
+          </div>
         </div>
       )}
     </div>
@@ -1,40 +1,19 @@
 import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { Users2 } from 'lucide-react';
 import _ from 'lodash';
-import { TILESET_INFO } from '../../../utils/map/constants';
+import { TILESET_INFO, findTileset } from '../../../utils/map/constants';
 import getSelectedCensusTracts from '../../../utils/map/censusAnalysis';
 import { PM25_LEVELS, getPM25Level } from '../../../constants/pm25Levels';
-
-// Helper for point-in-polygon check
-const isPointInPolygon = (point, polygon) => {
-  if (!Array.isArray(point) || point.length < 2) return false;
-  
-  const x = point[0], y = point[1];
-  let inside = false;
-
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const xi = polygon[i][0], yi = polygon[i][1];
-    const xj = polygon[j][0], yj = polygon[j][1];
-
-    const intersect = ((yi > y) !== (yj > y)) &&
-      (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-
-    if (intersect) inside = !inside;
-  }
-
-  return inside;
-};
+import { getGeometryBoundingBox, toAreaGeometry } from '../../../utils/map/geometryUtils';
+import { runAnalysis, isAnalysisCancelled } from '../../../utils/map/analysisClient';
+import calculateTileAreaStats from '../../../utils/map/tileAreaStats';
 
 // Find active layer for current time
-const findActiveLayer = (map, date, hour) => {
+const findActiveLayer = (map, date, hour, tilesets) => {
   if (!map || !map.getStyle()) return null;
 
   // Find matching tileset for current date and hour
-  const tileset = TILESET_INFO.find(t => 
-    t.date === date && 
-    hour >= t.startHour && 
-    hour <= t.endHour
-  );
+  const tileset = findTileset(date, hour, tilesets);
 
   if (!tileset) {
     console.warn('No tileset found for:', { date, hour });
@@ -45,9 +24,27 @@ const findActiveLayer = (map, date, hour) => {
   return map.getLayer(layerId) ? layerId : null;
 };
 
+// Plain PM2.5 points that can be sent to the analysis worker
+const toPM25Points = (features) => features.reduce((points, feature) => {
+  const pm25 = parseFloat(feature.properties?.PM25);
+  const coordinates = feature.geometry?.coordinates;
+  if (!isNaN(pm25) && coordinates) {
+    points.push({ pm25, coordinates });
+  }
+  return points;
+}, []);
+
 
 
-const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }) => {
+const PopulationExposureCounter = ({ 
+  map, 
+  polygon, 
+  isDarkMode, 
+  currentDateTime, 
+  tilesets = TILESET_INFO,
+  pm25Levels = PM25_LEVELS,
+  onTractsChange
+}) => {
   const [stats, setStats] = useState({
     censusStats: {
       value: null,
@@ -65,12 +62,14 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
     }
   });
 
-  // Keep track of census data separately
-  const censusDataRef = useRef(null);
+  // Selected tracts with population and geometry, once the census data has loaded
+  const [censusTracts, setCensusTracts] = useState(null);
   // Keep track of the last successful PM2.5 data to avoid loss on further updates
   const lastValidPM25DataRef = useRef(null);
   // Track the current polygon to know when it changes
   const currentPolygonRef = useRef(null);
+  const censusControllerRef = useRef(null);
+  const exposureControllerRef = useRef(null);
   
   // Reset the cache when polygon changes
   useEffect(() => {
@@ -93,6 +92,10 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
   const updateCensusData = useCallback(async () => {
     if (!map || !polygon) return;
 
+    censusControllerRef.current?.abort();
+    const controller = new AbortController();
+    censusControllerRef.current = controller;
+
     try {
       setStats(prev => ({
         ...prev,
@@ -104,8 +107,9 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
         }
       }));
 
-      const initialResult = await getSelectedCensusTracts(map, polygon, isDarkMode);
-      censusDataRef.current = initialResult;
+      onTractsChange?.(null);
+      setCensusTracts(null);
+      const initialResult = await getSelectedCensusTracts(map, polygon, isDarkMode, { signal: controller.signal });
       
       // First update with tract count
       setStats(prev => ({
@@ -125,6 +129,9 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
       // Wait for population data
       if (initialResult.populationPromise) {
         const populationResult = await initialResult.populationPromise;
+        if (controller.signal.aborted) return;
+        setCensusTracts(populationResult.tracts);
+        onTractsChange?.(populationResult.tracts);
         
         setStats(prev => ({
           ...prev,
@@ -142,6 +149,7 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
       }
 
     } catch (error) {
+      if (isAnalysisCancelled(error)) return;
       console.error('Error fetching census data:', error);
       setStats(prev => ({
         ...prev,
@@ -154,7 +162,7 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
         }
       }));
     }
-  }, [map, polygon, isDarkMode]);
+  }, [map, polygon, isDarkMode, onTractsChange]);
 
   // Calculate exposure for current time
   const calculateExposure = useCallback(async () => {
@@ -162,6 +170,11 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
       return;
     }
 
+    // A newer hour or area supersedes any calculation still in the worker
+    exposureControllerRef.current?.abort();
+    const controller = new AbortController();
+    exposureControllerRef.current = controller;
+
     try {
       // Don't set loading state if we have cached data
       if (!lastValidPM25DataRef.current) {
@@ -176,11 +189,27 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
       }
 
       const timeString = `${currentDateTime.date}T${String(currentDateTime.hour).padStart(2, '0')}:00:00`;
+      const areaGeometry = toAreaGeometry(polygon);
+      const { signal } = controller;
+
+      let points = [];
+
+      // Method 0: Read the hour from the data tiles, whatever the view or loaded chunks
+      try {
+        const tileset = findTileset(currentDateTime.date, currentDateTime.hour, tilesets);
+        if (tileset) {
+          const [tilesetStats] = await calculateTileAreaStats(polygon, [tileset], { signal });
+          points = tilesetStats?.hourlyData.find(hourData => hourData.hour === currentDateTime.hour)?.samples || [];
+        }
+      } catch (err) {
+        if (isAnalysisCancelled(err)) throw err;
+        console.warn('Error reading PM2.5 data tiles:', err);
+      }
 
       // Find active layer
-      const activeLayer = findActiveLayer(map, currentDateTime.date, currentDateTime.hour);
+      const activeLayer = findActiveLayer(map, currentDateTime.date, currentDateTime.hour, tilesets);
       
-      if (!activeLayer) {
+      if (!activeLayer && points.length === 0) {
         console.warn('No active layer found for the current time period');
         
         // Use cached data if available instead of showing error
@@ -211,66 +240,57 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
       }
 
       // Calculate bounds with padding
-      const bounds = {
-        minLng: Math.min(...polygon.map(p => p[0])),
-        maxLng: Math.max(...polygon.map(p => p[0])),
-        minLat: Math.min(...polygon.map(p => p[1])),
-        maxLat: Math.max(...polygon.map(p => p[1]))
-      };
-
-      let features = [];
-      
-      // Method 1: Try queryRenderedFeatures with bounds first
-      try {
-        const lngPad = (bounds.maxLng - bounds.minLng) * 0.2;
-        const latPad = (bounds.maxLat - bounds.minLat) * 0.2;
-        const paddedBounds = [
-          [bounds.minLng - lngPad, bounds.minLat - latPad],
-          [bounds.maxLng + lngPad, bounds.maxLat + latPad]
-        ];
-
-        const sw = map.project(paddedBounds[0]);
-        const ne = map.project(paddedBounds[1]);
-
-        features = map.queryRenderedFeatures([sw, ne], {
-          layers: [activeLayer],
-          filter: ['==', ['get', 'time'], timeString]
-        }).filter(feature => {
-          if (!feature.geometry || !feature.geometry.coordinates) return false;
-          return isPointInPolygon(feature.geometry.coordinates, polygon);
-        });
-
-        console.log(`Method 1: Found ${features.length} PM2.5 data points within the selected area`);
-      } catch (err) {
-        console.warn('Error using queryRenderedFeatures with bounds:', err);
+      const bounds = getGeometryBoundingBox(areaGeometry);
+
+      // Method 1: Try queryRenderedFeatures with bounds
+      if (points.length === 0) {
+        try {
+          const lngPad = (bounds.maxLng - bounds.minLng) * 0.2;
+          const latPad = (bounds.maxLat - bounds.minLat) * 0.2;
+          const paddedBounds = [
+            [bounds.minLng - lngPad, bounds.minLat - latPad],
+            [bounds.maxLng + lngPad, bounds.maxLat + latPad]
+          ];
+
+          const sw = map.project(paddedBounds[0]);
+          const ne = map.project(paddedBounds[1]);
+
+          const candidates = toPM25Points(map.queryRenderedFeatures([sw, ne], {
+            layers: [activeLayer],
+            filter: ['==', ['get', 'time'], timeString]
+          }));
+          points = await runAnalysis('pointsInArea', { points: candidates, areaGeometry }, { signal });
+
+          console.log(`Method 1: Found ${points.length} PM2.5 data points within the selected area`);
+        } catch (err) {
+          if (isAnalysisCancelled(err)) throw err;
+          console.warn('Error using queryRenderedFeatures with bounds:', err);
+        }
       }
 
       // Method 2: If first method doesn't work, try querySourceFeatures
-      if (features.length === 0) {
+      if (points.length === 0) {
         try {
           const sourceId = activeLayer.replace('layer-', 'source-');
+          const tileset = findTileset(currentDateTime.date, currentDateTime.hour, tilesets);
           if (map.getSource(sourceId)) {
             // This queries the source directly, which might get us more features
-            const sourceFeatures = map.querySourceFeatures(sourceId, {
-              sourceLayer: activeLayer.replace('layer-', ''),
+            const candidates = toPM25Points(map.querySourceFeatures(sourceId, {
+              ...(tileset?.layer && { sourceLayer: tileset.layer }),
               filter: ['==', ['get', 'time'], timeString]
-            });
-
-            // Filter by polygon
-            features = sourceFeatures.filter(feature => {
-              if (!feature.geometry || !feature.geometry.coordinates) return false;
-              return isPointInPolygon(feature.geometry.coordinates, polygon);
-            });
+            }));
+            points = await runAnalysis('pointsInArea', { points: candidates, areaGeometry }, { signal });
 
-            console.log(`Method 2: Found ${features.length} PM2.5 data points from source`);
+            console.log(`Method 2: Found ${points.length} PM2.5 data points from source`);
           }
         } catch (err) {
+          if (isAnalysisCancelled(err)) throw err;
           console.warn('Error using querySourceFeatures:', err);
         }
       }
 
       // Method 3: If still no features, try to get all visible features and filter manually
-      if (features.length === 0) {
+      if (points.length === 0) {
         try {
           // Get all visible features from the layer
           const visibleFeatures = map.queryRenderedFeatures({
@@ -279,75 +299,62 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
 
           console.log(`Method 3: Found ${visibleFeatures.length} total visible features`);
 
-          // Filter by time and polygon
-          features = visibleFeatures.filter(feature => {
-            if (!feature.geometry || !feature.geometry.coordinates) return false;
-            if (feature.properties.time !== timeString) return false;
-            return isPointInPolygon(feature.geometry.coordinates, polygon);
-          });
+          // Filter by time here and by polygon in the worker
+          const candidates = toPM25Points(visibleFeatures.filter(feature => feature.properties.time === timeString));
+          points = await runAnalysis('pointsInArea', { points: candidates, areaGeometry }, { signal });
 
-          console.log(`Method 3: After filtering, ${features.length} features are in the polygon`);
+          console.log(`Method 3: After filtering, ${points.length} features are in the polygon`);
         } catch (err) {
+          if (isAnalysisCancelled(err)) throw err;
           console.warn('Error using alternative feature query:', err);
         }
       }
 
       // Method 4: Scan the visible area with a grid of points
-      if (features.length === 0) {
+      if (points.length === 0) {
         try {
           const gridSize = 20; // 20x20 grid
-          const lngStep = (bounds.maxLng - bounds.minLng) / gridSize;
-          const latStep = (bounds.maxLat - bounds.minLat) / gridSize;
-          
-          const gridPoints = [];
-          for (let i = 0; i <= gridSize; i++) {
-            for (let j = 0; j <= gridSize; j++) {
-              const lng = bounds.minLng + (i * lngStep);
-              const lat = bounds.minLat + (j * latStep);
-              gridPoints.push([lng, lat]);
-            }
-          }
+          const gridPoints = await runAnalysis('gridInArea', { areaGeometry, gridSize }, { signal });
           
-          console.log(`Method 4: Created ${gridPoints.length} grid points to sample`);
+          console.log(`Method 4: Sampling ${gridPoints.length} grid points inside the area`);
           
           // Query each point
           let gridFeatures = [];
           gridPoints.forEach(point => {
-            if (isPointInPolygon(point, polygon)) {
-              const pointFeatures = map.queryRenderedFeatures(
-                map.project(point), 
-                { layers: [activeLayer] }
-              );
-              
-              // Filter for correct time
-              const validFeatures = pointFeatures.filter(f => 
-                f.properties.time === timeString
-              );
-              
-              gridFeatures = [...gridFeatures, ...validFeatures];
-            }
+            const pointFeatures = map.queryRenderedFeatures(
+              map.project(point), 
+              { layers: [activeLayer] }
+            );
+            
+            // Filter for correct time
+            const validFeatures = pointFeatures.filter(f => 
+              f.properties.time === timeString
+            );
+            
+            gridFeatures = [...gridFeatures, ...validFeatures];
           });
           
           // De-duplicate features
           const uniqueIds = new Set();
-          features = gridFeatures.filter(feature => {
+          points = toPM25Points(gridFeatures.filter(feature => {
             // Create a unique ID using coordinates and properties
             const id = `${feature.geometry.coordinates[0]}_${feature.geometry.coordinates[1]}_${feature.properties.PM25}`;
             if (uniqueIds.has(id)) return false;
             uniqueIds.add(id);
             return true;
-          });
+          }));
           
-          console.log(`Method 4: Found ${features.length} features using grid sampling`);
+          console.log(`Method 4: Found ${points.length} features using grid sampling`);
         } catch (err) {
+          if (isAnalysisCancelled(err)) throw err;
           console.warn('Error using grid sampling method:', err);
         }
       }
 
-      console.log(`Final result: Found ${features.length} PM2.5 data points to process`);
+      console.log(`Final result: Found ${points.length} PM2.5 data points to process`);
 
       // If no features found but we have cached data, use that instead
-      if (features.length === 0 && lastValidPM25DataRef.current) {
+      if (points.length === 0 && lastValidPM25DataRef.current) {
         console.log('No new data found, using cached PM2.5 data');
         setStats(prev => ({
           ...prev,
@@ -361,87 +368,13 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
         return;
       }
 
-      // Initialize exposure categories using our local PM25_LEVELS
-      const exposureByPM25 = {};
-      const distributionByPM25 = {};
-      PM25_LEVELS.forEach(level => {
-        exposureByPM25[level.label] = 0;
-        distributionByPM25[level.label] = 0;
-      });
-
-      let calculatedAvgPM25 = 0;
-      let hasData = false;
-
-      if (features.length > 0) {
-        // Create grid of PM2.5 values
-        const pm25Grid = features.reduce((grid, feature) => {
-          const pm25 = parseFloat(feature.properties.PM25);
-          if (!isNaN(pm25)) {
-            const coords = feature.geometry.coordinates;
-            grid.push({
-              pm25,
-              coordinates: coords
-            });
-          }
-          return grid;
-        }, []);
-
-        console.log(`Created PM2.5 grid with ${pm25Grid.length} valid points`);
-
-        // Calculate average PM2.5 and distribute population
-        if (pm25Grid.length > 0) {
-          calculatedAvgPM25 = pm25Grid.reduce((sum, point) => sum + point.pm25, 0) / pm25Grid.length;
-          console.log(`Average PM2.5 for the area: ${calculatedAvgPM25.toFixed(1)}`);
-
-          // First, count points in each category for distribution calculation
-          const pointsPerCategory = {};
-          PM25_LEVELS.forEach(level => {
-            pointsPerCategory[level.label] = 0;
-          });
-          
-          // Count points in each category
-          pm25Grid.forEach(gridPoint => {
-            const category = PM25_LEVELS.find((level, index) => {
-              const nextLevel = PM25_LEVELS[index + 1];
-              return gridPoint.pm25 >= level.value && (!nextLevel || gridPoint.pm25 < nextLevel.value);
-            });
-            
-            if (category) {
-              pointsPerCategory[category.label]++;
-              hasData = true;
-            }
-          });
-          
-          // Calculate distribution percentages based on point count
-          const totalPoints = pm25Grid.length;
-          PM25_LEVELS.forEach(level => {
-            const count = pointsPerCategory[level.label] || 0;
-            distributionByPM25[level.label] = totalPoints > 0 
-              ? parseFloat((count / totalPoints * 100).toFixed(1))
-              : 0;
-          });
-
-          // Get census data for population distribution
-          const totalPopulation = censusDataRef.current?.summary?.totalPopulation;
-          
-          if (totalPopulation) {
-            console.log(`Total population: ${totalPopulation.toLocaleString()}`);
-
-            // Distribute population based on point distribution
-            PM25_LEVELS.forEach(level => {
-              const pointCount = pointsPerCategory[level.label] || 0;
-              const proportion = totalPoints > 0 ? pointCount / totalPoints : 0;
-              exposureByPM25[level.label] = Math.round(proportion * totalPopulation);
-            });
-          } else {
-            console.log("No population data available, using point counts");
-            // Just use the point counts
-            PM25_LEVELS.forEach(level => {
-              exposureByPM25[level.label] = pointsPerCategory[level.label] || 0;
-            });
-          }
-        }
-      }
+      // Assign each tract the PM2.5 overlapping it and sum tract populations per category
+      const {
+        exposureByPM25,
+        distributionByPM25,
+        avgPM25: calculatedAvgPM25,
+        hasData
+      } = await runAnalysis('exposure', { points, tracts: censusTracts, levels: pm25Levels }, { signal });
 
       // If we still have no data after all attempts, but have cached data
       if (!hasData && lastValidPM25DataRef.current) {
@@ -502,6 +435,7 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
       console.log('PM2.5 Distribution calculated:', distributionByPM25);
 
     } catch (error) {
+      if (isAnalysisCancelled(error)) return;
       console.error('Error calculating exposure:', error);
       
       // Try to use cached data if available
@@ -528,7 +462,7 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
         }));
       }
     }
-  }, [map, polygon, currentDateTime]);
+  }, [map, polygon, currentDateTime, tilesets, censusTracts, pm25Levels]);
 
   // Use a less aggressive debounce to ensure data persists
   const debouncedCalculateExposure = useCallback(
@@ -541,6 +475,19 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
     updateCensusData();
   }, [updateCensusData]);
 
+  // The tract breakdown goes away with the selection
+  useEffect(() => {
+    return () => onTractsChange?.(null);
+  }, [onTractsChange]);
+
+  // Nothing still running applies once the component is gone
+  useEffect(() => {
+    return () => {
+      censusControllerRef.current?.abort();
+      exposureControllerRef.current?.abort();
+    };
+  }, []);
+
   // Update exposure when time changes
   useEffect(() => {
     debouncedCalculateExposure();
@@ -550,7 +497,7 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
   if (!polygon) return null;
 
   const getPM25Color = (label, isDarkMode) => {
-    const level = PM25_LEVELS.find(l => l.label === label);
+    const level = pm25Levels.find(l => l.label === label);
     if (!level) return isDarkMode ? '#00ff9d' : '#00e400'; // Default to Good color
     return isDarkMode ? level.darkColor : level.color;
   };
@@ -612,7 +559,9 @@ const PopulationExposureCounter = ({ map, polygon, isDarkMode, currentDateTime }
             <div className={`mt-2 rounded-lg ${
                 isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50/50'
               } p-3 space-y-2`}>
-              {PM25_LEVELS.map(category => {
+              {pm25Levels.filter((level, index) =>
+                pm25Levels.findIndex(other => other.label === level.label) === index
+              ).map(category => {
                 // Get population for this category
                 const population = stats.exposureByPM25.value[category.label] || 0;
                 
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Crosshair } from 'lucide-react';
+
+export const ProbeControl = ({ isProbeMode, onToggleProbeMode, isDarkMode }) => (
+  <button
+    onClick={onToggleProbeMode}
+    className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+      isProbeMode
+        ? isDarkMode
+          ? 'bg-forest/70 text-gold-light'
+          : 'bg-forest/70 text-cream'
+        : isDarkMode
+          ? 'bg-gray-800 text-gold hover:bg-gray-700'
+          : 'bg-gray-50 text-forest hover:bg-gray-100'
+    }`}
+    title={isProbeMode ? 'Stop probing' : 'Probe PM2.5 at a point'}
+  >
+    <Crosshair className="w-5 h-5" />
+  </button>
+);
+
+export default ProbeControl;
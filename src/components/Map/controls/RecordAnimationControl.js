@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { Video, X } from 'lucide-react';
+import {
+  RECORDING_RESOLUTIONS,
+  RECORDING_FRAME_RATES,
+  getSupportedWebMType,
+  getRecordingLimitError
+} from '../../../utils/map/animationEncoders';
+import { formatZonedHour } from '../../../utils/map/timeZones';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const formatHourOption = (timeWindow, hour, timeZone) => {
+  const time = new Date(timeWindow.startDate.getTime() + hour * MS_PER_HOUR);
+  return formatZonedHour(time, timeZone);
+};
+
+export const RecordAnimationControl = ({
+  timeWindow,
+  isRecording,
+  recordingProgress,
+  recordingError,
+  onStartRecording,
+  onCancelRecording,
+  timeZone = 'UTC',
+  isDarkMode
+}) => {
+  const [showPanel, setShowPanel] = useState(false);
+  const [startHour, setStartHour] = useState(0);
+  const [endHour, setEndHour] = useState(timeWindow.totalHours - 1);
+  const [format, setFormat] = useState('gif');
+  const [fps, setFps] = useState(4);
+  const [resolutionId, setResolutionId] = useState(RECORDING_RESOLUTIONS[0].id);
+  const canRecordWebM = Boolean(getSupportedWebMType());
+
+  // Default to the whole loaded window
+  useEffect(() => {
+    setStartHour(0);
+    setEndHour(timeWindow.totalHours - 1);
+  }, [timeWindow]);
+
+  useEffect(() => {
+    if (!showPanel || isRecording) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.record-animation-container')) {
+        setShowPanel(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showPanel, isRecording]);
+
+  const resolution = RECORDING_RESOLUTIONS.find(option => option.id === resolutionId);
+  const hours = Array.from({ length: timeWindow.totalHours }, (_, hour) => hour);
+  const frameCount = endHour - startHour + 1;
+  const rangeError = getRecordingLimitError(frameCount, format, resolution);
+
+  const handleRecord = () => {
+    if (rangeError) return;
+    onStartRecording({ startHour, endHour, format, fps, resolution });
+  };
+
+  const inputClasses = `w-full px-2 py-1 rounded text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 text-gray-200 focus:bg-gray-600'
+      : 'bg-gray-100 text-gray-800 focus:bg-white'
+  } focus:outline-none focus:ring-2 focus:ring-forest`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className="relative record-animation-container">
+      <button
+        onClick={() => setShowPanel(!showPanel)}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isRecording
+            ? isDarkMode
+              ? 'bg-rust/60 text-gold-light'
+              : 'bg-rust-light/40 text-rust-dark'
+            : isDarkMode
+              ? 'bg-gray-800 text-gold hover:bg-gray-700'
+              : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title="Record animation"
+      >
+        <Video className="w-5 h-5" />
+      </button>
+
+      {showPanel && (
+        <div className={`absolute top-full right-0 mt-2 w-72 rounded-lg shadow-lg border p-4 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <div className="flex items-center justify-between">
+            <span className={`text-sm font-semibold ${isDarkMode ? 'text-gold-light' : 'text-forest'}`}>
+              Record animation
+            </span>
+            {!isRecording && (
+              <button
+                onClick={() => setShowPanel(false)}
+                className={isDarkMode ? 'text-gray-400 hover:text-gray-200' : 'text-gray-500 hover:text-gray-700'}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          {isRecording ? (
+            <div className="space-y-3">
+              <div className={labelClasses}>
+                {recordingProgress?.phase === 'encoding' ? 'Encoding…' : 'Capturing frames…'}
+              </div>
+              <div className={`h-2 w-full rounded-lg overflow-hidden ${
+                isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
+              }`}>
+                <div
+                  className="h-full bg-forest transition-all duration-300"
+                  style={{ width: `${Math.round((recordingProgress?.value || 0) * 100)}%` }}
+                />
+              </div>
+              <button
+                onClick={onCancelRecording}
+                className={`w-full px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  isDarkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+                    : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                }`}
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="block space-y-1">
+                  <span className={labelClasses}>From</span>
+                  <select
+                    value={startHour}
+                    onChange={(e) => {
+                      const hour = Number(e.target.value);
+                      setStartHour(hour);
+                      if (hour > endHour) setEndHour(hour);
+                    }}
+                    className={inputClasses}
+                  >
+                    {hours.map(hour => (
+                      <option key={hour} value={hour}>{formatHourOption(timeWindow, hour, timeZone)}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block space-y-1">
+                  <span className={labelClasses}>To</span>
+                  <select
+                    value={endHour}
+                    onChange={(e) => setEndHour(Number(e.target.value))}
+                    className={inputClasses}
+                  >
+                    {hours.filter(hour => hour >= startHour).map(hour => (
+                      <option key={hour} value={hour}>{formatHourOption(timeWindow, hour, timeZone)}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="space-y-1">
+                <span className={labelClasses}>Format</span>
+                <div className="flex items-center gap-1">
+                  <button onClick={() => setFormat('gif')} className={toggleClasses(format === 'gif')}>
+                    GIF
+                  </button>
+                  <button
+                    onClick={() => setFormat('webm')}
+                    disabled={!canRecordWebM}
+                    className={toggleClasses(format === 'webm')}
+                    title={canRecordWebM ? undefined : 'WebM recording is not supported in this browser'}
+                  >
+                    WebM
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <label className="block space-y-1">
+                  <span className={labelClasses}>Frame rate</span>
+                  <select
+                    value={fps}
+                    onChange={(e) => setFps(Number(e.target.value))}
+                    className={inputClasses}
+                  >
+                    {RECORDING_FRAME_RATES.map(rate => (
+                      <option key={rate} value={rate}>{rate} fps</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block space-y-1">
+                  <span className={labelClasses}>Resolution</span>
+                  <select
+                    value={resolutionId}
+                    onChange={(e) => setResolutionId(e.target.value)}
+                    className={inputClasses}
+                  >
+                    {RECORDING_RESOLUTIONS.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className={`text-xs ${
+                recordingError || rangeError
+                  ? isDarkMode ? 'text-rose-400' : 'text-rust'
+                  : isDarkMode ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+                {rangeError || recordingError || `${frameCount} frames · ${(frameCount / fps).toFixed(1)} s`}
+              </div>
+
+              <button
+                onClick={handleRecord}
+                disabled={Boolean(rangeError)}
+                className={`w-full px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  isDarkMode
+                    ? 'bg-forest hover:bg-forest-dark text-gold-light'
+                    : 'bg-forest hover:bg-forest-dark text-cream'
+                }`}
+              >
+                Record
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordAnimationControl;
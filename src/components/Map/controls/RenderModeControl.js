@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Layers } from 'lucide-react';
+import { RENDER_MODES, HEXBIN_AGGREGATIONS } from '../../../constants/map/renderModes';
+
+export const RenderModeControl = ({
+  renderMode,
+  onChangeRenderMode,
+  hexbinAggregation,
+  onChangeHexbinAggregation,
+  isDarkMode
+}) => {
+  const [showPanel, setShowPanel] = useState(false);
+
+  useEffect(() => {
+    if (!showPanel) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.render-mode-container')) {
+        setShowPanel(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showPanel]);
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className="relative render-mode-container">
+      <button
+        onClick={() => setShowPanel(!showPanel)}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isDarkMode
+            ? 'bg-gray-800 text-gold hover:bg-gray-700'
+            : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title={`Rendering: ${RENDER_MODES[renderMode].label}`}
+      >
+        <Layers className="w-5 h-5" />
+      </button>
+
+      {showPanel && (
+        <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-3 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <span className={`text-sm font-semibold ${isDarkMode ? 'text-gold-light' : 'text-forest'}`}>
+            PM2.5 rendering
+          </span>
+
+          <div className="space-y-1">
+            {Object.entries(RENDER_MODES).map(([mode, { label, description }]) => (
+              <button
+                key={mode}
+                onClick={() => onChangeRenderMode(mode)}
+                className={`w-full text-left ${toggleClasses(renderMode === mode)}`}
+              >
+                <div>{label}</div>
+                <div className="text-xs opacity-75">{description}</div>
+              </button>
+            ))}
+          </div>
+
+          {renderMode === 'hexbin' && (
+            <div className="space-y-1">
+              <span className={labelClasses}>Hexagon value</span>
+              <div className="flex items-center gap-1">
+                {Object.entries(HEXBIN_AGGREGATIONS).map(([aggregation, { label }]) => (
+                  <button
+                    key={aggregation}
+                    onClick={() => onChangeHexbinAggregation(aggregation)}
+                    className={toggleClasses(hexbinAggregation === aggregation)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RenderModeControl;
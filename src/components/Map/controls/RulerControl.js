@@ -0,0 +1,113 @@
+import React from 'react';
+import { Ruler, Eraser } from 'lucide-react';
+import { DISTANCE_UNITS } from '../../../constants/map/drawingTools';
+import { formatDistance } from '../../../utils/map/geodesy';
+
+export const RulerControl = ({
+  isRulerMode,
+  rulerPoints,
+  isRulerFinished,
+  rulerUnit,
+  segmentsKm,
+  totalKm,
+  pendingKm,
+  onToggleRulerMode,
+  onClearRuler,
+  onChangeRulerUnit,
+  isDarkMode
+}) => {
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const valueClasses = isDarkMode ? 'text-gray-200' : 'text-gray-800';
+
+  const instruction = rulerPoints.length === 0
+    ? 'Click the map to start measuring.'
+    : isRulerFinished
+      ? 'Click to start a new line. Esc clears it.'
+      : 'Click to add points. Double-click or Esc to end the line.';
+
+  return (
+    <div className="relative ruler-container">
+      <button
+        onClick={onToggleRulerMode}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isRulerMode
+            ? isDarkMode
+              ? 'bg-forest/70 text-gold-light'
+              : 'bg-forest/70 text-cream'
+            : isDarkMode
+              ? 'bg-gray-800 text-gold hover:bg-gray-700'
+              : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title={isRulerMode ? 'Stop measuring' : 'Measure distance'}
+      >
+        <Ruler className="w-5 h-5" />
+      </button>
+
+      {isRulerMode && (
+        <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-3 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <div className="flex items-center gap-1">
+            {Object.entries(DISTANCE_UNITS).map(([unit, { label }]) => (
+              <button
+                key={unit}
+                onClick={() => onChangeRulerUnit(unit)}
+                className={toggleClasses(rulerUnit === unit)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-baseline justify-between gap-2">
+            <span className={labelClasses}>Total distance</span>
+            <span className={`text-lg font-semibold ${valueClasses}`}>
+              {formatDistance(totalKm + pendingKm, rulerUnit)}
+            </span>
+          </div>
+
+          {segmentsKm.length > 1 && (
+            <ol className={`text-sm space-y-1 max-h-32 overflow-auto ${valueClasses}`}>
+              {segmentsKm.map((km, index) => (
+                <li key={index} className="flex items-center justify-between gap-2">
+                  <span className={labelClasses}>Segment {index + 1}</span>
+                  <span>{formatDistance(km, rulerUnit)}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <div className={labelClasses}>
+            {instruction} Distances follow the curve of the Earth.
+          </div>
+
+          {rulerPoints.length > 0 && (
+            <button
+              onClick={onClearRuler}
+              className={`w-full flex items-center justify-center gap-1 px-3 py-1 rounded-md text-sm transition-colors ${
+                isDarkMode
+                  ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              <Eraser className="w-4 h-4" />
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RulerControl;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Camera, X } from 'lucide-react';
+import { SNAPSHOT_DPI_OPTIONS, SNAPSHOT_SIZES } from '../../../utils/map/mapSnapshot';
+
+export const SnapshotControl = ({
+  isCapturing,
+  snapshotError,
+  onTakeSnapshot,
+  isDarkMode
+}) => {
+  const [showPanel, setShowPanel] = useState(false);
+  const [title, setTitle] = useState('');
+  const [notes, setNotes] = useState('');
+  const [format, setFormat] = useState('png');
+  const [dpi, setDpi] = useState(150);
+  const [sizeId, setSizeId] = useState(SNAPSHOT_SIZES[0].id);
+
+  useEffect(() => {
+    if (!showPanel || isCapturing) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.snapshot-container')) {
+        setShowPanel(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showPanel, isCapturing]);
+
+  const handleCapture = () => {
+    onTakeSnapshot({
+      title,
+      notes,
+      format,
+      dpi,
+      size: SNAPSHOT_SIZES.find(size => size.id === sizeId)
+    });
+  };
+
+  const inputClasses = `w-full px-2 py-1 rounded text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 text-gray-200 focus:bg-gray-600'
+      : 'bg-gray-100 text-gray-800 focus:bg-white'
+  } focus:outline-none focus:ring-2 focus:ring-forest`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className="relative snapshot-container">
+      <button
+        onClick={() => setShowPanel(!showPanel)}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isDarkMode
+            ? 'bg-gray-800 text-gold hover:bg-gray-700'
+            : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title="Save snapshot"
+      >
+        <Camera className="w-5 h-5" />
+      </button>
+
+      {showPanel && (
+        <div className={`absolute top-full right-0 mt-2 w-72 rounded-lg shadow-lg border p-4 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <div className="flex items-center justify-between">
+            <span className={`text-sm font-semibold ${isDarkMode ? 'text-gold-light' : 'text-forest'}`}>
+              Map snapshot
+            </span>
+            <button
+              onClick={() => setShowPanel(false)}
+              className={isDarkMode ? 'text-gray-400 hover:text-gray-200' : 'text-gray-500 hover:text-gray-700'}
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <label className="block space-y-1">
+            <span className={labelClasses}>Title (optional)</span>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className={inputClasses}
+            />
+          </label>
+
+          <label className="block space-y-1">
+            <span className={labelClasses}>Notes (optional)</span>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={3}
+              className={`${inputClasses} resize-none`}
+            />
+          </label>
+
+          <div className="space-y-1">
+            <span className={labelClasses}>Format</span>
+            <div className="flex items-center gap-1">
+              <button onClick={() => setFormat('png')} className={toggleClasses(format === 'png')}>
+                PNG
+              </button>
+              <button onClick={() => setFormat('pdf')} className={toggleClasses(format === 'pdf')}>
+                PDF
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block space-y-1">
+              <span className={labelClasses}>Size</span>
+              <select
+                value={sizeId}
+                onChange={(e) => setSizeId(e.target.value)}
+                className={inputClasses}
+              >
+                {SNAPSHOT_SIZES.map(size => (
+                  <option key={size.id} value={size.id}>{size.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block space-y-1">
+              <span className={labelClasses}>Resolution</span>
+              <select
+                value={dpi}
+                onChange={(e) => setDpi(Number(e.target.value))}
+                className={inputClasses}
+              >
+                {SNAPSHOT_DPI_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option} DPI</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {snapshotError && (
+            <div className={`text-xs ${isDarkMode ? 'text-rose-400' : 'text-rust'}`}>
+              {snapshotError}
+            </div>
+          )}
+
+          <button
+            onClick={handleCapture}
+            disabled={isCapturing}
+            className={`w-full px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-60 ${
+              isDarkMode
+                ? 'bg-forest hover:bg-forest-dark text-gold-light'
+                : 'bg-forest hover:bg-forest-dark text-cream'
+            }`}
+          >
+            {isCapturing ? 'Rendering…' : 'Save snapshot'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotControl;
@@ -1,6 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Play, Pause, ChevronLeft, ChevronRight } from 'lucide-react';
-import { TOTAL_HOURS } from '../../../utils/map/constants.js';
+import { DEFAULT_TIME_WINDOW } from '../../../utils/map/constants.js';
+import { getZonedParts, formatZonedClock, formatZonedDay, getTimeZoneLabel } from '../../../utils/map/timeZones';
+import { getWindowHourOffset } from '../../../utils/map/forecast';
+
+// Slower speeds are mostly useful with smooth playback, which fades between hours
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 3];
+
+const MS_PER_HOUR = 60 * 60 * 1000;
 
 export const TimeControls = ({
   currentHour,
@@ -9,10 +16,17 @@ export const TimeControls = ({
   setIsPlaying,
   playbackSpeed,
   setPlaybackSpeed,
+  isInterpolated,
+  setIsInterpolated,
   isDarkMode,
-  onTimeChange
+  onTimeChange,
+  timeWindow = DEFAULT_TIME_WINDOW,
+  timeZone = 'UTC',
+  forecastStart = null,
+  now = null
 }) => {
   const [showSpeedOptions, setShowSpeedOptions] = useState(false);
+  const totalHours = timeWindow.totalHours;
 
   const handlePrevHour = () => {
     const newHour = Math.max(0, currentHour - 1);
@@ -21,7 +35,7 @@ export const TimeControls = ({
   };
 
   const handleNextHour = () => {
-    const newHour = Math.min(TOTAL_HOURS - 1, currentHour + 1);
+    const newHour = Math.min(totalHours - 1, currentHour + 1);
     setCurrentHour(newHour);
     if (onTimeChange) onTimeChange(newHour);
   };
@@ -32,10 +46,41 @@ export const TimeControls = ({
     if (onTimeChange) onTimeChange(newHour);
   };
 
-  const dateMarkers = [24, 48, 72].map(hour => ({
-    hour,
-    position: (hour / (TOTAL_HOURS - 1)) * 100
-  }));
+  const currentInstant = new Date(timeWindow.startDate.getTime() + currentHour * MS_PER_HOUR);
+
+  // One marker per day boundary in the display zone, labelled sparsely enough to stay readable on long windows
+  const dateMarkers = useMemo(() => {
+    const labelEvery = Math.ceil(timeWindow.days.length / 10);
+    const markers = [];
+    let previousDate = getZonedParts(timeWindow.startDate, timeZone).date;
+
+    for (let hour = 1; hour < totalHours; hour++) {
+      const instant = new Date(timeWindow.startDate.getTime() + hour * MS_PER_HOUR);
+      const { date } = getZonedParts(instant, timeZone);
+      if (date === previousDate) continue;
+
+      previousDate = date;
+      markers.push({
+        hour,
+        position: (hour / (totalHours - 1)) * 100,
+        label: (markers.length + 1) % labelEvery === 0 ? formatZonedDay(instant, timeZone) : null
+      });
+    }
+    return markers;
+  }, [timeWindow, totalHours, timeZone]);
+
+  const toPosition = (hour) => (hour / (totalHours - 1)) * 100;
+
+  // Forecast hours are shaded from the boundary to the end of the window
+  const forecastOffset = forecastStart ? getWindowHourOffset(timeWindow, forecastStart) : null;
+  const forecastPosition = forecastOffset !== null && forecastOffset < totalHours - 1
+    ? toPosition(Math.max(0, forecastOffset))
+    : null;
+
+  const nowOffset = now ? getWindowHourOffset(timeWindow, now) : null;
+  const nowPosition = nowOffset !== null && nowOffset >= 0 && nowOffset <= totalHours - 1
+    ? toPosition(nowOffset)
+    : null;
 
   return (
     <div className={`backdrop-blur-md rounded-xl border shadow-lg px-6 py-4 ${
@@ -71,7 +116,7 @@ export const TimeControls = ({
             <div className={`absolute bottom-full mb-2 rounded-lg shadow-lg border ${
               isDarkMode ? 'bg-gray-800 border-forest/30' : 'bg-white border-forest/20'
             }`}>
-              {[1, 2, 3].map((speed) => (
+              {PLAYBACK_SPEEDS.map((speed) => (
                 <button
                   key={speed}
                   onClick={() => {
@@ -91,6 +136,25 @@ export const TimeControls = ({
                   {speed}x
                 </button>
               ))}
+              {setIsInterpolated && (
+                <button
+                  onClick={() => setIsInterpolated(!isInterpolated)}
+                  className={`w-full px-4 py-2 text-sm border-t transition-all ${
+                    isDarkMode ? 'border-forest/30' : 'border-forest/20'
+                  } ${
+                    isInterpolated
+                      ? isDarkMode
+                        ? 'bg-forest/20 text-gold'
+                        : 'bg-sage-light text-forest'
+                      : isDarkMode
+                        ? 'hover:bg-gray-700 text-gray-300'
+                        : 'hover:bg-gray-50 text-gray-600'
+                  }`}
+                  title="Fade between hours during playback (points and heatmap)"
+                >
+                  Smooth
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -115,10 +179,10 @@ export const TimeControls = ({
                   : 'bg-forest text-cream'
               }`}
               style={{ 
-                left: `${(currentHour / (TOTAL_HOURS - 1)) * 100}%`,
+                left: `${(currentHour / (totalHours - 1)) * 100}%`,
               }}
             >
-              {String(currentHour % 24).padStart(2, '0')}:00 UTC
+              {formatZonedClock(currentInstant, timeZone)} {getTimeZoneLabel(currentInstant, timeZone)}
             </div>
 
             <div 
@@ -126,20 +190,60 @@ export const TimeControls = ({
                 isDarkMode ? 'bg-gold' : 'bg-forest'
               }`}
               style={{ 
-                left: `${(currentHour / (TOTAL_HOURS - 1)) * 100}%`,
+                left: `${(currentHour / (totalHours - 1)) * 100}%`,
                 top: '-8px'
               }}
             />
 
+            {forecastPosition !== null && (
+              <div
+                className={`absolute top-1/2 -translate-y-1/2 h-3 rounded-sm pointer-events-none ${
+                  isDarkMode ? 'bg-gold/10' : 'bg-forest/10'
+                }`}
+                style={{
+                  left: `${forecastPosition}%`,
+                  right: 0,
+                  backgroundImage: `repeating-linear-gradient(135deg, ${
+                    isDarkMode ? 'rgba(206, 162, 93, 0.35)' : 'rgba(45, 89, 84, 0.25)'
+                  } 0 1px, transparent 1px 5px)`
+                }}
+              />
+            )}
+
+            {nowPosition !== null && (
+              <div
+                className="absolute -top-4 bottom-0 -translate-x-1/2 flex flex-col items-center pointer-events-none"
+                style={{ left: `${nowPosition}%` }}
+              >
+                <span className={`text-[10px] font-semibold leading-none ${
+                  isDarkMode ? 'text-gold' : 'text-forest'
+                }`}>
+                  Now
+                </span>
+                <div className={`flex-1 w-px ${isDarkMode ? 'bg-gold/70' : 'bg-forest/70'}`} />
+              </div>
+            )}
+
             <div className="absolute inset-x-0 top-1/2 -translate-y-1/2 h-1 pointer-events-none">
               {dateMarkers.map((marker, index) => (
-                <div
-                  key={index}
-                  className={`absolute w-0.5 h-3 -translate-y-1 ${
-                    isDarkMode ? 'bg-gold' : 'bg-forest'
-                  }`}
-                  style={{ left: `${marker.position}%` }}
-                />
+                <React.Fragment key={index}>
+                  <div
+                    className={`absolute w-0.5 h-3 -translate-y-1 ${
+                      isDarkMode ? 'bg-gold' : 'bg-forest'
+                    }`}
+                    style={{ left: `${marker.position}%` }}
+                  />
+                  {marker.label && (
+                    <div
+                      className={`absolute top-3 -translate-x-1/2 text-[10px] whitespace-nowrap ${
+                        isDarkMode ? 'text-sage' : 'text-forest-light'
+                      }`}
+                      style={{ left: `${marker.position}%` }}
+                    >
+                      {marker.label}
+                    </div>
+                  )}
+                </React.Fragment>
               ))}
             </div>
 
@@ -152,14 +256,14 @@ export const TimeControls = ({
                 isDarkMode ? 'bg-gold' : 'bg-forest'
               }`}
               style={{ 
-                width: `${(currentHour / (TOTAL_HOURS - 1)) * 100}%`,
+                width: `${(currentHour / (totalHours - 1)) * 100}%`,
               }}
             />
 
             <input
               type="range"
               min="0"
-              max={TOTAL_HOURS - 1}
+              max={totalHours - 1}
               value={currentHour}
               onChange={handleSliderChange}
               className="absolute inset-0 w-full h-full cursor-pointer appearance-none bg-transparent [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-4 [&::-webkit-slider-thumb]:h-4 [&::-webkit-slider-thumb]:rounded-full [&::-webkit-slider-thumb]:bg-white [&::-webkit-slider-thumb]:shadow-lg [&::-webkit-slider-thumb]:cursor-pointer [&::-webkit-slider-thumb]:border-2 [&::-webkit-slider-thumb]:border-forest hover:[&::-webkit-slider-thumb]:scale-110 transition-transform"
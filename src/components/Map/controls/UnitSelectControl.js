@@ -0,0 +1,88 @@
+import React from 'react';
+import { Landmark, Loader2 } from 'lucide-react';
+import { ADMIN_LEVELS } from '../../../constants/map/adminUnits';
+
+export const UnitSelectControl = ({
+  isUnitMode,
+  unitLevel,
+  selectedUnits,
+  isSelectingUnit,
+  unitError,
+  onToggleUnitMode,
+  onChangeUnitLevel,
+  isDarkMode
+}) => {
+  const toggleClasses = (isActive) => `flex-1 px-3 py-1 rounded-md text-sm transition-colors ${
+    isActive
+      ? isDarkMode
+        ? 'bg-forest/70 text-gold-light'
+        : 'bg-forest/70 text-cream'
+      : isDarkMode
+        ? 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+  }`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  return (
+    <div className="relative unit-select-container">
+      <button
+        onClick={onToggleUnitMode}
+        className={`w-10 h-10 rounded-lg flex items-center justify-center transition-colors ${
+          isUnitMode
+            ? isDarkMode
+              ? 'bg-forest/70 text-gold-light'
+              : 'bg-forest/70 text-cream'
+            : isDarkMode
+              ? 'bg-gray-800 text-gold hover:bg-gray-700'
+              : 'bg-gray-50 text-forest hover:bg-gray-100'
+        }`}
+        title={isUnitMode ? 'Stop selecting by boundary' : 'Select by boundary'}
+      >
+        {isSelectingUnit ? <Loader2 className="w-5 h-5 animate-spin" /> : <Landmark className="w-5 h-5" />}
+      </button>
+
+      {isUnitMode && (
+        <div className={`absolute top-full right-0 mt-2 w-64 rounded-lg shadow-lg border p-3 space-y-3 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          <div className="flex items-center gap-1">
+            {Object.entries(ADMIN_LEVELS).map(([level, { label }]) => (
+              <button
+                key={level}
+                onClick={() => onChangeUnitLevel(level)}
+                className={toggleClasses(unitLevel === level)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className={labelClasses}>
+            Click a {ADMIN_LEVELS[unitLevel].label.toLowerCase()} to analyse it.
+            Shift-click to add or remove more.
+          </div>
+
+          {selectedUnits.length > 0 && (
+            <ul className={`text-sm space-y-1 max-h-40 overflow-auto ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+              {selectedUnits.map(unit => (
+                <li key={unit.id} className="flex items-center justify-between gap-2">
+                  <span className="truncate">{unit.label}</span>
+                  <span className={labelClasses}>{unit.tractCount} tracts</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {unitError && (
+            <div className={`text-xs ${isDarkMode ? 'text-rose-400' : 'text-rust'}`}>
+              {unitError}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UnitSelectControl;
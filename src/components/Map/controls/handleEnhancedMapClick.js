@@ -1,10 +1,12 @@
+import { createGeodesicCircle } from '../../../utils/map/drawingShapes';
+
 // Function to handle zooming and selection
 const handleEnhancedMapClick = async (e, map, options = {}) => {
     const {
       initialZoomLevel = 7,
       zoomDuration = 1000,
       selectionDelay = 500,
-      selectionRadius = 0.1
+      selectionRadiusKm = 10
     } = options;
   
     const { lng, lat } = e.lngLat;
@@ -26,7 +28,7 @@ const handleEnhancedMapClick = async (e, map, options = {}) => {
     await new Promise(resolve => setTimeout(resolve, selectionDelay));
   
     // Create circle polygon for selection
-    const circlePoints = createCirclePolygon([lng, lat], selectionRadius);
+    const circlePoints = createGeodesicCircle([lng, lat], selectionRadiusKm);
     
     return {
       type: 'point',
@@ -35,20 +37,4 @@ const handleEnhancedMapClick = async (e, map, options = {}) => {
     };
   };
   
-  // Helper function to create a circle polygon
-  const createCirclePolygon = (center, radiusDegrees) => {
-    const points = 64;
-    const coords = [];
-    
-    for (let i = 0; i <= points; i++) {
-      const angle = (i * 360) / points;
-      const dx = radiusDegrees * Math.cos((angle * Math.PI) / 180);
-      const dy = radiusDegrees * Math.sin((angle * Math.PI) / 180);
-      coords.push([center[0] + dx, center[1] + dy]);
-    }
-    
-    coords.push(coords[0]); // Close the polygon
-    return coords;
-  };
-  
   export default handleEnhancedMapClick;
\ No newline at end of file
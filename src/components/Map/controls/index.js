@@ -3,6 +3,17 @@ import { ThemeControls } from './ThemeControls';
 import { PM25Controls } from './PM25Controls';
 import { DrawingControls } from './DrawingControls';
 import { DateTime } from './DateTime';
+import { DateRangePicker } from './DateRangePicker';
+import { RecordAnimationControl } from './RecordAnimationControl';
+import { SnapshotControl } from './SnapshotControl';
+import { ProbeControl } from './ProbeControl';
+import { ImportBoundaryControl } from './ImportBoundaryControl';
+import { UnitSelectControl } from './UnitSelectControl';
+import { EditAreaControl } from './EditAreaControl';
+import { RulerControl } from './RulerControl';
+import { RenderModeControl } from './RenderModeControl';
+import { AqiStandardControl } from './AqiStandardControl';
+import { MonitorControl } from './MonitorControl';
 import MapControls from './MapControls';
 
 export {
@@ -11,6 +22,17 @@ export {
   PM25Controls,
   DrawingControls,
   DateTime,
+  DateRangePicker,
+  RecordAnimationControl,
+  SnapshotControl,
+  ProbeControl,
+  ImportBoundaryControl,
+  UnitSelectControl,
+  EditAreaControl,
+  RulerControl,
+  RenderModeControl,
+  AqiStandardControl,
+  MonitorControl,
   MapControls
 };
 
@@ -1,10 +1,31 @@
 import React from 'react';
 
+// Fewest placed points each click-by-click tool needs before it can finish
+const MIN_POINTS = {
+  polygon: 3,
+  corridor: 2
+};
+
 /**
  * Shared utility for getting drawing instructions based on polygon state
  * Used by both tooltip and helper overlay components
  */
-export const getDrawingInstructions = (tempPolygonLength) => {
+export const getDrawingInstructions = (tempPolygonLength, tool = 'polygon') => {
+  switch (tool) {
+    case 'rectangle':
+      return tempPolygonLength === 0 ? 'Click the first corner' : 'Click the opposite corner';
+    case 'circle':
+      return 'Click to place the centre';
+    case 'freehand':
+      return tempPolygonLength === 0 ? 'Press and drag around the area' : 'Release to finish';
+    case 'corridor':
+      if (tempPolygonLength === 0) return 'Click to start the route';
+      if (tempPolygonLength === 1) return 'Click to add points along the route';
+      return 'Double-click to finish';
+    default:
+      break;
+  }
+
   if (tempPolygonLength === 0) {
     return 'Click to start drawing';
   }
@@ -23,8 +44,9 @@ export const getDrawingInstructions = (tempPolygonLength) => {
 /**
  * Helper to determine if a polygon can be completed
  * @param {Array} polygon - Current polygon points
+ * @param {string} tool - Key in DRAWING_TOOLS
  * @returns {boolean} - Whether the polygon can be completed
  */
-export const canCompletePolygon = (polygon) => {
-  return Array.isArray(polygon) && polygon.length >= 3;
-};
\ No newline at end of file
+export const canCompletePolygon = (polygon, tool = 'polygon') => {
+  return Array.isArray(polygon) && polygon.length >= (MIN_POINTS[tool] ?? Infinity);
+};
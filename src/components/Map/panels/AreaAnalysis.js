@@ -1,87 +1,44 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { BarChart2, X } from 'lucide-react';
-import calculateAreaStats from '../../../utils/map/calculateAreaStats';
+import calculateAreaStats, { toChartRows, mergeChartRows } from '../../../utils/map/calculateAreaStats';
+import calculateTileAreaStats from '../../../utils/map/tileAreaStats';
 import ThemedPanel from './ThemedPanel';
-
-const CustomTooltip = ({ active, payload, label, isDarkMode }) => {
-  if (active && payload && payload.length) {
-    return (
-      <div className={`p-4 shadow-lg rounded-lg border ${
-        isDarkMode 
-          ? 'bg-gray-800 border-gray-700 text-gray-100' 
-          : 'bg-white border-gray-200 text-gray-800'
-      }`}>
-        <p className="font-semibold">{label}</p>
-        {payload.map((entry, index) => (
-          <div key={index} className="flex items-center gap-2 mt-1">
-            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: entry.color }}></div>
-            <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{entry.name}:</span>
-            <span className="font-medium">{entry.value.toFixed(1)}</span>
-          </div>
-        ))}
-      </div>
-    );
-  }
-  return null;
-};
-
-  const CustomXAxisTick = ({ x, y, payload, isDarkMode }) => {
-  const [date, time] = payload.value.split(' ');
-  const hour = parseInt(time);
-  
-  // Always show 0, 6, 12, 18 hours
-  const keyHours = [0, 6, 12, 18];
-  const showHour = keyHours.includes(hour);
-  const showDate = hour === 0;
-
-  // Always render key hours
-  if (!keyHours.includes(hour) && !showDate) return null;
-
-  const content = showDate ? (
-          <text
-      x={x}
-      y={y + 16}
-      textAnchor="middle"
-      fill={isDarkMode ? '#9CA3AF' : '#6B7280'}
-      style={{ fontSize: '12px', fontWeight: 'bold' }}
-    >
-      {new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
-    </text>
-  ) : (
-    <text
-      x={x}
-      y={y + 12}
-      textAnchor="middle"
-      fill={isDarkMode ? '#9CA3AF' : '#6B7280'}
-      style={{ fontSize: '11px' }}
-    >
-      {`${hour}:00`}
-    </text>
-  );
-
-  return content;
-};
-
-const DateSeparator = ({ x, isDarkMode }) => (
-  <line
-    x1={x}
-    y1={0}
-    x2={x}
-    y2="100%"
-    stroke={isDarkMode ? '#4B5563' : '#E5E7EB'}
-    strokeWidth={1}
-    strokeDasharray="3 3"
-  />
-);
-
-const StatsTable = ({ data, isDarkMode }) => {
+import AreaStatsChart from './AreaStatsChart';
+import ExportMenu from './ExportMenu';
+import CumulativeExposure from './CumulativeExposure';
+import { getExposureBreakpoints } from '../../../utils/map/cumulativeExposure';
+import AreaComparison from './AreaComparison';
+import { useAreaComparison } from '../../../hooks/map/useAreaComparison';
+import { isAnalysisCancelled } from '../../../utils/map/analysisClient';
+import { measureArea, formatArea, formatDistance, formatCoordinate } from '../../../utils/map/geodesy';
+import { formatZonedDateTime, toUtcDate } from '../../../utils/map/timeZones';
+import { isForecastTime } from '../../../utils/map/forecast';
+import { AQI_AVERAGING } from '../../../constants/map/aqi';
+import {
+  getAqiStandard,
+  getAqiSeries,
+  convertRowsToIndex,
+  formatPM25,
+  formatIndex,
+  getPM25UnitLabel
+} from '../../../utils/map/aqi';
+
+const STAT_KEYS = ['minPM25', 'averagePM25', 'maxPM25'];
+
+const StatsTable = ({ data, timeZone, forecastStart, standard, averaging, displayUnit, isDarkMode }) => {
   const headerStyles = {
     min: { label: 'Min PM2.5', color: '#00e400', textColor: '#006400' },
     avg: { label: 'Avg PM2.5', color: '#3B82F6', textColor: '#1D4ED8' },
     max: { label: 'Max PM2.5', color: '#ff0000', textColor: '#990000' }
   };
 
+  // Averaged index of the area average, next to the hourly columns
+  const readings = useMemo(() => (averaging === 'hourly' ? null : getAqiSeries(
+    data.map(row => ({ timestamp: toUtcDate(row.time).getTime(), pm25: row.averagePM25 })),
+    standard,
+    averaging
+  )), [data, standard, averaging]);
+
   return (
     <div className="h-[320px] overflow-auto">
       <table className="w-full">
@@ -100,8 +57,17 @@ const StatsTable = ({ data, isDarkMode }) => {
                 }}
               >
                 {style.label}
+                <span className="ml-1 text-xs font-normal opacity-75">{getPM25UnitLabel(standard, displayUnit)}</span>
               </th>
             ))}
+            {readings && (
+              <th
+                className={`py-2 px-4 text-left font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}
+                title={`${AQI_AVERAGING[averaging].description}, from the area average`}
+              >
+                {AQI_AVERAGING[averaging].label} {standard.indexName}
+              </th>
+            )}
           </tr>
         </thead>
         <tbody>
@@ -111,7 +77,10 @@ const StatsTable = ({ data, isDarkMode }) => {
               className="border-b border-gray-200/20"
             >
               <td className="py-2 px-4 text-gray-600 bg-transparent">
-                {row.time}
+                {formatZonedDateTime(toUtcDate(row.time), timeZone)}
+                {isForecastTime(toUtcDate(row.time), forecastStart) && (
+                  <span className={`ml-2 text-xs italic ${isDarkMode ? 'text-gold' : 'text-forest'}`}>forecast</span>
+                )}
               </td>
               <td 
                 className="py-2 px-4"
@@ -123,7 +92,7 @@ const StatsTable = ({ data, isDarkMode }) => {
                   color: isDarkMode ? headerStyles.min.color : headerStyles.min.textColor,
                   backgroundColor: `${headerStyles.min.color}15`
                 }}>
-                  {row.minPM25.toFixed(1)}
+                  {formatPM25(row.minPM25, standard, displayUnit)}
                 </span>
               </td>
               <td 
@@ -136,7 +105,7 @@ const StatsTable = ({ data, isDarkMode }) => {
                   color: isDarkMode ? headerStyles.avg.color : headerStyles.avg.textColor,
                   backgroundColor: `${headerStyles.avg.color}15`
                 }}>
-                  {row.averagePM25.toFixed(1)}
+                  {formatPM25(row.averagePM25, standard, displayUnit)}
                 </span>
               </td>
               <td 
@@ -149,9 +118,24 @@ const StatsTable = ({ data, isDarkMode }) => {
                   color: isDarkMode ? headerStyles.max.color : headerStyles.max.textColor,
                   backgroundColor: `${headerStyles.max.color}15`
                 }}>
-                  {row.maxPM25.toFixed(1)}
+                  {formatPM25(row.maxPM25, standard, displayUnit)}
                 </span>
               </td>
+              {readings && (
+                <td className="py-2 px-4">
+                  {readings[index] ? (
+                    <span
+                      className="font-medium"
+                      style={{ color: isDarkMode ? readings[index].level.darkColor : readings[index].level.color }}
+                      title={`${readings[index].concentration.toFixed(1)} µg/m³ · ${readings[index].level.label}`}
+                    >
+                      {formatIndex(readings[index].index, standard)}
+                    </span>
+                  ) : (
+                    <span className="text-gray-400" title="Not enough earlier hours">—</span>
+                  )}
+                </td>
+              )}
             </tr>
           ))}
         </tbody>
@@ -160,130 +144,94 @@ const StatsTable = ({ data, isDarkMode }) => {
   );
 };
 
-const AreaStatsChart = ({ data, isDarkMode }) => {
-  // Find date change points
-  const dateChangePoints = data.reduce((acc, item, index) => {
-    if (index === 0) return acc;
-    const [prevDate] = data[index - 1].time.split(' ');
-    const [currentDate] = item.time.split(' ');
-    if (prevDate !== currentDate) {
-      acc.push(index);
-    }
-    return acc;
-  }, []);
-  
-  // Find max value for better domain calculation
-  const findMaxValue = () => {
-    const values = data.flatMap(item => [
-      item.minPM25,
-      item.averagePM25,
-      item.maxPM25
-    ]).filter(val => val !== undefined && !isNaN(val));
-    
-    const max = Math.max(...values);
-    
-
-    if (max < 2) {
-      return Math.ceil(max * 1.05); // Only 5% padding for small values
-    } else {
-      return Math.ceil(max * 1.1); // 10% padding for larger values
-    }
-  };
-  
-  const max = findMaxValue();
+const TractTable = ({ tracts, isDarkMode }) => {
+  const rows = Object.values(tracts || {}).sort((a, b) => b.population - a.population);
 
-  return (
-    <div className={`h-[320px] w-full relative ${
-      isDarkMode ? 'bg-gray-800/30' : 'bg-white/30'
-    }`}>
-      <ResponsiveContainer>
-        <LineChart 
-          data={data}
-          margin={{ top: 20, right: 10, left: 0, bottom: 30 }}
-        >
-          <CartesianGrid 
-            strokeDasharray="3 3" 
-            stroke={isDarkMode ? '#374151' : '#E5E7EB'}
-            vertical={false}
-          />
-          {dateChangePoints.map((index) => (
-            <DateSeparator 
-              key={index}
-              x={`${(index / (data.length - 1)) * 100}%`}
-              isDarkMode={isDarkMode}
-            />
-          ))}
-          <XAxis 
-            dataKey="time"
-            height={25}
-            tick={<CustomXAxisTick isDarkMode={isDarkMode} />}
-            interval={0}
-            tickSize={3}
-            axisLine={{ stroke: isDarkMode ? '#374151' : '#E5E7EB' }}
-          />
-          <YAxis 
-            tick={{ 
-              fill: isDarkMode ? '#9CA3AF' : '#6B7280',
-              fontSize: 12 
-            }}
-            domain={[0, max]} // Start from 0, go to calculated max
-            axisLine={{ stroke: isDarkMode ? '#374151' : '#E5E7EB' }}
-          />
-          <Tooltip content={<CustomTooltip isDarkMode={isDarkMode} />} />
-          <Line 
-            type="monotone"
-            dataKey="maxPM25"
-            name="Max PM2.5"
-            stroke="#c52222"
-            strokeWidth={2}
-            dot={false}
-          />
-          <Line 
-            type="monotone"
-            dataKey="averagePM25"
-            name="Average PM2.5"
-            stroke="#3B82F6"
-            strokeWidth={2}
-            dot={false}
-          />
-          <Line 
-            type="monotone"
-            dataKey="minPM25"
-            name="Min PM2.5"
-            stroke="#76f163"
-            strokeWidth={2}
-            dot={false}
-          />
-        </LineChart>
-      </ResponsiveContainer>
-      
-      <div className={`absolute top-2 right-2 flex items-center gap-3 px-2 py-1 rounded ${
-        isDarkMode ? 'bg-gray-800/80' : 'bg-white/80'
+  if (rows.length === 0) {
+    return (
+      <div className={`h-[320px] flex items-center justify-center ${
+        isDarkMode ? 'text-gray-400' : 'text-gray-500'
       }`}>
-        <div className="flex items-center gap-1">
-          <div className="w-2 h-2 rounded-full bg-[#c52222]"></div>
-          <span className={isDarkMode ? 'text-xs text-gray-400' : 'text-xs text-gray-600'}>Max</span>
-        </div>
-        <div className="flex items-center gap-1">
-          <div className="w-2 h-2 rounded-full bg-[#3B82F6]"></div>
-          <span className={isDarkMode ? 'text-xs text-gray-400' : 'text-xs text-gray-600'}>Avg</span>
-        </div>
-        <div className="flex items-center gap-1">
-          <div className="w-2 h-2 rounded-full bg-[#76f163]"></div>
-          <span className={isDarkMode ? 'text-xs text-gray-400' : 'text-xs text-gray-600'}>Min</span>
-        </div>
+        <p>Census tracts are still loading</p>
       </div>
+    );
+  }
+
+  return (
+    <div className="h-[320px] overflow-auto">
+      <table className="w-full text-sm">
+        <thead className={`sticky top-0 ${isDarkMode ? 'bg-gray-900' : 'bg-white'}`}>
+          <tr className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+            <th className="py-2 px-4 text-left font-medium">Tract</th>
+            <th className="py-2 px-4 text-right font-medium">In area</th>
+            <th className="py-2 px-4 text-right font-medium">Population</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(tract => (
+            <tr key={tract.metadata.geoid} className="border-b border-gray-200/20">
+              <td className={`py-2 px-4 font-mono ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                {tract.metadata.geoid}
+              </td>
+              <td className="py-2 px-4 text-right">
+                <div className="flex items-center justify-end gap-2">
+                  <div className={`h-1.5 w-12 rounded overflow-hidden ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                    <div
+                      className={isDarkMode ? 'h-full bg-gold' : 'h-full bg-forest'}
+                      style={{ width: `${tract.fraction * 100}%` }}
+                    />
+                  </div>
+                  <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>
+                    {(tract.fraction * 100).toFixed(1)}%
+                  </span>
+                </div>
+              </td>
+              <td className={`py-2 px-4 text-right ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                {tract.population.toLocaleString()}
+                <span className={`ml-1 text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                  / {tract.tractPopulation.toLocaleString()}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 };
 
+const TABS = [
+  { id: 'chart', label: 'Chart' },
+  { id: 'table', label: 'Table' },
+  { id: 'cumulative', label: 'Cumulative' },
+  { id: 'tracts', label: 'Tracts' },
+  { id: 'compare', label: 'Compare' }
+];
+
+// Tabs that do not depend on the current area's series
+const STANDALONE_TABS = ['tracts', 'compare'];
+
 const AreaAnalysis = ({ 
   map, 
   currentDateTime, 
   isPlaying, 
   polygon, 
   isDarkMode,
-  onExpandChange 
+  onExpandChange,
+  tilesets,
+  timeWindow,
+  pm25Threshold,
+  timeZone = 'UTC',
+  forecastStart = null,
+  now = null,
+  aqiStandard,
+  aqiAveraging = 'hourly',
+  aqiDisplayUnit = 'concentration',
+  selectedTracts,
+  savedAreas = [],
+  onSaveArea,
+  onRemoveArea,
+  onShowArea
 }) => {
   // Existing state declarations
   const [isExpanded, setIsExpanded] = useState(false);
@@ -291,6 +239,30 @@ const AreaAnalysis = ({
   const [error, setError] = useState(null);
   const [data, setData] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const measurement = useMemo(() => measureArea(polygon), [polygon]);
+
+  const standard = getAqiStandard(aqiStandard);
+  const chartData = useMemo(
+    () => (aqiDisplayUnit === 'index' ? convertRowsToIndex(data, STAT_KEYS, standard) : data),
+    [data, aqiDisplayUnit, standard]
+  );
+  const exposureBreakpoints = useMemo(() => getExposureBreakpoints(standard.levels), [standard]);
+
+  const { seriesByArea, seedSeries } = useAreaComparison({
+    map,
+    areas: savedAreas,
+    tilesets,
+    isPlaying,
+    currentDateTime
+  });
+
+  // The hours already collected for the current area carry over into its saved series
+  const handleSaveArea = useCallback((name) => {
+    const area = onSaveArea?.(name);
+    if (area) seedSeries(area.id, data);
+  }, [onSaveArea, seedSeries, data]);
 
   // Add the clearAreaStatistics function here
   const clearAreaStatistics = useCallback(() => {
@@ -320,50 +292,70 @@ const AreaAnalysis = ({
   }, [polygon, clearAreaStatistics]);
 
 
-  const formatChartData = useCallback((stats) => {
-    return stats.flatMap(tilesetStats =>
-      tilesetStats.hourlyData.map(hourData => ({
-        time: `${tilesetStats.date} ${String(hourData.hour).padStart(2, '0')}:00`,
-        averagePM25: hourData.averagePM25,
-        maxPM25: hourData.maxPM25,
-        minPM25: hourData.minPM25,
-        points: hourData.numPoints
-      }))
-    ).sort((a, b) => new Date(a.time) - new Date(b.time));
-  }, []);
+  // A newer hour or area supersedes any calculation still running
+  const statsControllerRef = useRef(null);
+  // Whether the series came from the data tiles; the rendered fallback fills in as hours play
+  const hasFullSeriesRef = useRef(false);
 
   const updateAreaStats = useCallback(async () => {
     if (!map || !polygon) return;
 
+    statsControllerRef.current?.abort();
+    const controller = new AbortController();
+    statsControllerRef.current = controller;
+
     try {
       setIsLoading(true);
       setError(null);
+
+      if (!hasFullSeriesRef.current) {
+        try {
+          const stats = await calculateTileAreaStats(polygon, tilesets, {
+            signal: controller.signal,
+            onProgress: setProgress
+          });
+          hasFullSeriesRef.current = true;
+          setData(toChartRows(stats));
+          return;
+        } catch (err) {
+          if (isAnalysisCancelled(err)) throw err;
+          console.warn('Could not read the data tiles, using rendered features:', err);
+        }
+      }
+
+      const stats = await calculateAreaStats(map, polygon, tilesets, { signal: controller.signal });
+      const formattedData = toChartRows(stats);
       
-      const stats = await calculateAreaStats(map, polygon);
-      const formattedData = formatChartData(stats);
-      
-      setData(prevData => {
-        const combinedData = [...prevData, ...formattedData];
-        const uniqueData = combinedData.filter((v, i, a) =>
-          a.findIndex(t => t.time === v.time) === i
-        );
-        return uniqueData.sort((a, b) => new Date(a.time) - new Date(b.time));
-      });
+      setData(prevData => mergeChartRows(prevData, formattedData));
     } catch (err) {
+      if (isAnalysisCancelled(err)) return;
       console.error('Error calculating area stats:', err);
       setError('Failed to calculate area statistics');
       setData([]);
     } finally {
-      setIsLoading(false);
+      if (statsControllerRef.current === controller) {
+        setIsLoading(false);
+        setProgress(null);
+      }
     }
-  }, [map, polygon, formatChartData]);
+  }, [map, polygon, tilesets]);
+
+  useEffect(() => {
+    return () => statsControllerRef.current?.abort();
+  }, [polygon, tilesets]);
+
+  // Hours from a previous date window or another area no longer apply
+  useEffect(() => {
+    hasFullSeriesRef.current = false;
+    setData([]);
+  }, [tilesets, polygon]);
 
   useEffect(() => {
     updateAreaStats();
   }, [updateAreaStats]);
 
   useEffect(() => {
-    if (isPlaying) {
+    if (isPlaying && !hasFullSeriesRef.current) {
       updateAreaStats();
     }
   }, [isPlaying, currentDateTime, updateAreaStats]);
@@ -400,34 +392,32 @@ const AreaAnalysis = ({
 
   const headerActions = (
     <div className="flex items-center gap-1">
-      <button
-        onClick={() => setActiveTab('chart')}
-        className={`px-3 py-1 rounded-md text-sm transition-colors ${
-          activeTab === 'chart'
-            ? isDarkMode
-              ? 'bg-forest/70 text-gold-light'
-              : 'bg-forest/70 text-cream'
-            : isDarkMode
-              ? 'bg-gray-800/50 text-gray-300 hover:bg-gray-700/50'
-              : 'bg-gray-100/50 text-gray-600 hover:bg-gray-200/50'
-        }`}
-      >
-        Chart
-      </button>
-      <button
-        onClick={() => setActiveTab('table')}
-        className={`px-3 py-1 rounded-md text-sm transition-colors ${
-          activeTab === 'table'
-            ? isDarkMode
-              ? 'bg-forest/70 text-gold-light'
-              : 'bg-forest/70 text-cream'
-            : isDarkMode
-              ? 'bg-gray-800/50 text-gray-300 hover:bg-gray-700/50'
-              : 'bg-gray-100/50 text-gray-600 hover:bg-gray-200/50'
-        }`}
-      >
-        Table
-      </button>
+      {TABS.map(tab => (
+        <button
+          key={tab.id}
+          onClick={() => setActiveTab(tab.id)}
+          className={`px-3 py-1 rounded-md text-sm transition-colors ${
+            activeTab === tab.id
+              ? isDarkMode
+                ? 'bg-forest/70 text-gold-light'
+                : 'bg-forest/70 text-cream'
+              : isDarkMode
+                ? 'bg-gray-800/50 text-gray-300 hover:bg-gray-700/50'
+                : 'bg-gray-100/50 text-gray-600 hover:bg-gray-200/50'
+          }`}
+        >
+          {tab.label}
+        </button>
+      ))}
+      <ExportMenu
+        data={data}
+        polygon={polygon}
+        tracts={selectedTracts}
+        timeWindow={timeWindow}
+        pm25Threshold={pm25Threshold}
+        timeZone={timeZone}
+        isDarkMode={isDarkMode}
+      />
     </div>
   );
 
@@ -442,7 +432,17 @@ const AreaAnalysis = ({
     }}>
       <ThemedPanel
         title="Area Statistics"
-        subtitle={`${currentDateTime.date} ${currentDateTime.hour.toString().padStart(2, '0')}:00`}
+        subtitle={
+          <>
+            {`${currentDateTime.date} ${currentDateTime.hour.toString().padStart(2, '0')}:00`}
+            {measurement && (
+              <div className="text-xs mt-0.5">
+                {formatArea(measurement.areaKm2)} · {formatDistance(measurement.perimeterKm)} perimeter
+                {measurement.centroid && <div>Centre {formatCoordinate(measurement.centroid)}</div>}
+              </div>
+            )}
+          </>
+        }
         headerActions={headerActions}
         icon={BarChart2}
         isExpanded={isExpanded}
@@ -461,27 +461,88 @@ const AreaAnalysis = ({
             </div>
           )}
 
-          {isLoading && (
+          {activeTab === 'tracts' && (
+            <TractTable tracts={selectedTracts} isDarkMode={isDarkMode} />
+          )}
+
+          {activeTab === 'compare' && (
+            <AreaComparison
+              areas={savedAreas}
+              seriesByArea={seriesByArea}
+              currentData={data}
+              polygon={polygon}
+              selectedTracts={selectedTracts}
+              currentDateTime={currentDateTime}
+              timeZone={timeZone}
+              forecastStart={forecastStart}
+              now={now}
+              aqiStandard={aqiStandard}
+              aqiDisplayUnit={aqiDisplayUnit}
+              onSaveArea={handleSaveArea}
+              onRemoveArea={onRemoveArea}
+              onShowArea={onShowArea}
+              isDarkMode={isDarkMode}
+            />
+          )}
+
+          {!STANDALONE_TABS.includes(activeTab) && isLoading && (
             <div className={`h-[320px] flex items-center justify-center ${
               isDarkMode ? 'text-gray-400' : 'text-gray-500'
             }`}>
-              <p>Loading statistics...</p>
+              {progress && progress.total > 0 ? (
+                <div className="w-48 space-y-2 text-center">
+                  <p>Reading chunk {progress.completed} of {progress.total}...</p>
+                  <div className={`h-1.5 rounded-full overflow-hidden ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                    <div
+                      className="h-full bg-forest transition-all"
+                      style={{ width: `${(progress.completed / progress.total) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              ) : (
+                <p>Loading statistics...</p>
+              )}
             </div>
           )}
 
-          {!isLoading && !error && data.length > 0 && (
+          {!STANDALONE_TABS.includes(activeTab) && !isLoading && !error && data.length > 0 && (
             <>
               {activeTab === 'chart' && (
-                <AreaStatsChart data={data} isDarkMode={isDarkMode} />
+                <AreaStatsChart
+                  data={chartData}
+                  timeZone={timeZone}
+                  forecastStart={forecastStart}
+                  now={now}
+                  formatValue={aqiDisplayUnit === 'index' ? (value) => formatIndex(value, standard) : undefined}
+                  isDarkMode={isDarkMode}
+                />
               )}
               
               {activeTab === 'table' && (
-                <StatsTable data={data} isDarkMode={isDarkMode} />
+                <StatsTable
+                  data={data}
+                  timeZone={timeZone}
+                  forecastStart={forecastStart}
+                  standard={standard}
+                  averaging={aqiAveraging}
+                  displayUnit={aqiDisplayUnit}
+                  isDarkMode={isDarkMode}
+                />
+              )}
+
+              {activeTab === 'cumulative' && (
+                <CumulativeExposure
+                  data={data}
+                  tracts={selectedTracts}
+                  breakpoints={exposureBreakpoints}
+                  timeZone={timeZone}
+                  isDarkMode={isDarkMode}
+                />
               )}
             </>
           )}
 
-          {!isLoading && !error && data.length === 0 && (
+          {!STANDALONE_TABS.includes(activeTab) && !isLoading && !error && data.length === 0 && (
             <div className={`h-[320px] flex items-center justify-center ${
               isDarkMode ? 'text-gray-400' : 'text-gray-500'
             }`}>
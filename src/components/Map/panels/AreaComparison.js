@@ -0,0 +1,269 @@
+import React, { useState, useMemo } from 'react';
+import { Plus, X } from 'lucide-react';
+import { calculateTractExposure } from '../../../utils/map/tractExposure';
+import {
+  getAqiStandard,
+  getConcernLevels,
+  convertRowsToIndex,
+  formatPM25,
+  formatIndex
+} from '../../../utils/map/aqi';
+import { MAX_SAVED_AREAS } from '../../../hooks/map/useAreaWorkspace';
+import { toUtcDate, formatZonedDateTime } from '../../../utils/map/timeZones';
+import AreaStatsChart from './AreaStatsChart';
+
+const CURRENT_AREA_KEY = 'current';
+
+const formatTime = ({ date, hour }) => `${date} ${String(hour).padStart(2, '0')}:00`;
+
+// One chart row per hour with each area's average under its own key
+const buildComparisonRows = (seriesList) => {
+  const rowsByTime = {};
+  seriesList.forEach(({ key, rows }) => {
+    rows.forEach(row => {
+      rowsByTime[row.time] = rowsByTime[row.time] || { time: row.time };
+      rowsByTime[row.time][key] = row.averagePM25;
+    });
+  });
+  return Object.values(rowsByTime).sort((a, b) => new Date(a.time) - new Date(b.time));
+};
+
+// Summary of one area's series at the current hour, or its latest hour before that
+const summarizeArea = (rows, tracts, time, levels) => {
+  if (rows.length === 0) return null;
+
+  const row = rows.find(entry => entry.time === time) || rows[rows.length - 1];
+  const peak = rows.reduce((best, entry) => entry.averagePM25 > best.averagePM25 ? entry : best);
+  const exposure = tracts ? calculateTractExposure(tracts, row.samples || [], levels) : null;
+
+  return {
+    time: row.time,
+    averagePM25: row.averagePM25,
+    peakPM25: peak.averagePM25,
+    peakTime: peak.time,
+    populationWeightedPM25: exposure?.populationWeightedPM25 ?? null,
+    populationAtConcern: exposure
+      ? getConcernLevels(levels).reduce((sum, level) => sum + exposure.populationByLevel[level.label], 0)
+      : null
+  };
+};
+
+const AreaComparison = ({
+  areas,
+  seriesByArea,
+  currentData,
+  polygon,
+  selectedTracts,
+  currentDateTime,
+  timeZone = 'UTC',
+  forecastStart = null,
+  now = null,
+  aqiStandard,
+  aqiDisplayUnit = 'concentration',
+  onSaveArea,
+  onRemoveArea,
+  onShowArea,
+  isDarkMode
+}) => {
+  const [name, setName] = useState('');
+  const standard = getAqiStandard(aqiStandard);
+  const [concernLevel] = getConcernLevels(standard.levels);
+
+  const isCurrentSaved = areas.some(area => area.polygon === polygon);
+  const canSave = polygon && !isCurrentSaved && areas.length < MAX_SAVED_AREAS;
+
+  const columns = useMemo(() => {
+    const saved = areas.map(area => ({
+      key: `area-${area.id}`,
+      name: area.name,
+      color: area.color,
+      rows: seriesByArea[area.id] || [],
+      tracts: area.tracts
+    }));
+    if (!polygon || isCurrentSaved || currentData.length === 0) return saved;
+
+    return [...saved, {
+      key: CURRENT_AREA_KEY,
+      name: 'Current area',
+      color: isDarkMode ? '#9CA3AF' : '#6B7280',
+      rows: currentData,
+      tracts: selectedTracts
+    }];
+  }, [areas, seriesByArea, polygon, isCurrentSaved, currentData, selectedTracts, isDarkMode]);
+
+  const chartRows = useMemo(() => {
+    const rows = buildComparisonRows(columns);
+    return aqiDisplayUnit === 'index'
+      ? convertRowsToIndex(rows, columns.map(column => column.key), standard)
+      : rows;
+  }, [columns, aqiDisplayUnit, standard]);
+  const chartLines = columns.map(column => ({
+    dataKey: column.key,
+    name: column.name,
+    label: column.name,
+    color: column.color
+  }));
+
+  const time = formatTime(currentDateTime);
+  const summaries = useMemo(
+    () => columns.map(column => summarizeArea(column.rows, column.tracts, time, standard.levels)),
+    [columns, time, standard]
+  );
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    onSaveArea(name);
+    setName('');
+  };
+
+  const inputClasses = `flex-1 min-w-0 px-2 py-1 rounded text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 text-gray-200 focus:bg-gray-600'
+      : 'bg-gray-100 text-gray-800 focus:bg-white'
+  } focus:outline-none focus:ring-2 focus:ring-forest`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const valueClasses = isDarkMode ? 'text-gray-200' : 'text-gray-800';
+
+  const formatValue = (value) => formatPM25(value, standard, aqiDisplayUnit);
+
+  return (
+    <div className="h-[320px] overflow-auto space-y-4 pr-1">
+      <form onSubmit={handleSave} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={`Area ${areas.length + 1}`}
+          disabled={!canSave}
+          className={inputClasses}
+        />
+        <button
+          type="submit"
+          disabled={!canSave}
+          className={`flex items-center gap-1 px-3 py-1 rounded-md text-sm transition-colors disabled:opacity-50 ${
+            isDarkMode
+              ? 'bg-forest/70 text-gold-light hover:bg-forest'
+              : 'bg-forest/70 text-cream hover:bg-forest'
+          }`}
+        >
+          <Plus className="w-4 h-4" />
+          Add current area
+        </button>
+      </form>
+
+      {areas.length >= MAX_SAVED_AREAS && (
+        <div className={labelClasses}>
+          Up to {MAX_SAVED_AREAS} areas can be compared; remove one to add another.
+        </div>
+      )}
+
+      {areas.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {areas.map(area => (
+            <div
+              key={area.id}
+              className={`flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full text-sm ${
+                area.polygon === polygon
+                  ? isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
+                  : isDarkMode ? 'bg-gray-800' : 'bg-gray-100'
+              }`}
+            >
+              <button
+                onClick={() => onShowArea(area.id)}
+                className={`flex items-center gap-1 ${valueClasses}`}
+                title="Show this area in the other tabs"
+              >
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: area.color }}></span>
+                {area.name}
+              </button>
+              <button
+                onClick={() => onRemoveArea(area.id)}
+                className={`p-0.5 rounded-full ${isDarkMode ? 'text-gray-400 hover:bg-gray-600' : 'text-gray-500 hover:bg-gray-300'}`}
+                title="Remove from comparison"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {chartRows.length > 0 ? (
+        <AreaStatsChart
+          data={chartRows}
+          lines={chartLines}
+          timeZone={timeZone}
+          forecastStart={forecastStart}
+          now={now}
+          formatValue={aqiDisplayUnit === 'index' ? (value) => formatIndex(value, standard) : undefined}
+          isDarkMode={isDarkMode}
+        />
+      ) : (
+        <div className={`h-32 flex items-center justify-center text-sm ${
+          isDarkMode ? 'text-gray-400' : 'text-gray-500'
+        }`}>
+          <p>Save areas to compare their average PM2.5 over time</p>
+        </div>
+      )}
+
+      {columns.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              <th className="py-1 px-2 text-left font-medium">Area</th>
+              <th className="py-1 px-2 text-right font-medium">Avg now</th>
+              <th className="py-1 px-2 text-right font-medium">Peak avg</th>
+              <th className="py-1 px-2 text-right font-medium">Pop-weighted</th>
+              <th className="py-1 px-2 text-right font-medium" title={concernLevel?.label}>
+                People ≥ {concernLevel?.shortLabel || concernLevel?.label}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((column, index) => {
+              const summary = summaries[index];
+              return (
+                <tr key={column.key} className={`border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                  <td className={`py-1 px-2 ${valueClasses}`}>
+                    <span className="inline-flex items-center gap-1">
+                      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: column.color }}></span>
+                      {column.name}
+                    </span>
+                  </td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>
+                    {formatValue(summary?.averagePM25)}
+                    {summary && summary.time !== time && (
+                      <span className={`ml-1 ${labelClasses}`} title={`Latest hour collected: ${formatZonedDateTime(toUtcDate(summary.time), timeZone)}`}>*</span>
+                    )}
+                  </td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`} title={summary?.peakTime && formatZonedDateTime(toUtcDate(summary.peakTime), timeZone)}>
+                    {formatValue(summary?.peakPM25)}
+                  </td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>
+                    {formatValue(summary?.populationWeightedPM25)}
+                  </td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>
+                    {summary?.populationAtConcern === null || summary?.populationAtConcern === undefined
+                      ? '—'
+                      : Math.round(summary.populationAtConcern).toLocaleString()}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {columns.length > 0 && (
+        <div className={labelClasses}>
+          PM2.5 in µg/m³. Hours are collected while an area is in view; * marks an area
+          showing its latest collected hour instead of the current one.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AreaComparison;
@@ -0,0 +1,215 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea, ReferenceLine } from 'recharts';
+import { toUtcDate, getZonedParts, formatZonedDay, formatZonedDateTime } from '../../../utils/map/timeZones';
+import { isForecastTime } from '../../../utils/map/forecast';
+
+const CustomTooltip = ({ active, payload, label, timeZone, forecastStart, formatValue, isDarkMode }) => {
+  if (active && payload && payload.length) {
+    return (
+      <div className={`p-4 shadow-lg rounded-lg border ${
+        isDarkMode 
+          ? 'bg-gray-800 border-gray-700 text-gray-100' 
+          : 'bg-white border-gray-200 text-gray-800'
+      }`}>
+        <p className="font-semibold">{formatZonedDateTime(toUtcDate(label), timeZone)}</p>
+        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          {isForecastTime(toUtcDate(label), forecastStart) ? 'Forecast' : 'Observed'}
+        </p>
+        {payload.filter(entry => entry.value != null).map((entry, index) => (
+          <div key={index} className="flex items-center gap-2 mt-1">
+            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: entry.color }}></div>
+            <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{entry.name}:</span>
+            <span className="font-medium">{formatValue(entry.value)}</span>
+          </div>
+        ))}
+      </div>
+    );
+  }
+  return null;
+};
+
+  const CustomXAxisTick = ({ x, y, payload, timeZone, isDarkMode }) => {
+  // Rows are keyed by UTC hour; ticks follow the hours of the display zone
+  const instant = toUtcDate(payload.value);
+  const { hour } = getZonedParts(instant, timeZone);
+  
+  // Always show 0, 6, 12, 18 hours
+  const keyHours = [0, 6, 12, 18];
+  const showHour = keyHours.includes(hour);
+  const showDate = hour === 0;
+
+  // Always render key hours
+  if (!keyHours.includes(hour) && !showDate) return null;
+
+  const content = showDate ? (
+          <text
+      x={x}
+      y={y + 16}
+      textAnchor="middle"
+      fill={isDarkMode ? '#9CA3AF' : '#6B7280'}
+      style={{ fontSize: '12px', fontWeight: 'bold' }}
+    >
+      {formatZonedDay(instant, timeZone)}
+    </text>
+  ) : (
+    <text
+      x={x}
+      y={y + 12}
+      textAnchor="middle"
+      fill={isDarkMode ? '#9CA3AF' : '#6B7280'}
+      style={{ fontSize: '11px' }}
+    >
+      {`${hour}:00`}
+    </text>
+  );
+
+  return content;
+};
+
+const DateSeparator = ({ x, isDarkMode }) => (
+  <line
+    x1={x}
+    y1={0}
+    x2={x}
+    y2="100%"
+    stroke={isDarkMode ? '#4B5563' : '#E5E7EB'}
+    strokeWidth={1}
+    strokeDasharray="3 3"
+  />
+);
+
+const STAT_LINES = [
+  { dataKey: 'maxPM25', name: 'Max PM2.5', label: 'Max', color: '#c52222' },
+  { dataKey: 'averagePM25', name: 'Average PM2.5', label: 'Avg', color: '#3B82F6' },
+  { dataKey: 'minPM25', name: 'Min PM2.5', label: 'Min', color: '#76f163' }
+];
+
+// Row key of the hour containing an instant, as used by the chart rows
+const toRowTime = (date) => `${date.toISOString().split('T')[0]} ${String(date.getUTCHours()).padStart(2, '0')}:00`;
+
+const AreaStatsChart = ({
+  data,
+  isDarkMode,
+  lines = STAT_LINES,
+  timeZone = 'UTC',
+  forecastStart = null,
+  now = null,
+  formatValue = (value) => value.toFixed(1)
+}) => {
+  const forecastRow = data.find(item => isForecastTime(toUtcDate(item.time), forecastStart));
+  const nowTime = now && data.some(item => item.time === toRowTime(now)) ? toRowTime(now) : null;
+  const markerColor = isDarkMode ? '#cea25d' : '#2d5954';
+
+  // Find date change points
+  const dateChangePoints = data.reduce((acc, item, index) => {
+    if (index === 0) return acc;
+    const { date: prevDate } = getZonedParts(toUtcDate(data[index - 1].time), timeZone);
+    const { date: currentDate } = getZonedParts(toUtcDate(item.time), timeZone);
+    if (prevDate !== currentDate) {
+      acc.push(index);
+    }
+    return acc;
+  }, []);
+  
+  // Find max value for better domain calculation
+  const findMaxValue = () => {
+    const values = data.flatMap(item => lines.map(line => item[line.dataKey]))
+      .filter(val => val !== undefined && val !== null && !isNaN(val));
+    
+    const max = Math.max(...values);
+    
+
+    if (max < 2) {
+      return Math.ceil(max * 1.05); // Only 5% padding for small values
+    } else {
+      return Math.ceil(max * 1.1); // 10% padding for larger values
+    }
+  };
+  
+  const max = findMaxValue();
+
+  return (
+    <div className={`h-[320px] w-full relative ${
+      isDarkMode ? 'bg-gray-800/30' : 'bg-white/30'
+    }`}>
+      <ResponsiveContainer>
+        <LineChart 
+          data={data}
+          margin={{ top: 20, right: 10, left: 0, bottom: 30 }}
+        >
+          <CartesianGrid 
+            strokeDasharray="3 3" 
+            stroke={isDarkMode ? '#374151' : '#E5E7EB'}
+            vertical={false}
+          />
+          {dateChangePoints.map((index) => (
+            <DateSeparator 
+              key={index}
+              x={`${(index / (data.length - 1)) * 100}%`}
+              isDarkMode={isDarkMode}
+            />
+          ))}
+          <XAxis 
+            dataKey="time"
+            height={25}
+            tick={<CustomXAxisTick timeZone={timeZone} isDarkMode={isDarkMode} />}
+            interval={0}
+            tickSize={3}
+            axisLine={{ stroke: isDarkMode ? '#374151' : '#E5E7EB' }}
+          />
+          <YAxis 
+            tick={{ 
+              fill: isDarkMode ? '#9CA3AF' : '#6B7280',
+              fontSize: 12 
+            }}
+            domain={[0, max]} // Start from 0, go to calculated max
+            axisLine={{ stroke: isDarkMode ? '#374151' : '#E5E7EB' }}
+          />
+          {forecastRow && (
+            <ReferenceArea
+              x1={forecastRow.time}
+              x2={data[data.length - 1].time}
+              fill={markerColor}
+              fillOpacity={0.08}
+              label={{ value: 'Forecast', position: 'insideTopLeft', fill: markerColor, fontSize: 11 }}
+            />
+          )}
+          {nowTime && (
+            <ReferenceLine
+              x={nowTime}
+              stroke={markerColor}
+              strokeDasharray="4 2"
+              label={{ value: 'Now', position: 'top', fill: markerColor, fontSize: 11 }}
+            />
+          )}
+          <Tooltip content={<CustomTooltip timeZone={timeZone} forecastStart={forecastStart} formatValue={formatValue} isDarkMode={isDarkMode} />} />
+          {lines.map(line => (
+            <Line
+              key={line.dataKey}
+              type="monotone"
+              dataKey={line.dataKey}
+              name={line.name}
+              stroke={line.color}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+      
+      <div className={`absolute top-2 right-2 flex items-center gap-3 px-2 py-1 rounded ${
+        isDarkMode ? 'bg-gray-800/80' : 'bg-white/80'
+      }`}>
+        {lines.map(line => (
+          <div key={line.dataKey} className="flex items-center gap-1">
+            <div className="w-2 h-2 rounded-full" style={{ backgroundColor: line.color }}></div>
+            <span className={isDarkMode ? 'text-xs text-gray-400' : 'text-xs text-gray-600'}>{line.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AreaStatsChart;
@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import {
+  EXPOSURE_BREAKPOINTS,
+  calculateCumulativeExposure
+} from '../../../utils/map/cumulativeExposure';
+import { formatZonedHour, toUtcDate } from '../../../utils/map/timeZones';
+
+const formatCompact = (value) => {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+  return Math.round(value).toLocaleString();
+};
+
+const CumulativeExposure = ({ data, tracts, breakpoints = EXPOSURE_BREAKPOINTS, timeZone = 'UTC', isDarkMode }) => {
+  // Range bounds are chart row times; null follows the start/end of the loaded data
+  const [rangeStart, setRangeStart] = useState(null);
+  const [rangeEnd, setRangeEnd] = useState(null);
+
+  const startIndex = Math.max(0, data.findIndex(row => row.time === rangeStart));
+  const endIndex = rangeEnd && data.some(row => row.time === rangeEnd)
+    ? data.findIndex(row => row.time === rangeEnd)
+    : data.length - 1;
+
+  const result = useMemo(
+    () => calculateCumulativeExposure(data.slice(startIndex, endIndex + 1), tracts, breakpoints),
+    [data, tracts, breakpoints, startIndex, endIndex]
+  );
+
+  const hasPopulation = result.totalPersonHours > 0;
+  const topTracts = [...result.tracts]
+    .filter(tract => tract.maxRolling24h !== null)
+    .sort((a, b) => b.maxRolling24h - a.maxRolling24h)
+    .slice(0, 10);
+
+  const inputClasses = `w-full px-2 py-1 rounded text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 text-gray-200 focus:bg-gray-600'
+      : 'bg-gray-100 text-gray-800 focus:bg-white'
+  } focus:outline-none focus:ring-2 focus:ring-forest`;
+
+  const labelClasses = `text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const valueClasses = isDarkMode ? 'text-gray-200' : 'text-gray-800';
+
+  return (
+    <div className="h-[320px] overflow-auto space-y-4 pr-1">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block space-y-1">
+          <span className={labelClasses}>From</span>
+          <select
+            value={data[startIndex].time}
+            onChange={(e) => {
+              setRangeStart(e.target.value);
+              if (data.findIndex(row => row.time === e.target.value) > endIndex) {
+                setRangeEnd(null);
+              }
+            }}
+            className={inputClasses}
+          >
+            {data.map(row => (
+              <option key={row.time} value={row.time}>{formatZonedHour(toUtcDate(row.time), timeZone)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block space-y-1">
+          <span className={labelClasses}>To</span>
+          <select
+            value={data[endIndex].time}
+            onChange={(e) => setRangeEnd(e.target.value)}
+            className={inputClasses}
+          >
+            {data.slice(startIndex).map(row => (
+              <option key={row.time} value={row.time}>{formatZonedHour(toUtcDate(row.time), timeZone)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className={`p-3 rounded-lg ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50'}`}>
+          <div className={labelClasses}>Hours analysed</div>
+          <div className={`text-lg font-semibold ${valueClasses}`}>{result.hourCount}</div>
+        </div>
+        <div className={`p-3 rounded-lg ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50'}`}>
+          <div className={labelClasses}>Peak hour (area average)</div>
+          <div className={`text-lg font-semibold ${valueClasses}`}>
+            {result.peakHour ? `${result.peakHour.averagePM25.toFixed(1)} µg/m³` : '—'}
+          </div>
+          {result.peakHour && (
+            <div className={labelClasses}>
+              {formatZonedHour(toUtcDate(result.peakHour.time), timeZone)} · max {result.peakHour.maxPM25.toFixed(1)}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+            <th className="py-1 px-2 text-left font-medium">At or above</th>
+            <th className="py-1 px-2 text-right font-medium">Person-hours</th>
+            <th className="py-1 px-2 text-right font-medium">Hours (avg)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {breakpoints.map(breakpoint => (
+            <tr key={breakpoint.label} className="border-b border-gray-200/20">
+              <td className="py-1.5 px-2">
+                <div className="flex items-center gap-2">
+                  <div
+                    className="w-2.5 h-2.5 rounded-full"
+                    style={{ backgroundColor: isDarkMode ? breakpoint.darkColor : breakpoint.color }}
+                  />
+                  <span className={valueClasses}>{breakpoint.label}</span>
+                  <span className={labelClasses}>≥ {breakpoint.value}</span>
+                </div>
+              </td>
+              <td className={`py-1.5 px-2 text-right ${valueClasses}`}>
+                {hasPopulation ? formatCompact(result.personHoursAbove[breakpoint.label]) : '—'}
+              </td>
+              <td className={`py-1.5 px-2 text-right ${valueClasses}`}>
+                {result.hoursAbove[breakpoint.label]}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!hasPopulation && (
+        <div className={labelClasses}>
+          Person-hours need census tract population for the selected area.
+        </div>
+      )}
+
+      {topTracts.length > 0 && (
+        <div className="space-y-1">
+          <div className={labelClasses}>Highest 24-hour rolling average by tract</div>
+          <table className="w-full text-sm">
+            <tbody>
+              {topTracts.map(tract => (
+                <tr key={tract.geoid} className="border-b border-gray-200/20">
+                  <td className={`py-1.5 px-2 font-mono ${valueClasses}`}>{tract.geoid}</td>
+                  <td className={`py-1.5 px-2 ${labelClasses}`}>
+                    {formatZonedHour(tract.maxRolling24hTime, timeZone)}
+                  </td>
+                  <td className={`py-1.5 px-2 text-right font-medium ${valueClasses}`}>
+                    {tract.maxRolling24h.toFixed(1)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {hasPopulation && topTracts.length === 0 && (
+        <div className={labelClasses}>
+          24-hour rolling averages need at least 18 hours in the selected range.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CumulativeExposure;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { History, Play } from 'lucide-react';
+import ThemedPanel from './ThemedPanel';
+import { PM25_LEVELS, getPM25Level } from '../../../constants/pm25Levels';
+
+const formatEventDates = (event) => {
+  const options = { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' };
+  const start = new Date(`${event.startDate}T00:00:00Z`).toLocaleDateString('en-US', options);
+  const end = new Date(`${event.endDate}T00:00:00Z`).toLocaleDateString('en-US', options);
+  return `${start} – ${end}`;
+};
+
+const EventLibrary = ({
+  events,
+  activeEventId,
+  eventError,
+  onSelectEvent,
+  pm25Levels = PM25_LEVELS,
+  isDarkMode
+}) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  return (
+    <ThemedPanel
+      title="Smoke Event Library"
+      subtitle="Replay past smoke episodes"
+      icon={History}
+      isExpanded={isExpanded}
+      onClose={() => setIsExpanded(!isExpanded)}
+      isDarkMode={isDarkMode}
+    >
+      <div className="max-h-[420px] overflow-auto p-3 space-y-2">
+        {eventError && (
+          <div className={`p-3 rounded-lg border text-sm ${
+            isDarkMode
+              ? 'bg-rust/50 text-gold-light border-rust-dark/50'
+              : 'bg-rust-light/20 text-rust-dark border-rust/30'
+          }`}>
+            {eventError}
+          </div>
+        )}
+
+        {events.map(event => {
+          const isActive = event.id === activeEventId;
+          const level = getPM25Level(event.threshold, pm25Levels);
+
+          return (
+            <button
+              key={event.id}
+              onClick={() => onSelectEvent(event)}
+              className={`w-full text-left rounded-lg border-2 px-4 py-3 transition-colors ${
+                isActive
+                  ? isDarkMode
+                    ? 'border-gold bg-forest/30'
+                    : 'border-forest bg-sage-light/60'
+                  : isDarkMode
+                    ? 'border-transparent bg-gray-800/50 hover:bg-gray-700/50'
+                    : 'border-transparent bg-gray-50/80 hover:bg-sage-light/30'
+              }`}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className={`font-semibold ${isDarkMode ? 'text-gold-light' : 'text-forest'}`}>
+                    {event.name}
+                  </div>
+                  <div className={`text-xs mt-0.5 ${isDarkMode ? 'text-sage' : 'text-forest-light'}`}>
+                    {formatEventDates(event)}
+                  </div>
+                </div>
+                <Play className={`w-4 h-4 mt-1 flex-shrink-0 ${isDarkMode ? 'text-gold' : 'text-forest'}`} />
+              </div>
+              <p className={`text-sm mt-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                {event.description}
+              </p>
+              <div className={`flex items-center gap-2 mt-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                <span
+                  className="w-2 h-2 rounded-full"
+                  style={{ backgroundColor: isDarkMode ? level?.darkColor : level?.color }}
+                />
+                Showing PM2.5 from {event.threshold} μg/m³
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </ThemedPanel>
+  );
+};
+
+export default EventLibrary;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import {
+  buildExportMetadata,
+  timeSeriesToCSV,
+  tractsToCSV,
+  areaToGeoJSON,
+  areaToJSON,
+  downloadFile,
+  getExportFilename
+} from '../../../utils/map/exportData';
+
+const ExportMenu = ({
+  data,
+  polygon,
+  tracts,
+  timeWindow,
+  pm25Threshold,
+  timeZone,
+  isDarkMode
+}) => {
+  const [showMenu, setShowMenu] = useState(false);
+
+  useEffect(() => {
+    if (!showMenu) return;
+
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.export-menu-container')) {
+        setShowMenu(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showMenu]);
+
+  const hasTracts = tracts && Object.keys(tracts).length > 0;
+  const isDisabled = !polygon || data.length === 0;
+
+  const exportOptions = [
+    {
+      id: 'series-csv',
+      label: 'Hourly series',
+      format: 'CSV',
+      run: (metadata, filename) => downloadFile(
+        timeSeriesToCSV(data, metadata), `${filename}.csv`, 'text/csv;charset=utf-8'
+      )
+    },
+    {
+      id: 'tracts-csv',
+      label: 'Census tract population',
+      format: 'CSV',
+      disabled: !hasTracts,
+      run: (metadata, filename) => downloadFile(
+        tractsToCSV(tracts, metadata), `${filename}-tracts.csv`, 'text/csv;charset=utf-8'
+      )
+    },
+    {
+      id: 'area-geojson',
+      label: 'Area with series and tracts',
+      format: 'GeoJSON',
+      run: (metadata, filename) => downloadFile(
+        areaToGeoJSON(polygon, data, tracts, metadata), `${filename}.geojson`, 'application/geo+json'
+      )
+    },
+    {
+      id: 'area-json',
+      label: 'Full analysis',
+      format: 'JSON',
+      run: (metadata, filename) => downloadFile(
+        areaToJSON(polygon, data, tracts, metadata), `${filename}.json`, 'application/json'
+      )
+    }
+  ];
+
+  const handleExport = (option) => {
+    try {
+      const metadata = buildExportMetadata({ timeWindow, pm25Threshold, polygon, timeZone });
+      option.run(metadata, getExportFilename('pm25-area', timeWindow));
+    } catch (error) {
+      console.error(`Error exporting ${option.id}:`, error);
+    }
+    setShowMenu(false);
+  };
+
+  return (
+    <div className="relative export-menu-container">
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        disabled={isDisabled}
+        className={`p-1.5 rounded-md transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+          isDarkMode
+            ? 'bg-gray-800/50 text-gray-300 hover:bg-gray-700/50'
+            : 'bg-gray-100/50 text-gray-600 hover:bg-gray-200/50'
+        }`}
+        title="Export data"
+      >
+        <Download className="w-4 h-4" />
+      </button>
+
+      {showMenu && (
+        <div className={`absolute top-full right-0 mt-2 w-60 rounded-lg shadow-lg border py-1 z-10 ${
+          isDarkMode ? 'bg-gray-800 border-forest-dark' : 'bg-white border-forest-light'
+        }`}>
+          {exportOptions.map(option => (
+            <button
+              key={option.id}
+              onClick={() => handleExport(option)}
+              disabled={option.disabled}
+              className={`w-full px-4 py-2 flex items-center justify-between text-sm text-left transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                isDarkMode
+                  ? 'text-gray-200 hover:bg-gray-700'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <span>{option.label}</span>
+              <span className={`text-xs font-medium ${isDarkMode ? 'text-gold' : 'text-forest'}`}>
+                {option.format}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -1,10 +1,78 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import Map from 'react-map-gl';
 import { Map as MapIcon } from 'lucide-react';
-import { TILESET_INFO } from '../../../utils/map/constants.js';
-import { getPM25ColorInterpolation } from '../../../utils/map/colors';
+import { TILESET_INFO, findTileset } from '../../../utils/map/constants.js';
+import { getPM25ColorInterpolation, PM25_LEVELS } from '../../../utils/map/colors';
+import { getSourceLayerProps } from '../../../utils/map/dataSources';
+import { getGeometryBoundingBox, toAreaGeometry } from '../../../utils/map/geometryUtils';
 import ThemedPanel from './ThemedPanel';
 
+const LAYER_PREFIX = 'minimap-layer-';
+const SOURCE_PREFIX = 'minimap-source-';
+// Chunks kept on either side of the current one, as the main map preloads only nearby chunks
+const NEARBY_CHUNKS = 1;
+
+const getMinimapLayerId = (tilesetId) => `${LAYER_PREFIX}${tilesetId}`;
+const getMinimapSourceId = (tilesetId) => `${SOURCE_PREFIX}${tilesetId}`;
+
+// Remove the PM2.5 layers and sources the minimap has added, except those of chunks to keep
+const removeMinimapPM25Layers = (minimap, keepIds = new Set()) => {
+  const style = minimap.getStyle();
+  if (!style) return;
+
+  style.layers
+    .filter(layer => layer.id.startsWith(LAYER_PREFIX) && !keepIds.has(layer.id.slice(LAYER_PREFIX.length)))
+    .forEach(layer => minimap.removeLayer(layer.id));
+  Object.keys(style.sources)
+    .filter(sourceId => sourceId.startsWith(SOURCE_PREFIX) && !keepIds.has(sourceId.slice(SOURCE_PREFIX.length)))
+    .forEach(sourceId => minimap.removeSource(sourceId));
+};
+
+// The current chunk and its neighbours in the window
+const getNearbyTilesets = (tilesets, currentTileset) => {
+  const index = tilesets.indexOf(currentTileset);
+  return tilesets.slice(Math.max(0, index - NEARBY_CHUNKS), index + NEARBY_CHUNKS + 1);
+};
+
+const getHourFilter = (date, hour, pm25Threshold) => [
+  'all',
+  ['==', ['get', 'time'], `${date}T${String(hour).padStart(2, '0')}:00:00`],
+  ['>=', ['coalesce', ['to-number', ['get', 'PM25'], null], 0], pm25Threshold || 0]
+];
+
+// Hidden circle layer for one chunk; updateLayers colours and shows it
+const addMinimapLayer = (minimap, tileset) => {
+  const sourceId = getMinimapSourceId(tileset.id);
+  if (!minimap.getSource(sourceId)) {
+    minimap.addSource(sourceId, tileset.source);
+  }
+
+  minimap.addLayer({
+    id: getMinimapLayerId(tileset.id),
+    type: 'circle',
+    source: sourceId,
+    ...getSourceLayerProps(tileset),
+    paint: {
+      'circle-radius': [
+        'interpolate',
+        ['exponential', 2],
+        ['zoom'],
+        4, 2,
+        5, 5,
+        6, 10,
+        7, 55,
+        8, 70,
+        9, 90
+      ],
+      'circle-blur': 0.85,
+      'circle-opacity': 0
+    },
+    layout: {
+      visibility: 'none'
+    }
+  });
+};
+
 const MapAdditionalControls = ({ 
   map, 
   mapStyle, 
@@ -13,15 +81,15 @@ const MapAdditionalControls = ({
   currentDateTime,
   isDarkMode,
   pm25Threshold,
-  onExpandChange
+  pm25Levels = PM25_LEVELS,
+  onExpandChange,
+  tilesets = TILESET_INFO,
+  savedAreas = []
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [minimapViewport, setMinimapViewport] = useState(null);
   const minimapRef = useRef(null);
   const layersInitializedRef = useRef(false);
-  const loadedSourcesRef = useRef(new Set());
-  const loadedLayersRef = useRef(new Set());
-  const previousChunkRef = useRef(null);
 
   const getCurrentDateTime = useCallback(() => {
     if (!currentDateTime) return { date: '', hour: 0 };
@@ -60,10 +128,7 @@ const MapAdditionalControls = ({
         type: 'geojson',
         data: {
           type: 'Feature',
-          geometry: {
-            type: 'Polygon',
-            coordinates: [polygon]
-          }
+          geometry: toAreaGeometry(polygon)
         }
       });
 
@@ -103,24 +168,63 @@ const MapAdditionalControls = ({
     };
   }, [polygon, isDarkMode]);
 
+  // Saved comparison areas in their legend colours
+  useEffect(() => {
+    const minimap = minimapRef.current?.getMap();
+    if (!minimap || savedAreas.length === 0) return;
+
+    const sourceId = 'overview-saved-areas';
+    const lineLayerId = 'overview-saved-areas-line';
+
+    const addSavedAreaLayers = () => {
+      if (minimap.getLayer(lineLayerId)) minimap.removeLayer(lineLayerId);
+      if (minimap.getSource(sourceId)) minimap.removeSource(sourceId);
+
+      minimap.addSource(sourceId, {
+        type: 'geojson',
+        data: {
+          type: 'FeatureCollection',
+          features: savedAreas.map(area => ({
+            type: 'Feature',
+            properties: { color: area.color },
+            geometry: toAreaGeometry(area.polygon)
+          }))
+        }
+      });
+
+      minimap.addLayer({
+        id: lineLayerId,
+        type: 'line',
+        source: sourceId,
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': 2
+        }
+      });
+    };
+
+    if (minimap.isStyleLoaded()) {
+      addSavedAreaLayers();
+    } else {
+      minimap.once('style.load', addSavedAreaLayers);
+    }
+
+    return () => {
+      if (minimap.getLayer(lineLayerId)) minimap.removeLayer(lineLayerId);
+      if (minimap.getSource(sourceId)) minimap.removeSource(sourceId);
+    };
+  }, [savedAreas]);
+
   // Update viewport when polygon changes
   useEffect(() => {
-    if (!polygon || polygon.length === 0) {
+    if (!polygon) {
       setIsExpanded(false);
       onExpandChange?.(false);
       return;
     }
 
     // Calculate bounds from polygon vertices
-    const bounds = polygon.reduce(
-      (acc, [lng, lat]) => ({
-        minLng: Math.min(acc.minLng, lng),
-        maxLng: Math.max(acc.maxLng, lng),
-        minLat: Math.min(acc.minLat, lat),
-        maxLat: Math.max(acc.maxLat, lat),
-      }),
-      { minLng: Infinity, maxLng: -Infinity, minLat: Infinity, maxLat: -Infinity }
-    );
+    const bounds = getGeometryBoundingBox(toAreaGeometry(polygon));
 
     // Add padding to bounds
     const padding = 0.5;
@@ -148,193 +252,75 @@ const MapAdditionalControls = ({
     onExpandChange?.(true);
   }, [polygon, onExpandChange]);
 
+  // Layers come and go with playback, so initialising only clears what an earlier window left
   const initializeLayers = useCallback((minimap) => {
     if (!minimap || !currentDateTime || layersInitializedRef.current) return;
 
     try {
-      // Clean up existing layers
-      TILESET_INFO.forEach((tileset) => {
-        const sourceId = `minimap-source-${tileset.id}`;
-        const layerId = `minimap-layer-${tileset.id}`;
-
-        if (minimap.getLayer(layerId)) {
-          minimap.removeLayer(layerId);
-        }
-        if (minimap.getSource(sourceId)) {
-          minimap.removeSource(sourceId);
-        }
-      });
-
-      // Add new layers
-      TILESET_INFO.forEach((tileset) => {
-        const sourceId = `minimap-source-${tileset.id}`;
-        const layerId = `minimap-layer-${tileset.id}`;
-
-        minimap.addSource(sourceId, {
-          type: 'vector',
-          url: `mapbox://${tileset.id}`
-        });
-
-        minimap.addLayer({
-          id: layerId,
-          type: 'circle',
-          source: sourceId,
-          'source-layer': tileset.layer,
-          paint: {
-            'circle-radius': [
-              'interpolate',
-              ['exponential', 2],
-              ['zoom'],
-              4, 2,
-              5, 5,
-              6, 10,
-              7, 55,
-              8, 70,
-              9, 90
-            ],
-            'circle-color': getPM25ColorInterpolation(isDarkMode),
-            'circle-blur': 0.85,
-            'circle-opacity': 0
-          },
-          layout: {
-            visibility: 'none'
-          }
-        });
-      });
-
+      removeMinimapPM25Layers(minimap);
       layersInitializedRef.current = true;
-      console.log('Minimap layers initialized');
     } catch (error) {
       console.error('Error initializing minimap layers:', error);
       layersInitializedRef.current = false;
     }
-  }, [currentDateTime, isDarkMode]);
+  }, [currentDateTime]);
 
-  const updateLayers = useCallback((map) => {
-    if (!map || !map.getStyle()) return;
+  const updateLayers = useCallback((minimap) => {
+    if (!minimap || !minimap.getStyle() || !layersInitializedRef.current) return;
 
     try {
       const { date, hour } = getCurrentDateTime();
-      
-      // Find current tileset
-      const currentTileset = TILESET_INFO.find(tileset => 
-        tileset.date === date && 
-        hour >= tileset.startHour && 
-        hour <= tileset.endHour
-      );
+      const currentTileset = findTileset(date, hour, tilesets);
 
       if (!currentTileset) {
         console.warn('No tileset found for:', { date, hour });
         return;
       }
 
-      // Calculate next hour for transition preparation
-      const nextHour = (hour + 1) % 24;
-      const nextDate = nextHour === 0 ? 
-        new Date(new Date(date).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0] : 
-        date;
-
-      // Find next tileset
-      const nextTileset = TILESET_INFO.find(tileset =>
-        tileset.date === nextDate &&
-        nextHour >= tileset.startHour &&
-        nextHour <= tileset.endHour
-      );
-
-      // Set all layer opacities to 0 first
-      loadedLayersRef.current.forEach(layerId => {
-        if (map.getLayer(layerId)) {
-          map.setPaintProperty(layerId, 'circle-opacity', 0);
-          map.setLayoutProperty(layerId, 'visibility', 'none');
+      const nearbyTilesets = getNearbyTilesets(tilesets, currentTileset);
+      removeMinimapPM25Layers(minimap, new Set(nearbyTilesets.map(tileset => tileset.id)));
+
+      nearbyTilesets.forEach(tileset => {
+        const layerId = getMinimapLayerId(tileset.id);
+        if (!minimap.getLayer(layerId)) {
+          addMinimapLayer(minimap, tileset);
         }
+        minimap.setPaintProperty(layerId, 'circle-color', getPM25ColorInterpolation(isDarkMode, pm25Levels));
+        minimap.setPaintProperty(layerId, 'circle-opacity', 0);
+        minimap.setLayoutProperty(layerId, 'visibility', 'none');
       });
 
-      // Update current layer
-      const currentLayerId = `minimap-layer-${currentTileset.id}`;
-      const timeString = `${date}T${String(hour).padStart(2, '0')}:00:00`;
-
-      if (map.getLayer(currentLayerId)) {
-        map.setFilter(currentLayerId, [
-          'all',
-          ['==', ['get', 'time'], timeString],
-          ['>=', ['coalesce', ['to-number', ['get', 'PM25'], null], 0], pm25Threshold || 0]
-        ]);
-        
-        map.setPaintProperty(
-          currentLayerId,
-          'circle-opacity',
-          isDarkMode ? 0.6 : 0.5
-        );
-        map.setLayoutProperty(currentLayerId, 'visibility', 'visible');
-      }
+      const currentLayerId = getMinimapLayerId(currentTileset.id);
+      minimap.setFilter(currentLayerId, getHourFilter(date, hour, pm25Threshold));
+      minimap.setPaintProperty(currentLayerId, 'circle-opacity', isDarkMode ? 0.6 : 0.5);
+      minimap.setLayoutProperty(currentLayerId, 'visibility', 'visible');
 
-      // Prepare next chunk if we're near the end of current chunk
+      // At the last hour of a chunk, start showing the first hour of the next one
+      const nextTileset = nearbyTilesets[nearbyTilesets.indexOf(currentTileset) + 1];
       if (nextTileset && hour === currentTileset.endHour) {
-        const nextSourceId = `minimap-source-${nextTileset.id}`;
-        const nextLayerId = `minimap-layer-${nextTileset.id}`;
-
-        // Add next chunk's source if it doesn't exist
-        if (!map.getSource(nextSourceId)) {
-          map.addSource(nextSourceId, {
-            type: 'vector',
-            url: `mapbox://${nextTileset.id}`,
-            maxzoom: 9
-          });
-          loadedSourcesRef.current.add(nextSourceId);
-        }
-
-        // Add next chunk's layer if it doesn't exist
-        if (!map.getLayer(nextLayerId)) {
-          map.addLayer({
-            id: nextLayerId,
-            type: 'circle',
-            source: nextSourceId,
-            'source-layer': nextTileset.layer,
-            maxzoom: 9,
-            paint: {
-              'circle-radius': [
-                'interpolate',
-                ['exponential', 2],
-                ['zoom'],
-                4, 2,
-                5, 5,
-                6, 10,
-                7, 25,
-                8, 50,
-                9, 90
-              ],
-              'circle-color': getPM25ColorInterpolation(isDarkMode),
-              'circle-blur': 0.85,
-              'circle-opacity': 0
-            },
-            layout: {
-              'visibility': 'visible'
-            }
-          });
-          loadedLayersRef.current.add(nextLayerId);
-        }
-
-        // Prepare next chunk's data
-        const nextTimeString = `${nextDate}T${String(nextHour).padStart(2, '0')}:00:00`;
-        map.setFilter(nextLayerId, [
-          'all',
-          ['==', ['get', 'time'], nextTimeString],
-          ['>=', ['coalesce', ['to-number', ['get', 'PM25'], 0], 0], pm25Threshold]
-        ]);
-
-        // If very close to transition, start fading in next layer
-        if (hour === currentTileset.endHour) {
-          map.setPaintProperty(nextLayerId, 'circle-opacity', 0.2);
-        }
+        const nextLayerId = getMinimapLayerId(nextTileset.id);
+        minimap.setFilter(nextLayerId, getHourFilter(nextTileset.date, nextTileset.startHour, pm25Threshold));
+        minimap.setPaintProperty(nextLayerId, 'circle-opacity', 0.2);
+        minimap.setLayoutProperty(nextLayerId, 'visibility', 'visible');
       }
-
-      previousChunkRef.current = currentTileset.id;
-
     } catch (error) {
       console.error('Error updating minimap layers:', error);
     }
-  }, [getCurrentDateTime, pm25Threshold, isDarkMode]);
+  }, [getCurrentDateTime, pm25Threshold, isDarkMode, pm25Levels, tilesets]);
 
+  // A new date window replaces every chunk, so start over with its tilesets
+  const previousTilesetsRef = useRef(tilesets);
+  useEffect(() => {
+    if (previousTilesetsRef.current === tilesets) return;
+    previousTilesetsRef.current = tilesets;
+    layersInitializedRef.current = false;
+
+    const minimap = minimapRef.current?.getMap();
+    if (minimap?.isStyleLoaded()) {
+      initializeLayers(minimap);
+      updateLayers(minimap);
+    }
+  }, [tilesets, initializeLayers, updateLayers]);
 
   // Handle map load
   const handleMinimapLoad = useCallback(() => {
@@ -344,12 +330,12 @@ const MapAdditionalControls = ({
     minimap.on('style.load', () => {
       layersInitializedRef.current = false;
       initializeLayers(minimap);
-      updateLayers();
+      updateLayers(minimap);
     });
 
     if (minimap.isStyleLoaded()) {
       initializeLayers(minimap);
-      updateLayers();
+      updateLayers(minimap);
     }
   }, [initializeLayers, updateLayers]);
 
@@ -357,30 +343,12 @@ const MapAdditionalControls = ({
     return () => {
       const minimap = minimapRef.current?.getMap();
       if (minimap) {
-        TILESET_INFO.forEach((tileset) => {
-          const layerId = `minimap-layer-${tileset.id}`;
-          const sourceId = `minimap-source-${tileset.id}`;
-          
-          if (minimap.getLayer(layerId)) {
-            minimap.removeLayer(layerId);
-          }
-          if (minimap.getSource(sourceId)) {
-            minimap.removeSource(sourceId);
-          }
-        });
+        removeMinimapPM25Layers(minimap);
       }
       layersInitializedRef.current = false;
     };
   }, []);
 
-  // Update layers when relevant props change
-  useEffect(() => {
-    const minimap = minimapRef.current?.getMap();
-    if (minimap && layersInitializedRef.current) {
-      updateLayers();
-    }
-  }, [updateLayers, isDarkMode, currentDateTime, pm25Threshold]);
-
   const handleToggleExpand = useCallback(() => {
     const newState = !isExpanded;
     setIsExpanded(newState);
@@ -390,7 +358,7 @@ const MapAdditionalControls = ({
       const minimap = minimapRef.current?.getMap();
       if (minimap && !layersInitializedRef.current) {
         initializeLayers(minimap);
-        updateLayers();
+        updateLayers(minimap);
       }
     }
   }, [isExpanded, onExpandChange, initializeLayers, updateLayers]);
@@ -433,7 +401,7 @@ const MapAdditionalControls = ({
               onLoad={() => {
                 const minimap = minimapRef.current?.getMap();
                 if (minimap) {
-                  layersInitializedRef.current = true;
+                  initializeLayers(minimap);
                   updateLayers(minimap);
                 }
               }}
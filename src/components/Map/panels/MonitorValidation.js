@@ -0,0 +1,221 @@
+import React, { useState, useMemo } from 'react';
+import { RadioTower, Eye, EyeOff, Trash2 } from 'lucide-react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, ReferenceLine, Tooltip, ResponsiveContainer } from 'recharts';
+import ThemedPanel from './ThemedPanel';
+import { PM25_LEVELS, getPM25Level } from '../../../constants/pm25Levels';
+import { MAX_PROBE_DISTANCE_KM } from '../../../utils/map/probeSeries';
+import { summarizeValidation } from '../../../utils/map/groundMonitors';
+import { formatZonedDateTime } from '../../../utils/map/timeZones';
+
+// Enough points to show the spread without slowing the chart down
+const MAX_SCATTER_POINTS = 1500;
+
+const formatStat = (value, digits = 1) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+const formatBias = (value) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}`);
+
+const samplePairs = (pairs) => {
+  if (pairs.length <= MAX_SCATTER_POINTS) return pairs;
+  const step = pairs.length / MAX_SCATTER_POINTS;
+  return Array.from({ length: MAX_SCATTER_POINTS }, (_, index) => pairs[Math.floor(index * step)]);
+};
+
+const StatCell = ({ label, value, title, isDarkMode }) => (
+  <div className={`rounded-lg px-2 py-1.5 text-center ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50/80'}`} title={title}>
+    <div className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{label}</div>
+    <div className={`text-base font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>{value}</div>
+  </div>
+);
+
+const ScatterTooltip = ({ active, payload, stationNames, timeZone, isDarkMode }) => {
+  if (!active || !payload?.length) return null;
+  const { stationId, time, observed, modelled } = payload[0].payload;
+
+  return (
+    <div className={`p-2 shadow-lg rounded-lg border text-xs ${
+      isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-100' : 'bg-white border-gray-200 text-gray-800'
+    }`}>
+      <div className="font-semibold">{stationNames[stationId] || stationId}</div>
+      <div className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>{formatZonedDateTime(new Date(`${time}Z`), timeZone)}</div>
+      <div>Observed {observed.toFixed(1)} · Modelled {modelled.toFixed(1)}</div>
+    </div>
+  );
+};
+
+const MonitorValidation = ({
+  monitors,
+  monitorFileName,
+  pairs,
+  pairingProgress,
+  currentTime,
+  isLayerVisible,
+  onToggleLayer,
+  onClear,
+  timeZone = 'UTC',
+  pm25Levels = PM25_LEVELS,
+  isDarkMode
+}) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const { stations, observations } = monitors;
+
+  const summary = useMemo(() => summarizeValidation(stations, pairs), [stations, pairs]);
+
+  const stationNames = useMemo(() => Object.fromEntries(stations.map(station => [station.id, station.name])), [stations]);
+
+  const { pastPairs, currentPairs, axisMax } = useMemo(() => {
+    const maxValue = pairs.reduce((max, pair) => Math.max(max, pair.observed, pair.modelled), 0);
+    return {
+      pastPairs: samplePairs(pairs.filter(pair => pair.time !== currentTime)),
+      currentPairs: pairs.filter(pair => pair.time === currentTime),
+      axisMax: Math.max(10, Math.ceil(maxValue * 1.05))
+    };
+  }, [pairs, currentTime]);
+
+  const modelledNow = useMemo(() => Object.fromEntries(
+    pairs.filter(pair => pair.time === currentTime).map(pair => [pair.stationId, pair.modelled])
+  ), [pairs, currentTime]);
+
+  if (stations.length === 0) return null;
+
+  const { overall } = summary;
+  const labelClasses = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const valueClasses = isDarkMode ? 'text-gray-200' : 'text-gray-800';
+  const axisColor = isDarkMode ? '#9CA3AF' : '#6B7280';
+
+  const headerButtonClasses = `p-1.5 rounded-lg transition-colors ${
+    isDarkMode ? 'text-gold hover:bg-gray-800' : 'text-forest hover:bg-gray-100'
+  }`;
+
+  return (
+    <ThemedPanel
+      title="Ground Monitors"
+      subtitle={`${stations.length} station${stations.length === 1 ? '' : 's'} · ${pairs.length} paired hour${pairs.length === 1 ? '' : 's'}`}
+      icon={RadioTower}
+      isExpanded={isExpanded}
+      onClose={() => setIsExpanded(!isExpanded)}
+      headerActions={isExpanded && (
+        <>
+          <button
+            onClick={onToggleLayer}
+            className={headerButtonClasses}
+            title={isLayerVisible ? 'Hide monitor markers' : 'Show monitor markers'}
+          >
+            {isLayerVisible ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+          </button>
+          <button onClick={onClear} className={headerButtonClasses} title={`Remove ${monitorFileName || 'monitors'}`}>
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </>
+      )}
+      isDarkMode={isDarkMode}
+    >
+      <div className="max-h-[520px] overflow-auto p-3 space-y-3">
+        <div className="grid grid-cols-4 gap-2">
+          <StatCell
+            label="Bias"
+            value={formatBias(overall?.bias)}
+            title="Mean of modelled minus observed, µg/m³"
+            isDarkMode={isDarkMode}
+          />
+          <StatCell
+            label="RMSE"
+            value={formatStat(overall?.rmse)}
+            title="Root mean square error, µg/m³"
+            isDarkMode={isDarkMode}
+          />
+          <StatCell
+            label="r"
+            value={formatStat(overall?.correlation, 2)}
+            title="Pearson correlation of modelled and observed values"
+            isDarkMode={isDarkMode}
+          />
+          <StatCell label="Pairs" value={overall?.count ?? 0} isDarkMode={isDarkMode} />
+        </div>
+
+        {pairs.length > 0 ? (
+          <div className="h-[220px]">
+            <ResponsiveContainer>
+              <ScatterChart margin={{ top: 8, right: 12, bottom: 16, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#E5E7EB'} />
+                <XAxis
+                  type="number"
+                  dataKey="observed"
+                  name="Observed"
+                  domain={[0, axisMax]}
+                  tick={{ fill: axisColor, fontSize: 11 }}
+                  label={{ value: 'Observed µg/m³', position: 'insideBottom', offset: -8, fill: axisColor, fontSize: 11 }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="modelled"
+                  name="Modelled"
+                  domain={[0, axisMax]}
+                  tick={{ fill: axisColor, fontSize: 11 }}
+                  label={{ value: 'Modelled', angle: -90, position: 'insideLeft', fill: axisColor, fontSize: 11 }}
+                />
+                <ReferenceLine
+                  segment={[{ x: 0, y: 0 }, { x: axisMax, y: axisMax }]}
+                  stroke={axisColor}
+                  strokeDasharray="4 2"
+                />
+                <Tooltip content={<ScatterTooltip stationNames={stationNames} timeZone={timeZone} isDarkMode={isDarkMode} />} />
+                <Scatter data={pastPairs} fill={isDarkMode ? '#99aa88' : '#3a7370'} fillOpacity={0.45} isAnimationActive={false} />
+                <Scatter data={currentPairs} fill="#cea25d" isAnimationActive={false} />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className={`py-6 text-center text-sm ${labelClasses}`}>
+            {pairingProgress
+              ? `Reading model tiles near the stations, chunk ${pairingProgress.completed} of ${pairingProgress.total}`
+              : 'No model values within reach of the stations at the observed hours'}
+          </div>
+        )}
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={labelClasses}>
+              <th className="py-1 px-2 text-left font-medium">Station</th>
+              <th className="py-1 px-2 text-right font-medium" title="Observed this hour">Obs</th>
+              <th className="py-1 px-2 text-right font-medium" title="Modelled this hour">Model</th>
+              <th className="py-1 px-2 text-right font-medium">Bias</th>
+              <th className="py-1 px-2 text-right font-medium">RMSE</th>
+              <th className="py-1 px-2 text-right font-medium">r</th>
+              <th className="py-1 px-2 text-right font-medium">n</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.byStation.map(({ station, stats }) => {
+              const observedNow = observations[station.id]?.[currentTime];
+              const level = observedNow === undefined ? null : getPM25Level(observedNow, pm25Levels);
+
+              return (
+                <tr key={station.id} className="border-t border-gray-200/20">
+                  <td className="py-1 px-2">
+                    <div className={`truncate max-w-[140px] ${valueClasses}`} title={station.name}>{station.name}</div>
+                    <div className={`text-xs ${labelClasses}`}>{station.isRegulatory ? 'Regulatory' : station.type}</div>
+                  </td>
+                  <td className="py-1 px-2 text-right font-medium" style={level ? { color: isDarkMode ? level.darkColor : level.color } : undefined}>
+                    {formatStat(observedNow)}
+                  </td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>{formatStat(modelledNow[station.id])}</td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>{formatBias(stats?.bias)}</td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>{formatStat(stats?.rmse)}</td>
+                  <td className={`py-1 px-2 text-right ${valueClasses}`}>{formatStat(stats?.correlation, 2)}</td>
+                  <td className={`py-1 px-2 text-right ${labelClasses}`}>{stats?.count ?? 0}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <p className={`text-xs ${labelClasses}`}>
+          Each observation is paired with the nearest model grid point within {MAX_PROBE_DISTANCE_KM} km,
+          read from the data tiles for every hour of the date window.
+        </p>
+      </div>
+    </ThemedPanel>
+  );
+};
+
+export default MonitorValidation;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Crosshair, X } from 'lucide-react';
+import ThemedPanel from './ThemedPanel';
+import ProbeSparkline from './ProbeSparkline';
+import { getPM25Level } from '../../../constants/pm25Levels';
+import { AQI_AVERAGING } from '../../../constants/map/aqi';
+import { getProbeValueAt, getProbeAqiReading } from '../../../utils/map/probeSeries';
+import { getAqiStandard, formatPM25, formatIndex } from '../../../utils/map/aqi';
+
+const ProbeComparison = ({
+  probes,
+  currentDateTime,
+  aqiStandard,
+  aqiAveraging = 'hourly',
+  aqiDisplayUnit = 'concentration',
+  onUnpin,
+  isDarkMode
+}) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+
+  if (probes.length === 0) return null;
+
+  const standard = getAqiStandard(aqiStandard);
+
+  const currentTime = `${currentDateTime.date}T${String(currentDateTime.hour).padStart(2, '0')}:00:00`;
+
+  return (
+    <ThemedPanel
+      title="Pinned Probes"
+      subtitle={`${probes.length} location${probes.length === 1 ? '' : 's'}`}
+      icon={Crosshair}
+      isExpanded={isExpanded}
+      onClose={() => setIsExpanded(!isExpanded)}
+      isDarkMode={isDarkMode}
+    >
+      <div className="max-h-[420px] overflow-auto p-3 grid grid-cols-2 gap-2">
+        {probes.map((probe, index) => {
+          const current = getProbeValueAt(probe.series, currentDateTime);
+          const level = current ? getPM25Level(current.pm25, standard.levels) : null;
+          const reading = aqiAveraging === 'hourly'
+            ? null
+            : getProbeAqiReading(probe.series, currentDateTime, standard, aqiAveraging);
+
+          return (
+            <div
+              key={probe.id}
+              className={`rounded-lg p-2 space-y-1 ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50/80'}`}
+            >
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-1.5">
+                  <span
+                    className="w-4 h-4 rounded-full flex items-center justify-center text-[10px] font-bold text-white"
+                    style={{ backgroundColor: probe.color }}
+                  >
+                    {index + 1}
+                  </span>
+                  <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {probe.lngLat[1].toFixed(2)}, {probe.lngLat[0].toFixed(2)}
+                  </span>
+                </div>
+                <button
+                  onClick={() => onUnpin(probe.id)}
+                  className={isDarkMode ? 'text-gray-400 hover:text-gray-200' : 'text-gray-500 hover:text-gray-700'}
+                  title="Unpin"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </div>
+              <div className="flex items-baseline gap-1">
+                <span className={`text-lg font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                  {current ? formatPM25(current.pm25, standard, aqiDisplayUnit) : '—'}
+                </span>
+                {level && (
+                  <span className="text-xs" style={{ color: isDarkMode ? level.darkColor : level.color }}>
+                    {level.shortLabel || level.label}
+                  </span>
+                )}
+                {reading && (
+                  <span
+                    className={`ml-auto text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}
+                    title={`${AQI_AVERAGING[aqiAveraging].label} ${standard.indexName}`}
+                  >
+                    {standard.indexName} {formatIndex(reading.index, standard)}
+                  </span>
+                )}
+              </div>
+              <ProbeSparkline
+                series={probe.series}
+                currentTime={currentTime}
+                color={probe.color}
+                isDarkMode={isDarkMode}
+                height={40}
+              />
+            </div>
+          );
+        })}
+      </div>
+    </ThemedPanel>
+  );
+};
+
+export default ProbeComparison;
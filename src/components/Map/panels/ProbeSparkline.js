@@ -0,0 +1,41 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+const ProbeSparkline = ({ series, currentTime, color, isDarkMode, height = 48 }) => {
+  if (series.length < 2) {
+    return (
+      <div
+        className={`flex items-center justify-center text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}
+        style={{ height }}
+      >
+        Waiting for more hours to load
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ height }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={series} margin={{ top: 4, right: 2, bottom: 2, left: 2 }}>
+          <XAxis dataKey="time" hide />
+          <YAxis hide domain={[0, 'auto']} />
+          <ReferenceLine
+            x={currentTime}
+            stroke={isDarkMode ? '#4B5563' : '#D1D5DB'}
+            strokeDasharray="3 3"
+          />
+          <Line
+            type="monotone"
+            dataKey="pm25"
+            stroke={color}
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default ProbeSparkline;
@@ -1,3 +1,6 @@
+export * from './map/adminUnits';
 export * from './map/aqi';
 export * from './map/basemaps';
+export * from './map/drawingTools';
+export * from './map/renderModes';
 export * from './map/time';
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { PM25_LEVELS } from '../pm25Levels';
+
+// Top of every table's scale; the heatmap and slider run from 0 to here
+const SCALE_MAX_PM25 = 500;
+
+// Categories reuse the PM25_LEVELS colours so every table shares one ramp
+const buildLevels = (categories) => {
+  const levels = categories.map(({ value, label, shortLabel, isConcern = false, style }, index) => {
+    const next = categories[index + 1];
+    return {
+      ...PM25_LEVELS[style],
+      value,
+      label,
+      shortLabel,
+      isConcern,
+      maxValue: next ? Math.round((next.value - 0.1) * 10) / 10 : SCALE_MAX_PM25
+    };
+  });
+
+  // Open-ended entry at the top of the scale, as in PM25_LEVELS
+  levels.push({ ...levels[levels.length - 1], value: SCALE_MAX_PM25, maxValue: Infinity });
+
+  return levels.map((level, index) => ({
+    ...level,
+    position: Math.round(index / (levels.length - 1) * 10000) / 100
+  }));
+};
+
+/**
+ * Breakpoint tables for PM2.5
+ * Each has the category levels used for colours, thresholds and exposure, and how a
+ * concentration becomes an index:
+ *   breakpoints  piecewise-linear between concentration and index bounds (EPA AQI)
+ *   ratio        concentration over a reference value
+ *   steps        one index point per fixed concentration step, with a floor and cap
+ */
+export const AQI_STANDARDS = {
+  epa2012: {
+    label: 'EPA 2012',
+    description: 'US AQI breakpoints in use until May 2024',
+    indexName: 'AQI',
+    averaging: 'nowcast',
+    levels: PM25_LEVELS.map(level => ({ ...level, isConcern: level.value >= 35.5 })),
+    index: {
+      method: 'breakpoints',
+      max: 500,
+      breakpoints: [
+        { concLow: 0, concHigh: 12.0, indexLow: 0, indexHigh: 50 },
+        { concLow: 12.1, concHigh: 35.4, indexLow: 51, indexHigh: 100 },
+        { concLow: 35.5, concHigh: 55.4, indexLow: 101, indexHigh: 150 },
+        { concLow: 55.5, concHigh: 150.4, indexLow: 151, indexHigh: 200 },
+        { concLow: 150.5, concHigh: 250.4, indexLow: 201, indexHigh: 300 },
+        { concLow: 250.5, concHigh: 350.4, indexLow: 301, indexHigh: 400 },
+        { concLow: 350.5, concHigh: 500.4, indexLow: 401, indexHigh: 500 }
+      ]
+    }
+  },
+  epa2024: {
+    label: 'EPA 2024',
+    description: 'US AQI with Good up to 9.0 µg/m³',
+    indexName: 'AQI',
+    averaging: 'nowcast',
+    levels: buildLevels([
+      { value: 0, label: 'Good', style: 0 },
+      { value: 9.1, label: 'Moderate', style: 1 },
+      { value: 35.5, label: 'Unhealthy for Sensitive Groups', shortLabel: 'USG', isConcern: true, style: 2 },
+      { value: 55.5, label: 'Unhealthy', isConcern: true, style: 3 },
+      { value: 125.5, label: 'Very Unhealthy', isConcern: true, style: 4 },
+      { value: 225.5, label: 'Hazardous', isConcern: true, style: 5 }
+    ]),
+    index: {
+      method: 'breakpoints',
+      max: 500,
+      breakpoints: [
+        { concLow: 0, concHigh: 9.0, indexLow: 0, indexHigh: 50 },
+        { concLow: 9.1, concHigh: 35.4, indexLow: 51, indexHigh: 100 },
+        { concLow: 35.5, concHigh: 55.4, indexLow: 101, indexHigh: 150 },
+        { concLow: 55.5, concHigh: 125.4, indexLow: 151, indexHigh: 200 },
+        { concLow: 125.5, concHigh: 225.4, indexLow: 201, indexHigh: 300 },
+        { concLow: 225.5, concHigh: 325.4, indexLow: 301, indexHigh: 500 }
+      ]
+    }
+  },
+  who: {
+    label: 'WHO guideline',
+    description: '2021 air quality guideline and interim targets, 24-hour',
+    indexName: '× AQG',
+    averaging: 'daily',
+    levels: buildLevels([
+      { value: 0, label: 'Meets guideline', shortLabel: 'AQG', style: 0 },
+      { value: 15.1, label: 'Meets interim target 4', shortLabel: 'IT-4', style: 1 },
+      { value: 25.1, label: 'Meets interim target 3', shortLabel: 'IT-3', style: 2 },
+      { value: 37.6, label: 'Meets interim target 2', shortLabel: 'IT-2', isConcern: true, style: 3 },
+      { value: 50.1, label: 'Meets interim target 1', shortLabel: 'IT-1', isConcern: true, style: 4 },
+      { value: 75.1, label: 'Above interim target 1', shortLabel: '> IT-1', isConcern: true, style: 5 }
+    ]),
+    index: { method: 'ratio', reference: 15 }
+  },
+  canada: {
+    label: 'Canada AQHI+',
+    description: 'AQHI-style PM2.5 risk scale, hourly',
+    indexName: 'AQHI+',
+    averaging: 'hourly',
+    levels: buildLevels([
+      { value: 0, label: 'Low risk', shortLabel: 'Low', style: 0 },
+      { value: 30.1, label: 'Moderate risk', shortLabel: 'Moderate', style: 1 },
+      { value: 60.1, label: 'High risk', shortLabel: 'High', isConcern: true, style: 3 },
+      { value: 100.1, label: 'Very high risk', shortLabel: 'Very high', isConcern: true, style: 5 }
+    ]),
+    // One point per 10 µg/m³, reported as 10+ above 100
+    index: { method: 'steps', size: 10, min: 1, max: 11 }
+  }
+};
+
+export const DEFAULT_AQI_STANDARD = 'epa2012';
+
+export const AQI_AVERAGING = {
+  hourly: { label: 'Hourly', description: 'The value at each hour' },
+  nowcast: { label: 'NowCast', description: 'EPA weighted average of the last 12 hours' },
+  daily: { label: '24-hour', description: 'Mean of the 24 hours ending at each hour' }
+};
+
+export const AQI_DISPLAY_UNITS = {
+  concentration: { label: 'µg/m³' },
+  index: { label: 'Index' }
+};
+
+export const DEFAULT_AQI_DISPLAY_UNIT = 'concentration';
+
+// NowCast looks back 12 hours and needs two of the latest three
+export const NOWCAST_HOURS = 12;
+export const NOWCAST_MIN_RECENT_HOURS = 2;
+export const NOWCAST_MIN_WEIGHT = 0.5;
+
+// A 24-hour average needs at least 75% of its hours
+export const DAILY_AVERAGE_HOURS = 24;
+export const DAILY_AVERAGE_MIN_HOURS = 18;
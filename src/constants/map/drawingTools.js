@@ -0,0 +1,18 @@
+export const DRAWING_TOOLS = {
+  polygon: { label: 'Polygon', description: 'Click each corner' },
+  rectangle: { label: 'Rectangle', description: 'Click two opposite corners' },
+  circle: { label: 'Circle', description: 'Click the centre' },
+  freehand: { label: 'Freehand', description: 'Drag around the area' },
+  corridor: { label: 'Corridor', description: 'Click along a route' }
+};
+
+export const DISTANCE_UNITS = {
+  km: { label: 'km', toKm: 1 },
+  mi: { label: 'mi', toKm: 1.609344 }
+};
+
+export const DEFAULT_DRAWING_OPTIONS = {
+  circleRadius: 10,
+  corridorWidth: 5,
+  unit: 'km'
+};
@@ -0,0 +1,23 @@
+export const RENDER_MODES = {
+  circles: { label: 'Points', description: 'Blurred circle per grid point' },
+  heatmap: { label: 'Heatmap', description: 'Smooth density weighted by PM2.5' },
+  hexbin: { label: 'Hexbins', description: 'Grid points grouped into hexagons' },
+  contours: { label: 'Contours', description: 'Filled bands at the AQI breakpoints' }
+};
+
+export const HEXBIN_AGGREGATIONS = {
+  max: { label: 'Max' },
+  mean: { label: 'Mean' }
+};
+
+export const DEFAULT_RENDER_MODE = 'circles';
+export const DEFAULT_HEXBIN_AGGREGATION = 'max';
+
+// Resting opacity of the tile-styled layers, which playback blending fades between
+export const DATA_LAYER_OPACITY = {
+  circles: { light: 0.4, dark: 0.6 },
+  heatmap: { light: 0.65, dark: 0.75 }
+};
+
+export const getDataLayerOpacity = (layerType, isDarkMode) =>
+  DATA_LAYER_OPACITY[layerType][isDarkMode ? 'dark' : 'light'];
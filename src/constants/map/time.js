@@ -0,0 +1,129 @@
+export const TIME_ZONE_MODES = {
+  utc: { label: 'UTC', description: 'Coordinated Universal Time, as the data is published' },
+  local: { label: 'Local', description: 'This browser\'s time zone' },
+  area: { label: 'Area', description: 'Time zone at the selected area' }
+};
+
+export const DEFAULT_TIME_ZONE_MODE = 'utc';
+
+// Main time zone of each state by FIPS code, for areas with census tracts; see COUNTY_TIME_ZONES
+export const STATE_TIME_ZONES = {
+  '01': 'America/Chicago',
+  '02': 'America/Anchorage',
+  '04': 'America/Phoenix',
+  '05': 'America/Chicago',
+  '06': 'America/Los_Angeles',
+  '08': 'America/Denver',
+  '09': 'America/New_York',
+  '10': 'America/New_York',
+  '11': 'America/New_York',
+  '12': 'America/New_York',
+  '13': 'America/New_York',
+  '15': 'Pacific/Honolulu',
+  '16': 'America/Boise',
+  '17': 'America/Chicago',
+  '18': 'America/Indiana/Indianapolis',
+  '19': 'America/Chicago',
+  '20': 'America/Chicago',
+  '21': 'America/New_York',
+  '22': 'America/Chicago',
+  '23': 'America/New_York',
+  '24': 'America/New_York',
+  '25': 'America/New_York',
+  '26': 'America/Detroit',
+  '27': 'America/Chicago',
+  '28': 'America/Chicago',
+  '29': 'America/Chicago',
+  '30': 'America/Denver',
+  '31': 'America/Chicago',
+  '32': 'America/Los_Angeles',
+  '33': 'America/New_York',
+  '34': 'America/New_York',
+  '35': 'America/Denver',
+  '36': 'America/New_York',
+  '37': 'America/New_York',
+  '38': 'America/Chicago',
+  '39': 'America/New_York',
+  '40': 'America/Chicago',
+  '41': 'America/Los_Angeles',
+  '42': 'America/New_York',
+  '44': 'America/New_York',
+  '45': 'America/New_York',
+  '46': 'America/Chicago',
+  '47': 'America/Chicago',
+  '48': 'America/Chicago',
+  '49': 'America/Denver',
+  '50': 'America/New_York',
+  '51': 'America/New_York',
+  '53': 'America/Los_Angeles',
+  '54': 'America/New_York',
+  '55': 'America/Chicago',
+  '56': 'America/Denver',
+  '72': 'America/Puerto_Rico'
+};
+
+const countyZones = (stateFips, timeZone, countyCodes) =>
+  Object.fromEntries(countyCodes.map(county => [`${stateFips}${county}`, timeZone]));
+
+// Counties of split states that differ from their state's main zone, by five-digit state and county FIPS
+// Counties divided between two zones keep the zone most of their people live in
+export const COUNTY_TIME_ZONES = {
+  // Aleutians West
+  ...countyZones('02', 'America/Adak', ['016']),
+  // Florida panhandle west of the Apalachicola
+  ...countyZones('12', 'America/Chicago', ['005', '013', '033', '059', '063', '091', '113', '131', '133']),
+  // Idaho panhandle
+  ...countyZones('16', 'America/Los_Angeles', ['009', '017', '021', '035', '049', '055', '057', '061', '069', '079']),
+  // Northwest Indiana near Chicago and southwest Indiana near Evansville
+  ...countyZones('18', 'America/Chicago', ['051', '073', '089', '091', '111', '123', '127', '129', '147', '149', '163', '173']),
+  // Western Kansas border
+  ...countyZones('20', 'America/Denver', ['071', '075', '181', '199']),
+  // Western Kentucky
+  ...countyZones('21', 'America/Chicago', [
+    '001', '003', '007', '009', '027', '031', '033', '035', '039', '047', '053', '055', '057', '059',
+    '061', '075', '083', '085', '087', '091', '099', '101', '105', '107', '139', '141', '143', '145',
+    '149', '157', '169', '171', '177', '183', '207', '213', '219', '221', '225', '227', '231', '233'
+  ]),
+  // Upper Peninsula along the Wisconsin border
+  ...countyZones('26', 'America/Menominee', ['043', '053', '071', '109']),
+  // Nebraska panhandle and southwest
+  ...countyZones('31', 'America/Denver', [
+    '005', '007', '013', '029', '033', '045', '049', '057', '069', '075', '091', '101', '105', '123',
+    '135', '157', '161', '165'
+  ]),
+  // Southwest North Dakota
+  ...countyZones('38', 'America/Denver', ['001', '007', '011', '025', '033', '037', '041', '087', '089']),
+  // Malheur County
+  ...countyZones('41', 'America/Boise', ['045']),
+  // West River South Dakota
+  ...countyZones('46', 'America/Denver', [
+    '007', '019', '031', '033', '041', '047', '055', '063', '071', '081', '093', '102', '103', '105', '117', '137'
+  ]),
+  // East Tennessee
+  ...countyZones('47', 'America/New_York', [
+    '001', '009', '011', '013', '019', '025', '029', '057', '059', '063', '065', '067', '073', '089', '091',
+    '093', '105', '107', '121', '123', '129', '139', '143', '145', '151', '155', '163', '171', '173', '179'
+  ]),
+  // Far West Texas
+  ...countyZones('48', 'America/Denver', ['141', '229'])
+};
+
+// Approximate zone boundaries across the contiguous US, west to east, for areas without tracts
+export const US_LONGITUDE_ZONES = [
+  { maxLng: -114.5, timeZone: 'America/Los_Angeles' },
+  { maxLng: -101.5, timeZone: 'America/Denver' },
+  { maxLng: -86.5, timeZone: 'America/Chicago' },
+  { maxLng: -66, timeZone: 'America/New_York' }
+];
+
+export const CONTIGUOUS_US_BOUNDS = { minLng: -125, maxLng: -66, minLat: 24, maxLat: 50 };
+
+// Where a dataset's forecast begins, unless its provider says otherwise:
+//   today  midnight UTC of the current day, for runs issued once a day
+//   now    the start of the current UTC hour
+//   none   every hour is observed
+//   or an ISO 8601 time such as 2024-09-01T12:00:00Z
+export const DEFAULT_FORECAST_START = 'today';
+
+// How often the "now" marker moves
+export const NOW_REFRESH_MS = 60 * 1000;
@@ -86,18 +86,18 @@ export const PM25_LEVELS = [
     }
   ];
   
-  export const getPM25Level = (value) => {
-    return PM25_LEVELS.find((level, index) => {
-      const nextLevel = PM25_LEVELS[index + 1];
+  export const getPM25Level = (value, levels = PM25_LEVELS) => {
+    return levels.find((level, index) => {
+      const nextLevel = levels[index + 1];
       return value >= level.value && (!nextLevel || value < nextLevel.value);
     });
   };
   
-  export const getPM25ColorInterpolation = (isDarkMode) => [
+  export const getPM25ColorInterpolation = (isDarkMode, levels = PM25_LEVELS) => [
     'interpolate',
     ['linear'],
     ['coalesce', ['to-number', ['get', 'PM25'], 0], 0],
-    ...PM25_LEVELS.flatMap(level => [
+    ...levels.flatMap(level => [
       level.value, 
       isDarkMode ? level.darkColor : level.color
     ])
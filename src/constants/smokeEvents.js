@@ -0,0 +1,51 @@
+// Curated smoke episodes for the event library.
+// Dates are inclusive UTC days and must be covered by the configured PM2.5 data source.
+export const SMOKE_EVENTS = [
+  {
+    id: 'camp-fire-2018',
+    name: 'Camp Fire',
+    description: 'Smoke from the Camp Fire in Butte County blankets Sacramento and the San Francisco Bay Area over the first nine days of the fire.',
+    startDate: '2018-11-08',
+    endDate: '2018-11-16',
+    viewport: { longitude: -121.6, latitude: 39.1, zoom: 6.5 },
+    threshold: 55.5
+  },
+  {
+    id: 'west-coast-2020',
+    name: 'West Coast Fires',
+    description: 'The August Complex, Creek and Oregon Labor Day fires turn skies orange from Seattle to San Francisco.',
+    startDate: '2020-09-08',
+    endDate: '2020-09-14',
+    viewport: { longitude: -121.5, latitude: 42.5, zoom: 5 },
+    threshold: 55.5
+  },
+  {
+    id: 'bootleg-fire-2021',
+    name: 'Bootleg Fire Smoke Crosses the Continent',
+    description: 'Smoke from fires in Oregon and Canada drifts east and pushes air quality into unhealthy levels on the East Coast.',
+    startDate: '2021-07-19',
+    endDate: '2021-07-22',
+    viewport: { longitude: -85, latitude: 41, zoom: 4.5 },
+    threshold: 35.5
+  },
+  {
+    id: 'caldor-fire-2021',
+    name: 'Caldor Fire',
+    description: 'The Caldor Fire approaches South Lake Tahoe and fills the Tahoe basin with dense smoke.',
+    startDate: '2021-08-25',
+    endDate: '2021-08-31',
+    viewport: { longitude: -120.1, latitude: 38.8, zoom: 6.5 },
+    threshold: 35.5
+  },
+  {
+    id: 'canada-smoke-2023',
+    name: 'Canadian Wildfire Smoke in the Northeast',
+    description: 'Smoke from Quebec wildfires reaches New York City, producing the worst air quality on record there.',
+    startDate: '2023-06-05',
+    endDate: '2023-06-09',
+    viewport: { longitude: -74.5, latitude: 41.5, zoom: 5.5 },
+    threshold: 35.5
+  }
+];
+
+export const getSmokeEvent = (id) => SMOKE_EVENTS.find(event => event.id === id);
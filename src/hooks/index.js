@@ -9,10 +9,26 @@ export { useUIState } from './map/useUIState';
 export { useMapInteraction } from './map/useMapInteraction';
 export { useDrawingInteraction, DOUBLE_CLICK_THRESHOLD } from './map/useDrawingInteraction';
 export { useThemeControl } from './map/useThemeControl';
+export { useTimeWindowControl } from './map/useTimeWindowControl';
 export { useDateTimeCalculator } from './map/useDateTimeCalculator';
 export { usePolygonVisualization } from './map/usePolygonVisualization';
+export { usePolygonEditing, MAX_EDIT_HISTORY } from './map/usePolygonEditing';
 export { useTourManager } from './map/useTourManager';
 export { useCensusDataManager } from './map/useCensusDataManager';
+export { useEventLibrary } from './map/useEventLibrary';
+export { useUrlState } from './map/useUrlState';
+export { useAnimationRecorder } from './map/useAnimationRecorder';
+export { useMapSnapshot } from './map/useMapSnapshot';
+export { useProbeInspector, MAX_PINNED_PROBES } from './map/useProbeInspector';
+export { useBoundaryImport } from './map/useBoundaryImport';
+export { useAdminUnitSelection } from './map/useAdminUnitSelection';
+export { useAreaWorkspace, MAX_SAVED_AREAS } from './map/useAreaWorkspace';
+export { useAreaComparison } from './map/useAreaComparison';
+export { useDistanceRuler } from './map/useDistanceRuler';
+export { usePM25Surface } from './map/usePM25Surface';
+export { useHourBlending } from './map/useHourBlending';
+export { useForecastBoundary } from './map/useForecastBoundary';
+export { useGroundMonitors } from './map/useGroundMonitors';
 
 // Re-export existing hooks
 export { useMapLayers } from './map/useMapLayers';
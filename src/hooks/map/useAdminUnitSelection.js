@@ -0,0 +1,148 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { getAdminUnitLabel } from '../../constants/map/adminUnits';
+import { censusLayerManager, CENSUS_MIN_ZOOM } from '../../utils/map/CensusLayerManager';
+import { cleanupHighlightLayers } from '../../utils/map/censusAnalysis';
+import {
+  getAdminUnitAt,
+  getRenderedUnitTracts,
+  areTractsClippedByView,
+  getTractsBoundingBox,
+  buildAdminUnitGeometry,
+  combineAdminUnits
+} from '../../utils/map/adminUnits';
+import { toSelectionArea } from '../../utils/map/geometryUtils';
+import { waitForMapRender } from '../../utils/map/mapCapture';
+
+// Times the map is re-fitted to a unit that still reaches the edge of the view
+const MAX_UNIT_FITS = 3;
+
+export const useAdminUnitSelection = ({
+  mapInstance,
+  polygon,
+  setPolygon,
+  setIsPlaying
+}) => {
+  const [isUnitMode, setIsUnitMode] = useState(false);
+  const [unitLevel, setUnitLevel] = useState('county');
+  const [selectedUnits, setSelectedUnits] = useState([]);
+  const [isSelectingUnit, setIsSelectingUnit] = useState(false);
+  const [unitError, setUnitError] = useState(null);
+  const appliedAreaRef = useRef(null);
+
+  const applyUnits = useCallback((units) => {
+    setSelectedUnits(units);
+    if (units.length === 0) {
+      cleanupHighlightLayers(mapInstance);
+      setPolygon(null);
+      setIsPlaying(false);
+      return;
+    }
+    appliedAreaRef.current = toSelectionArea(combineAdminUnits(units));
+    setPolygon(appliedAreaRef.current);
+    setIsPlaying(true);
+  }, [mapInstance, setPolygon, setIsPlaying]);
+
+  const selectUnitAt = useCallback(async (point, isAdditive) => {
+    if (!mapInstance || isSelectingUnit) return;
+
+    const unitId = getAdminUnitAt(mapInstance, point, unitLevel);
+    if (!unitId) {
+      setUnitError('No census unit here; zoom in if the tracts are not loaded yet');
+      return;
+    }
+    setUnitError(null);
+
+    if (isAdditive && selectedUnits.some(unit => unit.id === unitId)) {
+      applyUnits(selectedUnits.filter(unit => unit.id !== unitId));
+      return;
+    }
+
+    setIsSelectingUnit(true);
+    try {
+      const label = getAdminUnitLabel(unitLevel, unitId);
+      let tracts = getRenderedUnitTracts(mapInstance, unitId);
+
+      // Tracts off screen are not rendered, so bring the unit into view and look again; each
+      // look can find more of it, so this repeats a few times
+      let isClipped = areTractsClippedByView(mapInstance, tracts);
+      for (let fit = 0; isClipped && fit < MAX_UNIT_FITS; fit++) {
+        const bounds = getTractsBoundingBox(tracts);
+        await new Promise(resolve => {
+          mapInstance.once('moveend', resolve);
+          mapInstance.fitBounds(
+            [[bounds.minLng, bounds.minLat], [bounds.maxLng, bounds.maxLat]],
+            { padding: 80, duration: 800 }
+          );
+        });
+        await waitForMapRender(mapInstance);
+        tracts = getRenderedUnitTracts(mapInstance, unitId);
+        isClipped = mapInstance.getZoom() < CENSUS_MIN_ZOOM || tracts.length === 0 ||
+          areTractsClippedByView(mapInstance, tracts);
+      }
+
+      // A partial outline would quietly analyse only part of the unit
+      if (isClipped) {
+        setUnitError(`${label} does not fit in view with its tracts drawn; select smaller units instead`);
+        return;
+      }
+
+      const unit = await buildAdminUnitGeometry(tracts);
+      if (!unit) {
+        setUnitError('Could not build the outline of this unit');
+        return;
+      }
+
+      const selected = {
+        id: unitId,
+        level: unitLevel,
+        label,
+        tractCount: unit.tractCount,
+        geometry: unit.geometry
+      };
+      applyUnits(isAdditive ? [...selectedUnits, selected] : [selected]);
+    } catch (error) {
+      console.error('Error selecting administrative unit:', error);
+      setUnitError('Failed to select this unit');
+    } finally {
+      setIsSelectingUnit(false);
+    }
+  }, [mapInstance, isSelectingUnit, unitLevel, selectedUnits, applyUnits]);
+
+  const toggleUnitMode = useCallback(() => {
+    setIsUnitMode(prev => !prev);
+    setUnitError(null);
+  }, []);
+
+  // Units of different levels would overlap, so switching level starts over
+  const changeUnitLevel = useCallback((level) => {
+    setUnitLevel(level);
+    if (selectedUnits.length > 0) {
+      applyUnits([]);
+    }
+  }, [selectedUnits, applyUnits]);
+
+  // Clearing the area or choosing it another way replaces the unit selection
+  useEffect(() => {
+    if (polygon !== appliedAreaRef.current) {
+      appliedAreaRef.current = null;
+      setSelectedUnits([]);
+    }
+  }, [polygon]);
+
+  // Faint tract outlines show what can be clicked
+  useEffect(() => {
+    if (!mapInstance) return;
+    censusLayerManager.updateVisibility(mapInstance, isUnitMode);
+  }, [mapInstance, isUnitMode]);
+
+  return {
+    isUnitMode,
+    unitLevel,
+    selectedUnits,
+    isSelectingUnit,
+    unitError,
+    selectUnitAt,
+    toggleUnitMode,
+    changeUnitLevel
+  };
+};
@@ -0,0 +1,145 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { waitForMapRender, drawMapCanvas, drawTimestamp, drawLegend } from '../../utils/map/mapCapture';
+import {
+  createGifEncoder,
+  createWebMEncoder,
+  getRecordingLimitError
+} from '../../utils/map/animationEncoders';
+import { downloadFile, getExportFilename } from '../../utils/map/exportData';
+import { formatZonedDateTime } from '../../utils/map/timeZones';
+import { tagForecastLabel } from '../../utils/map/forecast';
+import { getAqiStandard } from '../../utils/map/aqi';
+
+// Time for React to apply the new hour to the map layers before waiting on the map
+const HOUR_SETTLE_DELAY = 150;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatFrameLabel = (timeWindow, hour, timeZone, forecastStart) => {
+  const time = new Date(timeWindow.startDate.getTime() + hour * MS_PER_HOUR);
+  return tagForecastLabel(formatZonedDateTime(time, timeZone), time, forecastStart);
+};
+
+export const useAnimationRecorder = ({
+  mapInstance,
+  timeWindow,
+  currentHour,
+  setCurrentHour,
+  setIsPlaying,
+  isDarkMode,
+  pm25Threshold,
+  timeZone = 'UTC',
+  forecastStart = null,
+  aqiStandard,
+  aqiDisplayUnit
+}) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingProgress, setRecordingProgress] = useState(null);
+  const [recordingError, setRecordingError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const currentHourRef = useRef(currentHour);
+  currentHourRef.current = currentHour;
+
+  // Draws the map and its overlays for an hour into the capture canvas
+  const captureFrame = useCallback((canvas, hour) => {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+    const scale = height / 720;
+
+    drawMapCanvas(ctx, mapInstance, width, height);
+    drawTimestamp(ctx, formatFrameLabel(timeWindow, hour, timeZone, forecastStart), { scale, isDarkMode });
+    drawLegend(ctx, height, {
+      scale,
+      isDarkMode,
+      pm25Threshold,
+      standard: getAqiStandard(aqiStandard),
+      displayUnit: aqiDisplayUnit
+    });
+  }, [mapInstance, timeWindow, isDarkMode, pm25Threshold, timeZone, forecastStart, aqiStandard, aqiDisplayUnit]);
+
+  // Steps through the hours and hands each captured frame straight to the encoder,
+  // then downloads the encoded clip
+  const startRecording = useCallback(async ({ startHour, endHour, format, fps, resolution }) => {
+    if (!mapInstance || isRecording) return;
+
+    const frameCount = endHour - startHour + 1;
+    const limitError = getRecordingLimitError(frameCount, format, resolution);
+    if (limitError) {
+      setRecordingError(limitError);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const initialHour = currentHourRef.current;
+    const canvas = document.createElement('canvas');
+    canvas.width = resolution.width;
+    canvas.height = resolution.height;
+    let encoder = null;
+
+    setIsPlaying(false);
+    setIsRecording(true);
+    setRecordingError(null);
+    setRecordingProgress({ phase: 'capturing', value: 0 });
+
+    try {
+      const createEncoder = format === 'webm' ? createWebMEncoder : createGifEncoder;
+      encoder = createEncoder({ width: resolution.width, height: resolution.height, fps });
+
+      for (let hour = startHour; hour <= endHour; hour++) {
+        if (controller.signal.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+
+        setCurrentHour(hour);
+        await sleep(HOUR_SETTLE_DELAY);
+        await waitForMapRender(mapInstance);
+
+        captureFrame(canvas, hour);
+        await encoder.addFrame(canvas);
+        setRecordingProgress({
+          phase: 'capturing',
+          value: (hour - startHour + 1) / frameCount
+        });
+      }
+
+      setRecordingProgress({ phase: 'encoding', value: 0 });
+      const blob = await encoder.finish({
+        signal: controller.signal,
+        onProgress: value => setRecordingProgress({ phase: 'encoding', value })
+      });
+
+      const filename = `${getExportFilename('pm25-animation', timeWindow)}.${format}`;
+      downloadFile(blob, filename);
+    } catch (error) {
+      encoder?.abort();
+      if (error.name !== 'AbortError') {
+        console.error('Error recording animation:', error);
+        setRecordingError(error.message || 'Failed to record animation');
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setCurrentHour(initialHour);
+      setIsRecording(false);
+      setRecordingProgress(null);
+    }
+  }, [mapInstance, isRecording, timeWindow, captureFrame, setCurrentHour, setIsPlaying]);
+
+  const cancelRecording = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  // Stop an in-flight recording when the map goes away
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  return {
+    isRecording,
+    recordingProgress,
+    recordingError,
+    startRecording,
+    cancelRecording
+  };
+};
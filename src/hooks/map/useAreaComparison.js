@@ -0,0 +1,93 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import calculateAreaStats, { toChartRows, mergeChartRows } from '../../utils/map/calculateAreaStats';
+import calculateTileAreaStats from '../../utils/map/tileAreaStats';
+import { isAnalysisCancelled } from '../../utils/map/analysisClient';
+
+/**
+ * Hourly PM2.5 series for every saved area, read from the data tiles
+ * Areas whose tiles cannot be read build up their series from rendered hours as the animation plays
+ */
+export const useAreaComparison = ({
+  map,
+  areas,
+  tilesets,
+  isPlaying,
+  currentDateTime
+}) => {
+  const [seriesByArea, setSeriesByArea] = useState({});
+  const controllerRef = useRef(null);
+  const hasFullSeriesRef = useRef(false);
+
+  const updateSeries = useCallback(async () => {
+    if (!map || areas.length === 0) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    try {
+      const results = await Promise.all(areas.map(async area => {
+        try {
+          const stats = await calculateTileAreaStats(area.polygon, tilesets, { signal: controller.signal });
+          return { id: area.id, rows: toChartRows(stats), isComplete: true };
+        } catch (error) {
+          if (isAnalysisCancelled(error)) throw error;
+          console.warn(`Could not read the data tiles for area ${area.id}, using rendered features:`, error);
+        }
+        return {
+          id: area.id,
+          rows: toChartRows(await calculateAreaStats(map, area.polygon, tilesets, { signal: controller.signal })),
+          isComplete: false
+        };
+      }));
+
+      hasFullSeriesRef.current = results.every(({ isComplete }) => isComplete);
+      setSeriesByArea(prev => {
+        const next = {};
+        results.forEach(({ id, rows, isComplete }) => {
+          next[id] = isComplete ? rows : mergeChartRows(prev[id] || [], rows);
+        });
+        return next;
+      });
+    } catch (error) {
+      if (isAnalysisCancelled(error)) return;
+      console.error('Error calculating comparison series:', error);
+    }
+  }, [map, areas, tilesets]);
+
+  /**
+   * Starts an area's series from hours already collected for it
+   * @param {number} id - Saved area id
+   * @param {Array} rows - Chart rows collected before the area was saved
+   */
+  const seedSeries = useCallback((id, rows) => {
+    setSeriesByArea(prev => ({
+      ...prev,
+      [id]: mergeChartRows(prev[id] || [], rows)
+    }));
+  }, []);
+
+  // Hours from a previous date window no longer apply
+  useEffect(() => {
+    setSeriesByArea({});
+  }, [tilesets]);
+
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, [areas, tilesets]);
+
+  useEffect(() => {
+    updateSeries();
+  }, [updateSeries]);
+
+  useEffect(() => {
+    if (isPlaying && !hasFullSeriesRef.current) {
+      updateSeries();
+    }
+  }, [isPlaying, currentDateTime, updateSeries]);
+
+  return {
+    seriesByArea,
+    seedSeries
+  };
+};
@@ -1,21 +1,8 @@
 import { useState, useCallback, useEffect } from 'react';
+import { createGeodesicCircle } from '../../utils/map/drawingShapes';
 
-export const POINT_RADIUS = 0.1;
-
-const createCirclePolygon = (center, radiusDegrees) => {
-  const points = 64;
-  const coords = [];
-  
-  for (let i = 0; i <= points; i++) {
-    const angle = (i * 360) / points;
-    const dx = radiusDegrees * Math.cos((angle * Math.PI) / 180);
-    const dy = radiusDegrees * Math.sin((angle * Math.PI) / 180);
-    coords.push([center[0] + dx, center[1] + dy]);
-  }
-  
-  coords.push(coords[0]);
-  return coords;
-};
+// Radius of the area selected around a clicked point, in kilometres
+export const POINT_RADIUS_KM = 10;
 
 export const useAreaSelection = (mapInstance, setIsPlaying, onAreaSelected) => {
   const [drawingMode, setDrawingMode] = useState(false);
@@ -91,7 +78,7 @@ export const useAreaSelection = (mapInstance, setIsPlaying, onAreaSelected) => {
       setTempPolygon(prev => [...prev, [lng, lat]]);
     } else if (selectionMode) {
       const point = [lng, lat];
-      const circlePolygon = createCirclePolygon(point, POINT_RADIUS);
+      const circlePolygon = createGeodesicCircle(point, POINT_RADIUS_KM);
       
       setSelectedPoint(point);
       setPolygon(circlePolygon);
@@ -105,7 +92,7 @@ export const useAreaSelection = (mapInstance, setIsPlaying, onAreaSelected) => {
       onAreaSelected?.({
         type: 'point',
         center: point,
-        radius: POINT_RADIUS,
+        radiusKm: POINT_RADIUS_KM,
         polygon: circlePolygon
       });
     }
@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { toAreaGeometry } from '../../utils/map/geometryUtils';
+
+export const MAX_SAVED_AREAS = 6;
+export const AREA_COLORS = ['#cea25d', '#3a7370', '#dd3b00', '#789ba8', '#8b5cf6', '#99aa88'];
+
+const SAVED_AREAS_SOURCE = 'saved-areas';
+const SAVED_AREAS_FILL = 'saved-areas-fill';
+const SAVED_AREAS_LINE = 'saved-areas-line';
+const SAVED_AREAS_LABEL = 'saved-areas-label';
+
+export const useAreaWorkspace = ({
+  mapInstance,
+  polygon,
+  setPolygon,
+  selectedTracts,
+  savedAreas,
+  setSavedAreas
+}) => {
+  const nextIdRef = useRef(1);
+
+  /**
+   * Keeps the current selection, with its apportioned tracts, in the comparison
+   * @param {string} name - Name shown in the legend and table
+   * @returns {Object|null} The saved area
+   */
+  const saveArea = useCallback((name) => {
+    if (!polygon || savedAreas.length >= MAX_SAVED_AREAS) return null;
+
+    const id = nextIdRef.current++;
+    const area = {
+      id,
+      name: name?.trim() || `Area ${id}`,
+      color: AREA_COLORS.find(color => !savedAreas.some(saved => saved.color === color)),
+      polygon,
+      tracts: selectedTracts
+    };
+    setSavedAreas(prev => [...prev, area]);
+    return area;
+  }, [polygon, selectedTracts, savedAreas, setSavedAreas]);
+
+  const removeArea = useCallback((id) => {
+    setSavedAreas(prev => prev.filter(area => area.id !== id));
+  }, [setSavedAreas]);
+
+  // Makes a saved area the current selection again for the detailed views
+  const showArea = useCallback((id) => {
+    const area = savedAreas.find(saved => saved.id === id);
+    if (area) setPolygon(area.polygon);
+  }, [savedAreas, setPolygon]);
+
+  // Tract population arrives after the area is saved when it was saved quickly
+  useEffect(() => {
+    if (!selectedTracts) return;
+    setSavedAreas(prev => {
+      const index = prev.findIndex(area => area.polygon === polygon && !area.tracts);
+      if (index === -1) return prev;
+      const next = [...prev];
+      next[index] = { ...next[index], tracts: selectedTracts };
+      return next;
+    });
+  }, [polygon, selectedTracts, setSavedAreas]);
+
+  useEffect(() => {
+    if (!mapInstance || mapInstance._removed) return;
+
+    const data = {
+      type: 'FeatureCollection',
+      features: savedAreas.map(area => ({
+        type: 'Feature',
+        properties: { id: area.id, name: area.name, color: area.color },
+        geometry: toAreaGeometry(area.polygon)
+      }))
+    };
+
+    const drawSavedAreas = () => {
+      try {
+        if (mapInstance.getSource(SAVED_AREAS_SOURCE)) {
+          mapInstance.getSource(SAVED_AREAS_SOURCE).setData(data);
+          return;
+        }
+
+        mapInstance.addSource(SAVED_AREAS_SOURCE, { type: 'geojson', data });
+        mapInstance.addLayer({
+          id: SAVED_AREAS_FILL,
+          type: 'fill',
+          source: SAVED_AREAS_SOURCE,
+          paint: {
+            'fill-color': ['get', 'color'],
+            'fill-opacity': 0.12
+          }
+        });
+        mapInstance.addLayer({
+          id: SAVED_AREAS_LINE,
+          type: 'line',
+          source: SAVED_AREAS_SOURCE,
+          paint: {
+            'line-color': ['get', 'color'],
+            'line-width': 2.5
+          }
+        });
+        mapInstance.addLayer({
+          id: SAVED_AREAS_LABEL,
+          type: 'symbol',
+          source: SAVED_AREAS_SOURCE,
+          layout: {
+            'text-field': ['get', 'name'],
+            'text-size': 13
+          },
+          paint: {
+            'text-color': ['get', 'color'],
+            'text-halo-color': '#ffffff',
+            'text-halo-width': 1.5
+          }
+        });
+      } catch (error) {
+        console.error('Error drawing saved areas:', error);
+      }
+    };
+
+    drawSavedAreas();
+
+    // Basemap changes replace the style and drop the layers
+    mapInstance.on('style.load', drawSavedAreas);
+    return () => mapInstance.off('style.load', drawSavedAreas);
+  }, [mapInstance, savedAreas]);
+
+  return {
+    saveArea,
+    removeArea,
+    showArea
+  };
+};
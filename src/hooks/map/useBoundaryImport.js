@@ -0,0 +1,103 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { parseBoundaryFile } from '../../utils/map/boundaryImport';
+import { getGeometryBoundingBox, toSelectionArea } from '../../utils/map/geometryUtils';
+
+const ERROR_DISPLAY_MS = 6000;
+
+export const useBoundaryImport = ({
+  mapInstance,
+  setPolygon,
+  clearPolygon,
+  setIsPlaying
+}) => {
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const dragDepthRef = useRef(0);
+
+  const importBoundary = useCallback(async (file) => {
+    if (!file || !mapInstance) return;
+
+    setIsImporting(true);
+    setImportError(null);
+
+    try {
+      const geometry = await parseBoundaryFile(file);
+      const bounds = getGeometryBoundingBox(geometry);
+
+      clearPolygon();
+
+      // Census tracts are read from the rendered map, so select once the area is in view
+      await new Promise(resolve => {
+        mapInstance.once('moveend', resolve);
+        mapInstance.fitBounds(
+          [[bounds.minLng, bounds.minLat], [bounds.maxLng, bounds.maxLat]],
+          { padding: 80, duration: 1000, maxZoom: 12 }
+        );
+      });
+
+      setPolygon(toSelectionArea(geometry));
+      setIsPlaying(true);
+    } catch (error) {
+      console.error('Error importing boundary:', error);
+      setImportError(`Could not import ${file.name}: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [mapInstance, setPolygon, clearPolygon, setIsPlaying]);
+
+  useEffect(() => {
+    if (!importError) return;
+    const timeout = setTimeout(() => setImportError(null), ERROR_DISPLAY_MS);
+    return () => clearTimeout(timeout);
+  }, [importError]);
+
+  // Accept files dropped anywhere on the page
+  useEffect(() => {
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepthRef.current++;
+      setIsDraggingFile(true);
+    };
+
+    const handleDragOver = (event) => {
+      if (hasFiles(event)) event.preventDefault();
+    };
+
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) setIsDraggingFile(false);
+    };
+
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepthRef.current = 0;
+      setIsDraggingFile(false);
+      importBoundary(event.dataTransfer.files[0]);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, [importBoundary]);
+
+  return {
+    isDraggingFile,
+    isImporting,
+    importError,
+    importBoundary
+  };
+};
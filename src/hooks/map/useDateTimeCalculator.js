@@ -1,23 +1,19 @@
 import { useCallback } from 'react';
-import { START_DATE, TILESET_INFO } from '../../utils/map/constants.js';
+import { DEFAULT_TIME_WINDOW, findTileset } from '../../utils/map/constants.js';
 
-export const useDateTimeCalculator = (currentHour) => {
+export const useDateTimeCalculator = (currentHour, timeWindow = DEFAULT_TIME_WINDOW) => {
   return useCallback(() => {
     const msPerHour = 60 * 60 * 1000;
-    const currentDate = new Date(START_DATE.getTime() + (currentHour * msPerHour));
+    const currentDate = new Date(timeWindow.startDate.getTime() + (currentHour * msPerHour));
     const date = currentDate.toISOString().split('T')[0];
     const hour = currentDate.getUTCHours();
   
-    const currentTileset = TILESET_INFO.find(tileset => 
-      tileset.date === date && 
-      hour >= tileset.startHour && 
-      hour <= tileset.endHour
-    );
+    const currentTileset = findTileset(date, hour, timeWindow.tilesets);
   
     if (!currentTileset) {
       return { date: '', hour: 0 };
     }
   
     return { date, hour };
-  }, [currentHour]);
+  }, [currentHour, timeWindow]);
 };
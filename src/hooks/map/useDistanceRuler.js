@@ -0,0 +1,230 @@
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { geodesicDistance, interpolateGeodesic, formatDistance } from '../../utils/map/geodesy';
+import { DOUBLE_CLICK_THRESHOLD } from './useDrawingInteraction';
+
+const RULER_SOURCE = 'ruler-source';
+const RULER_LINE = 'ruler-line';
+const RULER_POINTS = 'ruler-points';
+const RULER_LABELS = 'ruler-labels';
+
+// Segments this long or longer are drawn along their curve rather than straight
+const CURVE_MIN_KM = 50;
+
+const toSegmentLine = (from, to) => (
+  geodesicDistance(from, to) >= CURVE_MIN_KM ? interpolateGeodesic(from, to) : [from, to]
+);
+
+/**
+ * Click-to-measure ruler
+ * Each click adds a point, a double-click ends the line and the next click starts a new one
+ */
+export const useDistanceRuler = ({
+  mapInstance,
+  isDarkMode
+}) => {
+  const [isRulerMode, setIsRulerMode] = useState(false);
+  const [rulerPoints, setRulerPoints] = useState([]);
+  const [isRulerFinished, setIsRulerFinished] = useState(false);
+  const [rulerUnit, setRulerUnit] = useState('km');
+  const [hoverPosition, setHoverPosition] = useState(null);
+  const lastClickRef = useRef(0);
+
+  const segmentsKm = useMemo(() => rulerPoints.slice(1).map((point, index) =>
+    geodesicDistance(rulerPoints[index], point)
+  ), [rulerPoints]);
+
+  const totalKm = segmentsKm.reduce((sum, km) => sum + km, 0);
+
+  const pendingKm = !isRulerFinished && hoverPosition && rulerPoints.length > 0
+    ? geodesicDistance(rulerPoints[rulerPoints.length - 1], hoverPosition)
+    : 0;
+
+  const addRulerPoint = useCallback((lngLat) => {
+    const now = Date.now();
+    const isDoubleClick = now - lastClickRef.current < DOUBLE_CLICK_THRESHOLD;
+    lastClickRef.current = isDoubleClick ? 0 : now;
+
+    if (isDoubleClick) {
+      setIsRulerFinished(true);
+      return;
+    }
+
+    if (isRulerFinished) {
+      setIsRulerFinished(false);
+      setRulerPoints([lngLat]);
+      return;
+    }
+    setRulerPoints(prev => [...prev, lngLat]);
+  }, [isRulerFinished]);
+
+  const clearRuler = useCallback(() => {
+    setRulerPoints([]);
+    setIsRulerFinished(false);
+  }, []);
+
+  const toggleRulerMode = useCallback(() => {
+    setIsRulerMode(prev => !prev);
+    setRulerPoints([]);
+    setIsRulerFinished(false);
+  }, []);
+
+  const stopRuler = useCallback(() => {
+    setIsRulerMode(false);
+    setRulerPoints([]);
+    setIsRulerFinished(false);
+  }, []);
+
+  // Follow the pointer so the next segment shows before it is placed
+  useEffect(() => {
+    if (!mapInstance || !isRulerMode) return;
+
+    const handleMouseMove = (e) => setHoverPosition([e.lngLat.lng, e.lngLat.lat]);
+    const handleMouseOut = () => setHoverPosition(null);
+
+    mapInstance.on('mousemove', handleMouseMove);
+    mapInstance.on('mouseout', handleMouseOut);
+    mapInstance.doubleClickZoom.disable();
+
+    return () => {
+      mapInstance.off('mousemove', handleMouseMove);
+      mapInstance.off('mouseout', handleMouseOut);
+      setHoverPosition(null);
+      if (!mapInstance._removed) {
+        mapInstance.doubleClickZoom.enable();
+      }
+    };
+  }, [mapInstance, isRulerMode]);
+
+  // Escape ends the current line, or clears it once it has ended
+  useEffect(() => {
+    if (!isRulerMode) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      if (isRulerFinished || rulerPoints.length < 2) {
+        clearRuler();
+      } else {
+        setIsRulerFinished(true);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isRulerMode, isRulerFinished, rulerPoints.length, clearRuler]);
+
+  useEffect(() => {
+    if (!mapInstance || mapInstance._removed) return;
+
+    const path = !isRulerFinished && hoverPosition && rulerPoints.length > 0
+      ? [...rulerPoints, hoverPosition]
+      : rulerPoints;
+
+    let distance = 0;
+    const labels = path.map((point, index) => {
+      if (index > 0) distance += geodesicDistance(path[index - 1], point);
+      return {
+        type: 'Feature',
+        properties: {
+          kind: 'point',
+          label: index === 0 ? '' : formatDistance(distance, rulerUnit)
+        },
+        geometry: { type: 'Point', coordinates: point }
+      };
+    });
+
+    const line = path.slice(1).flatMap((point, index) => {
+      const segment = toSegmentLine(path[index], point);
+      return index === 0 ? segment : segment.slice(1);
+    });
+
+    const data = {
+      type: 'FeatureCollection',
+      features: isRulerMode ? [
+        ...(line.length > 1 ? [{
+          type: 'Feature',
+          properties: { kind: 'line' },
+          geometry: { type: 'LineString', coordinates: line }
+        }] : []),
+        ...labels
+      ] : []
+    };
+
+    const color = isDarkMode ? '#FBBF24' : '#B45309';
+
+    const drawRuler = () => {
+      try {
+        if (mapInstance.getSource(RULER_SOURCE)) {
+          mapInstance.getSource(RULER_SOURCE).setData(data);
+          mapInstance.setPaintProperty(RULER_LINE, 'line-color', color);
+          mapInstance.setPaintProperty(RULER_POINTS, 'circle-color', color);
+          return;
+        }
+
+        mapInstance.addSource(RULER_SOURCE, { type: 'geojson', data });
+        mapInstance.addLayer({
+          id: RULER_LINE,
+          type: 'line',
+          source: RULER_SOURCE,
+          filter: ['==', ['get', 'kind'], 'line'],
+          paint: {
+            'line-color': color,
+            'line-width': 2.5,
+            'line-dasharray': [3, 2]
+          }
+        });
+        mapInstance.addLayer({
+          id: RULER_POINTS,
+          type: 'circle',
+          source: RULER_SOURCE,
+          filter: ['==', ['get', 'kind'], 'point'],
+          paint: {
+            'circle-radius': 4,
+            'circle-color': color,
+            'circle-stroke-width': 2,
+            'circle-stroke-color': '#ffffff'
+          }
+        });
+        mapInstance.addLayer({
+          id: RULER_LABELS,
+          type: 'symbol',
+          source: RULER_SOURCE,
+          filter: ['==', ['get', 'kind'], 'point'],
+          layout: {
+            'text-field': ['get', 'label'],
+            'text-size': 12,
+            'text-offset': [0, -1.2],
+            'text-allow-overlap': true
+          },
+          paint: {
+            'text-color': '#1F2937',
+            'text-halo-color': '#ffffff',
+            'text-halo-width': 1.5
+          }
+        });
+      } catch (error) {
+        console.error('Error drawing ruler:', error);
+      }
+    };
+
+    drawRuler();
+
+    // Basemap changes replace the style and drop the layers
+    mapInstance.on('style.load', drawRuler);
+    return () => mapInstance.off('style.load', drawRuler);
+  }, [mapInstance, isRulerMode, rulerPoints, isRulerFinished, hoverPosition, rulerUnit, isDarkMode]);
+
+  return {
+    isRulerMode,
+    rulerPoints,
+    isRulerFinished,
+    rulerUnit,
+    segmentsKm,
+    totalKm,
+    pendingKm,
+    addRulerPoint,
+    clearRuler,
+    toggleRulerMode,
+    stopRuler,
+    setRulerUnit
+  };
+};
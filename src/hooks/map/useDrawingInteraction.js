@@ -1,13 +1,28 @@
 import { useCallback, useEffect } from 'react';
 import getSelectedCensusTracts, { cleanupHighlightLayers } from '../../utils/map/censusAnalysis';
 import handleEnhancedMapClick from '../../components/Map/controls/handleEnhancedMapClick.js';
+import {
+  createGeodesicCircle,
+  createRectangle,
+  createFreehandPolygon,
+  createCorridor,
+  toKilometers
+} from '../../utils/map/drawingShapes';
+import { toSelectionArea } from '../../utils/map/geometryUtils';
+import { canCompletePolygon } from '../../components/Map/drawing/DrawingInstructions';
 
 export const DOUBLE_CLICK_THRESHOLD = 300;
 
+// Screen pixels between recorded points of a freehand path
+const FREEHAND_SPACING = 4;
+
 export const useDrawingInteraction = ({
   mapInstance,
   drawingMode,
   setDrawingMode,
+  drawingTool,
+  setDrawingTool,
+  drawingOptions,
   isPointSelected,
   setIsPointSelected,
   polygon,
@@ -19,8 +34,30 @@ export const useDrawingInteraction = ({
   setLastClickTime,
   setIsPlaying,
   showTour,
-  isDarkMode
+  isDarkMode,
+  isProbeMode,
+  onProbe,
+  isUnitMode,
+  onSelectUnit,
+  isRulerMode,
+  onMeasure,
+  isEditing,
+  editCursor
 }) => {
+  // Ends drawing with the finished shape as the selected area
+  const completeShape = useCallback((area) => {
+    if (area) {
+      setPolygon(Array.isArray(area) ? area : toSelectionArea(area));
+      setIsPlaying(true);
+    }
+    setDrawingMode(false);
+    setTempPolygon([]);
+
+    if (mapInstance) {
+      mapInstance.getCanvas().style.cursor = '';
+    }
+  }, [mapInstance, setPolygon, setIsPlaying, setDrawingMode, setTempPolygon]);
+
   // Handle map click
   const handleMapClick = useCallback((e) => {
     if (showTour) return;
@@ -28,18 +65,36 @@ export const useDrawingInteraction = ({
     if (drawingMode) {
       const { lng, lat } = e.lngLat;
       const now = Date.now();
-      
+
+      if (drawingTool === 'circle') {
+        completeShape(createGeodesicCircle(
+          [lng, lat],
+          toKilometers(drawingOptions.circleRadius, drawingOptions.unit)
+        ));
+        return;
+      }
+
+      if (drawingTool === 'rectangle') {
+        if (tempPolygon.length === 0) {
+          setTempPolygon([[lng, lat]]);
+        } else {
+          completeShape(createRectangle(tempPolygon[0], [lng, lat]));
+        }
+        return;
+      }
+
+      // Freehand paths are drawn by dragging, not clicking
+      if (drawingTool === 'freehand') return;
+
       if (now - lastClickTime < DOUBLE_CLICK_THRESHOLD && tempPolygon.length >= 2) {
-        const finalPolygon = [...tempPolygon, tempPolygon[0]];
-        setPolygon(finalPolygon);
-        setDrawingMode(false);
-        setTempPolygon([]);
-        setIsPlaying(true);
-        
-        if (mapInstance) {
-          mapInstance.getCanvas().style.cursor = '';
+        if (drawingTool === 'corridor') {
+          completeShape(createCorridor(
+            tempPolygon,
+            toKilometers(drawingOptions.corridorWidth, drawingOptions.unit)
+          ));
+        } else {
+          completeShape([...tempPolygon, tempPolygon[0]]);
         }
-        
         setLastClickTime(0);
         return;
       }
@@ -48,6 +103,26 @@ export const useDrawingInteraction = ({
       setLastClickTime(now);
       return;
     }
+
+    // Edits handle their own clicks on the area
+    if (isEditing) return;
+
+    if (isRulerMode) {
+      onMeasure([e.lngLat.lng, e.lngLat.lat]);
+      return;
+    }
+
+    if (isUnitMode) {
+      onSelectUnit(e.point, Boolean(e.originalEvent?.shiftKey));
+      return;
+    }
+
+    if (isProbeMode) {
+      // Clicks on the probe cards themselves reach the map as well
+      if (e.originalEvent?.target?.closest?.('.probe-popover')) return;
+      onProbe([e.lngLat.lng, e.lngLat.lat]);
+      return;
+    }
     
     if (!isPointSelected && mapInstance) {
       try {
@@ -55,7 +130,7 @@ export const useDrawingInteraction = ({
           initialZoomLevel: 7,
           zoomDuration: 1000,
           selectionDelay: 500,
-          selectionRadius: 0.1
+          selectionRadiusKm: 10
         }).then(selection => {
           setPolygon(selection.polygon);
           setIsPointSelected(true);
@@ -74,14 +149,23 @@ export const useDrawingInteraction = ({
     }
   }, [
     drawingMode, 
+    drawingTool,
+    drawingOptions,
+    completeShape,
     isPointSelected, 
     mapInstance, 
     isDarkMode, 
     tempPolygon, 
     lastClickTime, 
     showTour,
+    isProbeMode,
+    onProbe,
+    isUnitMode,
+    onSelectUnit,
+    isRulerMode,
+    onMeasure,
+    isEditing,
     setPolygon,
-    setDrawingMode,
     setTempPolygon,
     setIsPlaying,
     setIsPointSelected,
@@ -120,32 +204,82 @@ export const useDrawingInteraction = ({
   // Get map cursor based on current state
   const getCursor = useCallback(() => {
     if (showTour) return 'default';
-    if (drawingMode) return 'crosshair';
+    if (isEditing) return editCursor || 'default';
+    if (drawingMode || isProbeMode || isRulerMode) return 'crosshair';
+    if (isUnitMode) return 'pointer';
     if (isPointSelected) return 'not-allowed';
     return 'pointer';
-  }, [drawingMode, isPointSelected, showTour]);
+  }, [drawingMode, isProbeMode, isUnitMode, isRulerMode, isEditing, editCursor, isPointSelected, showTour]);
 
   // Drawing mode handlers
-  const startDrawing = useCallback(() => {
+  const startDrawing = useCallback((tool = 'polygon') => {
+    setDrawingTool(tool);
     setDrawingMode(true);
     setTempPolygon([]);
     setPolygon(null);
     if (mapInstance) {
       mapInstance.getCanvas().style.cursor = 'crosshair';
     }
-  }, [mapInstance, setDrawingMode, setTempPolygon, setPolygon]);
+  }, [mapInstance, setDrawingTool, setDrawingMode, setTempPolygon, setPolygon]);
 
   const finishDrawing = useCallback(() => {
-    if (tempPolygon.length >= 3) {
-      const finalPolygon = [...tempPolygon, tempPolygon[0]];
-      setPolygon(finalPolygon);
-    }
-    setDrawingMode(false);
-    setTempPolygon([]);
-    if (mapInstance) {
-      mapInstance.getCanvas().style.cursor = '';
+    if (!canCompletePolygon(tempPolygon, drawingTool)) {
+      completeShape(null);
+    } else if (drawingTool === 'corridor') {
+      completeShape(createCorridor(
+        tempPolygon,
+        toKilometers(drawingOptions.corridorWidth, drawingOptions.unit)
+      ));
+    } else {
+      completeShape([...tempPolygon, tempPolygon[0]]);
     }
-  }, [tempPolygon, mapInstance, setPolygon, setDrawingMode, setTempPolygon]);
+  }, [tempPolygon, drawingTool, drawingOptions, completeShape]);
+
+  // Freehand paths follow the pointer while the button is held, so panning is off
+  useEffect(() => {
+    if (!mapInstance || !drawingMode || drawingTool !== 'freehand') return;
+
+    let path = null;
+    let lastPoint = null;
+
+    const handleMouseDown = (e) => {
+      path = [[e.lngLat.lng, e.lngLat.lat]];
+      lastPoint = e.point;
+      setTempPolygon(path);
+    };
+
+    const handleMouseMove = (e) => {
+      if (!path || Math.hypot(e.point.x - lastPoint.x, e.point.y - lastPoint.y) < FREEHAND_SPACING) return;
+      path = [...path, [e.lngLat.lng, e.lngLat.lat]];
+      lastPoint = e.point;
+      setTempPolygon(path);
+    };
+
+    const handleMouseUp = () => {
+      if (!path) return;
+      const ring = createFreehandPolygon(path);
+      path = null;
+      if (ring) {
+        completeShape(ring);
+      } else {
+        setTempPolygon([]);
+      }
+    };
+
+    mapInstance.dragPan.disable();
+    mapInstance.on('mousedown', handleMouseDown);
+    mapInstance.on('mousemove', handleMouseMove);
+    mapInstance.on('mouseup', handleMouseUp);
+
+    return () => {
+      mapInstance.off('mousedown', handleMouseDown);
+      mapInstance.off('mousemove', handleMouseMove);
+      mapInstance.off('mouseup', handleMouseUp);
+      if (!mapInstance._removed) {
+        mapInstance.dragPan.enable();
+      }
+    };
+  }, [mapInstance, drawingMode, drawingTool, completeShape, setTempPolygon]);
 
   // Track mouse position during drawing
   useEffect(() => {
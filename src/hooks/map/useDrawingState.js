@@ -1,16 +1,26 @@
 import { useState } from 'react';
+import { parseUrlState } from '../../utils/map/urlState';
+import { DEFAULT_DRAWING_OPTIONS } from '../../constants/map/drawingTools';
 
 export const useDrawingState = () => {
   const [drawingMode, setDrawingMode] = useState(false);
+  const [drawingTool, setDrawingTool] = useState('polygon');
+  const [drawingOptions, setDrawingOptions] = useState(DEFAULT_DRAWING_OPTIONS);
   const [isPointSelected, setIsPointSelected] = useState(false);
-  const [polygon, setPolygon] = useState(null);
+  const [polygon, setPolygon] = useState(() => parseUrlState(window.location.search).polygon ?? null);
   const [tempPolygon, setTempPolygon] = useState([]);
   const [mousePosition, setMousePosition] = useState(null);
   const [lastClickTime, setLastClickTime] = useState(0);
+  const [selectedTracts, setSelectedTracts] = useState(null);
+  const [savedAreas, setSavedAreas] = useState([]);
 
   return {
     drawingMode,
     setDrawingMode,
+    drawingTool,
+    setDrawingTool,
+    drawingOptions,
+    setDrawingOptions,
     isPointSelected,
     setIsPointSelected,
     polygon,
@@ -20,6 +30,10 @@ export const useDrawingState = () => {
     mousePosition,
     setMousePosition,
     lastClickTime,
-    setLastClickTime
+    setLastClickTime,
+    selectedTracts,
+    setSelectedTracts,
+    savedAreas,
+    setSavedAreas
   };
 };
@@ -0,0 +1,82 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { SMOKE_EVENTS, getSmokeEvent } from '../../constants/smokeEvents';
+import { formatDateParam, parseDateParam } from '../../utils/map/constants.js';
+
+const FLY_DURATION = 2500;
+
+export const useEventLibrary = ({
+  mapInstance,
+  isMapLoaded,
+  timeWindow,
+  handleDateRangeChange,
+  setPM25Threshold,
+  setIsPlaying
+}) => {
+  const [selectedEventId, setSelectedEventId] = useState(null);
+  const [eventError, setEventError] = useState(null);
+  const initialEventHandled = useRef(false);
+
+  // Load the event's window, fly to it and start playback once the camera settles
+  const selectEvent = useCallback((event) => {
+    if (!mapInstance || !event) return;
+
+    const error = handleDateRangeChange(
+      parseDateParam(event.startDate),
+      parseDateParam(event.endDate)
+    );
+    if (error) {
+      setEventError(`${event.name}: ${error}`);
+      return;
+    }
+
+    setEventError(null);
+    setSelectedEventId(event.id);
+    setPM25Threshold(event.threshold);
+
+    mapInstance.once('moveend', () => setIsPlaying(true));
+    mapInstance.flyTo({
+      center: [event.viewport.longitude, event.viewport.latitude],
+      zoom: event.viewport.zoom,
+      duration: FLY_DURATION,
+      essential: true
+    });
+  }, [mapInstance, handleDateRangeChange, setPM25Threshold, setIsPlaying]);
+
+  // Marks an event as active without replaying it, e.g. when the URL state is restored
+  const restoreEvent = useCallback((eventId) => {
+    setSelectedEventId(getSmokeEvent(eventId) ? eventId : null);
+  }, []);
+
+  // Open an event linked with ?event=<id>. A full session link also carries
+  // ?time=, in which case the rest of the state is already restored from the URL
+  useEffect(() => {
+    if (!mapInstance || !isMapLoaded || initialEventHandled.current) return;
+    initialEventHandled.current = true;
+
+    const params = new URLSearchParams(window.location.search);
+    const event = getSmokeEvent(params.get('event'));
+    if (!event) return;
+
+    if (params.has('time')) {
+      restoreEvent(event.id);
+    } else {
+      selectEvent(event);
+    }
+  }, [mapInstance, isMapLoaded, selectEvent, restoreEvent]);
+
+  // The event stays active only while its window is loaded
+  const selectedEvent = getSmokeEvent(selectedEventId);
+  const activeEventId = selectedEvent &&
+    formatDateParam(timeWindow.days[0]) === selectedEvent.startDate &&
+    formatDateParam(timeWindow.days[timeWindow.days.length - 1]) === selectedEvent.endDate
+      ? selectedEventId
+      : null;
+
+  return {
+    events: SMOKE_EVENTS,
+    activeEventId,
+    eventError,
+    selectEvent,
+    restoreEvent
+  };
+};
@@ -0,0 +1,26 @@
+import { useState, useEffect, useMemo } from 'react';
+import { NOW_REFRESH_MS } from '../../constants/map/time';
+import { getForecastStart } from '../../utils/map/forecast';
+
+/**
+ * The current time and where the active dataset's forecast begins
+ * Both follow the clock, so a page left open keeps its "now" marker and
+ * boundary in step as new hours arrive
+ * @returns {Object} { now, forecastStart } where forecastStart is null when every hour is observed
+ */
+export const useForecastBoundary = () => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), NOW_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const forecastStartTime = getForecastStart(now)?.getTime() ?? null;
+  const forecastStart = useMemo(
+    () => (forecastStartTime === null ? null : new Date(forecastStartTime)),
+    [forecastStartTime]
+  );
+
+  return { now, forecastStart };
+};
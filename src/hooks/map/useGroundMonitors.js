@@ -0,0 +1,179 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { PM25_LEVELS } from '../../constants/pm25Levels';
+import { isAnalysisCancelled } from '../../utils/map/analysisClient';
+import { parseMonitorFile, getMonitorFeatures } from '../../utils/map/groundMonitors';
+import calculateTileMonitorMatches from '../../utils/map/tileMonitorMatches';
+
+const MONITOR_SOURCE = 'ground-monitors';
+const MONITOR_LAYER = 'ground-monitors-circles';
+
+const ERROR_DISPLAY_MS = 6000;
+
+const EMPTY_MONITORS = { stations: [], observations: {} };
+
+// Monitors take the category colours as flat steps, as the AQI does, rather than the grid's gradient
+const getMonitorColor = (isDarkMode, levels) => [
+  'case',
+  ['has', 'pm25'],
+  [
+    'step',
+    ['get', 'pm25'],
+    isDarkMode ? levels[0].darkColor : levels[0].color,
+    ...levels.slice(1).flatMap(level => [level.value, isDarkMode ? level.darkColor : level.color])
+  ],
+  isDarkMode ? '#4B5563' : '#9CA3AF'
+];
+
+/**
+ * Ground monitor observations loaded from a local file, drawn for the current hour and
+ * paired with the modelled value at each station
+ * The modelled values are read from the data tiles around the stations, so the pairs depend
+ * only on the file and the date window
+ */
+export const useGroundMonitors = ({
+  mapInstance,
+  isMapLoaded,
+  getCurrentDateTime,
+  timeWindow,
+  pm25Levels = PM25_LEVELS,
+  isDarkMode
+}) => {
+  const [monitors, setMonitors] = useState(EMPTY_MONITORS);
+  const [monitorFileName, setMonitorFileName] = useState(null);
+  const [pairs, setPairs] = useState([]);
+  const [pairingProgress, setPairingProgress] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [monitorError, setMonitorError] = useState(null);
+  const [isLayerVisible, setIsLayerVisible] = useState(true);
+  const controllerRef = useRef(null);
+  const featuresRef = useRef(getMonitorFeatures([], {}, ''));
+
+  const hasMonitors = monitors.stations.length > 0;
+  const { date, hour } = getCurrentDateTime();
+  const currentTime = date ? `${date}T${String(hour).padStart(2, '0')}:00:00` : '';
+
+  const importMonitors = useCallback(async (file) => {
+    if (!file) return;
+
+    setIsImporting(true);
+    setMonitorError(null);
+
+    try {
+      const parsed = await parseMonitorFile(file);
+      setMonitors(parsed);
+      setMonitorFileName(file.name);
+      setIsLayerVisible(true);
+    } catch (error) {
+      console.error('Error importing monitors:', error);
+      setMonitorError(`Could not import ${file.name}: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  }, []);
+
+  const clearMonitors = useCallback(() => {
+    controllerRef.current?.abort();
+    setMonitors(EMPTY_MONITORS);
+    setMonitorFileName(null);
+  }, []);
+
+  const toggleMonitorLayer = useCallback(() => {
+    setIsLayerVisible(prev => !prev);
+  }, []);
+
+  useEffect(() => {
+    if (!monitorError) return;
+    const timeout = setTimeout(() => setMonitorError(null), ERROR_DISPLAY_MS);
+    return () => clearTimeout(timeout);
+  }, [monitorError]);
+
+  // Markers for the current hour, kept on top across basemap changes
+  useEffect(() => {
+    if (!mapInstance || !isMapLoaded) return;
+
+    featuresRef.current = getMonitorFeatures(monitors.stations, monitors.observations, currentTime);
+
+    const drawMonitors = () => {
+      try {
+        if (!mapInstance.getStyle()) return;
+
+        if (!mapInstance.getSource(MONITOR_SOURCE)) {
+          mapInstance.addSource(MONITOR_SOURCE, { type: 'geojson', data: featuresRef.current });
+        } else {
+          mapInstance.getSource(MONITOR_SOURCE).setData(featuresRef.current);
+        }
+
+        if (!mapInstance.getLayer(MONITOR_LAYER)) {
+          mapInstance.addLayer({
+            id: MONITOR_LAYER,
+            type: 'circle',
+            source: MONITOR_SOURCE,
+            paint: {
+              'circle-radius': ['case', ['get', 'isRegulatory'], 7, 5],
+              'circle-stroke-width': ['case', ['get', 'isRegulatory'], 2, 1]
+            }
+          });
+        }
+
+        // PM2.5 layers for newly loaded chunks are added above, so bring the markers back up
+        const { layers } = mapInstance.getStyle();
+        if (layers[layers.length - 1]?.id !== MONITOR_LAYER) {
+          mapInstance.moveLayer(MONITOR_LAYER);
+        }
+
+        mapInstance.setPaintProperty(MONITOR_LAYER, 'circle-color', getMonitorColor(isDarkMode, pm25Levels));
+        mapInstance.setPaintProperty(MONITOR_LAYER, 'circle-stroke-color', isDarkMode ? '#111827' : '#ffffff');
+        mapInstance.setPaintProperty(MONITOR_LAYER, 'circle-opacity', ['case', ['has', 'pm25'], 1, 0.5]);
+        mapInstance.setLayoutProperty(MONITOR_LAYER, 'visibility', hasMonitors && isLayerVisible ? 'visible' : 'none');
+      } catch (error) {
+        console.error('Error drawing ground monitors:', error);
+      }
+    };
+
+    drawMonitors();
+    mapInstance.on('style.load', drawMonitors);
+    return () => mapInstance.off('style.load', drawMonitors);
+  }, [mapInstance, isMapLoaded, monitors, currentTime, isDarkMode, pm25Levels, hasMonitors, isLayerVisible]);
+
+  // Pairs are read again from scratch for new monitors or a new date window
+  useEffect(() => {
+    setPairs([]);
+    setPairingProgress(null);
+    if (!hasMonitors) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    calculateTileMonitorMatches(monitors.stations, monitors.observations, timeWindow.tilesets, {
+      signal: controller.signal,
+      onProgress: setPairingProgress
+    })
+      .then(matches => {
+        if (controller.signal.aborted) return;
+        setPairs(matches);
+        setPairingProgress(null);
+      })
+      .catch(error => {
+        if (isAnalysisCancelled(error) || controller.signal.aborted) return;
+        console.error('Error pairing monitors with the model:', error);
+        setMonitorError(`Could not read the model near the stations: ${error.message}`);
+        setPairingProgress(null);
+      });
+
+    return () => controller.abort();
+  }, [hasMonitors, monitors, timeWindow]);
+
+  return {
+    monitors,
+    monitorFileName,
+    pairs,
+    pairingProgress,
+    currentTime,
+    isImportingMonitors: isImporting,
+    monitorError,
+    isMonitorLayerVisible: isLayerVisible,
+    importMonitors,
+    clearMonitors,
+    toggleMonitorLayer
+  };
+};
@@ -0,0 +1,193 @@
+import { useEffect, useRef } from 'react';
+import { findTileset } from '../../utils/map/constants';
+import { getSourceLayerProps } from '../../utils/map/dataSources';
+import { getDataLayerOpacity } from '../../constants/map/renderModes';
+
+const BLEND_LAYERS = {
+  circles: { id: 'pm25-blend-circles', prefix: 'layer-', opacityProperty: 'circle-opacity' },
+  heatmap: { id: 'pm25-blend-heatmap', prefix: 'heatmap-', opacityProperty: 'heatmap-opacity' }
+};
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const toTimeString = (date) => `${date.toISOString().split('T')[0]}T${String(date.getUTCHours()).padStart(2, '0')}:00:00`;
+
+/**
+ * Removes the next-hour layers, which must go before their sources are removed
+ * @param {Object} map - Mapbox GL map instance
+ */
+export const removeBlendLayers = (map) => {
+  Object.values(BLEND_LAYERS).forEach(({ id }) => {
+    if (map.getLayer(id)) {
+      map.removeLayer(id);
+    }
+  });
+};
+
+/**
+ * Opacities that cross-fade two stacked layers without the overall cover dipping midway
+ * @param {number} opacity - Opacity of a single layer at rest
+ * @param {number} progress - 0 at the current hour, 1 at the next
+ * @returns {Object} { current, next } where next is drawn on top
+ */
+export const getBlendOpacities = (opacity, progress) => {
+  const next = opacity * progress;
+  return {
+    current: next >= 1 ? 0 : Math.max(0, (opacity - next) / (1 - next)),
+    next
+  };
+};
+
+// A copy of the current hour's layer, showing the next hour from whichever chunk holds it
+const syncBlendLayer = (map, { id, prefix }, currentTileset, nextTileset, filter) => {
+  const currentLayerId = `${prefix}${currentTileset.id}`;
+  const nextSourceId = `source-${nextTileset.id}`;
+  const layers = map.getStyle().layers;
+  const currentIndex = layers.findIndex(layer => layer.id === currentLayerId);
+  if (currentIndex === -1 || !map.getSource(nextSourceId)) return false;
+
+  const existing = map.getLayer(id);
+  if (existing && existing.source !== nextSourceId) {
+    map.removeLayer(id);
+  }
+
+  if (!map.getLayer(id)) {
+    // The next chunk may be GeoJSON, which takes no source-layer
+    const style = { ...layers[currentIndex] };
+    delete style.id;
+    delete style.source;
+    delete style['source-layer'];
+    const beforeLayer = layers.slice(currentIndex + 1).find(layer => layer.id !== id);
+    map.addLayer({
+      ...style,
+      id,
+      source: nextSourceId,
+      ...getSourceLayerProps(nextTileset),
+      layout: { ...style.layout, visibility: 'visible' }
+    }, beforeLayer?.id);
+  }
+
+  map.setFilter(id, filter);
+  return true;
+};
+
+/**
+ * Cross-fades from each hour to the next during playback
+ * The hour itself still steps in useTimeAnimation; this only blends the layers between steps,
+ * and across chunk boundaries the next hour is read from the following chunk's source
+ */
+export const useHourBlending = ({
+  mapInstance,
+  isMapLoaded,
+  isInterpolated,
+  isPlaying,
+  playbackSpeed,
+  currentHour,
+  getCurrentDateTime,
+  tilesets,
+  pm25Threshold,
+  isDarkMode,
+  renderMode
+}) => {
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    if (!mapInstance || !isMapLoaded) return;
+
+    const blendLayer = BLEND_LAYERS[renderMode];
+    const { date, hour } = getCurrentDateTime();
+    const currentTileset = date ? findTileset(date, hour, tilesets) : null;
+
+    const restore = () => {
+      try {
+        if (!mapInstance.getStyle()) return;
+        removeBlendLayers(mapInstance);
+        if (!currentTileset || !blendLayer) return;
+
+        const currentLayerId = `${blendLayer.prefix}${currentTileset.id}`;
+        if (mapInstance.getLayer(currentLayerId)) {
+          mapInstance.setPaintProperty(currentLayerId, blendLayer.opacityProperty, getDataLayerOpacity(renderMode, isDarkMode));
+        }
+      } catch (error) {
+        console.warn('Error restoring hour layers:', error);
+      }
+    };
+
+    if (!isInterpolated || !isPlaying || !blendLayer || !currentTileset) {
+      restore();
+      return;
+    }
+
+    // The last hour of the window loops back to the start rather than blending into it
+    const nextTime = new Date(new Date(`${date}T${String(hour).padStart(2, '0')}:00:00Z`).getTime() + MS_PER_HOUR);
+    const nextTileset = findTileset(nextTime.toISOString().split('T')[0], nextTime.getUTCHours(), tilesets);
+    if (!nextTileset) {
+      restore();
+      return;
+    }
+
+    let isBlending = false;
+    try {
+      Object.entries(BLEND_LAYERS).forEach(([mode, { id }]) => {
+        if (mode !== renderMode && mapInstance.getLayer(id)) {
+          mapInstance.removeLayer(id);
+        }
+      });
+
+      isBlending = syncBlendLayer(mapInstance, blendLayer, currentTileset, nextTileset, [
+        'all',
+        ['==', ['get', 'time'], toTimeString(nextTime)],
+        ['>=', ['coalesce', ['to-number', ['get', 'PM25'], 0], 0], pm25Threshold]
+      ]);
+    } catch (error) {
+      console.warn('Error preparing next hour layer:', error);
+    }
+    if (!isBlending) return;
+
+    const currentLayerId = `${blendLayer.prefix}${currentTileset.id}`;
+    const opacity = getDataLayerOpacity(renderMode, isDarkMode);
+    const hourDuration = 1000 / playbackSpeed;
+    const startTime = performance.now();
+
+    const animate = (timestamp) => {
+      const progress = Math.min(1, Math.max(0, (timestamp - startTime) / hourDuration));
+      const { current, next } = getBlendOpacities(opacity, progress);
+
+      try {
+        if (!mapInstance.getLayer(currentLayerId) || !mapInstance.getLayer(blendLayer.id)) return;
+        mapInstance.setPaintProperty(currentLayerId, blendLayer.opacityProperty, current);
+        mapInstance.setPaintProperty(blendLayer.id, blendLayer.opacityProperty, next);
+      } catch (error) {
+        console.warn('Error blending hours:', error);
+        return;
+      }
+
+      if (progress < 1) {
+        frameRef.current = requestAnimationFrame(animate);
+      }
+    };
+
+    frameRef.current = requestAnimationFrame(animate);
+
+    return () => {
+      if (frameRef.current) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+    };
+  }, [mapInstance, isMapLoaded, isInterpolated, isPlaying, playbackSpeed, currentHour, getCurrentDateTime, tilesets, pm25Threshold, isDarkMode, renderMode]);
+
+  // Drop the next-hour layers when the map goes away with playback running
+  useEffect(() => {
+    if (!mapInstance) return;
+    return () => {
+      try {
+        if (!mapInstance._removed && mapInstance.getStyle()) {
+          removeBlendLayers(mapInstance);
+        }
+      } catch (error) {
+        console.warn('Error removing next hour layers:', error);
+      }
+    };
+  }, [mapInstance]);
+};
@@ -1,6 +1,54 @@
 import { useCallback, useRef, useEffect } from 'react';
-import { TILESET_INFO } from '../../utils/map/constants';
+import { TILESET_INFO, findTileset } from '../../utils/map/constants';
 import { getPM25ColorInterpolation } from '../../utils/map/colors';
+import { getSourceLayerProps } from '../../utils/map/dataSources';
+import { PM25_LEVELS } from '../../constants/pm25Levels';
+import { DEFAULT_RENDER_MODE, getDataLayerOpacity } from '../../constants/map/renderModes';
+import { removeBlendLayers } from './useHourBlending';
+
+const PM25_VALUE = ['coalesce', ['to-number', ['get', 'PM25'], 0], 0];
+
+const getHeatmapLayerId = (tilesetId) => `heatmap-${tilesetId}`;
+
+// Density is weighted by PM2.5, so the ramp reuses the level colours at their share of the scale
+const getHeatmapLayer = (tileset, sourceId, isDarkMode, levels = PM25_LEVELS) => {
+  const maxPM25 = levels[levels.length - 1].value;
+
+  return {
+    id: getHeatmapLayerId(tileset.id),
+    type: 'heatmap',
+    source: sourceId,
+    ...getSourceLayerProps(tileset),
+    maxzoom: 9,
+    paint: {
+      'heatmap-weight': ['interpolate', ['linear'], PM25_VALUE, 0, 0, maxPM25, 1],
+      'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 4, 1, 9, 3],
+      'heatmap-radius': ['interpolate', ['exponential', 2], ['zoom'], 4, 8, 6, 20, 9, 60],
+      'heatmap-color': [
+        'interpolate',
+        ['linear'],
+        ['heatmap-density'],
+        0, 'rgba(0, 0, 0, 0)',
+        // The first stop sits just above zero density but below the next level, which is low on some tables
+        ...levels.flatMap((level, index) => [
+          index === 0 ? Math.min(0.02, levels[1].value / maxPM25 * 0.9) : level.value / maxPM25,
+          isDarkMode ? level.darkColor : level.color
+        ])
+      ],
+      'heatmap-opacity': getDataLayerOpacity('heatmap', isDarkMode)
+    },
+    layout: {
+      'visibility': 'none'
+    }
+  };
+};
+
+const removeHeatmapLayer = (map, tilesetId) => {
+  const heatmapLayerId = getHeatmapLayerId(tilesetId);
+  if (map.getLayer(heatmapLayerId)) {
+    map.removeLayer(heatmapLayerId);
+  }
+};
 
 export const useMapLayers = (
   mapRef,
@@ -9,7 +57,10 @@ export const useMapLayers = (
   isMapLoaded,
   getCurrentDateTime,
   isDarkMode,
-  needsLayerReinitRef
+  needsLayerReinitRef,
+  tilesets = TILESET_INFO,
+  renderMode = DEFAULT_RENDER_MODE,
+  pm25Levels = PM25_LEVELS
 ) => {
   const loadedSourcesRef = useRef(new Set());
   const loadedLayersRef = useRef(new Set());
@@ -18,18 +69,30 @@ export const useMapLayers = (
   const CHUNKS_TO_PRELOAD = 4;
   const MAX_LOADED_CHUNKS = 12;
 
+  // Circle layers stay queryable in every mode, but only show in the points mode
+  const circleOpacity = renderMode === 'circles' ? getDataLayerOpacity('circles', isDarkMode) : 0;
+
+  // Only the current tileset's heatmap shows, and only in heatmap mode
+  const showHeatmap = useCallback((map, currentTilesetId, filter) => {
+    loadedLayersRef.current.forEach(layerId => {
+      const tilesetId = layerId.replace('layer-', '');
+      const heatmapLayerId = getHeatmapLayerId(tilesetId);
+      if (!map.getLayer(heatmapLayerId)) return;
+
+      const isVisible = renderMode === 'heatmap' && tilesetId === currentTilesetId;
+      if (isVisible) map.setFilter(heatmapLayerId, filter);
+      map.setLayoutProperty(heatmapLayerId, 'visibility', isVisible ? 'visible' : 'none');
+    });
+  }, [renderMode]);
+
   
   const getRelevantTilesets = useCallback((date, hour, count = CHUNKS_TO_PRELOAD) => {
-    const tilesets = new Set();
+    const relevant = new Set();
     let currentDate = new Date(date);
     let currentHour = hour;
 
-    const currentTileset = TILESET_INFO.find(tileset => 
-      tileset.date === currentDate.toISOString().split('T')[0] && 
-      currentHour >= tileset.startHour && 
-      currentHour <= tileset.endHour
-    );
-    if (currentTileset) tilesets.add(currentTileset);
+    const currentTileset = findTileset(currentDate.toISOString().split('T')[0], currentHour, tilesets);
+    if (currentTileset) relevant.add(currentTileset);
 
     for (let i = 0; i < count; i++) {
       currentHour++;
@@ -38,13 +101,9 @@ export const useMapLayers = (
         currentDate.setDate(currentDate.getDate() + 1);
       }
 
-      const nextTileset = TILESET_INFO.find(tileset => 
-        tileset.date === currentDate.toISOString().split('T')[0] && 
-        currentHour >= tileset.startHour && 
-        currentHour <= tileset.endHour
-      );
+      const nextTileset = findTileset(currentDate.toISOString().split('T')[0], currentHour, tilesets);
 
-      if (nextTileset) tilesets.add(nextTileset);
+      if (nextTileset) relevant.add(nextTileset);
     }
 
     currentDate = new Date(date);
@@ -54,15 +113,11 @@ export const useMapLayers = (
       currentDate.setDate(currentDate.getDate() - 1);
     }
 
-    const prevTileset = TILESET_INFO.find(tileset =>  
-      tileset.date === currentDate.toISOString().split('T')[0] && 
-      currentHour >= tileset.startHour && 
-      currentHour <= tileset.endHour
-    );
-    if (prevTileset) tilesets.add(prevTileset);
+    const prevTileset = findTileset(currentDate.toISOString().split('T')[0], currentHour, tilesets);
+    if (prevTileset) relevant.add(prevTileset);
 
-    return Array.from(tilesets);
-  }, []);
+    return Array.from(relevant);
+  }, [tilesets]);
 
 
   const cleanupOldChunks = useCallback((map, currentTilesetId) => {
@@ -76,10 +131,12 @@ export const useMapLayers = (
     );
   
     // Remove old layers and sources
+    removeBlendLayers(map);
     loadedLayersRef.current.forEach(layerId => {
       const tilesetId = layerId.replace('layer-', '');
       if (!chunksToKeep.has(tilesetId)) {
         try {
+          removeHeatmapLayer(map, tilesetId);
           if (map.getLayer(layerId)) {
             map.removeLayer(layerId);
           }
@@ -110,11 +167,7 @@ export const useMapLayers = (
     if (!map || !map.getStyle()) return;
 
     const { date, hour } = getCurrentDateTime();
-    const currentTileset = TILESET_INFO.find(tileset => 
-      tileset.date === date && 
-      hour >= tileset.startHour && 
-      hour <= tileset.endHour
-    );
+    const currentTileset = findTileset(date, hour, tilesets);
 
     if (!currentTileset) return;
 
@@ -127,12 +180,12 @@ export const useMapLayers = (
         map.setPaintProperty(
           layerId,
           'circle-color',
-          getPM25ColorInterpolation(isDarkMode)
+          getPM25ColorInterpolation(isDarkMode, pm25Levels)
         );
         map.setPaintProperty(
           layerId,
           'circle-opacity',
-          isDarkMode ? 0.6 : 0.4
+          circleOpacity
         );
         if (layerId === currentLayerId) {
           map.setFilter(layerId, [
@@ -143,8 +196,21 @@ export const useMapLayers = (
           map.setLayoutProperty(layerId, 'visibility', 'visible');
         }
       }
+
+      const heatmapLayerId = getHeatmapLayerId(layerId.replace('layer-', ''));
+      if (map.getLayer(heatmapLayerId)) {
+        const { paint } = getHeatmapLayer(currentTileset, '', isDarkMode, pm25Levels);
+        map.setPaintProperty(heatmapLayerId, 'heatmap-color', paint['heatmap-color']);
+        map.setPaintProperty(heatmapLayerId, 'heatmap-opacity', paint['heatmap-opacity']);
+      }
     });
-  }, [isDarkMode, getCurrentDateTime, pm25Threshold]);
+
+    showHeatmap(map, currentTileset.id, [
+      'all',
+      ['==', ['get', 'time'], timeString],
+      ['>=', PM25_VALUE, pm25Threshold]
+    ]);
+  }, [isDarkMode, pm25Levels, getCurrentDateTime, pm25Threshold, tilesets, circleOpacity, showHeatmap]);
 
   
 
@@ -152,7 +218,9 @@ export const useMapLayers = (
     if (!map || !map.getStyle()) return;
 
     try {
+      removeBlendLayers(map);
       loadedLayersRef.current.forEach(layerId => {
+        removeHeatmapLayer(map, layerId.replace('layer-', ''));
         if (map.getLayer(layerId)) {
           map.removeLayer(layerId);
         }
@@ -178,11 +246,7 @@ export const useMapLayers = (
         const layerId = `layer-${tileset.id}`;
 
         if (!map.getSource(sourceId)) {
-          map.addSource(sourceId, {
-            type: 'vector',
-            url: `mapbox://${tileset.id}`,
-            maxzoom: 9
-          });
+          map.addSource(sourceId, tileset.source);
           loadedSourcesRef.current.add(sourceId);
         }
 
@@ -192,7 +256,7 @@ export const useMapLayers = (
             id: layerId,
             type: 'circle',
             source: sourceId,
-            'source-layer': tileset.layer,
+            ...getSourceLayerProps(tileset),
             maxzoom: 9,
             paint: {
               'circle-radius': [
@@ -206,14 +270,15 @@ export const useMapLayers = (
                 8, 70,
                 9, 90
               ],
-              'circle-color': getPM25ColorInterpolation(isDarkMode),
+              'circle-color': getPM25ColorInterpolation(isDarkMode, pm25Levels),
               'circle-blur': 0.9,
-              'circle-opacity': isDarkMode ? 0.6 : 0.4
+              'circle-opacity': circleOpacity
             },
             layout: {
               'visibility': 'none'
             }
           });
+          map.addLayer(getHeatmapLayer(tileset, sourceId, isDarkMode, pm25Levels));
           loadedLayersRef.current.add(layerId);
           preloadedChunksRef.current.add(tileset.id);
         }
@@ -225,7 +290,7 @@ export const useMapLayers = (
     } catch (error) {
       console.error('Error initializing layers:', error);
     }
-  }, [getCurrentDateTime, getRelevantTilesets, isDarkMode, updateLayerColors]);
+  }, [getCurrentDateTime, getRelevantTilesets, isDarkMode, pm25Levels, updateLayerColors, circleOpacity]);
 
 // Modified updateLayers function in useMapLayers.js
 
@@ -235,11 +300,7 @@ const updateLayers = useCallback((map) => {
   try {
     const { date, hour } = getCurrentDateTime();
     
-    const currentTileset = TILESET_INFO.find(tileset => 
-      tileset.date === date && 
-      hour >= tileset.startHour && 
-      hour <= tileset.endHour
-    );
+    const currentTileset = findTileset(date, hour, tilesets);
 
     if (!currentTileset) {
       console.warn('No tileset found for:', { date, hour });
@@ -252,11 +313,7 @@ const updateLayers = useCallback((map) => {
       new Date(new Date(date).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0] : 
       date;
 
-    const nextTileset = TILESET_INFO.find(tileset =>
-      tileset.date === nextDate &&
-      nextHour >= tileset.startHour &&
-      nextHour <= tileset.endHour
-    );
+    const nextTileset = findTileset(nextDate, nextHour, tilesets);
 
     // Update current layer
     const currentLayerId = `layer-${currentTileset.id}`;
@@ -277,10 +334,16 @@ const updateLayers = useCallback((map) => {
         ['>=', ['coalesce', ['to-number', ['get', 'PM25'], 0], 0], pm25Threshold]
       ]);
       
-      map.setPaintProperty(currentLayerId, 'circle-opacity', isDarkMode ? 0.6 : 0.4);
+      map.setPaintProperty(currentLayerId, 'circle-opacity', circleOpacity);
       map.setLayoutProperty(currentLayerId, 'visibility', 'visible');
     }
 
+    showHeatmap(map, currentTileset.id, [
+      'all',
+      ['==', ['get', 'time'], timeString],
+      ['>=', PM25_VALUE, pm25Threshold]
+    ]);
+
     // Preload next chunk's data if we're near the end of current chunk
     if (nextTileset && hour === currentTileset.endHour) {
       const nextSourceId = `source-${nextTileset.id}`;
@@ -288,11 +351,7 @@ const updateLayers = useCallback((map) => {
 
       // Add next chunk's source if it doesn't exist
       if (!map.getSource(nextSourceId)) {
-        map.addSource(nextSourceId, {
-          type: 'vector',
-          url: `mapbox://${nextTileset.id}`,
-          maxzoom: 9
-        });
+        map.addSource(nextSourceId, nextTileset.source);
         loadedSourcesRef.current.add(nextSourceId);
       }
 
@@ -302,7 +361,7 @@ const updateLayers = useCallback((map) => {
           id: nextLayerId,
           type: 'circle',
           source: nextSourceId,
-          'source-layer': nextTileset.layer,
+          ...getSourceLayerProps(nextTileset),
           maxzoom: 9,
           paint: {
             'circle-radius': [
@@ -316,7 +375,7 @@ const updateLayers = useCallback((map) => {
               8, 50,
               9, 90
             ],
-            'circle-color': getPM25ColorInterpolation(isDarkMode),
+            'circle-color': getPM25ColorInterpolation(isDarkMode, pm25Levels),
             'circle-blur': 0.85,
             'circle-opacity': 0
           },
@@ -324,6 +383,7 @@ const updateLayers = useCallback((map) => {
             'visibility': 'visible'
           }
         });
+        map.addLayer(getHeatmapLayer(nextTileset, nextSourceId, isDarkMode, pm25Levels));
         loadedLayersRef.current.add(nextLayerId);
       }
 
@@ -346,35 +406,10 @@ const updateLayers = useCallback((map) => {
   } catch (error) {
     console.error('Error updating layers:', error);
   }
-}, [getCurrentDateTime, cleanupOldChunks, pm25Threshold, isDarkMode]);
+}, [getCurrentDateTime, cleanupOldChunks, pm25Threshold, isDarkMode, pm25Levels, tilesets, circleOpacity, showHeatmap]);
 
 
   
-  // Helper function to smoothly transition opacity
-  const transitionOpacity = (map, layerId, targetOpacity, duration = 300) => {
-    if (!map.getLayer(layerId)) return;
-  
-    const startOpacity = map.getPaintProperty(layerId, 'circle-opacity') || 0;
-    const startTime = performance.now();
-  
-    const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      
-      // Use easing function for smoother transition
-      const eased = progress * (2 - progress);
-      const currentOpacity = startOpacity + (targetOpacity - startOpacity) * eased;
-  
-      map.setPaintProperty(layerId, 'circle-opacity', currentOpacity);
-  
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    };
-  
-    requestAnimationFrame(animate);
-  };
-
   useEffect(() => {
     const map = mapRef.current?.getMap();
     if (!map || !isMapLoaded) return;
@@ -401,6 +436,17 @@ const updateLayers = useCallback((map) => {
     return () => map.off('styledata', handleStyleData);
   }, [initializeLayers, updateLayers]);
 
+  // Swap in the sources for a new date window
+  const previousTilesetsRef = useRef(tilesets);
+  useEffect(() => {
+    const map = mapRef.current?.getMap();
+    if (!map || !isMapLoaded || previousTilesetsRef.current === tilesets) return;
+
+    previousTilesetsRef.current = tilesets;
+    initializeLayers(map);
+    updateLayers(map);
+  }, [mapRef, isMapLoaded, tilesets, initializeLayers, updateLayers]);
+
   // Handle initial layer setup and updates
   useEffect(() => {
     const map = mapRef.current?.getMap();
@@ -0,0 +1,76 @@
+import { useState, useCallback } from 'react';
+import {
+  renderMapImage,
+  getSnapshotDimensions,
+  getSnapshotAttribution,
+  measureSnapshotHeader,
+  composeSnapshot,
+  canvasToPdf,
+  canvasToPng
+} from '../../utils/map/mapSnapshot';
+import { downloadFile } from '../../utils/map/exportData';
+import { formatZonedDateTime, toUtcDate } from '../../utils/map/timeZones';
+import { tagForecastLabel } from '../../utils/map/forecast';
+import { getAqiStandard } from '../../utils/map/aqi';
+
+export const useMapSnapshot = ({
+  mapInstance,
+  getCurrentDateTime,
+  isDarkMode,
+  pm25Threshold,
+  timeZone = 'UTC',
+  forecastStart = null,
+  aqiStandard,
+  aqiDisplayUnit
+}) => {
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [snapshotError, setSnapshotError] = useState(null);
+
+  const takeSnapshot = useCallback(async ({ title, notes, format, dpi, size }) => {
+    if (!mapInstance || isCapturing) return;
+
+    setIsCapturing(true);
+    setSnapshotError(null);
+
+    try {
+      const { width, height, pixelRatio } = getSnapshotDimensions(mapInstance, size, dpi);
+      const header = measureSnapshotHeader({ title, notes, width: width * pixelRatio, scale: pixelRatio });
+
+      // Print sizes are fixed, so the header takes its space from the map
+      const mapHeight = size.height ? height - header.height / pixelRatio : height;
+      const mapCanvas = await renderMapImage(mapInstance, { width, height: mapHeight, pixelRatio });
+
+      const { date, hour } = getCurrentDateTime();
+      const time = toUtcDate(date, hour);
+      const canvas = composeSnapshot({
+        mapCanvas,
+        header,
+        dateTimeLabel: tagForecastLabel(formatZonedDateTime(time, timeZone), time, forecastStart),
+        attribution: getSnapshotAttribution(mapInstance),
+        scale: pixelRatio,
+        isDarkMode,
+        pm25Threshold,
+        standard: getAqiStandard(aqiStandard),
+        displayUnit: aqiDisplayUnit
+      });
+
+      const filename = `pm25-snapshot-${date}-${String(hour).padStart(2, '0')}00`;
+      if (format === 'pdf') {
+        downloadFile(await canvasToPdf(canvas, dpi), `${filename}.pdf`);
+      } else {
+        downloadFile(await canvasToPng(canvas, dpi), `${filename}.png`);
+      }
+    } catch (error) {
+      console.error('Error taking map snapshot:', error);
+      setSnapshotError('Failed to create snapshot');
+    } finally {
+      setIsCapturing(false);
+    }
+  }, [mapInstance, isCapturing, getCurrentDateTime, isDarkMode, pm25Threshold, timeZone, forecastStart, aqiStandard, aqiDisplayUnit]);
+
+  return {
+    isCapturing,
+    snapshotError,
+    takeSnapshot
+  };
+};
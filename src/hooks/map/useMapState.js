@@ -1,4 +1,5 @@
 import { useState, useRef } from 'react';
+import { parseUrlState } from '../../utils/map/urlState';
 
 const INITIAL_VIEWPORT = {
   latitude: 39.8283,
@@ -12,7 +13,10 @@ export const useMapState = () => {
   const mapRef = useRef(null);
   const [mapInstance, setMapInstance] = useState(null);
   const [isMapLoaded, setIsMapLoaded] = useState(false);
-  const [viewport, setViewport] = useState(INITIAL_VIEWPORT);
+  const [viewport, setViewport] = useState(() => ({
+    ...INITIAL_VIEWPORT,
+    ...parseUrlState(window.location.search).viewport
+  }));
 
   return {
     mapRef,
@@ -0,0 +1,187 @@
+import { useEffect, useRef } from 'react';
+import { findTileset } from '../../utils/map/constants';
+import { getPM25ColorInterpolation, PM25_LEVELS } from '../../utils/map/colors';
+import { getSourceLayerProps } from '../../utils/map/dataSources';
+import { runAnalysis, isAnalysisCancelled } from '../../utils/map/analysisClient';
+
+const SURFACE_SOURCE = 'pm25-surface';
+const SURFACE_LAYER = 'pm25-surface-fill';
+
+// Modes drawn from an aggregated GeoJSON surface rather than styled tiles
+const SURFACE_MODES = ['hexbin', 'contours'];
+
+// Wait for panning and tile loading to settle before rebuilding the surface
+const REFRESH_DELAY = 250;
+
+const EMPTY_SURFACE = { type: 'FeatureCollection', features: [] };
+
+// Loaded grid points for one hour, once each even where tiles overlap
+const getHourPoints = (map, tileset, timeString, minPM25) => {
+  const sourceId = `source-${tileset.id}`;
+  if (!map.getSource(sourceId)) return [];
+
+  const features = map.querySourceFeatures(sourceId, {
+    sourceLayer: getSourceLayerProps(tileset)['source-layer'],
+    filter: ['==', ['get', 'time'], timeString]
+  });
+
+  const seen = new Set();
+  return features.reduce((points, feature) => {
+    const pm25 = parseFloat(feature.properties?.PM25);
+    const coordinates = feature.geometry?.coordinates;
+    if (isNaN(pm25) || pm25 < minPM25 || feature.geometry?.type !== 'Point') return points;
+
+    const key = `${coordinates[0].toFixed(5)},${coordinates[1].toFixed(5)}`;
+    if (seen.has(key)) return points;
+    seen.add(key);
+    points.push({ pm25, coordinates });
+    return points;
+  }, []);
+};
+
+// Below the first PM2.5 layer, so drawn areas and other overlays stay on top
+const getSurfaceBeforeId = (map) => {
+  const firstDataLayer = map.getStyle().layers.find(layer => layer.id.startsWith('layer-'));
+  return firstDataLayer?.id;
+};
+
+/**
+ * Hexbin and contour renderings of the current hour
+ * The surface is rebuilt in the analysis worker whenever the hour, view or settings change
+ */
+export const usePM25Surface = ({
+  mapInstance,
+  isMapLoaded,
+  renderMode,
+  hexbinAggregation,
+  pm25Threshold,
+  getCurrentDateTime,
+  tilesets,
+  pm25Levels = PM25_LEVELS,
+  isDarkMode
+}) => {
+  const surfaceRef = useRef(EMPTY_SURFACE);
+  const controllerRef = useRef(null);
+  const isSurfaceMode = SURFACE_MODES.includes(renderMode);
+  const { date, hour } = getCurrentDateTime();
+
+  // Keep the layer in place across basemap changes and recolour it with the theme
+  useEffect(() => {
+    if (!mapInstance || !isMapLoaded) return;
+
+    const drawSurface = () => {
+      try {
+        if (!mapInstance.getStyle()) return;
+
+        if (!mapInstance.getSource(SURFACE_SOURCE)) {
+          mapInstance.addSource(SURFACE_SOURCE, { type: 'geojson', data: surfaceRef.current });
+        }
+        if (!mapInstance.getLayer(SURFACE_LAYER)) {
+          mapInstance.addLayer({
+            id: SURFACE_LAYER,
+            type: 'fill',
+            source: SURFACE_SOURCE,
+            paint: {}
+          }, getSurfaceBeforeId(mapInstance));
+        }
+
+        mapInstance.setPaintProperty(SURFACE_LAYER, 'fill-color', getPM25ColorInterpolation(isDarkMode, pm25Levels));
+        mapInstance.setPaintProperty(SURFACE_LAYER, 'fill-opacity', isDarkMode ? 0.6 : 0.5);
+        // Contour pieces share edges, and antialiasing would show them as seams
+        mapInstance.setPaintProperty(SURFACE_LAYER, 'fill-antialias', renderMode !== 'contours');
+        mapInstance.setPaintProperty(SURFACE_LAYER, 'fill-outline-color',
+          renderMode === 'hexbin' ? (isDarkMode ? 'rgba(17, 24, 39, 0.4)' : 'rgba(255, 255, 255, 0.5)') : 'rgba(0, 0, 0, 0)'
+        );
+        mapInstance.setLayoutProperty(SURFACE_LAYER, 'visibility', isSurfaceMode ? 'visible' : 'none');
+      } catch (error) {
+        console.error('Error drawing PM2.5 surface:', error);
+      }
+    };
+
+    drawSurface();
+    mapInstance.on('style.load', drawSurface);
+    return () => mapInstance.off('style.load', drawSurface);
+  }, [mapInstance, isMapLoaded, isDarkMode, pm25Levels, renderMode, isSurfaceMode]);
+
+  useEffect(() => {
+    if (!mapInstance || !isMapLoaded || !isSurfaceMode) return;
+
+    let timeoutId = null;
+
+    const rebuildSurface = async () => {
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+
+      const tileset = findTileset(date, hour, tilesets);
+      if (!tileset || !mapInstance.getStyle()) return;
+
+      const timeString = `${date}T${String(hour).padStart(2, '0')}:00:00`;
+      const mapBounds = mapInstance.getBounds();
+      const bounds = {
+        minLng: mapBounds.getWest(),
+        maxLng: mapBounds.getEast(),
+        minLat: Math.max(-85, mapBounds.getSouth()),
+        maxLat: Math.min(85, mapBounds.getNorth())
+      };
+
+      try {
+        // Contours interpolate across every value and only clip the bands at the threshold
+        const points = getHourPoints(mapInstance, tileset, timeString, renderMode === 'hexbin' ? pm25Threshold : 0);
+        const surface = renderMode === 'hexbin'
+          ? await runAnalysis('hexbin', {
+            points,
+            zoom: mapInstance.getZoom(),
+            aggregation: hexbinAggregation
+          }, { signal: controller.signal })
+          : await runAnalysis('contours', {
+            points,
+            bounds,
+            threshold: pm25Threshold,
+            levels: pm25Levels
+          }, { signal: controller.signal });
+
+        surfaceRef.current = surface;
+        mapInstance.getSource(SURFACE_SOURCE)?.setData(surface);
+      } catch (error) {
+        if (!isAnalysisCancelled(error)) {
+          console.error('Error building PM2.5 surface:', error);
+        }
+      }
+    };
+
+    const scheduleRebuild = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(rebuildSurface, REFRESH_DELAY);
+    };
+
+    // Only tile loads for the PM2.5 sources change the points
+    const handleSourceData = (e) => {
+      if (e.sourceId?.startsWith('source-') && e.isSourceLoaded) {
+        scheduleRebuild();
+      }
+    };
+
+    rebuildSurface();
+    mapInstance.on('moveend', scheduleRebuild);
+    mapInstance.on('sourcedata', handleSourceData);
+
+    return () => {
+      clearTimeout(timeoutId);
+      controllerRef.current?.abort();
+      mapInstance.off('moveend', scheduleRebuild);
+      mapInstance.off('sourcedata', handleSourceData);
+    };
+  }, [mapInstance, isMapLoaded, isSurfaceMode, renderMode, hexbinAggregation, pm25Threshold, pm25Levels, date, hour, tilesets]);
+
+  // Leaving the surface modes clears the old surface so it does not flash on return
+  useEffect(() => {
+    if (isSurfaceMode || !mapInstance) return;
+    surfaceRef.current = EMPTY_SURFACE;
+    try {
+      mapInstance.getSource(SURFACE_SOURCE)?.setData(EMPTY_SURFACE);
+    } catch (error) {
+      console.warn('Error clearing PM2.5 surface:', error);
+    }
+  }, [mapInstance, isSurfaceMode]);
+};
@@ -0,0 +1,359 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { ModifyMode, TranslateMode } from '@nebula.gl/edit-modes';
+import { isPointInGeometry, getPolygons, toAreaGeometry, toSelectionArea } from '../../utils/map/geometryUtils';
+
+export const MAX_EDIT_HISTORY = 50;
+
+// Pixels around a vertex or edge that still count as grabbing it
+const PICK_RADIUS = 10;
+// Pixels the pointer has to travel before a press turns into a drag
+const DRAG_THRESHOLD = 3;
+
+const HANDLES_SOURCE = 'polygon-edit-handles';
+const HANDLES_LAYER = 'polygon-edit-handles-layer';
+
+const toFeatureCollection = (polygon) => ({
+  type: 'FeatureCollection',
+  features: [{ type: 'Feature', properties: {}, geometry: toAreaGeometry(polygon) }]
+});
+
+const getSegmentDistance = (point, start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+};
+
+const isNearOutline = (map, point, geometry) => {
+  return getPolygons(geometry).some(rings => rings.some(ring => {
+    const projected = ring.map(coord => map.project(coord));
+    return projected.slice(1).some((end, i) => getSegmentDistance(point, projected[i], end) <= PICK_RADIUS);
+  }));
+};
+
+/**
+ * Picks in the shape the edit modes expect from deck.gl: edit handles under the
+ * pointer first, nearest first, then the area itself when the pointer is on it
+ */
+const getPicks = (map, point, data, guides) => {
+  const handlePicks = guides.features
+    .map((handle, index) => {
+      const screen = map.project(handle.geometry.coordinates);
+      return { index, object: handle, isGuide: true, distance: Math.hypot(screen.x - point.x, screen.y - point.y) };
+    })
+    .filter(pick => pick.distance <= PICK_RADIUS)
+    .sort((a, b) => a.distance - b.distance);
+
+  const feature = data.features[0];
+  const { lng, lat } = map.unproject(point);
+  const isOnArea = isPointInGeometry([lng, lat], feature.geometry) ||
+    isNearOutline(map, point, feature.geometry);
+
+  return isOnArea
+    ? [...handlePicks, { index: 0, object: feature, isGuide: false }]
+    : handlePicks;
+};
+
+export const usePolygonEditing = ({
+  mapInstance,
+  polygon,
+  setPolygon,
+  drawingMode,
+  isDarkMode
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftPolygon, setDraftPolygon] = useState(null);
+  const [editCursor, setEditCursor] = useState(null);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+
+  const modesRef = useRef(null);
+  const dataRef = useRef(null);
+  const polygonRef = useRef(polygon);
+  const committedRef = useRef(null);
+  const lastMoveRef = useRef(null);
+  const pointerDownRef = useRef(null);
+  const dragModeRef = useRef(null);
+  const justDraggedRef = useRef(false);
+
+  if (!modesRef.current) {
+    modesRef.current = { modify: new ModifyMode(), translate: new TranslateMode() };
+  }
+
+  // Makes `next` the area and records the area it replaced
+  const commitPolygon = useCallback((next) => {
+    const previous = polygonRef.current;
+    setUndoStack(prev => [...prev, previous].slice(-MAX_EDIT_HISTORY));
+    setRedoStack([]);
+    committedRef.current = next;
+    setDraftPolygon(null);
+    setPolygon(next);
+  }, [setPolygon]);
+
+  const undo = useCallback(() => {
+    if (undoStack.length === 0) return;
+    const previous = undoStack[undoStack.length - 1];
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack(prev => [...prev, polygonRef.current]);
+    committedRef.current = previous;
+    setPolygon(previous);
+  }, [undoStack, setPolygon]);
+
+  const redo = useCallback(() => {
+    if (redoStack.length === 0) return;
+    const next = redoStack[redoStack.length - 1];
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack(prev => [...prev, polygonRef.current]);
+    committedRef.current = next;
+    setPolygon(next);
+  }, [redoStack, setPolygon]);
+
+  const toggleEditing = useCallback(() => {
+    setIsEditing(prev => !prev);
+  }, []);
+
+  const stopEditing = useCallback(() => {
+    setIsEditing(false);
+  }, []);
+
+  // Edits only apply to the area they started on; a new area starts a new history
+  useEffect(() => {
+    polygonRef.current = polygon;
+    dataRef.current = polygon ? toFeatureCollection(polygon) : null;
+    if (polygon !== committedRef.current) {
+      committedRef.current = null;
+      setUndoStack([]);
+      setRedoStack([]);
+    }
+    if (!polygon) {
+      setIsEditing(false);
+    }
+  }, [polygon]);
+
+  useEffect(() => {
+    if (drawingMode) {
+      setIsEditing(false);
+    }
+  }, [drawingMode]);
+
+  useEffect(() => {
+    if (!mapInstance || mapInstance._removed || !isEditing) return;
+
+    const { modify, translate } = modesRef.current;
+
+    const getModeProps = () => ({
+      data: dataRef.current,
+      selectedIndexes: [0],
+      modeConfig: {},
+      lastPointerMoveEvent: lastMoveRef.current,
+      onEdit: ({ updatedData }) => {
+        dataRef.current = updatedData;
+        setDraftPolygon(updatedData.features[0].geometry);
+      },
+      onUpdateCursor: () => {}
+    });
+
+    const drawHandles = () => {
+      if (!dataRef.current) return;
+
+      // The edge handle follows the pointer, so it is only shown where it can be grabbed
+      const pointer = lastMoveRef.current?.screenCoords;
+      const handles = modify.getGuides(getModeProps()).features.filter(handle => {
+        if (handle.properties.editHandleType !== 'intermediate') return true;
+        const screen = mapInstance.project(handle.geometry.coordinates);
+        return Boolean(pointer) && Math.hypot(screen.x - pointer[0], screen.y - pointer[1]) <= PICK_RADIUS;
+      });
+      const data = { type: 'FeatureCollection', features: handles };
+
+      try {
+        if (mapInstance.getSource(HANDLES_SOURCE)) {
+          mapInstance.getSource(HANDLES_SOURCE).setData(data);
+          return;
+        }
+
+        mapInstance.addSource(HANDLES_SOURCE, { type: 'geojson', data });
+        mapInstance.addLayer({
+          id: HANDLES_LAYER,
+          type: 'circle',
+          source: HANDLES_SOURCE,
+          paint: {
+            'circle-radius': ['match', ['get', 'editHandleType'], 'intermediate', 4, 6],
+            'circle-color': ['match', ['get', 'editHandleType'], 'intermediate',
+              isDarkMode ? '#60A5FA' : '#3B82F6', '#ffffff'],
+            'circle-stroke-width': 2,
+            'circle-stroke-color': isDarkMode ? '#60A5FA' : '#3B82F6'
+          }
+        });
+      } catch (error) {
+        console.error('Error drawing edit handles:', error);
+      }
+    };
+
+    const toEvent = (e, picks) => {
+      const pointerDown = pointerDownRef.current;
+      return {
+        picks,
+        screenCoords: [e.point.x, e.point.y],
+        mapCoords: [e.lngLat.lng, e.lngLat.lat],
+        pointerDownPicks: pointerDown?.picks || null,
+        pointerDownScreenCoords: pointerDown?.screenCoords || null,
+        pointerDownMapCoords: pointerDown?.mapCoords || null,
+        cancelPan: () => {},
+        sourceEvent: e.originalEvent
+      };
+    };
+
+    const pickAt = (point) => getPicks(mapInstance, point, dataRef.current, modify.getGuides(getModeProps()));
+
+    const handleMouseDown = (e) => {
+      if (!dataRef.current) return;
+      const picks = pickAt(e.point);
+      if (picks.length === 0) return;
+
+      // Keeps the map from panning while a handle or the area is dragged
+      e.preventDefault();
+      justDraggedRef.current = false;
+      pointerDownRef.current = {
+        picks,
+        screenCoords: [e.point.x, e.point.y],
+        mapCoords: [e.lngLat.lng, e.lngLat.lat]
+      };
+    };
+
+    const handleMouseMove = (e) => {
+      if (!dataRef.current) return;
+      const pointerDown = pointerDownRef.current;
+
+      if (pointerDown && !dragModeRef.current) {
+        const [x, y] = pointerDown.screenCoords;
+        if (Math.hypot(e.point.x - x, e.point.y - y) < DRAG_THRESHOLD) return;
+
+        // Handles reshape the area; anywhere else on it moves the whole shape
+        const hasHandle = pointerDown.picks.some(pick => pick.isGuide);
+        dragModeRef.current = hasHandle ? modify : translate;
+        lastMoveRef.current = null;
+        const startEvent = { ...toEvent(e, pointerDown.picks), screenCoords: pointerDown.screenCoords, mapCoords: pointerDown.mapCoords };
+        if (!hasHandle) {
+          translate.handlePointerMove(startEvent, getModeProps());
+        }
+        dragModeRef.current.handleStartDragging(startEvent, getModeProps());
+      }
+
+      if (dragModeRef.current) {
+        dragModeRef.current.handleDragging(toEvent(e, pointerDown.picks), getModeProps());
+        drawHandles();
+        return;
+      }
+
+      const picks = pickAt(e.point);
+      lastMoveRef.current = toEvent(e, picks);
+      setEditCursor(picks.some(pick => pick.isGuide) ? 'pointer' : picks.length > 0 ? 'move' : null);
+      drawHandles();
+    };
+
+    const handleMouseUp = (e) => {
+      const pointerDown = pointerDownRef.current;
+      const dragMode = dragModeRef.current;
+      if (dragMode) {
+        dragMode.handleStopDragging(toEvent(e, pointerDown.picks), getModeProps());
+      }
+      pointerDownRef.current = null;
+      dragModeRef.current = null;
+      if (!dragMode) return;
+
+      justDraggedRef.current = true;
+      commitPolygon(toSelectionArea(dataRef.current.features[0].geometry));
+    };
+
+    // Clicking a vertex removes it and clicking an edge handle adds one there
+    const handleClick = (e) => {
+      if (justDraggedRef.current) {
+        justDraggedRef.current = false;
+        return;
+      }
+      if (!dataRef.current) return;
+
+      const before = dataRef.current;
+      modify.handleClick(toEvent(e, pickAt(e.point)), getModeProps());
+      if (dataRef.current !== before) {
+        commitPolygon(toSelectionArea(dataRef.current.features[0].geometry));
+      }
+    };
+
+    mapInstance.doubleClickZoom.disable();
+    mapInstance.on('mousedown', handleMouseDown);
+    mapInstance.on('mousemove', handleMouseMove);
+    mapInstance.on('mouseup', handleMouseUp);
+    mapInstance.on('click', handleClick);
+    mapInstance.on('style.load', drawHandles);
+    drawHandles();
+
+    return () => {
+      mapInstance.off('mousedown', handleMouseDown);
+      mapInstance.off('mousemove', handleMouseMove);
+      mapInstance.off('mouseup', handleMouseUp);
+      mapInstance.off('click', handleClick);
+      mapInstance.off('style.load', drawHandles);
+      pointerDownRef.current = null;
+      dragModeRef.current = null;
+      lastMoveRef.current = null;
+      setEditCursor(null);
+      setDraftPolygon(null);
+
+      if (mapInstance._removed) return;
+      mapInstance.doubleClickZoom.enable();
+      if (mapInstance.getLayer(HANDLES_LAYER)) mapInstance.removeLayer(HANDLES_LAYER);
+      if (mapInstance.getSource(HANDLES_SOURCE)) mapInstance.removeSource(HANDLES_SOURCE);
+    };
+  }, [mapInstance, isEditing, isDarkMode, commitPolygon]);
+
+  // Handles follow the area after undo, redo or a committed edit
+  useEffect(() => {
+    if (!isEditing || !mapInstance?.getSource(HANDLES_SOURCE)) return;
+    const { modify } = modesRef.current;
+    mapInstance.getSource(HANDLES_SOURCE).setData(modify.getGuides({
+      data: toFeatureCollection(polygon),
+      selectedIndexes: [0]
+    }));
+  }, [mapInstance, isEditing, polygon]);
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+
+      if (e.key === 'Escape') {
+        setIsEditing(false);
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (!(e.ctrlKey || e.metaKey) || !['z', 'y'].includes(key)) return;
+
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEditing, undo, redo]);
+
+  return {
+    isEditing,
+    draftPolygon,
+    editCursor,
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    toggleEditing,
+    stopEditing,
+    undo,
+    redo
+  };
+};
@@ -1,4 +1,5 @@
 import { useEffect } from 'react';
+import { toAreaGeometry } from '../../utils/map/geometryUtils';
 
 export const usePolygonVisualization = ({
   mapInstance,
@@ -6,6 +7,8 @@ export const usePolygonVisualization = ({
   tempPolygon,
   mousePosition,
   drawingMode,
+  drawingPreview = null,
+  showVertices = true,
   isDarkMode
 }) => {
   useEffect(() => {
@@ -99,16 +102,18 @@ export const usePolygonVisualization = ({
     
     const updatePolygonData = () => {
       if (mapInstance.getSource(sourceId)) {
-        const coordinates = polygon ? [polygon] : 
-          tempPolygon.length > 0 && mousePosition ? [[...tempPolygon, mousePosition, tempPolygon[0]]] : 
+        const coordinates = tempPolygon.length > 0 && mousePosition ? [[...tempPolygon, mousePosition, tempPolygon[0]]] : 
           tempPolygon.length > 0 ? [tempPolygon] : [[]];
             
+        // Shape tools draw their own outline; the polygon tool closes the ring through the pointer
+        const drawingGeometry = drawingPreview || {
+          type: 'Polygon',
+          coordinates
+        };
+
         mapInstance.getSource(sourceId).setData({
           type: 'Feature',
-          geometry: {
-            type: 'Polygon',
-            coordinates
-          }
+          geometry: polygon ? toAreaGeometry(polygon) : drawingGeometry
         });
       }
   
@@ -126,7 +131,7 @@ export const usePolygonVisualization = ({
       }
   
       if (mapInstance.getLayer(previewLayerId)) {
-        const showPreview = drawingMode && mousePosition && tempPolygon.length > 0;
+        const showPreview = drawingMode && (Boolean(drawingPreview) || (mousePosition && tempPolygon.length > 0));
         mapInstance.setLayoutProperty(
           previewLayerId,
           'visibility',
@@ -138,7 +143,7 @@ export const usePolygonVisualization = ({
         mapInstance.setLayoutProperty(
           vertexLayerId, 
           'visibility', 
-          tempPolygon.length > 0 ? 'visible' : 'none'
+          showVertices && tempPolygon.length > 0 ? 'visible' : 'none'
         );
       }
     };
@@ -155,6 +160,8 @@ export const usePolygonVisualization = ({
     tempPolygon,
     mousePosition,
     drawingMode,
+    drawingPreview,
+    showVertices,
     isDarkMode
   ]);
 };
@@ -0,0 +1,94 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import calculateTileProbeSeries from '../../utils/map/tileProbeSeries';
+import { isAnalysisCancelled } from '../../utils/map/analysisClient';
+
+export const MAX_PINNED_PROBES = 4;
+// Pinned probes keep a colour so markers and sparklines can be matched up
+const PROBE_COLORS = ['#cea25d', '#3a7370', '#dd3b00', '#789ba8'];
+
+export const useProbeInspector = ({
+  timeWindow
+}) => {
+  const [isProbeMode, setIsProbeMode] = useState(false);
+  const [activeProbe, setActiveProbe] = useState(null);
+  const [pinnedProbes, setPinnedProbes] = useState([]);
+  const nextIdRef = useRef(1);
+  // Cancels the reads of the current time window
+  const controllerRef = useRef(null);
+  const probesRef = useRef([]);
+  probesRef.current = [activeProbe, ...pinnedProbes].filter(Boolean);
+
+  // A probe keeps its id when pinned, so the series lands wherever it is by then
+  const updateProbe = useCallback((id, changes) => {
+    setActiveProbe(prev => (prev?.id === id ? { ...prev, ...changes } : prev));
+    setPinnedProbes(prev => (prev.some(probe => probe.id === id)
+      ? prev.map(probe => (probe.id === id ? { ...probe, ...changes } : probe))
+      : prev));
+  }, []);
+
+  const loadSeries = useCallback(async ({ id, lngLat }, signal) => {
+    try {
+      const series = await calculateTileProbeSeries(lngLat, timeWindow.tilesets, { signal });
+      if (!signal.aborted) updateProbe(id, { series, isLoading: false });
+    } catch (error) {
+      if (isAnalysisCancelled(error) || signal.aborted) return;
+      console.error('Error reading probe series:', error);
+      updateProbe(id, { isLoading: false });
+    }
+  }, [timeWindow, updateProbe]);
+
+  const probeAt = useCallback((lngLat) => {
+    const probe = { id: nextIdRef.current++, lngLat, series: [], isLoading: true };
+    setActiveProbe(probe);
+    if (controllerRef.current) loadSeries(probe, controllerRef.current.signal);
+  }, [loadSeries]);
+
+  const toggleProbeMode = useCallback(() => {
+    setIsProbeMode(prev => !prev);
+    setActiveProbe(null);
+  }, []);
+
+  const closeProbe = useCallback(() => {
+    setActiveProbe(null);
+  }, []);
+
+  const pinProbe = useCallback(() => {
+    if (!activeProbe) return;
+    setPinnedProbes(prev => {
+      const kept = prev.slice(-(MAX_PINNED_PROBES - 1));
+      const color = PROBE_COLORS.find(candidate => !kept.some(probe => probe.color === candidate));
+      return [...kept, { ...activeProbe, color }];
+    });
+    setActiveProbe(null);
+  }, [activeProbe]);
+
+  const unpinProbe = useCallback((id) => {
+    setPinnedProbes(prev => prev.filter(probe => probe.id !== id));
+  }, []);
+
+  // Series from a previous date window no longer apply, so every probe is read again
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const probes = probesRef.current;
+    if (probes.length > 0) {
+      setActiveProbe(prev => prev && { ...prev, series: [], isLoading: true });
+      setPinnedProbes(prev => prev.map(probe => ({ ...probe, series: [], isLoading: true })));
+      probes.forEach(probe => loadSeries(probe, controller.signal));
+    }
+
+    return () => controller.abort();
+  }, [loadSeries]);
+
+  return {
+    isProbeMode,
+    activeProbe,
+    pinnedProbes,
+    probeAt,
+    toggleProbeMode,
+    closeProbe,
+    pinProbe,
+    unpinProbe
+  };
+};
@@ -1,10 +1,26 @@
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 import { BASEMAPS } from '../../constants/map/basemaps';
+import { DEFAULT_RENDER_MODE, DEFAULT_HEXBIN_AGGREGATION } from '../../constants/map/renderModes';
+import { DEFAULT_AQI_STANDARD, DEFAULT_AQI_DISPLAY_UNIT } from '../../constants/map/aqi';
+import { getAqiStandard } from '../../utils/map/aqi';
+import { parseUrlState } from '../../utils/map/urlState';
 
 export const useThemeState = () => {
-  const [isDarkMode, setIsDarkMode] = useState(false);
-  const [currentBasemap, setCurrentBasemap] = useState(BASEMAPS.light.url);
-  const [pm25Threshold, setPM25Threshold] = useState(1);
+  const [initialState] = useState(() => parseUrlState(window.location.search));
+  const [isDarkMode, setIsDarkMode] = useState(initialState.isDarkMode ?? false);
+  const [currentBasemap, setCurrentBasemap] = useState(initialState.basemap ?? BASEMAPS.light.url);
+  const [pm25Threshold, setPM25Threshold] = useState(initialState.pm25Threshold ?? 1);
+  const [renderMode, setRenderMode] = useState(DEFAULT_RENDER_MODE);
+  const [hexbinAggregation, setHexbinAggregation] = useState(DEFAULT_HEXBIN_AGGREGATION);
+  const [aqiStandard, setAqiStandardKey] = useState(DEFAULT_AQI_STANDARD);
+  const [aqiAveraging, setAqiAveraging] = useState(getAqiStandard(DEFAULT_AQI_STANDARD).averaging);
+  const [aqiDisplayUnit, setAqiDisplayUnit] = useState(DEFAULT_AQI_DISPLAY_UNIT);
+
+  // Switching tables starts from that table's own averaging period
+  const setAqiStandard = useCallback((key) => {
+    setAqiStandardKey(key);
+    setAqiAveraging(getAqiStandard(key).averaging);
+  }, []);
 
   return {
     isDarkMode,
@@ -12,6 +28,16 @@ export const useThemeState = () => {
     currentBasemap,
     setCurrentBasemap,
     pm25Threshold,
-    setPM25Threshold
+    setPM25Threshold,
+    renderMode,
+    setRenderMode,
+    hexbinAggregation,
+    setHexbinAggregation,
+    aqiStandard,
+    setAqiStandard,
+    aqiAveraging,
+    setAqiAveraging,
+    aqiDisplayUnit,
+    setAqiDisplayUnit
   };
 };
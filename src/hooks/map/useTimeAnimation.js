@@ -1,7 +1,7 @@
 import { useEffect, useRef } from 'react';
 import { TOTAL_HOURS } from '../../utils/map/constants.js';
 
-export const useTimeAnimation = (isPlaying, playbackSpeed, setCurrentHour) => {
+export const useTimeAnimation = (isPlaying, playbackSpeed, setCurrentHour, totalHours = TOTAL_HOURS) => {
   const animationFrameRef = useRef(null);
   const lastTimestampRef = useRef(0);
   const isAnimatingRef = useRef(false);
@@ -48,7 +48,7 @@ export const useTimeAnimation = (isPlaying, playbackSpeed, setCurrentHour) => {
         
         setCurrentHour(prevHour => {
           const nextHour = prevHour + 1;
-          return nextHour >= TOTAL_HOURS ? 0 : nextHour;
+          return nextHour >= totalHours ? 0 : nextHour;
         });
         
         lastTimestampRef.current = timestamp;
@@ -69,5 +69,5 @@ export const useTimeAnimation = (isPlaying, playbackSpeed, setCurrentHour) => {
         animationFrameRef.current = null;
       }
     };
-  }, [isPlaying, playbackSpeed, setCurrentHour]);
+  }, [isPlaying, playbackSpeed, setCurrentHour, totalHours]);
 };
\ No newline at end of file
@@ -1,9 +1,15 @@
 import { useState } from 'react';
+import { parseUrlState } from '../../utils/map/urlState';
+import { DEFAULT_TIME_ZONE_MODE } from '../../constants/map/time';
 
 export const useTimeState = () => {
-  const [currentHour, setCurrentHour] = useState(0);
+  const [initialState] = useState(() => parseUrlState(window.location.search));
+  const [currentHour, setCurrentHour] = useState(initialState.currentHour ?? 0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [isInterpolated, setIsInterpolated] = useState(false);
+  const [timeWindow, setTimeWindow] = useState(initialState.timeWindow);
+  const [timeZoneMode, setTimeZoneMode] = useState(DEFAULT_TIME_ZONE_MODE);
 
   return {
     currentHour,
@@ -11,6 +17,12 @@ export const useTimeState = () => {
     isPlaying,
     setIsPlaying,
     playbackSpeed,
-    setPlaybackSpeed
+    setPlaybackSpeed,
+    isInterpolated,
+    setIsInterpolated,
+    timeWindow,
+    setTimeWindow,
+    timeZoneMode,
+    setTimeZoneMode
   };
 };
@@ -0,0 +1,37 @@
+import { useCallback } from 'react';
+import {
+  DEFAULT_TIME_WINDOW,
+  buildTimeWindow,
+  validateDateRange
+} from '../../utils/map/constants.js';
+
+export const useTimeWindowControl = ({
+  setTimeWindow,
+  setCurrentHour,
+  setIsPlaying
+}) => {
+  // Swap in a new window and restart from its first hour
+  const applyTimeWindow = useCallback((timeWindow) => {
+    setIsPlaying(false);
+    setCurrentHour(0);
+    setTimeWindow(timeWindow);
+  }, [setTimeWindow, setCurrentHour, setIsPlaying]);
+
+  // Returns an error message when the range is rejected
+  const handleDateRangeChange = useCallback((startDate, endDate) => {
+    const error = validateDateRange(startDate, endDate);
+    if (error) return error;
+
+    applyTimeWindow(buildTimeWindow(startDate, endDate));
+    return null;
+  }, [applyTimeWindow]);
+
+  const resetDateRange = useCallback(() => {
+    applyTimeWindow(DEFAULT_TIME_WINDOW);
+  }, [applyTimeWindow]);
+
+  return {
+    handleDateRangeChange,
+    resetDateRange
+  };
+};
@@ -0,0 +1,157 @@
+import { useEffect, useRef } from 'react';
+import { BASEMAPS } from '../../constants/map/basemaps';
+import { isSameTimeWindow, parseUrlState, serializeUrlState } from '../../utils/map/urlState';
+
+// Continuous controls and playback only update the current history entry, after this delay
+const REPLACE_DELAY = 500;
+
+// Discrete choices get their own history entry; the viewport, hour and threshold change
+// continuously while dragging, so they only replace the current one
+const HISTORY_PARAMS = ['start', 'end', 'area', 'event', 'basemap', 'dark'];
+
+const getSessionKey = (search) => {
+  const params = new URLSearchParams(search);
+  return HISTORY_PARAMS.map(param => `${param}=${params.get(param) ?? ''}`).join('&');
+};
+
+export const useUrlState = ({
+  viewport,
+  setViewport,
+  timeWindow,
+  setTimeWindow,
+  currentHour,
+  setCurrentHour,
+  isPlaying,
+  setIsPlaying,
+  pm25Threshold,
+  setPM25Threshold,
+  isDarkMode,
+  setIsDarkMode,
+  currentBasemap,
+  handleBasemapChange,
+  polygon,
+  setPolygon,
+  clearPolygon,
+  activeEventId,
+  restoreEvent
+}) => {
+  const isInitializedRef = useRef(false);
+  const replaceTimeoutRef = useRef(null);
+  const pendingReplaceRef = useRef(null);
+
+  // Latest values for the popstate handler, which is registered once
+  const stateRef = useRef({});
+  stateRef.current = {
+    timeWindow,
+    currentBasemap,
+    polygon,
+    setViewport,
+    setTimeWindow,
+    setCurrentHour,
+    setIsPlaying,
+    setPM25Threshold,
+    setIsDarkMode,
+    handleBasemapChange,
+    setPolygon,
+    clearPolygon,
+    restoreEvent
+  };
+
+  // Mirror the session in the URL
+  useEffect(() => {
+    const search = serializeUrlState({
+      viewport,
+      timeWindow,
+      currentHour,
+      pm25Threshold,
+      basemap: currentBasemap,
+      isDarkMode,
+      polygon,
+      eventId: activeEventId
+    }, window.location.search);
+
+    // A control moved back before the delay leaves nothing to write
+    clearTimeout(replaceTimeoutRef.current);
+    if (search === window.location.search) {
+      pendingReplaceRef.current = null;
+      return;
+    }
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const isNewEntry = isInitializedRef.current &&
+      !isPlaying &&
+      getSessionKey(search) !== getSessionKey(window.location.search);
+    isInitializedRef.current = true;
+
+    if (isNewEntry) {
+      // Settle the entry being left with the slider or viewport change still waiting
+      if (pendingReplaceRef.current) {
+        window.history.replaceState(window.history.state, '', pendingReplaceRef.current);
+        pendingReplaceRef.current = null;
+      }
+      window.history.pushState(null, '', url);
+    } else {
+      pendingReplaceRef.current = url;
+      replaceTimeoutRef.current = setTimeout(() => {
+        pendingReplaceRef.current = null;
+        window.history.replaceState(window.history.state, '', url);
+      }, REPLACE_DELAY);
+    }
+  }, [
+    viewport,
+    timeWindow,
+    currentHour,
+    isPlaying,
+    pm25Threshold,
+    currentBasemap,
+    isDarkMode,
+    polygon,
+    activeEventId
+  ]);
+
+  // Restore the session when moving through browser history
+  useEffect(() => {
+    const handlePopState = () => {
+      clearTimeout(replaceTimeoutRef.current);
+      pendingReplaceRef.current = null;
+
+      const current = stateRef.current;
+      const state = parseUrlState(window.location.search);
+
+      current.setIsPlaying(false);
+
+      if (state.viewport) {
+        current.setViewport(viewport => ({ ...viewport, ...state.viewport }));
+      }
+
+      if (!isSameTimeWindow(state.timeWindow, current.timeWindow)) {
+        current.setTimeWindow(state.timeWindow);
+      }
+      current.setCurrentHour(state.currentHour ?? 0);
+
+      if (state.pm25Threshold !== undefined) {
+        current.setPM25Threshold(state.pm25Threshold);
+      }
+
+      current.setIsDarkMode(state.isDarkMode ?? false);
+      const basemap = state.basemap ?? BASEMAPS.light.url;
+      if (basemap !== current.currentBasemap) {
+        current.handleBasemapChange(basemap);
+      }
+
+      if (state.polygon) {
+        current.setPolygon(state.polygon);
+      } else if (current.polygon) {
+        current.clearPolygon();
+      }
+
+      current.restoreEvent(state.eventId);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+      clearTimeout(replaceTimeoutRef.current);
+    };
+  }, []);
+};
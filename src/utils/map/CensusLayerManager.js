@@ -1,8 +1,10 @@
 // src/utils/map/CensusLayerManager.js
 import { waitForMapReady, removeLayerAndSource, updateLayerColors } from './layerUtils';
 
-const CENSUS_SOURCE_ID = 'census-tracts';
-const CENSUS_LAYER_ID = 'census-tracts-layer';
+export const CENSUS_SOURCE_ID = 'census-tracts';
+export const CENSUS_LAYER_ID = 'census-tracts-layer';
+// Tracts are not drawn, and so cannot be queried, below this zoom
+export const CENSUS_MIN_ZOOM = 4;
 const CENSUS_COLORS = {
   'fill-color': {
     light: '#99aa88', // sage color
@@ -63,7 +65,7 @@ class CensusLayerManager {
             type: 'vector',
             url: 'mapbox://pkulandh.3r0plqr0',
             maxzoom: 12,
-            minzoom: 4
+            minzoom: CENSUS_MIN_ZOOM
           });
           
           this.notifyProgress('layer', 70);
@@ -74,7 +76,7 @@ class CensusLayerManager {
             type: 'fill',
             source: CENSUS_SOURCE_ID,
             'source-layer': 'cb_2019_us_tract_500k-2qnt3v',
-            minzoom: 4,
+            minzoom: CENSUS_MIN_ZOOM,
             maxzoom: 12,
             paint: {
               'fill-color': isDarkMode ? CENSUS_COLORS['fill-color'].dark : CENSUS_COLORS['fill-color'].light,
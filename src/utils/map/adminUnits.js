@@ -0,0 +1,96 @@
+import { ADMIN_LEVELS } from '../../constants/map/adminUnits';
+import { CENSUS_LAYER_ID } from './CensusLayerManager';
+import { getGeometryBoundingBox, getPolygons } from './geometryUtils';
+import { runAnalysis } from './analysisClient';
+
+// Share of the view treated as "touching the edge" when checking for clipped units
+const EDGE_TOLERANCE = 0.01;
+
+/**
+ * Finds the administrative unit under a screen point
+ * @param {Object} map - Mapbox GL map instance
+ * @param {Object} point - Screen point from the click event
+ * @param {string} level - Key in ADMIN_LEVELS
+ * @returns {string|null} Unit GEOID (a tract GEOID prefix), or null when there is no tract there
+ */
+export const getAdminUnitAt = (map, point, level) => {
+  if (!map.getLayer(CENSUS_LAYER_ID)) return null;
+
+  const [feature] = map.queryRenderedFeatures(point, { layers: [CENSUS_LAYER_ID] });
+  const geoid = feature?.properties?.GEOID;
+  return geoid ? geoid.slice(0, ADMIN_LEVELS[level].geoidLength) : null;
+};
+
+/**
+ * Rendered tract pieces whose GEOID starts with a unit's id
+ * Only tracts in rendered tiles are found, so check areTractsClippedByView before relying on them
+ * @param {Object} map - Mapbox GL map instance
+ * @param {string} unitId - Unit GEOID
+ * @returns {Array} Plain { properties, geometry } features
+ */
+export const getRenderedUnitTracts = (map, unitId) => map
+  .queryRenderedFeatures({ layers: [CENSUS_LAYER_ID] })
+  .filter(feature => feature.properties?.GEOID?.startsWith(unitId))
+  .map(({ properties, geometry }) => ({ properties, geometry }));
+
+/**
+ * Outline of a unit dissolved from its tracts in the analysis worker, as a state can hold thousands
+ * @param {Array} tracts - From getRenderedUnitTracts
+ * @param {Object} options - { signal } to cancel
+ * @returns {Promise<Object|null>} { geometry, tractCount }
+ */
+export const buildAdminUnitGeometry = (tracts, options) => (
+  tracts.length > 0 ? runAnalysis('adminUnitOutline', { features: tracts }, options) : Promise.resolve(null)
+);
+
+/**
+ * Checks whether a geometry reaches the edge of the current view and may continue beyond it
+ * @param {Object} map - Mapbox GL map instance
+ * @param {Object} geometry - Polygon or MultiPolygon geometry
+ * @returns {boolean} True if the geometry touches the view edge
+ */
+export const isClippedByView = (map, geometry) => {
+  const view = map.getBounds();
+  const bounds = getGeometryBoundingBox(geometry);
+  const lngTolerance = (view.getEast() - view.getWest()) * EDGE_TOLERANCE;
+  const latTolerance = (view.getNorth() - view.getSouth()) * EDGE_TOLERANCE;
+
+  return bounds.minLng <= view.getWest() + lngTolerance ||
+    bounds.maxLng >= view.getEast() - lngTolerance ||
+    bounds.minLat <= view.getSouth() + latTolerance ||
+    bounds.maxLat >= view.getNorth() - latTolerance;
+};
+
+const collectTractPolygons = (tracts) => ({
+  type: 'MultiPolygon',
+  coordinates: tracts.flatMap(tract => getPolygons(tract.geometry))
+});
+
+/**
+ * Bounding box of a unit's tract pieces
+ * @param {Array} tracts - From getRenderedUnitTracts
+ * @returns {Object} { minLng, maxLng, minLat, maxLat }
+ */
+export const getTractsBoundingBox = (tracts) => getGeometryBoundingBox(collectTractPolygons(tracts));
+
+/**
+ * Checks whether any of a unit's tracts reach the edge of the current view
+ * @param {Object} map - Mapbox GL map instance
+ * @param {Array} tracts - From getRenderedUnitTracts
+ * @returns {boolean} True if the unit may continue beyond the view
+ */
+export const areTractsClippedByView = (map, tracts) => isClippedByView(map, collectTractPolygons(tracts));
+
+/**
+ * Combines the outlines of several selected units into one area geometry
+ * Units of one level do not overlap, so their polygons are simply collected
+ * @param {Array} units - Selected units with a `geometry`
+ * @returns {Object|null} Polygon or MultiPolygon geometry
+ */
+export const combineAdminUnits = (units) => {
+  const polygons = units.flatMap(unit => getPolygons(unit.geometry));
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
@@ -0,0 +1,82 @@
+import turf from 'turf';
+import { getRenderedUnitTracts, areTractsClippedByView, getTractsBoundingBox, buildAdminUnitGeometry, combineAdminUnits } from './adminUnits';
+import { CENSUS_LAYER_ID } from './CensusLayerManager';
+
+const box = (minLng, minLat, maxLng, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+});
+
+const tract = (geoid, geometry) => ({ properties: { GEOID: geoid }, geometry });
+
+// Map stub showing the given view and rendered features
+const createMap = (view, features = []) => ({
+  getBounds: () => ({
+    getWest: () => view[0],
+    getSouth: () => view[1],
+    getEast: () => view[2],
+    getNorth: () => view[3]
+  }),
+  queryRenderedFeatures: jest.fn((options) => (options.layers[0] === CENSUS_LAYER_ID ? features : []))
+});
+
+describe('getRenderedUnitTracts', () => {
+  test('keeps the tracts of the unit as plain features', () => {
+    const map = createMap([-10, -10, 10, 10], [
+      { ...tract('06001400100', box(0, 0, 1, 1)), layer: {} },
+      tract('06003400100', box(1, 0, 2, 1))
+    ]);
+    expect(getRenderedUnitTracts(map, '06001')).toEqual([tract('06001400100', box(0, 0, 1, 1))]);
+  });
+});
+
+describe('areTractsClippedByView', () => {
+  const tracts = [tract('a', box(0, 0, 1, 1)), tract('b', box(1, 0, 2, 1))];
+
+  test('is false for a unit well inside the view', () => {
+    expect(areTractsClippedByView(createMap([-5, -5, 5, 5]), tracts)).toBe(false);
+  });
+
+  test('is true when any tract reaches the edge', () => {
+    expect(areTractsClippedByView(createMap([-5, -5, 2, 5]), tracts)).toBe(true);
+  });
+
+  test('measures the box around every tract', () => {
+    expect(getTractsBoundingBox(tracts)).toEqual({ minLng: 0, maxLng: 2, minLat: 0, maxLat: 1 });
+  });
+});
+
+describe('buildAdminUnitGeometry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('dissolves the tracts into one outline', async () => {
+    const unit = await buildAdminUnitGeometry([
+      tract('a', box(0, 0, 1, 1)),
+      tract('a', box(0.5, 0, 1, 1)),
+      tract('b', box(1, 0, 2, 1))
+    ]);
+
+    expect(unit.tractCount).toBe(2);
+    expect(unit.geometry.type).toBe('Polygon');
+    const area = turf.area({ type: 'Feature', properties: {}, geometry: unit.geometry });
+    expect(area).toBeCloseTo(turf.area({ type: 'Feature', properties: {}, geometry: box(0, 0, 2, 1) }), -3);
+  });
+
+  test('gives nothing for a unit without tracts', async () => {
+    await expect(buildAdminUnitGeometry([])).resolves.toBeNull();
+  });
+});
+
+describe('combineAdminUnits', () => {
+  test('collects the polygons of several units', () => {
+    expect(combineAdminUnits([{ geometry: box(0, 0, 1, 1) }, { geometry: box(2, 0, 3, 1) }]).type).toBe('MultiPolygon');
+    expect(combineAdminUnits([{ geometry: box(0, 0, 1, 1) }])).toEqual(box(0, 0, 1, 1));
+    expect(combineAdminUnits([])).toBeNull();
+  });
+});
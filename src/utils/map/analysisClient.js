@@ -0,0 +1,110 @@
+import { ANALYSIS_TASKS } from './analysisEngine';
+
+let worker = null;
+let workerFailed = false;
+let nextJobId = 1;
+const pendingJobs = new Map();
+
+const createCancelledError = () => {
+  const error = new Error('Analysis cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Whether an error only means the analysis was superseded
+ * @param {Error} error - Error thrown by runAnalysis
+ * @returns {boolean} True for cancellations
+ */
+export const isAnalysisCancelled = (error) => error?.name === 'AbortError';
+
+const rejectAll = (error) => {
+  pendingJobs.forEach(({ reject }) => reject(error));
+  pendingJobs.clear();
+};
+
+const getWorker = async () => {
+  if (worker || workerFailed) return worker;
+
+  try {
+    const { createAnalysisWorker } = await import('../../workers/createAnalysisWorker');
+    // Another job may have started the worker while this one waited for the import
+    if (worker || workerFailed) return worker;
+    worker = createAnalysisWorker();
+
+    worker.onmessage = ({ data }) => {
+      const job = pendingJobs.get(data.id);
+      if (!job) return;
+      pendingJobs.delete(data.id);
+
+      if (data.error) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+    };
+
+    // A worker that fails to load leaves later jobs to the main thread
+    worker.onerror = (event) => {
+      console.error('Analysis worker failed:', event.message || event);
+      worker.terminate();
+      worker = null;
+      workerFailed = true;
+      rejectAll(new Error('Analysis worker failed'));
+    };
+  } catch (error) {
+    console.warn('Analysis worker unavailable, analysing on the main thread:', error);
+    worker = null;
+    workerFailed = true;
+  }
+
+  return worker;
+};
+
+/**
+ * Runs an analysis task off the main thread
+ * @param {string} type - Key in ANALYSIS_TASKS
+ * @param {Object} payload - Plain data for the task; it is copied to the worker
+ * @param {Object} options - { signal } to cancel the job when the hour or area changes
+ * @returns {Promise} Task result; rejects with an AbortError when cancelled
+ */
+export const runAnalysis = async (type, payload, { signal } = {}) => {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+
+  const analysisWorker = await getWorker();
+
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+
+  if (!analysisWorker) {
+    return ANALYSIS_TASKS[type](payload);
+  }
+
+  const id = nextJobId++;
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      if (!pendingJobs.has(id)) return;
+      pendingJobs.delete(id);
+      analysisWorker.postMessage({ id, cancel: true });
+      reject(createCancelledError());
+    };
+
+    pendingJobs.set(id, {
+      resolve: (result) => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', handleAbort);
+        reject(error);
+      }
+    });
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    analysisWorker.postMessage({ id, type, payload });
+  });
+};
@@ -0,0 +1,244 @@
+import { PM25_LEVELS, getPM25Level } from '../../constants/pm25Levels';
+import { isPointInGeometry, getGeometryBoundingBox } from './geometryUtils';
+import { calculateTractExposure } from './tractExposure';
+import { mergeTractFeatures, intersectTracts, dissolveTracts } from './tractIntersection';
+import { binPointsToHexagons, buildContourBands } from './pm25Surfaces';
+import { decodePM25Tile } from './vectorTiles';
+import { matchMonitorsToGrid } from './groundMonitors';
+import { findNearestByTime } from './probeSeries';
+
+/**
+ * Area analysis that only needs plain data, so it can run in the analysis worker
+ * or, where workers are unavailable, on the main thread
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Keeps the points inside an area, checking the bounding box first
+ * @param {Array} points - Points as { pm25, coordinates: [lng, lat] }
+ * @param {Object} areaGeometry - Polygon or MultiPolygon
+ * @returns {Array} Points inside the area
+ */
+export const filterPointsInArea = (points, areaGeometry) => {
+  const bounds = getGeometryBoundingBox(areaGeometry);
+  return points.filter(({ coordinates: [lng, lat] }) =>
+    lng >= bounds.minLng && lng <= bounds.maxLng &&
+    lat >= bounds.minLat && lat <= bounds.maxLat &&
+    isPointInGeometry([lng, lat], areaGeometry)
+  );
+};
+
+/**
+ * Hourly PM2.5 statistics for an area
+ * @param {Array} batches - One per hour as { tilesetId, date, startHour, hour, points }
+ * @param {Object} areaGeometry - Polygon or MultiPolygon
+ * @returns {Array} Per-tileset stats in the shape returned by calculateAreaStats
+ */
+export const computeAreaStats = (batches, areaGeometry) => {
+  const statsByTileset = new Map();
+
+  batches.forEach(({ tilesetId, date, startHour, hour, points }) => {
+    const samples = filterPointsInArea(points, areaGeometry);
+    if (samples.length === 0) return;
+
+    let sum = 0;
+    let maxPM25 = -Infinity;
+    let minPM25 = Infinity;
+    samples.forEach(({ pm25 }) => {
+      sum += pm25;
+      maxPM25 = Math.max(maxPM25, pm25);
+      minPM25 = Math.min(minPM25, pm25);
+    });
+
+    if (!statsByTileset.has(tilesetId)) {
+      statsByTileset.set(tilesetId, { tilesetId, date, startHour, hourlyData: [] });
+    }
+    statsByTileset.get(tilesetId).hourlyData.push({
+      hour,
+      averagePM25: round2(sum / samples.length),
+      maxPM25: round2(maxPM25),
+      minPM25: round2(minPM25),
+      numPoints: samples.length,
+      samples
+    });
+  });
+
+  return Array.from(statsByTileset.values());
+};
+
+/**
+ * Evenly spaced positions across an area's bounding box that fall inside the area
+ * @param {Object} areaGeometry - Polygon or MultiPolygon
+ * @param {number} gridSize - Cells along each side
+ * @returns {Array} [lng, lat] positions
+ */
+export const computeGridInArea = (areaGeometry, gridSize) => {
+  const bounds = getGeometryBoundingBox(areaGeometry);
+  const lngStep = (bounds.maxLng - bounds.minLng) / gridSize;
+  const latStep = (bounds.maxLat - bounds.minLat) / gridSize;
+
+  const positions = [];
+  for (let i = 0; i <= gridSize; i++) {
+    for (let j = 0; j <= gridSize; j++) {
+      const position = [bounds.minLng + i * lngStep, bounds.minLat + j * latStep];
+      if (isPointInGeometry(position, areaGeometry)) {
+        positions.push(position);
+      }
+    }
+  }
+  return positions;
+};
+
+/**
+ * Population (or, without census data, point counts) per PM2.5 category
+ * @param {Array} points - PM2.5 points inside the area as { pm25, coordinates }
+ * @param {Object|null} tracts - Selected tracts keyed by GEOID, with population and geometry
+ * @param {Array} levels - Categories of the active breakpoint table
+ * @returns {Object} { exposureByPM25, distributionByPM25, avgPM25, hasData }
+ */
+export const computeExposure = (points, tracts, levels = PM25_LEVELS) => {
+  const exposureByPM25 = {};
+  const distributionByPM25 = {};
+  const pointsPerCategory = {};
+  levels.forEach(level => {
+    exposureByPM25[level.label] = 0;
+    distributionByPM25[level.label] = 0;
+    pointsPerCategory[level.label] = 0;
+  });
+
+  if (points.length === 0) {
+    return { exposureByPM25, distributionByPM25, avgPM25: 0, hasData: false };
+  }
+
+  let avgPM25 = points.reduce((sum, point) => sum + point.pm25, 0) / points.length;
+  let hasData = false;
+
+  points.forEach(point => {
+    const level = getPM25Level(point.pm25, levels);
+    if (level) {
+      pointsPerCategory[level.label]++;
+      hasData = true;
+    }
+  });
+
+  // Assign each tract the PM2.5 overlapping it and sum tract populations per category
+  const tractExposure = tracts ? calculateTractExposure(tracts, points, levels) : null;
+
+  if (tractExposure && tractExposure.totalPopulation > 0) {
+    levels.forEach(level => {
+      exposureByPM25[level.label] = tractExposure.populationByLevel[level.label];
+      distributionByPM25[level.label] = tractExposure.distribution[level.label];
+    });
+    avgPM25 = tractExposure.populationWeightedPM25;
+  } else {
+    // Without population, fall back to the share of points per category
+    levels.forEach(level => {
+      exposureByPM25[level.label] = pointsPerCategory[level.label];
+      distributionByPM25[level.label] = parseFloat(
+        (pointsPerCategory[level.label] / points.length * 100).toFixed(1)
+      );
+    });
+  }
+
+  return { exposureByPM25, distributionByPM25, avgPM25, hasData };
+};
+
+/**
+ * Census tracts overlapping an area, with the share of each inside it
+ * @param {Array} features - Tract features as { properties, geometry }
+ * @param {Object} areaGeometry - Polygon or MultiPolygon
+ * @returns {Array} Result of intersectTracts
+ */
+export const computeTractIntersection = (features, areaGeometry) => {
+  return intersectTracts(mergeTractFeatures(features), areaGeometry);
+};
+
+/**
+ * Outline of an administrative unit from its rendered tract pieces
+ * @param {Array} features - Tract pieces as { properties, geometry }
+ * @returns {Object|null} { geometry, tractCount }
+ */
+export const computeAdminUnitOutline = (features) => {
+  const tracts = mergeTractFeatures(features);
+  const geometry = dissolveTracts(tracts);
+  return geometry ? { geometry, tractCount: tracts.length } : null;
+};
+
+/**
+ * Hourly PM2.5 statistics for an area straight from one chunk's vector tiles
+ * Tiles repeat points near their edges, so each point is counted once per hour
+ * @param {Array} tiles - Tiles as { z, x, y, buffer }
+ * @param {string} layerName - Source layer holding the points
+ * @param {Object} tileset - { id, date, startHour, endHour }
+ * @param {Object} areaGeometry - Polygon or MultiPolygon
+ * @returns {Array} Per-tileset stats in the shape returned by calculateAreaStats
+ */
+export const computeTileAreaStats = (tiles, layerName, tileset, areaGeometry) => {
+  const pointsByTime = new Map();
+  const seen = new Set();
+
+  tiles.forEach(({ buffer, ...tile }) => {
+    decodePM25Tile(buffer, tile, layerName).forEach(({ time, pm25, coordinates }) => {
+      const key = `${time}|${coordinates[0].toFixed(5)},${coordinates[1].toFixed(5)}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      if (!pointsByTime.has(time)) pointsByTime.set(time, []);
+      pointsByTime.get(time).push({ pm25, coordinates });
+    });
+  });
+
+  const batches = [];
+  for (let hour = tileset.startHour; hour <= tileset.endHour; hour++) {
+    const points = pointsByTime.get(`${tileset.date}T${String(hour).padStart(2, '0')}:00:00`);
+    if (!points) continue;
+    batches.push({ tilesetId: tileset.id, date: tileset.date, startHour: tileset.startHour, hour, points });
+  }
+
+  return computeAreaStats(batches, areaGeometry);
+};
+
+/**
+ * Nearest PM2.5 value to a probe for every hour held in one chunk's vector tiles
+ * @param {Array} tiles - Tiles as { z, x, y, buffer }
+ * @param {string} layerName - Source layer holding the points
+ * @param {Array} lngLat - Probe location as [lng, lat]
+ * @returns {Array} Result of findNearestByTime
+ */
+export const computeTileProbeSeries = (tiles, layerName, lngLat) => {
+  const points = tiles.flatMap(({ buffer, ...tile }) => decodePM25Tile(buffer, tile, layerName));
+  return findNearestByTime(points, lngLat);
+};
+
+/**
+ * Pairs monitor observations with the grid held in one chunk's vector tiles
+ * @param {Array} tiles - Tiles as { z, x, y, buffer }
+ * @param {string} layerName - Source layer holding the points
+ * @param {Array} stations - Stations as returned by parseMonitorFile
+ * @param {Object} observations - Hourly observations by station
+ * @returns {Array} Result of matchMonitorsToGrid
+ */
+export const computeTileMonitorMatches = (tiles, layerName, stations, observations) => {
+  const points = tiles.flatMap(({ buffer, ...tile }) => decodePM25Tile(buffer, tile, layerName));
+  return matchMonitorsToGrid(stations, observations, points);
+};
+
+/**
+ * Tasks understood by runAnalysis, keyed by type
+ */
+export const ANALYSIS_TASKS = {
+  areaStats: ({ batches, areaGeometry }) => computeAreaStats(batches, areaGeometry),
+  pointsInArea: ({ points, areaGeometry }) => filterPointsInArea(points, areaGeometry),
+  gridInArea: ({ areaGeometry, gridSize }) => computeGridInArea(areaGeometry, gridSize),
+  exposure: ({ points, tracts, levels }) => computeExposure(points, tracts, levels),
+  tractIntersection: ({ features, areaGeometry }) => computeTractIntersection(features, areaGeometry),
+  adminUnitOutline: ({ features }) => computeAdminUnitOutline(features),
+  hexbin: ({ points, zoom, aggregation }) => binPointsToHexagons(points, { zoom, aggregation }),
+  contours: ({ points, bounds, threshold, levels }) => buildContourBands(points, bounds, { threshold, levels }),
+  tileAreaStats: ({ tiles, layerName, tileset, areaGeometry }) => computeTileAreaStats(tiles, layerName, tileset, areaGeometry),
+  probeSeries: ({ points, lngLat }) => findNearestByTime(points, lngLat),
+  tileProbeSeries: ({ tiles, layerName, lngLat }) => computeTileProbeSeries(tiles, layerName, lngLat),
+  monitorMatches: ({ stations, observations, points }) => matchMonitorsToGrid(stations, observations, points),
+  tileMonitorMatches: ({ tiles, layerName, stations, observations }) => computeTileMonitorMatches(tiles, layerName, stations, observations)
+};
@@ -0,0 +1,159 @@
+import GIF from 'gif.js/dist/gif.js';
+
+export const RECORDING_RESOLUTIONS = [
+  { id: '480p', label: '854 × 480', width: 854, height: 480 },
+  { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { id: 'square', label: '720 × 720 (social)', width: 720, height: 720 }
+];
+
+export const RECORDING_FRAME_RATES = [2, 4, 8, 12];
+
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Returns the WebM mime type supported by this browser, or null when MediaRecorder cannot record WebM
+ * @returns {string|null}
+ */
+export const getSupportedWebMType = () => {
+  if (typeof window === 'undefined' || !window.MediaRecorder) return null;
+  return WEBM_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type)) || null;
+};
+
+// gif.js keeps a copy of every frame's pixels until it renders, so GIF length is capped by their size
+const MAX_GIF_BUFFER_BYTES = 512 * 1024 * 1024;
+
+/**
+ * Longest clip, in frames, that can be recorded in a format at a resolution
+ * WebM frames are encoded as they arrive, so only GIF is limited
+ * @param {string} format - 'gif' or 'webm'
+ * @param {Object} resolution - { width, height }
+ * @returns {number}
+ */
+export const getMaxRecordingFrames = (format, { width, height }) => {
+  if (format === 'webm') return Infinity;
+  return Math.floor(MAX_GIF_BUFFER_BYTES / (width * height * 4));
+};
+
+/**
+ * Explains why a clip of frameCount frames cannot be recorded, or returns null when it can
+ * @param {number} frameCount - Frames in the requested range
+ * @param {string} format - 'gif' or 'webm'
+ * @param {Object} resolution - { label, width, height }
+ * @returns {string|null}
+ */
+export const getRecordingLimitError = (frameCount, format, resolution) => {
+  const maxFrames = getMaxRecordingFrames(format, resolution);
+  if (frameCount <= maxFrames) return null;
+  return `A ${resolution.label} GIF holds at most ${maxFrames} frames; shorten the range or record WebM`;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a GIF encoder that takes frames one at a time and renders them in the gif.js web workers
+ * Each frame's pixels are copied on add, so the canvas can be redrawn for the next frame
+ * @param {Object} options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} options.fps - Frames per second
+ * @returns {Object} { addFrame(canvas), finish({ onProgress, signal }) => Promise<Blob>, abort() }
+ */
+export const createGifEncoder = ({ width, height, fps }) => {
+  const gif = new GIF({
+    workers: 2,
+    quality: 10,
+    width,
+    height,
+    workerScript: `${process.env.PUBLIC_URL}/gif.worker.js`
+  });
+  const delay = Math.round(1000 / fps);
+
+  const finish = ({ onProgress, signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Recording cancelled', 'AbortError'));
+      return;
+    }
+    signal?.addEventListener('abort', () => {
+      gif.abort();
+      reject(new DOMException('Recording cancelled', 'AbortError'));
+    });
+
+    gif.on('progress', progress => onProgress?.(progress));
+    gif.on('finished', blob => resolve(blob));
+    gif.render();
+  });
+
+  return {
+    addFrame: async (canvas) => {
+      gif.addFrame(canvas, { delay, copy: true });
+    },
+    finish,
+    abort: () => gif.abort()
+  };
+};
+
+/**
+ * Creates a WebM encoder that records each frame through MediaRecorder as it is added
+ * The recorder runs for one frame interval per frame and is paused in between,
+ * so the time spent capturing frames does not end up in the clip
+ * @param {Object} options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} options.fps - Frames per second
+ * @returns {Object} { addFrame(canvas), finish() => Promise<Blob>, abort() }
+ */
+export const createWebMEncoder = ({ width, height, fps }) => {
+  const mimeType = getSupportedWebMType();
+  if (!mimeType) {
+    throw new Error('This browser cannot record WebM video');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  const stopped = new Promise(resolve => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      resolve();
+    };
+  });
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const addFrame = async (frame) => {
+    ctx.drawImage(frame, 0, 0);
+    if (recorder.state === 'inactive') {
+      recorder.start();
+    } else {
+      recorder.resume();
+    }
+    await sleep(1000 / fps);
+    recorder.pause();
+  };
+
+  const finish = async () => {
+    if (recorder.state === 'inactive') {
+      throw new Error('No frames were recorded');
+    }
+    recorder.stop();
+    await stopped;
+    return new Blob(chunks, { type: 'video/webm' });
+  };
+
+  const abort = () => {
+    if (recorder.state !== 'inactive') {
+      recorder.stop();
+    } else {
+      stream.getTracks().forEach(track => track.stop());
+    }
+  };
+
+  return { addFrame, finish, abort };
+};
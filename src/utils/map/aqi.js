@@ -0,0 +1,237 @@
+import { getPM25Level } from '../../constants/pm25Levels';
+import {
+  AQI_STANDARDS,
+  DEFAULT_AQI_STANDARD,
+  NOWCAST_HOURS,
+  NOWCAST_MIN_RECENT_HOURS,
+  NOWCAST_MIN_WEIGHT,
+  DAILY_AVERAGE_HOURS,
+  DAILY_AVERAGE_MIN_HOURS
+} from '../../constants/map/aqi';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Concentrations are truncated to 0.1 µg/m³ before lookup; the epsilon absorbs float error in value * 10
+const truncateConcentration = (value) => Math.floor(value * 10 + 1e-9) / 10;
+
+/**
+ * Breakpoint table by key
+ * @param {string} key - Key in AQI_STANDARDS
+ * @returns {Object} The standard, or the default one for unknown keys
+ */
+export const getAqiStandard = (key) => AQI_STANDARDS[key] || AQI_STANDARDS[DEFAULT_AQI_STANDARD];
+
+/**
+ * Index value of a concentration under a standard
+ * EPA tables interpolate linearly within the breakpoint the truncated concentration falls in
+ * and cap at the top of the scale
+ * @param {number} concentration - PM2.5 in µg/m³
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @returns {number|null} Index, or null without a value
+ */
+export const computeIndex = (concentration, standard) => {
+  if (concentration === null || concentration === undefined || isNaN(concentration)) return null;
+
+  const value = truncateConcentration(Math.max(0, concentration));
+  const { index } = standard;
+
+  if (index.method === 'ratio') {
+    return value / index.reference;
+  }
+
+  if (index.method === 'steps') {
+    return Math.min(index.max, Math.max(index.min, Math.ceil(value / index.size)));
+  }
+
+  const breakpoint = index.breakpoints.find(entry => value <= entry.concHigh);
+  if (!breakpoint) return index.max;
+
+  const { concLow, concHigh, indexLow, indexHigh } = breakpoint;
+  return Math.round((indexHigh - indexLow) / (concHigh - concLow) * (value - concLow) + indexLow);
+};
+
+/**
+ * Concentration at which a standard's index reaches a value, the inverse of computeIndex
+ * @param {number} value - Index
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @returns {number} PM2.5 in µg/m³
+ */
+export const indexToConcentration = (value, standard) => {
+  const { index } = standard;
+
+  if (index.method === 'ratio') {
+    return Math.max(0, value * index.reference);
+  }
+
+  if (index.method === 'steps') {
+    if (value <= index.min) return 0;
+    return Math.round(((Math.min(value, index.max) - 1) * index.size + 0.1) * 10) / 10;
+  }
+
+  const breakpoint = index.breakpoints.find(entry => value <= entry.indexHigh);
+  if (!breakpoint) return index.breakpoints[index.breakpoints.length - 1].concHigh;
+
+  const { concLow, concHigh, indexLow, indexHigh } = breakpoint;
+  const concentration = concLow + (Math.max(value, indexLow) - indexLow) * (concHigh - concLow) / (indexHigh - indexLow);
+  return Math.round(concentration * 10) / 10;
+};
+
+/**
+ * EPA NowCast for PM2.5
+ * Hours are weighted by w^n, where w is the ratio of the lowest to the highest value in the
+ * window (at least 0.5) and n the hours ago; missing hours are skipped but keep their place
+ * @param {Array} values - Hourly PM2.5, most recent first, with null for missing hours
+ * @returns {number|null} NowCast concentration, or null when two of the latest three hours are missing
+ */
+export const computeNowCast = (values) => {
+  const window = values.slice(0, NOWCAST_HOURS);
+  const recent = window.slice(0, 3).filter(value => value !== null && value !== undefined);
+  if (recent.length < NOWCAST_MIN_RECENT_HOURS) return null;
+
+  const available = window.filter(value => value !== null && value !== undefined);
+  const min = Math.min(...available);
+  const max = Math.max(...available);
+  const weight = max > 0 ? Math.max(NOWCAST_MIN_WEIGHT, min / max) : 1;
+
+  let weightedSum = 0;
+  let weightTotal = 0;
+  window.forEach((value, hoursAgo) => {
+    if (value === null || value === undefined) return;
+    const factor = Math.pow(weight, hoursAgo);
+    weightedSum += factor * value;
+    weightTotal += factor;
+  });
+
+  return truncateConcentration(weightedSum / weightTotal);
+};
+
+/**
+ * Mean of the last 24 hours
+ * @param {Array} values - Hourly PM2.5, most recent first, with null for missing hours
+ * @returns {number|null} Average, or null with fewer than 18 hours of data
+ */
+export const compute24HourAverage = (values) => {
+  const available = values
+    .slice(0, DAILY_AVERAGE_HOURS)
+    .filter(value => value !== null && value !== undefined);
+  if (available.length < DAILY_AVERAGE_MIN_HOURS) return null;
+  return available.reduce((sum, value) => sum + value, 0) / available.length;
+};
+
+// Averaged value at an hour from values keyed by timestamp
+const averageAt = (byTimestamp, timestamp, averaging) => {
+  if (averaging === 'hourly') {
+    return byTimestamp.get(timestamp) ?? null;
+  }
+
+  const hours = averaging === 'daily' ? DAILY_AVERAGE_HOURS : NOWCAST_HOURS;
+  const values = Array.from({ length: hours }, (_, hoursAgo) =>
+    byTimestamp.get(timestamp - hoursAgo * MS_PER_HOUR) ?? null
+  );
+
+  return averaging === 'daily' ? compute24HourAverage(values) : computeNowCast(values);
+};
+
+/**
+ * Concentration at an hour under an averaging period
+ * @param {Array} series - Hourly values as { timestamp, pm25 }, in any order
+ * @param {number} timestamp - Hour to evaluate, in ms
+ * @param {string} averaging - Key in AQI_AVERAGING
+ * @returns {number|null} Averaged PM2.5, or null when there is not enough data
+ */
+export const getAveragedPM25 = (series, timestamp, averaging) => averageAt(
+  new Map(series.map(entry => [entry.timestamp, entry.pm25])),
+  timestamp,
+  averaging
+);
+
+const toReading = (concentration, standard) => (concentration === null ? null : {
+  concentration,
+  index: computeIndex(concentration, standard),
+  level: getPM25Level(concentration, standard.levels)
+});
+
+/**
+ * Averaged concentration, index and category at an hour
+ * @param {Array} series - Hourly values as { timestamp, pm25 }
+ * @param {number} timestamp - Hour to evaluate, in ms
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @param {string} averaging - Key in AQI_AVERAGING
+ * @returns {Object|null} { concentration, index, level } or null when there is not enough data
+ */
+export const getAqiReading = (series, timestamp, standard, averaging) =>
+  toReading(getAveragedPM25(series, timestamp, averaging), standard);
+
+/**
+ * Averaged readings at every hour of a series
+ * @param {Array} series - Hourly values as { timestamp, pm25 }
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @param {string} averaging - Key in AQI_AVERAGING
+ * @returns {Array} Result of getAqiReading for each entry, in the same order
+ */
+export const getAqiSeries = (series, standard, averaging) => {
+  const byTimestamp = new Map(series.map(entry => [entry.timestamp, entry.pm25]));
+  return series.map(({ timestamp }) => toReading(averageAt(byTimestamp, timestamp, averaging), standard));
+};
+
+/**
+ * Chart rows with concentration columns replaced by index values
+ * @param {Array} rows - Chart rows
+ * @param {Array} keys - Columns holding concentrations
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @returns {Array} Converted copies of the rows
+ */
+export const convertRowsToIndex = (rows, keys, standard) => rows.map(row => {
+  const converted = { ...row };
+  keys.forEach(key => {
+    if (typeof row[key] === 'number') {
+      converted[key] = computeIndex(row[key], standard);
+    }
+  });
+  return converted;
+});
+
+/**
+ * Index as the standard reports it, e.g. '101', '1.8' or '10+'
+ * @param {number} value - Index from computeIndex
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @returns {string} Label
+ */
+export const formatIndex = (value, standard) => {
+  if (value === null || value === undefined) return '—';
+  const { index } = standard;
+  if (index.method === 'ratio') return value.toFixed(1);
+  if (index.method === 'steps' && value >= index.max) return `${index.max - 1}+`;
+  return `${Math.round(value)}`;
+};
+
+/**
+ * A concentration in the chosen display unit, without the unit
+ * @param {number} concentration - PM2.5 in µg/m³
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @param {string} unit - Key in AQI_DISPLAY_UNITS
+ * @returns {string} Label
+ */
+export const formatPM25 = (concentration, standard, unit) => {
+  if (concentration === null || concentration === undefined || isNaN(concentration)) return '—';
+  return unit === 'index'
+    ? formatIndex(computeIndex(concentration, standard), standard)
+    : concentration.toFixed(1);
+};
+
+/**
+ * Unit suffix for values from formatPM25
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @param {string} unit - Key in AQI_DISPLAY_UNITS
+ * @returns {string} 'µg/m³' or the standard's index name
+ */
+export const getPM25UnitLabel = (standard, unit) => (unit === 'index' ? standard.indexName : 'µg/m³');
+
+/**
+ * Categories a standard counts as a health concern, e.g. USG and above on the EPA tables
+ * @param {Array} levels - Standard's levels
+ * @returns {Array} Levels with distinct labels
+ */
+export const getConcernLevels = (levels) => levels.filter((level, index) =>
+  level.isConcern && levels.findIndex(other => other.label === level.label) === index
+);
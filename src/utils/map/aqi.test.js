@@ -0,0 +1,129 @@
+import { AQI_STANDARDS } from '../../constants/map/aqi';
+import {
+  computeIndex,
+  indexToConcentration,
+  computeNowCast,
+  compute24HourAverage,
+  getAqiSeries,
+  formatPM25
+} from './aqi';
+
+const { epa2012, epa2024, who, canada } = AQI_STANDARDS;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+describe('computeIndex', () => {
+  test.each([
+    [0, 0],
+    [12.0, 50],
+    [12.1, 51],
+    [35.4, 100],
+    [35.5, 101],
+    [55.4, 150],
+    [55.5, 151],
+    [150.4, 200],
+    [150.5, 201],
+    [500.4, 500],
+    [650, 500]
+  ])('EPA 2012: %p µg/m³ is %p', (concentration, index) => {
+    expect(computeIndex(concentration, epa2012)).toBe(index);
+  });
+
+  test.each([
+    [9.0, 50],
+    [9.1, 51],
+    [35.4, 100],
+    [35.5, 101],
+    [125.4, 200],
+    [125.5, 201],
+    [225.5, 301],
+    [325.4, 500],
+    [400, 500]
+  ])('EPA 2024: %p µg/m³ is %p', (concentration, index) => {
+    expect(computeIndex(concentration, epa2024)).toBe(index);
+  });
+
+  test('truncates to 0.1 µg/m³ before the lookup', () => {
+    expect(computeIndex(12.09, epa2012)).toBe(50);
+    expect(computeIndex(35.49, epa2012)).toBe(100);
+  });
+
+  test('scales WHO and steps Canada', () => {
+    expect(computeIndex(30, who)).toBe(2);
+    expect(computeIndex(0, canada)).toBe(1);
+    expect(computeIndex(30.0, canada)).toBe(3);
+    expect(computeIndex(30.1, canada)).toBe(4);
+    expect(computeIndex(250, canada)).toBe(11);
+  });
+
+  test('returns null without a value', () => {
+    expect(computeIndex(null, epa2012)).toBeNull();
+    expect(computeIndex(NaN, epa2012)).toBeNull();
+  });
+});
+
+describe('indexToConcentration', () => {
+  test('inverts each breakpoint table at its category boundaries', () => {
+    [epa2012, epa2024, who, canada].forEach(standard => {
+      standard.levels.slice(1, -1).forEach(level => {
+        expect(indexToConcentration(computeIndex(level.value, standard), standard)).toBeCloseTo(level.value, 1);
+      });
+    });
+  });
+});
+
+describe('formatPM25', () => {
+  test('formats in the chosen unit', () => {
+    expect(formatPM25(35.5, epa2012, 'index')).toBe('101');
+    expect(formatPM25(35.5, epa2012, 'concentration')).toBe('35.5');
+    expect(formatPM25(27, who, 'index')).toBe('1.8');
+    expect(formatPM25(250, canada, 'index')).toBe('10+');
+    expect(formatPM25(null, epa2012, 'index')).toBe('—');
+  });
+});
+
+describe('computeNowCast', () => {
+  test('weights hours by at least one half per hour', () => {
+    const values = [13.5, 14.5, 12.0, 16.5, 19.2, 21.3, 28.1, 28.7, 26.5, 26.6, 20.5, 18.3];
+    expect(computeNowCast(values)).toBe(14.2);
+  });
+
+  test('weights by the min/max ratio of a steady window', () => {
+    expect(computeNowCast(Array(12).fill(8))).toBe(8);
+    expect(computeNowCast([20, 22, null, 21, 20, null, null, 19, 20, 21, 22, 20])).toBe(20.6);
+  });
+
+  test('keeps the place of missing hours', () => {
+    // 10 now and 20 two hours ago: (10 + 0.25 * 20) / 1.25
+    expect(computeNowCast([10, null, 20])).toBe(12);
+  });
+
+  test('needs two of the latest three hours', () => {
+    expect(computeNowCast([10, null, null, 10, 10, 10])).toBeNull();
+    expect(computeNowCast([null, null, 10, 10, 10])).toBeNull();
+    expect(computeNowCast([null, 10, 10])).toBe(10);
+  });
+});
+
+describe('compute24HourAverage', () => {
+  test('needs 18 of 24 hours', () => {
+    expect(compute24HourAverage(Array(17).fill(5))).toBeNull();
+    expect(compute24HourAverage([...Array(18).fill(6), ...Array(6).fill(null)])).toBe(6);
+  });
+});
+
+describe('getAqiSeries', () => {
+  test('averages each hour from the hours before it', () => {
+    const series = Array.from({ length: 30 }, (_, hour) => ({ timestamp: hour * MS_PER_HOUR, pm25: 10 }));
+    const readings = getAqiSeries(series, epa2024, 'daily');
+
+    expect(readings[16]).toBeNull();
+    expect(readings[17]).toEqual(expect.objectContaining({ concentration: 10, index: 53 }));
+    expect(readings[17].level.label).toBe('Moderate');
+  });
+
+  test('reads hourly values as they are', () => {
+    const series = [{ timestamp: 0, pm25: 40 }, { timestamp: MS_PER_HOUR, pm25: 5 }];
+    expect(getAqiSeries(series, epa2012, 'hourly').map(reading => reading.index)).toEqual([112, 21]);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Parsers for boundary files imported as analysis areas
+ *
+ * Supported formats:
+ *   .geojson / .json   Feature, FeatureCollection or bare geometry
+ *   .kml / .kmz        Polygon and MultiGeometry placemarks
+ *   .zip               Shapefile (.shp with optional .prj) in geographic coordinates
+ *
+ * Every polygonal feature in the file is combined into one area. Holes are kept.
+ */
+import { isPointInPolygon } from './geometryUtils';
+
+export const BOUNDARY_FILE_ACCEPT = '.geojson,.json,.kml,.kmz,.zip';
+
+const SHAPE_POLYGON_TYPES = [5, 15, 25]; // Polygon, PolygonZ, PolygonM
+
+const getExtension = (name) => name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+
+const closeRing = (ring) => {
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  return firstLng === lastLng && firstLat === lastLat ? ring : [...ring, ring[0]];
+};
+
+// Signed shoelace area; positive for counter-clockwise rings
+const getRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+};
+
+const isValidRing = (ring) => ring.length >= 4 && ring.every(([lng, lat]) =>
+  Number.isFinite(lng) && Number.isFinite(lat) &&
+  Math.abs(lng) <= 180 && Math.abs(lat) <= 90
+);
+
+/**
+ * Combines polygons (arrays of rings) into one Polygon or MultiPolygon geometry
+ * @param {Array} polygons - Polygons as arrays of rings, outer ring first
+ * @returns {Object} Polygon or MultiPolygon geometry
+ */
+const toGeometry = (polygons) => {
+  const cleaned = polygons
+    .map(rings => rings.filter(ring => ring.length > 0).map(closeRing))
+    .filter(rings => rings.length > 0);
+
+  if (cleaned.length === 0) {
+    throw new Error('The file does not contain any polygons');
+  }
+  if (!cleaned.every(rings => rings.every(isValidRing))) {
+    throw new Error('Coordinates must be longitude/latitude (WGS84)');
+  }
+
+  return cleaned.length === 1
+    ? { type: 'Polygon', coordinates: cleaned[0] }
+    : { type: 'MultiPolygon', coordinates: cleaned };
+};
+
+const collectGeoJSONPolygons = (object, polygons) => {
+  if (!object) return;
+
+  switch (object.type) {
+    case 'FeatureCollection':
+      object.features.forEach(feature => collectGeoJSONPolygons(feature, polygons));
+      break;
+    case 'Feature':
+      collectGeoJSONPolygons(object.geometry, polygons);
+      break;
+    case 'GeometryCollection':
+      object.geometries.forEach(geometry => collectGeoJSONPolygons(geometry, polygons));
+      break;
+    case 'Polygon':
+      polygons.push(object.coordinates);
+      break;
+    case 'MultiPolygon':
+      polygons.push(...object.coordinates);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Parses GeoJSON text
+ * @param {string} text - GeoJSON document
+ * @returns {Object} Polygon or MultiPolygon geometry
+ */
+export const parseGeoJSONBoundary = (text) => {
+  const polygons = [];
+  collectGeoJSONPolygons(JSON.parse(text), polygons);
+  return toGeometry(polygons);
+};
+
+const parseKMLCoordinates = (element) => {
+  const coordinates = element?.getElementsByTagName('coordinates')[0];
+  if (!coordinates) return [];
+
+  return coordinates.textContent
+    .trim()
+    .split(/\s+/)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+};
+
+/**
+ * Parses KML text
+ * @param {string} text - KML document
+ * @returns {Object} Polygon or MultiPolygon geometry
+ */
+export const parseKMLBoundary = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The KML file is not valid XML');
+  }
+
+  // MultiGeometry simply nests Polygon elements, so collecting them covers both
+  const polygons = Array.from(document.getElementsByTagName('Polygon')).map(polygon => {
+    const outer = parseKMLCoordinates(polygon.getElementsByTagName('outerBoundaryIs')[0]);
+    const inner = Array.from(polygon.getElementsByTagName('innerBoundaryIs'))
+      .map(parseKMLCoordinates);
+    return [outer, ...inner];
+  });
+
+  return toGeometry(polygons);
+};
+
+/**
+ * Parses the geometry of a Shapefile (.shp)
+ * Shapefiles mark outer rings as clockwise and holes as counter-clockwise;
+ * each hole is attached to the outer ring that contains it
+ * @param {ArrayBuffer} buffer - Contents of the .shp file
+ * @returns {Object} Polygon or MultiPolygon geometry
+ */
+export const parseShapefileBoundary = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.getInt32(0) !== 9994) {
+    throw new Error('The .shp file is not a valid Shapefile');
+  }
+
+  const polygons = [];
+  const fileLength = Math.min(view.getInt32(24) * 2, buffer.byteLength);
+  let offset = 100;
+
+  while (offset + 8 <= fileLength) {
+    const contentLength = view.getInt32(offset + 4) * 2;
+    const recordStart = offset + 8;
+    offset = recordStart + contentLength;
+
+    const shapeType = view.getInt32(recordStart, true);
+    if (!SHAPE_POLYGON_TYPES.includes(shapeType)) continue;
+
+    const numParts = view.getInt32(recordStart + 36, true);
+    const numPoints = view.getInt32(recordStart + 40, true);
+    const partsStart = recordStart + 44;
+    const pointsStart = partsStart + numParts * 4;
+
+    const rings = [];
+    for (let part = 0; part < numParts; part++) {
+      const first = view.getInt32(partsStart + part * 4, true);
+      const last = part + 1 < numParts ? view.getInt32(partsStart + (part + 1) * 4, true) : numPoints;
+      const ring = [];
+      for (let point = first; point < last; point++) {
+        const pointOffset = pointsStart + point * 16;
+        ring.push([view.getFloat64(pointOffset, true), view.getFloat64(pointOffset + 8, true)]);
+      }
+      rings.push(ring);
+    }
+
+    const recordPolygons = [];
+    const holes = [];
+    rings.forEach(ring => {
+      if (getRingArea(ring) <= 0) {
+        recordPolygons.push([ring]);
+      } else {
+        holes.push(ring);
+      }
+    });
+
+    holes.forEach(hole => {
+      const owner = recordPolygons.find(([outer]) => isPointInPolygon(hole[0], outer));
+      if (owner) {
+        owner.push(hole);
+      } else {
+        // Rings with the wrong winding are common; treat an unowned hole as an outer ring
+        recordPolygons.push([hole]);
+      }
+    });
+
+    polygons.push(...recordPolygons);
+  }
+
+  return toGeometry(polygons);
+};
+
+/**
+ * Lists the files in a ZIP archive and decompresses them on demand
+ * Uses the central directory, so archives written with data descriptors work too
+ * @param {ArrayBuffer} buffer - ZIP archive
+ * @returns {Array} Entries as { name, read: () => Promise<ArrayBuffer> }
+ */
+export const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+
+  let endOffset = buffer.byteLength - 22;
+  while (endOffset >= 0 && view.getUint32(endOffset, true) !== 0x06054b50) {
+    endOffset--;
+  }
+  if (endOffset < 0) {
+    throw new Error('The file is not a valid ZIP archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    entries.push({
+      name,
+      read: async () => {
+        const dataStart = localOffset + 30 +
+          view.getUint16(localOffset + 26, true) +
+          view.getUint16(localOffset + 28, true);
+        const data = buffer.slice(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return data;
+        if (method !== 8) throw new Error(`Unsupported compression in ${name}`);
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer();
+      }
+    });
+  }
+
+  return entries;
+};
+
+const findEntry = (entries, extension) => entries.find(entry =>
+  !entry.name.startsWith('__MACOSX/') && getExtension(entry.name) === extension
+);
+
+const parseZipBoundary = async (buffer, extension) => {
+  const entries = readZipEntries(buffer);
+
+  if (extension === 'kmz') {
+    const kml = findEntry(entries, 'kml');
+    if (!kml) throw new Error('The KMZ archive does not contain a KML file');
+    return parseKMLBoundary(new TextDecoder().decode(await kml.read()));
+  }
+
+  const shp = findEntry(entries, 'shp');
+  if (!shp) throw new Error('The ZIP archive does not contain a .shp file');
+
+  const prj = findEntry(entries, 'prj');
+  if (prj) {
+    const projection = new TextDecoder().decode(await prj.read());
+    if (projection.trim().startsWith('PROJCS')) {
+      throw new Error('The Shapefile is projected; export it in WGS84 longitude/latitude');
+    }
+  }
+
+  return parseShapefileBoundary(await shp.read());
+};
+
+/**
+ * Reads a boundary file into a selection area
+ * @param {File} file - File chosen or dropped by the user
+ * @returns {Promise<Object>} Polygon or MultiPolygon geometry
+ */
+export const parseBoundaryFile = async (file) => {
+  const extension = getExtension(file.name);
+
+  switch (extension) {
+    case 'geojson':
+    case 'json':
+      return parseGeoJSONBoundary(await file.text());
+    case 'kml':
+      return parseKMLBoundary(await file.text());
+    case 'kmz':
+    case 'zip':
+      return parseZipBoundary(await file.arrayBuffer(), extension);
+    default:
+      throw new Error(`Unsupported file type .${extension}`);
+  }
+};
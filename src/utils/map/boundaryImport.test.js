@@ -0,0 +1,311 @@
+import {
+  parseGeoJSONBoundary,
+  parseKMLBoundary,
+  parseShapefileBoundary,
+  readZipEntries,
+  parseBoundaryFile
+} from './boundaryImport';
+
+// Outer rings run clockwise in Shapefiles and holes counter-clockwise
+const clockwiseSquare = (minX, minY, maxX, maxY) => [
+  [minX, minY], [minX, maxY], [maxX, maxY], [maxX, minY], [minX, minY]
+];
+const counterClockwiseSquare = (minX, minY, maxX, maxY) => [
+  [minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]
+];
+
+/**
+ * Builds a .shp file with one record per entry
+ * @param {Array} records - Arrays of rings, or { shapeType } for a record without geometry
+ * @returns {ArrayBuffer}
+ */
+const buildShapefile = (records) => {
+  const contents = records.map(record => {
+    if (!Array.isArray(record)) {
+      const content = new DataView(new ArrayBuffer(20));
+      content.setInt32(0, record.shapeType, true);
+      return content;
+    }
+
+    const numPoints = record.reduce((sum, ring) => sum + ring.length, 0);
+    const content = new DataView(new ArrayBuffer(44 + record.length * 4 + numPoints * 16));
+    content.setInt32(0, 5, true);
+    content.setInt32(36, record.length, true);
+    content.setInt32(40, numPoints, true);
+
+    let pointIndex = 0;
+    record.forEach((ring, part) => {
+      content.setInt32(44 + part * 4, pointIndex, true);
+      ring.forEach(([x, y]) => {
+        const offset = 44 + record.length * 4 + pointIndex * 16;
+        content.setFloat64(offset, x, true);
+        content.setFloat64(offset + 8, y, true);
+        pointIndex++;
+      });
+    });
+    return content;
+  });
+
+  const length = 100 + contents.reduce((sum, content) => sum + 8 + content.byteLength, 0);
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  view.setInt32(0, 9994);
+  view.setInt32(24, length / 2);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, 5, true);
+
+  let offset = 100;
+  contents.forEach((content, index) => {
+    view.setInt32(offset, index + 1);
+    view.setInt32(offset + 4, content.byteLength / 2);
+    bytes.set(new Uint8Array(content.buffer), offset + 8);
+    offset += 8 + content.byteLength;
+  });
+
+  return bytes.buffer;
+};
+
+/**
+ * Builds a ZIP archive with uncompressed entries
+ * @param {Object} files - Contents by file name, as strings or ArrayBuffers
+ * @returns {ArrayBuffer}
+ */
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, contents]) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof contents === 'string' ? encoder.encode(contents) : new Uint8Array(contents);
+
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, nameBytes.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+
+  const centralSize = centrals.reduce((sum, central) => sum + central.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, centrals.length, true);
+  endView.setUint16(10, centrals.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const archive = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  [...locals, ...centrals, end].forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive.buffer;
+};
+
+const toFile = (name, contents) => ({
+  name,
+  text: async () => contents,
+  arrayBuffer: async () => contents
+});
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const UTM_PRJ = 'PROJCS["WGS_1984_UTM_Zone_10N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+  'SPHEROID["WGS_1984",6378137.0,298.257223563]]],PROJECTION["Transverse_Mercator"]]';
+
+describe('parseGeoJSONBoundary', () => {
+  test('combines every polygon in a FeatureCollection and skips other geometries', () => {
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [counterClockwiseSquare(0, 0, 1, 1)] } },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [5, 5] } },
+        {
+          type: 'Feature',
+          geometry: {
+            type: 'MultiPolygon',
+            coordinates: [[counterClockwiseSquare(2, 2, 3, 3), clockwiseSquare(2.2, 2.2, 2.8, 2.8)]]
+          }
+        }
+      ]
+    });
+
+    expect(parseGeoJSONBoundary(text)).toEqual({
+      type: 'MultiPolygon',
+      coordinates: [
+        [counterClockwiseSquare(0, 0, 1, 1)],
+        [counterClockwiseSquare(2, 2, 3, 3), clockwiseSquare(2.2, 2.2, 2.8, 2.8)]
+      ]
+    });
+  });
+
+  test('closes open rings of a bare geometry', () => {
+    const text = JSON.stringify({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] });
+    expect(parseGeoJSONBoundary(text).coordinates[0]).toEqual([[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]);
+  });
+
+  test('rejects files without polygons or with projected coordinates', () => {
+    expect(() => parseGeoJSONBoundary('{"type":"Point","coordinates":[0,0]}')).toThrow('does not contain any polygons');
+    expect(() => parseGeoJSONBoundary(JSON.stringify({
+      type: 'Polygon',
+      coordinates: [counterClockwiseSquare(500000, 4000000, 501000, 4001000)]
+    }))).toThrow('longitude/latitude');
+  });
+});
+
+describe('parseKMLBoundary', () => {
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Placemark><MultiGeometry>
+        <Polygon>
+          <outerBoundaryIs><LinearRing><coordinates>0,0,0 1,0,0 1,1,0 0,1,0 0,0,0</coordinates></LinearRing></outerBoundaryIs>
+          <innerBoundaryIs><LinearRing><coordinates>0.2,0.2 0.2,0.8 0.8,0.8 0.2,0.2</coordinates></LinearRing></innerBoundaryIs>
+        </Polygon>
+        <Polygon>
+          <outerBoundaryIs><LinearRing><coordinates>
+            2,2 3,2 3,3 2,3
+          </coordinates></LinearRing></outerBoundaryIs>
+        </Polygon>
+      </MultiGeometry></Placemark>
+    </Document></kml>`;
+
+  test('reads polygons with holes from a MultiGeometry', () => {
+    expect(parseKMLBoundary(kml)).toEqual({
+      type: 'MultiPolygon',
+      coordinates: [
+        [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]], [[0.2, 0.2], [0.2, 0.8], [0.8, 0.8], [0.2, 0.2]]],
+        [[[2, 2], [3, 2], [3, 3], [2, 3], [2, 2]]]
+      ]
+    });
+  });
+
+  test('rejects invalid XML', () => {
+    expect(() => parseKMLBoundary('<kml><Polygon>')).toThrow('not valid XML');
+  });
+});
+
+describe('parseShapefileBoundary', () => {
+  test('attaches a counter-clockwise hole to its clockwise outer ring', () => {
+    const buffer = buildShapefile([[clockwiseSquare(0, 0, 10, 10), counterClockwiseSquare(2, 2, 4, 4)]]);
+
+    expect(parseShapefileBoundary(buffer)).toEqual({
+      type: 'Polygon',
+      coordinates: [clockwiseSquare(0, 0, 10, 10), counterClockwiseSquare(2, 2, 4, 4)]
+    });
+  });
+
+  test('gives each hole to the outer ring that contains it', () => {
+    const buffer = buildShapefile([[
+      clockwiseSquare(0, 0, 10, 10),
+      clockwiseSquare(20, 0, 30, 10),
+      counterClockwiseSquare(22, 2, 24, 4),
+      counterClockwiseSquare(2, 2, 4, 4)
+    ]]);
+
+    expect(parseShapefileBoundary(buffer)).toEqual({
+      type: 'MultiPolygon',
+      coordinates: [
+        [clockwiseSquare(0, 0, 10, 10), counterClockwiseSquare(2, 2, 4, 4)],
+        [clockwiseSquare(20, 0, 30, 10), counterClockwiseSquare(22, 2, 24, 4)]
+      ]
+    });
+  });
+
+  test('treats a counter-clockwise ring outside every outer ring as an outer ring', () => {
+    const buffer = buildShapefile([[counterClockwiseSquare(0, 0, 1, 1)], [clockwiseSquare(5, 5, 6, 6)]]);
+
+    expect(parseShapefileBoundary(buffer)).toEqual({
+      type: 'MultiPolygon',
+      coordinates: [[counterClockwiseSquare(0, 0, 1, 1)], [clockwiseSquare(5, 5, 6, 6)]]
+    });
+  });
+
+  test('skips records that are not polygons', () => {
+    const buffer = buildShapefile([{ shapeType: 0 }, [clockwiseSquare(0, 0, 1, 1)]]);
+    expect(parseShapefileBoundary(buffer).type).toBe('Polygon');
+    expect(() => parseShapefileBoundary(buildShapefile([{ shapeType: 0 }]))).toThrow('does not contain any polygons');
+  });
+
+  test('rejects other files and projected coordinates', () => {
+    expect(() => parseShapefileBoundary(new ArrayBuffer(100))).toThrow('not a valid Shapefile');
+    expect(() => parseShapefileBoundary(buildShapefile([[clockwiseSquare(500000, 4000000, 501000, 4001000)]])))
+      .toThrow('longitude/latitude');
+  });
+});
+
+describe('readZipEntries', () => {
+  test('lists and reads stored entries', async () => {
+    const entries = readZipEntries(buildZip({ 'a.txt': 'hello', 'dir/b.txt': 'world' }));
+
+    expect(entries.map(entry => entry.name)).toEqual(['a.txt', 'dir/b.txt']);
+    expect(new TextDecoder().decode(await entries[1].read())).toBe('world');
+  });
+
+  test('rejects files that are not archives', () => {
+    expect(() => readZipEntries(new ArrayBuffer(64))).toThrow('not a valid ZIP archive');
+  });
+});
+
+describe('parseBoundaryFile', () => {
+  const shp = buildShapefile([[clockwiseSquare(-100, 40, -99, 41)]]);
+
+  test('reads a zipped Shapefile in geographic coordinates', async () => {
+    const zip = buildZip({
+      '__MACOSX/._area.shp': 'resource fork',
+      'area.shp': shp,
+      'area.prj': WGS84_PRJ
+    });
+
+    await expect(parseBoundaryFile(toFile('area.zip', zip))).resolves.toEqual({
+      type: 'Polygon',
+      coordinates: [clockwiseSquare(-100, 40, -99, 41)]
+    });
+  });
+
+  test('rejects a projected Shapefile by its .prj', async () => {
+    const zip = buildZip({ 'area.shp': shp, 'area.prj': UTM_PRJ });
+    await expect(parseBoundaryFile(toFile('area.zip', zip))).rejects.toThrow('projected');
+  });
+
+  test('rejects archives without a .shp', async () => {
+    await expect(parseBoundaryFile(toFile('area.zip', buildZip({ 'area.dbf': 'x' })))).rejects.toThrow('.shp');
+  });
+
+  test('reads the KML inside a KMZ', async () => {
+    const kml = '<kml><Placemark><Polygon><outerBoundaryIs><LinearRing>' +
+      '<coordinates>0,0 1,0 1,1 0,0</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark></kml>';
+
+    await expect(parseBoundaryFile(toFile('area.kmz', buildZip({ 'doc.kml': kml })))).resolves.toEqual({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+    });
+  });
+
+  test('picks the parser by extension', async () => {
+    const geojson = JSON.stringify({ type: 'Polygon', coordinates: [counterClockwiseSquare(0, 0, 1, 1)] });
+    await expect(parseBoundaryFile(toFile('area.GeoJSON', geojson))).resolves.toEqual({
+      type: 'Polygon',
+      coordinates: [counterClockwiseSquare(0, 0, 1, 1)]
+    });
+    await expect(parseBoundaryFile(toFile('area.csv', ''))).rejects.toThrow('Unsupported file type .csv');
+  });
+});
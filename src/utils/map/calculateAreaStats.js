@@ -1,15 +1,43 @@
 import { TILESET_INFO } from './constants';
-import { isPointInPolygon } from './geometryUtils';
+import { toAreaGeometry } from './geometryUtils';
+import { runAnalysis } from './analysisClient';
 
-const calculateAreaStats = async (map, polygon) => {
+// Plain PM2.5 points from rendered features, grouped by their hour
+const groupPointsByTime = (features) => {
+  const pointsByTime = new Map();
+
+  features.forEach(feature => {
+    const time = feature.properties?.time;
+    const coordinates = feature.geometry?.coordinates;
+    const pm25 = parseFloat(feature.properties?.PM25);
+    if (!time || !coordinates || isNaN(pm25)) return;
+
+    if (!pointsByTime.has(time)) pointsByTime.set(time, []);
+    pointsByTime.get(time).push({ pm25, coordinates });
+  });
+
+  return pointsByTime;
+};
+
+/**
+ * Hourly PM2.5 statistics for an area from the rendered data layers
+ * Features are read from the map here; the point-in-area work runs in the analysis worker
+ * @param {Object} map - Mapbox map
+ * @param {Array|Object} polygon - Selected area
+ * @param {Array} tilesets - Tilesets to read
+ * @param {Object} options - { signal } to cancel when the hour or area changes
+ * @returns {Promise<Array>} Per-tileset stats with hourlyData
+ */
+const calculateAreaStats = async (map, polygon, tilesets = TILESET_INFO, { signal } = {}) => {
   if (!map || !polygon) {
     return [];
   }
 
-  const stats = [];
+  const batches = [];
   const processedLayers = new Set();
+  const areaGeometry = toAreaGeometry(polygon);
 
-  for (const tileset of TILESET_INFO) {
+  for (const tileset of tilesets) {
     const sourceId = `source-${tileset.id}`;
     const layerId = `layer-${tileset.id}`;
 
@@ -38,73 +66,64 @@ const calculateAreaStats = async (map, polygon) => {
     // Mark layer as processed
     processedLayers.add(layerId);
 
-    const tilesetStats = {
-      tilesetId: tileset.id,
-      date: tileset.date,
-      startHour: tileset.startHour,
-      hourlyData: []
-    };
-
-    // Process each hour in the chunk
-    for (let hour = tileset.startHour; hour <= tileset.endHour; hour++) {
-      const formattedTime = `${tileset.date}T${String(hour).padStart(2, '0')}:00:00`;
-
-      try {
-        // Query features within the polygon for this specific hour
-        const features = map.queryRenderedFeatures({
-          layers: [layerId],
-          filter: [
-            'all',
-            ['==', ['get', 'time'], formattedTime]
-          ]
-        }).filter(feature => {
-          // Additional filtering for polygon intersection
-          if (!feature.geometry || !feature.geometry.coordinates) {
-            return false;
-          }
-          const coords = feature.geometry.coordinates;
-          return isPointInPolygon(coords, polygon);
-        });
-
-        if (features.length === 0) {
-          continue;
-        }
-
-        // Calculate statistics for this hour
-        const pm25Values = features
-          .map(feature => {
-            const pm25 = parseFloat(feature.properties.PM25);
-            return isNaN(pm25) ? null : pm25;
-          })
-          .filter(value => value !== null);
-
-        if (pm25Values.length === 0) {
-          continue;
-        }
+    try {
+      // One query per layer, split by hour here rather than one filtered query per hour
+      const pointsByTime = groupPointsByTime(map.queryRenderedFeatures({ layers: [layerId] }));
 
-        const averagePM25 = pm25Values.reduce((sum, value) => sum + value, 0) / pm25Values.length;
-        const maxPM25 = Math.max(...pm25Values);
-        const minPM25 = Math.min(...pm25Values);
+      for (let hour = tileset.startHour; hour <= tileset.endHour; hour++) {
+        const points = pointsByTime.get(`${tileset.date}T${String(hour).padStart(2, '0')}:00:00`);
+        if (!points) continue;
 
-        tilesetStats.hourlyData.push({
+        batches.push({
+          tilesetId: tileset.id,
+          date: tileset.date,
+          startHour: tileset.startHour,
           hour,
-          averagePM25: Math.round(averagePM25 * 100) / 100,
-          maxPM25: Math.round(maxPM25 * 100) / 100,
-          minPM25: Math.round(minPM25 * 100) / 100,
-          numPoints: features.length
+          points
         });
-      } catch (error) {
-        console.warn(`Error processing hour ${hour} for tileset ${tileset.id}:`, error);
-        continue;
       }
+    } catch (error) {
+      console.warn(`Error reading features for tileset ${tileset.id}:`, error);
     }
+  }
 
-    if (tilesetStats.hourlyData.length > 0) {
-      stats.push(tilesetStats);
-    }
+  if (batches.length === 0) {
+    return [];
   }
 
-  return stats;
+  return runAnalysis('areaStats', { batches, areaGeometry }, { signal });
+};
+
+/**
+ * Flattens calculateAreaStats output into one chart row per hour
+ * @param {Array} stats - Result of calculateAreaStats
+ * @returns {Array} Rows { time: 'YYYY-MM-DD HH:00', averagePM25, maxPM25, minPM25, points, samples } sorted by time
+ */
+export const toChartRows = (stats) => {
+  return stats.flatMap(tilesetStats =>
+    tilesetStats.hourlyData.map(hourData => ({
+      time: `${tilesetStats.date} ${String(hourData.hour).padStart(2, '0')}:00`,
+      averagePM25: hourData.averagePM25,
+      maxPM25: hourData.maxPM25,
+      minPM25: hourData.minPM25,
+      points: hourData.numPoints,
+      samples: hourData.samples
+    }))
+  ).sort((a, b) => new Date(a.time) - new Date(b.time));
+};
+
+/**
+ * Adds newly calculated hours to a series; hours already present are kept
+ * @param {Array} previous - Existing chart rows
+ * @param {Array} next - Rows from toChartRows
+ * @returns {Array} Combined rows sorted by time
+ */
+export const mergeChartRows = (previous, next) => {
+  const combinedData = [...previous, ...next];
+  const uniqueData = combinedData.filter((v, i, a) =>
+    a.findIndex(t => t.time === v.time) === i
+  );
+  return uniqueData.sort((a, b) => new Date(a.time) - new Date(b.time));
 };
 
 export default calculateAreaStats;
\ No newline at end of file
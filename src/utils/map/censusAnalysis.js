@@ -1,7 +1,8 @@
 import { useState, useCallback, useEffect } from 'react';
 import _ from 'lodash';
 import { fetchCensusPopulation, isValidGEOID } from './census-api';
-import { isPointInPolygon, getBoundingBox } from './geometryUtils';
+import { getGeometryBoundingBox, toAreaGeometry } from './geometryUtils';
+import { runAnalysis, isAnalysisCancelled } from './analysisClient';
 import { removeLayerAndSource } from './layerUtils';
 
 const censusCache = {
@@ -48,41 +49,40 @@ const queryFeaturesEfficiently = (map, bounds, layerId) => {
   });
 };
 
-const highlightIntersectingTracts = async (map, polygon, isDarkMode) => {
+const highlightIntersectingTracts = async (map, polygon, isDarkMode, signal) => {
   if (!map || !polygon) return null;
 
   try {
-    // Calculate bounds
-    const bounds = getBoundingBox(polygon);
+    const areaGeometry = toAreaGeometry(polygon);
+    const bounds = getGeometryBoundingBox(areaGeometry);
     const features = queryFeaturesEfficiently(map, bounds, 'census-tracts-layer');
 
     if (!features || features.length === 0) return null;
 
-    // Filter intersecting features
-    const intersectingFeatures = features.filter(feature => {
-      if (!feature.geometry || !feature.properties) return false;
-      return feature.geometry.coordinates[0].some(coord => 
-        isPointInPolygon(coord, polygon)
-      );
-    });
+    // Shares are of each tract's recorded area, so tracts cut off by the view are not overcounted
+    const intersectingTracts = await runAnalysis('tractIntersection', {
+      features: features.map(({ properties, geometry }) => ({ properties, geometry })),
+      areaGeometry
+    }, { signal });
 
-    if (intersectingFeatures.length === 0) return null;
+    if (intersectingTracts.length === 0) return null;
 
     // Update highlight layers immediately
-    await updateHighlightLayers(map, intersectingFeatures, isDarkMode);
+    await updateHighlightLayers(map, intersectingTracts, isDarkMode);
 
     return {
-      features: intersectingFeatures,
-      tractCount: intersectingFeatures.length
+      tracts: intersectingTracts,
+      tractCount: intersectingTracts.length
     };
   } catch (error) {
+    if (isAnalysisCancelled(error)) throw error;
     console.error('Error highlighting tracts:', error);
     return null;
   }
 };
 
-// Modified main selection function
-export const getSelectedCensusTracts = async (map, polygon, isDarkMode) => {
+// Modified main selection function; a cancelled `signal` rejects with an AbortError
+export const getSelectedCensusTracts = async (map, polygon, isDarkMode, { signal } = {}) => {
   if (!map || !polygon) {
     return { 
       tracts: {}, 
@@ -93,7 +93,7 @@ export const getSelectedCensusTracts = async (map, polygon, isDarkMode) => {
 
   try {
     // First, immediately highlight tracts and return initial count
-    const highlightResult = await highlightIntersectingTracts(map, polygon, isDarkMode);
+    const highlightResult = await highlightIntersectingTracts(map, polygon, isDarkMode, signal);
     
     if (!highlightResult) {
       return { 
@@ -123,21 +123,26 @@ export const getSelectedCensusTracts = async (map, polygon, isDarkMode) => {
         const selectedTracts = {};
         let totalPopulation = 0;
 
-        highlightResult.features.forEach(feature => {
-          const geoid = feature.properties.GEOID;
-          if (!geoid || !isValidGEOID(geoid)) return;
+        // Population is apportioned by the share of tract area inside the selection
+        highlightResult.tracts.forEach(tract => {
+          const { geoid, properties } = tract;
+          if (!isValidGEOID(geoid)) return;
 
           const censusData = censusPopulationData[geoid];
-          const population = censusData ? censusData.population : 0;
+          const tractPopulation = censusData ? censusData.population : 0;
+          const population = Math.round(tractPopulation * tract.fraction);
 
           selectedTracts[geoid] = {
             population,
+            tractPopulation,
+            fraction: tract.fraction,
+            geometry: tract.intersection,
             metadata: {
-              landArea: parseFloat(feature.properties.ALAND) || 0,
+              landArea: parseFloat(properties.ALAND) || 0,
               geoid,
-              state: censusData?.metadata?.state || feature.properties.STATEFP,
-              county: censusData?.metadata?.county || feature.properties.COUNTYFP,
-              tract: censusData?.metadata?.tract || feature.properties.TRACTCE
+              state: censusData?.metadata?.state || properties.STATEFP,
+              county: censusData?.metadata?.county || properties.COUNTYFP,
+              tract: censusData?.metadata?.tract || properties.TRACTCE
             }
           };
 
@@ -172,6 +177,7 @@ export const getSelectedCensusTracts = async (map, polygon, isDarkMode) => {
     };
 
   } catch (error) {
+    if (isAnalysisCancelled(error)) throw error;
     console.error('Error in getSelectedCensusTracts:', error);
     return { 
       tracts: {}, 
@@ -181,15 +187,16 @@ export const getSelectedCensusTracts = async (map, polygon, isDarkMode) => {
   }
 };
 
-// Alternative approach - insert above the topmost layer
-const updateHighlightLayers = async (map, features, isDarkMode) => {
-  const HIGHLIGHT_SOURCE = 'selected-tracts';
-  const HIGHLIGHT_LAYER = 'selected-tracts-highlight';
-  const OUTLINE_LAYER = 'selected-tracts-outline';
+const HIGHLIGHT_SOURCE = 'selected-tracts';
+const HIGHLIGHT_LAYER = 'selected-tracts-highlight';
+const OUTLINE_LAYER = 'selected-tracts-outline';
+const FRACTION_LAYER = 'selected-tracts-fraction';
 
+// Alternative approach - insert above the topmost layer
+const updateHighlightLayers = async (map, tracts, isDarkMode) => {
   try {
     // Clean up existing layers
-    [HIGHLIGHT_LAYER, OUTLINE_LAYER].forEach(id => {
+    [HIGHLIGHT_LAYER, OUTLINE_LAYER, FRACTION_LAYER].forEach(id => {
       if (map.getLayer(id)) map.removeLayer(id);
     });
     if (map.getSource(HIGHLIGHT_SOURCE)) {
@@ -198,10 +205,14 @@ const updateHighlightLayers = async (map, features, isDarkMode) => {
 
     const geojson = {
       type: 'FeatureCollection',
-      features: features.map(f => ({
+      features: tracts.map(tract => ({
         type: 'Feature',
-        geometry: f.geometry,
-        properties: { id: f.properties.GEOID }
+        geometry: tract.geometry,
+        properties: {
+          id: tract.geoid,
+          fraction: tract.fraction,
+          fractionLabel: `${Math.round(tract.fraction * 100)}%`
+        }
       }))
     };
 
@@ -222,7 +233,12 @@ const updateHighlightLayers = async (map, features, isDarkMode) => {
       source: HIGHLIGHT_SOURCE,
       paint: {
         'fill-color': isDarkMode ? '#cea25d' : '#2d5954', // Using gold in dark mode, forest in light mode
-        'fill-opacity': isDarkMode ? 0.4 : 0.3,
+        // Tracts mostly outside the selection are drawn fainter
+        'fill-opacity': [
+          'interpolate', ['linear'], ['get', 'fraction'],
+          0, isDarkMode ? 0.1 : 0.08,
+          1, isDarkMode ? 0.4 : 0.3
+        ],
         'fill-outline-color': isDarkMode ? '#deb77d' : '#3a7370' // Light variants for outlines
       }
     }, topmostLayerId); // Insert above the topmost layer
@@ -239,23 +255,36 @@ const updateHighlightLayers = async (map, features, isDarkMode) => {
       }
     }); // This will be added at the top
 
+    // Share of each tract inside the selection, once tracts are large enough to label
+    map.addLayer({
+      id: FRACTION_LAYER,
+      type: 'symbol',
+      source: HIGHLIGHT_SOURCE,
+      minzoom: 8,
+      layout: {
+        'text-field': ['get', 'fractionLabel'],
+        'text-size': 11
+      },
+      paint: {
+        'text-color': isDarkMode ? '#deb77d' : '#1e3c38',
+        'text-halo-color': isDarkMode ? '#111827' : '#ffffff',
+        'text-halo-width': 1
+      }
+    });
+
   } catch (error) {
     console.error('Error updating highlight layers:', error);
   }
 };
 
-const HIGHLIGHT_SOURCE = 'selected-tracts';
-const HIGHLIGHT_LAYER = 'selected-tracts-highlight';
-const OUTLINE_LAYER = 'selected-tracts-outline';
-
 export const cleanupHighlightLayers = (map) => {
   if (!map) return;
 
   try {
-    // Clean up outline layer separately since it shares the source with highlight layer
-    if (map.getLayer(OUTLINE_LAYER)) {
-      map.removeLayer(OUTLINE_LAYER);
-    }
+    // Clean up the layers sharing the source with the highlight layer separately
+    [OUTLINE_LAYER, FRACTION_LAYER].forEach(id => {
+      if (map.getLayer(id)) map.removeLayer(id);
+    });
     
     // Clean up the highlight layer and its source
     removeLayerAndSource(map, HIGHLIGHT_LAYER, HIGHLIGHT_SOURCE);
@@ -1,4 +1,5 @@
 import { PM25_LEVELS } from '../../constants/pm25Levels';
+import { getDataSource } from './dataSources';
 
 const getCurrentUTCDate = () => {
     const now = new Date();
@@ -15,13 +16,13 @@ const getCurrentUTCDate = () => {
     const today = getCurrentUTCDate();
     
     const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
     
     const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
     
     const dayBefore = new Date(today);
-    dayBefore.setDate(dayBefore.getDate() - 2);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 2);
   
     const endDate = new Date(tomorrow.getTime() + 24 * 60 * 60 * 1000 - 1);
     
@@ -31,8 +32,7 @@ const getCurrentUTCDate = () => {
       yesterday,
       dayBefore,
       startDate: dayBefore,
-      endDate,
-      totalHours: Math.floor((endDate - dayBefore) / (1000 * 60 * 60))
+      endDate
     };
   };
   
@@ -41,47 +41,116 @@ const getCurrentUTCDate = () => {
     return date.toISOString().split('T')[0].replace(/-/g, '');
   };
   
-  // Generate tileset info for a specific date
+  // Two-hour blocks each tileset covers
+  const TILESET_CHUNKS = [
+    { name: '00to02', start: 0, end: 1 },
+    { name: '02to04', start: 2, end: 3 },
+    { name: '04to06', start: 4, end: 5 },
+    { name: '06to08', start: 6, end: 7 },
+    { name: '08to10', start: 8, end: 9 },
+    { name: '10to12', start: 10, end: 11 },
+    { name: '12to14', start: 12, end: 13 },
+    { name: '14to16', start: 14, end: 15 },
+    { name: '16to18', start: 16, end: 17 },
+    { name: '18to20', start: 18, end: 19 },
+    { name: '20to22', start: 20, end: 21 },
+    { name: '22to24', start: 22, end: 23 }
+  ];
+
+  // Generate tileset info for a specific date, resolved through the active data source
   const generateTilesetInfo = (date) => {
-    const formattedDate = formatDate(date);
-    const chunks = [
-      { name: '00to02', start: 0, end: 1 },
-      { name: '02to04', start: 2, end: 3 },
-      { name: '04to06', start: 4, end: 5 },
-      { name: '06to08', start: 6, end: 7 },
-      { name: '08to10', start: 8, end: 9 },
-      { name: '10to12', start: 10, end: 11 },
-      { name: '12to14', start: 12, end: 13 },
-      { name: '14to16', start: 14, end: 15 },
-      { name: '16to18', start: 16, end: 17 },
-      { name: '18to20', start: 18, end: 19 },
-      { name: '20to22', start: 20, end: 21 },
-      { name: '22to24', start: 22, end: 23 }
-    ];
+    const dateKey = formatDate(date);
+    const isoDate = date.toISOString().split('T')[0];
+    const dataSource = getDataSource();
     
-    return chunks.map(({ name, start, end }) => ({
-      id: `pkulandh.pm25-${formattedDate}-${name}`,
-      layer: `pm25_${formattedDate}_${name}`,
-      date: date.toISOString().split('T')[0],
-      startHour: start,
-      endHour: end
+    return TILESET_CHUNKS.map(chunk => ({
+      ...dataSource.resolveTileset({ date, dateKey, isoDate, chunk }),
+      date: isoDate,
+      startHour: chunk.start,
+      endHour: chunk.end
     }));
   };
   
   export const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_ACCESS_TOKEN;
+
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  // Longest window that can be loaded at once (number of days)
+  export const MAX_WINDOW_DAYS = 31;
+
+  // Build the tilesets and hour count for an inclusive range of UTC days
+  export const buildTimeWindow = (startDate, endDate) => {
+    const dayCount = Math.round((endDate - startDate) / MS_PER_DAY) + 1;
+    const days = Array.from({ length: dayCount }, (_, index) => 
+      new Date(startDate.getTime() + index * MS_PER_DAY)
+    );
+
+    return {
+      startDate,
+      endDate: new Date(days[days.length - 1].getTime() + MS_PER_DAY - 1),
+      days,
+      totalHours: dayCount * 24,
+      tilesets: days.flatMap(generateTilesetInfo)
+    };
+  };
+
+  // Format a date as YYYY-MM-DD for URL parameters and date inputs
+  export const formatDateParam = (date) => date.toISOString().split('T')[0];
+
+  // Parse a YYYY-MM-DD string into a UTC midnight date, or null if invalid
+  export const parseDateParam = (value) => {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) || formatDateParam(date) !== value ? null : date;
+  };
+
+  // Check a start/end pair and return an error message, or null when usable
+  export const validateDateRange = (startDate, endDate) => {
+    if (!startDate || !endDate) return 'Choose a start and end date';
+    if (endDate < startDate) return 'End date must be on or after the start date';
+    if ((endDate - startDate) / MS_PER_DAY + 1 > MAX_WINDOW_DAYS) {
+      return `Choose at most ${MAX_WINDOW_DAYS} days`;
+    }
+    return null;
+  };
   
-  const { startDate, endDate, totalHours, dayBefore, yesterday, today, tomorrow } = getDateRange();
+  const { startDate, endDate, dayBefore, tomorrow } = getDateRange();
+
+  // Rolling window used when no dates are requested
+  export const DEFAULT_TIME_WINDOW = buildTimeWindow(dayBefore, tomorrow);
   
   export const START_DATE = startDate;
   export const END_DATE = endDate;
-  export const TOTAL_HOURS = totalHours;
-  
-  export const TILESET_INFO = [
-    ...generateTilesetInfo(dayBefore),
-    ...generateTilesetInfo(yesterday),
-    ...generateTilesetInfo(today),
-    ...generateTilesetInfo(tomorrow)
-  ];
+  export const TOTAL_HOURS = DEFAULT_TIME_WINDOW.totalHours;
   
+  export const TILESET_INFO = DEFAULT_TIME_WINDOW.tilesets;
+
+  // Read a `?start=YYYY-MM-DD&end=YYYY-MM-DD` window from a query string
+  export const getTimeWindowFromURL = (search) => {
+    const params = new URLSearchParams(search);
+    const start = parseDateParam(params.get('start'));
+    const end = parseDateParam(params.get('end'));
+
+    if (!start && !end) return DEFAULT_TIME_WINDOW;
+
+    const rangeStart = start || end;
+    const rangeEnd = end || start;
+    const error = validateDateRange(rangeStart, rangeEnd);
+    if (error) {
+      console.warn(`Ignoring date range from URL: ${error}`);
+      return DEFAULT_TIME_WINDOW;
+    }
+
+    return buildTimeWindow(rangeStart, rangeEnd);
+  };
+
+  // Find the tileset covering a date (YYYY-MM-DD) and UTC hour
+  export const findTileset = (date, hour, tilesets = TILESET_INFO) => {
+    return tilesets.find(tileset => 
+      tileset.date === date && 
+      hour >= tileset.startHour && 
+      hour <= tileset.endHour
+    );
+  };
 
   export { PM25_LEVELS };
\ No newline at end of file
@@ -0,0 +1,106 @@
+import {
+  buildTimeWindow,
+  validateDateRange,
+  findTileset,
+  parseDateParam,
+  formatDateParam,
+  getTimeWindowFromURL,
+  DEFAULT_TIME_WINDOW,
+  MAX_WINDOW_DAYS
+} from './constants';
+
+const utcDay = (value) => new Date(`${value}T00:00:00Z`);
+
+describe('parseDateParam', () => {
+  test('reads a calendar day as UTC midnight', () => {
+    expect(parseDateParam('2024-02-29')).toEqual(utcDay('2024-02-29'));
+  });
+
+  test('rejects other formats and days that do not exist', () => {
+    expect(parseDateParam('2023-02-29')).toBeNull();
+    expect(parseDateParam('2024-13-01')).toBeNull();
+    expect(parseDateParam('2024-1-5')).toBeNull();
+    expect(parseDateParam('')).toBeNull();
+    expect(parseDateParam(null)).toBeNull();
+  });
+
+  test('round-trips through formatDateParam', () => {
+    expect(formatDateParam(parseDateParam('2021-07-19'))).toBe('2021-07-19');
+  });
+});
+
+describe('validateDateRange', () => {
+  test('accepts a single day and the longest window', () => {
+    expect(validateDateRange(utcDay('2024-01-01'), utcDay('2024-01-01'))).toBeNull();
+    expect(validateDateRange(utcDay('2024-01-01'), utcDay('2024-01-31'))).toBeNull();
+  });
+
+  test('rejects missing, reversed and overlong ranges', () => {
+    expect(validateDateRange(null, utcDay('2024-01-01'))).toBe('Choose a start and end date');
+    expect(validateDateRange(utcDay('2024-01-02'), utcDay('2024-01-01'))).toBe('End date must be on or after the start date');
+    expect(validateDateRange(utcDay('2024-01-01'), utcDay('2024-02-01'))).toBe(`Choose at most ${MAX_WINDOW_DAYS} days`);
+  });
+});
+
+describe('buildTimeWindow', () => {
+  const window = buildTimeWindow(utcDay('2024-03-09'), utcDay('2024-03-11'));
+
+  test('covers every hour of the inclusive range', () => {
+    expect(window.days).toHaveLength(3);
+    expect(window.totalHours).toBe(72);
+    expect(window.endDate.toISOString()).toBe('2024-03-11T23:59:59.999Z');
+  });
+
+  test('holds twelve two-hour chunks per day in order', () => {
+    expect(window.tilesets).toHaveLength(36);
+    expect(window.tilesets[0]).toMatchObject({ date: '2024-03-09', startHour: 0, endHour: 1 });
+    expect(window.tilesets[35]).toMatchObject({ date: '2024-03-11', startHour: 22, endHour: 23 });
+    expect(new Set(window.tilesets.map(tileset => tileset.id)).size).toBe(36);
+  });
+
+  test('builds the longest window in full', () => {
+    expect(buildTimeWindow(utcDay('2024-01-01'), utcDay('2024-01-31')).tilesets).toHaveLength(31 * 12);
+  });
+});
+
+describe('findTileset', () => {
+  const { tilesets } = buildTimeWindow(utcDay('2024-03-09'), utcDay('2024-03-10'));
+
+  test('finds the chunk holding a day and hour', () => {
+    expect(findTileset('2024-03-10', 0, tilesets)).toBe(tilesets[12]);
+    expect(findTileset('2024-03-10', 5, tilesets)).toMatchObject({ date: '2024-03-10', startHour: 4, endHour: 5 });
+    expect(findTileset('2024-03-09', 23, tilesets)).toBe(tilesets[11]);
+  });
+
+  test('finds nothing outside the window', () => {
+    expect(findTileset('2024-03-11', 0, tilesets)).toBeUndefined();
+    expect(findTileset('2024-03-09', 24, tilesets)).toBeUndefined();
+  });
+});
+
+describe('getTimeWindowFromURL', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds the window named in the query', () => {
+    const window = getTimeWindowFromURL('?start=2020-09-08&end=2020-09-14');
+    expect(window.days).toHaveLength(7);
+    expect(window.tilesets[0].date).toBe('2020-09-08');
+  });
+
+  test('takes one given day as the whole window', () => {
+    expect(getTimeWindowFromURL('?end=2020-09-08').days).toEqual([utcDay('2020-09-08')]);
+  });
+
+  test('falls back to the default window for missing or unusable ranges', () => {
+    expect(getTimeWindowFromURL('')).toBe(DEFAULT_TIME_WINDOW);
+    expect(getTimeWindowFromURL('?start=2020-09-14&end=2020-09-08')).toBe(DEFAULT_TIME_WINDOW);
+    expect(getTimeWindowFromURL('?start=2020-01-01&end=2020-03-01')).toBe(DEFAULT_TIME_WINDOW);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+});
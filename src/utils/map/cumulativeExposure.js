@@ -0,0 +1,149 @@
+import { PM25_LEVELS } from '../../constants/pm25Levels';
+import { getTractPM25 } from './tractExposure';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const ROLLING_WINDOW_HOURS = 24;
+// EPA completeness rule: a 24-hour average needs at least 75% of its hours
+const ROLLING_MIN_HOURS = 18;
+
+/**
+ * Breakpoints that exposure is counted above, i.e. the lower bound of every
+ * category after the first (the duplicate open-ended top entry is skipped)
+ * @param {Array} levels - Categories of a breakpoint table
+ * @returns {Array} { label, value, color, darkColor }
+ */
+export const getExposureBreakpoints = (levels) => levels
+  .filter((level, index) =>
+    level.value > 0 && levels.findIndex(other => other.label === level.label) === index
+  )
+  .map(level => ({
+    label: level.shortLabel || level.label,
+    value: level.value,
+    color: level.color,
+    darkColor: level.darkColor
+  }));
+
+export const EXPOSURE_BREAKPOINTS = getExposureBreakpoints(PM25_LEVELS);
+
+const toTimestamp = (time) => new Date(`${time.replace(' ', 'T')}:00Z`).getTime();
+
+/**
+ * Trailing 24-hour mean at every hour of a series
+ * Hours are matched by timestamp so gaps in the data shorten the window
+ * rather than stretching it
+ * @param {Array} series - { timestamp, pm25 } sorted by timestamp
+ * @returns {Array} { timestamp, pm25, hours } for hours with enough data
+ */
+export const getRollingAverages = (series) => {
+  const averages = [];
+  let windowStart = 0;
+  let windowSum = 0;
+
+  series.forEach((entry, index) => {
+    windowSum += entry.pm25;
+    while (series[windowStart].timestamp <= entry.timestamp - ROLLING_WINDOW_HOURS * MS_PER_HOUR) {
+      windowSum -= series[windowStart].pm25;
+      windowStart++;
+    }
+
+    const hours = index - windowStart + 1;
+    if (hours >= ROLLING_MIN_HOURS) {
+      averages.push({ timestamp: entry.timestamp, pm25: windowSum / hours, hours });
+    }
+  });
+
+  return averages;
+};
+
+/**
+ * Exposure integrated over a range of hourly area samples
+ * Each hour assigns PM2.5 to every tract as in the single-hour view; a tract's
+ * population then adds one person-hour per hour to every breakpoint at or below
+ * that value. Without census tracts only the area-average hour counts are filled
+ * @param {Array} hours - Chart rows from AreaAnalysis with time, averagePM25, maxPM25 and samples
+ * @param {Object} tracts - Selected tracts keyed by GEOID, with population and geometry
+ * @param {Array} breakpoints - From getExposureBreakpoints, EXPOSURE_BREAKPOINTS by default
+ * @returns {Object} {
+ *   hourCount,
+ *   personHoursAbove: person-hours per breakpoint label,
+ *   hoursAbove: hours with the area average per breakpoint label,
+ *   totalPersonHours,
+ *   peakHour: { time, averagePM25, maxPM25 } or null,
+ *   tracts: per tract { geoid, population, meanPM25, maxRolling24h, maxRolling24hTime }
+ * }
+ */
+export const calculateCumulativeExposure = (hours, tracts, breakpoints = EXPOSURE_BREAKPOINTS) => {
+  const personHoursAbove = {};
+  const hoursAbove = {};
+  breakpoints.forEach(breakpoint => {
+    personHoursAbove[breakpoint.label] = 0;
+    hoursAbove[breakpoint.label] = 0;
+  });
+
+  const tractEntries = Object.entries(tracts || {});
+  const tractSeries = {};
+  tractEntries.forEach(([geoid]) => {
+    tractSeries[geoid] = [];
+  });
+
+  let totalPersonHours = 0;
+  let peakHour = null;
+
+  hours.forEach(hour => {
+    const timestamp = toTimestamp(hour.time);
+
+    breakpoints.forEach(breakpoint => {
+      if (hour.averagePM25 >= breakpoint.value) {
+        hoursAbove[breakpoint.label]++;
+      }
+    });
+
+    if (!peakHour || hour.averagePM25 > peakHour.averagePM25) {
+      peakHour = { time: hour.time, averagePM25: hour.averagePM25, maxPM25: hour.maxPM25 };
+    }
+
+    if (!hour.samples || hour.samples.length === 0) return;
+
+    tractEntries.forEach(([geoid, tract]) => {
+      const value = getTractPM25(tract.geometry, hour.samples);
+      if (!value) return;
+
+      tractSeries[geoid].push({ timestamp, pm25: value.pm25 });
+
+      const population = tract.population || 0;
+      totalPersonHours += population;
+      breakpoints.forEach(breakpoint => {
+        if (value.pm25 >= breakpoint.value) {
+          personHoursAbove[breakpoint.label] += population;
+        }
+      });
+    });
+  });
+
+  const tractSummaries = tractEntries
+    .filter(([geoid]) => tractSeries[geoid].length > 0)
+    .map(([geoid, tract]) => {
+      const series = tractSeries[geoid];
+      const peakRolling = getRollingAverages(series).reduce(
+        (best, average) => (!best || average.pm25 > best.pm25 ? average : best),
+        null
+      );
+
+      return {
+        geoid,
+        population: tract.population || 0,
+        meanPM25: series.reduce((sum, entry) => sum + entry.pm25, 0) / series.length,
+        maxRolling24h: peakRolling ? peakRolling.pm25 : null,
+        maxRolling24hTime: peakRolling ? new Date(peakRolling.timestamp) : null
+      };
+    });
+
+  return {
+    hourCount: hours.length,
+    personHoursAbove,
+    hoursAbove,
+    totalPersonHours,
+    peakHour,
+    tracts: tractSummaries
+  };
+};
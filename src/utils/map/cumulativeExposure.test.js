@@ -0,0 +1,141 @@
+import { getRollingAverages, calculateCumulativeExposure, getExposureBreakpoints, EXPOSURE_BREAKPOINTS } from './cumulativeExposure';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const box = (minLng, minLat, maxLng, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+});
+
+const hourTime = (index) => {
+  const date = new Date(START + index * HOUR);
+  return `${date.toISOString().slice(0, 10)} ${String(date.getUTCHours()).padStart(2, '0')}:00`;
+};
+
+// Hourly series whose value is the hour index, leaving out the given hours
+const hourlySeries = (count, missing = []) => Array.from({ length: count }, (_, index) => index)
+  .filter(index => !missing.includes(index))
+  .map(index => ({ timestamp: START + index * HOUR, pm25: index }));
+
+describe('getExposureBreakpoints', () => {
+  test('skips the first category and repeated labels', () => {
+    const breakpoints = getExposureBreakpoints([
+      { value: 0, label: 'Good' },
+      { value: 12.1, label: 'Moderate' },
+      { value: 35.5, label: 'Unhealthy for Sensitive Groups', shortLabel: 'USG' },
+      { value: 500, label: 'Moderate' }
+    ]);
+    expect(breakpoints.map(({ label, value }) => [label, value])).toEqual([['Moderate', 12.1], ['USG', 35.5]]);
+  });
+});
+
+describe('getRollingAverages', () => {
+  test('needs 18 hours before the first average', () => {
+    expect(getRollingAverages(hourlySeries(17))).toEqual([]);
+
+    const averages = getRollingAverages(hourlySeries(18));
+    expect(averages).toHaveLength(1);
+    expect(averages[0]).toEqual({ timestamp: START + 17 * HOUR, pm25: 8.5, hours: 18 });
+  });
+
+  test('averages the trailing 24 hours once the window is full', () => {
+    const averages = getRollingAverages(hourlySeries(30));
+    const last = averages[averages.length - 1];
+    expect(last.hours).toBe(24);
+    // Hours 6 to 29
+    expect(last.pm25).toBe(17.5);
+  });
+
+  test('shortens the window over gaps rather than stretching it', () => {
+    const averages = getRollingAverages(hourlySeries(30, [5, 6, 7, 8, 9, 10]));
+
+    expect(averages.map(({ hours }) => hours)).toEqual([18, 18, 18, 18, 18, 18, 19]);
+    // Hour 23 holds hours 0–4 and 11–23
+    expect(averages[0].timestamp).toBe(START + 23 * HOUR);
+    expect(averages[0].pm25).toBeCloseTo(231 / 18, 10);
+    // Hour 29 holds hours 11–29 only
+    expect(averages[6].pm25).toBe(20);
+  });
+});
+
+describe('calculateCumulativeExposure', () => {
+  const breakpoints = [
+    { label: 'Moderate', value: 12.1 },
+    { label: 'Unhealthy', value: 55.5 }
+  ];
+
+  const tracts = {
+    a: { population: 100, geometry: box(0, 0, 1, 1) },
+    b: { population: 50, geometry: box(1, 0, 2, 1) }
+  };
+
+  const hour = (index, averagePM25, valueA, valueB) => ({
+    time: hourTime(index),
+    averagePM25,
+    maxPM25: Math.max(valueA, valueB),
+    samples: [
+      { pm25: valueA, coordinates: [0.5, 0.5] },
+      { pm25: valueB, coordinates: [1.5, 0.5] }
+    ]
+  });
+
+  test('adds person-hours for every breakpoint at or below each tract value', () => {
+    const result = calculateCumulativeExposure([
+      hour(0, 10, 5, 20),
+      hour(1, 40, 60, 12.1),
+      hour(2, 70, 80, 60)
+    ], tracts, breakpoints);
+
+    // a: 5, 60, 80 → Moderate 2 h, Unhealthy 2 h; b: 20, 12.1, 60 → Moderate 3 h, Unhealthy 1 h
+    expect(result.personHoursAbove).toEqual({
+      Moderate: 100 * 2 + 50 * 3,
+      Unhealthy: 100 * 2 + 50 * 1
+    });
+    expect(result.totalPersonHours).toBe(150 * 3);
+    expect(result.hoursAbove).toEqual({ Moderate: 2, Unhealthy: 1 });
+    expect(result.hourCount).toBe(3);
+  });
+
+  test('keeps the first of tied peak hours', () => {
+    const { peakHour } = calculateCumulativeExposure([
+      hour(0, 10, 10, 10),
+      hour(1, 30, 30, 31),
+      hour(2, 30, 30, 45),
+      hour(3, 5, 5, 5)
+    ], tracts, breakpoints);
+    expect(peakHour).toEqual({ time: hourTime(1), averagePM25: 30, maxPM25: 31 });
+  });
+
+  test('summarises each tract and leaves the rolling peak empty below 18 hours', () => {
+    const short = calculateCumulativeExposure(
+      Array.from({ length: 17 }, (_, index) => hour(index, 10, 10, 20)),
+      tracts,
+      breakpoints
+    );
+    expect(short.tracts.find(tract => tract.geoid === 'a')).toEqual({
+      geoid: 'a', population: 100, meanPM25: 10, maxRolling24h: null, maxRolling24hTime: null
+    });
+
+    const full = calculateCumulativeExposure(
+      Array.from({ length: 30 }, (_, index) => hour(index, index, index, 2 * index)),
+      tracts,
+      breakpoints
+    );
+    const tractB = full.tracts.find(tract => tract.geoid === 'b');
+    expect(tractB.meanPM25).toBe(29);
+    expect(tractB.maxRolling24h).toBe(35);
+    expect(tractB.maxRolling24hTime).toEqual(new Date(START + 29 * HOUR));
+  });
+
+  test('counts only area hours without tracts or samples', () => {
+    const result = calculateCumulativeExposure([
+      { time: hourTime(0), averagePM25: 40, maxPM25: 80, samples: [] },
+      { time: hourTime(1), averagePM25: 8, maxPM25: 9 }
+    ], null);
+
+    expect(result.totalPersonHours).toBe(0);
+    expect(result.tracts).toEqual([]);
+    expect(result.hoursAbove[EXPOSURE_BREAKPOINTS[0].label]).toBe(1);
+  });
+});
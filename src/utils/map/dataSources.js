@@ -0,0 +1,202 @@
+/**
+ * PM2.5 data-source providers
+ *
+ * A provider resolves one tileset chunk (a UTC date plus a block of hours)
+ * to the descriptor the map layers consume:
+ *   - id:     unique key used to build `source-<id>` / `layer-<id>` map ids
+ *   - layer:  the vector `source-layer` name, or null for GeoJSON sources
+ *   - source: a mapbox-gl source definition passed straight to `map.addSource`
+ *
+ * The active provider is chosen through environment variables so a deployment
+ * can point the app at another tile server without touching the code:
+ *
+ *   REACT_APP_PM25_SOURCE        mapbox (default) | vector | geojson
+ *   REACT_APP_PM25_MAPBOX_ACCOUNT  Mapbox account owning the tilesets (mapbox)
+ *   REACT_APP_PM25_TILES_URL     MVT url template, e.g.
+ *                                https://tiles.example.org/pm25/{date}/{chunk}/{z}/{x}/{y}.pbf
+ *   REACT_APP_PM25_SOURCE_LAYER  source-layer template for vector tiles
+ *   REACT_APP_PM25_GEOJSON_URL   GeoJSON url template, e.g. /fixtures/pm25-{date}-{chunk}.geojson
+ *   REACT_APP_PM25_ATTRIBUTION   attribution shown on the map
+ *   REACT_APP_PM25_FORECAST_START  first forecast hour: today (default), now, none
+ *                                or an ISO 8601 time; earlier hours are observed
+ *
+ * Templates accept {date} (YYYYMMDD), {isoDate} (YYYY-MM-DD), {chunk} (e.g. 00to02),
+ * {startHour} and {endHour}. Vector templates keep {z}/{x}/{y} for mapbox-gl, so a
+ * PMTiles archive can be used through any server that exposes it as z/x/y tiles.
+ */
+
+import { DEFAULT_FORECAST_START } from '../../constants/map/time';
+
+const DEFAULT_ATTRIBUTION = 'PM2.5 smoke forecast';
+
+const fillTemplate = (template, { dateKey, isoDate, chunk }) => {
+  return template
+    .replace(/\{date\}/g, dateKey)
+    .replace(/\{isoDate\}/g, isoDate)
+    .replace(/\{chunk\}/g, chunk.name)
+    .replace(/\{startHour\}/g, String(chunk.start).padStart(2, '0'))
+    .replace(/\{endHour\}/g, String(chunk.end).padStart(2, '0'));
+};
+
+/**
+ * Hosted Mapbox tilesets named `<account>.pm25-YYYYMMDD-HHtoHH`
+ * @param {Object} options
+ * @param {string} options.account - Mapbox account that owns the tilesets
+ * @param {string} options.attribution - Attribution text for the source
+ * @param {string} options.forecastStart - Where the forecast begins, see resolveForecastStart
+ * @returns {Object} Provider
+ */
+export const createMapboxProvider = ({
+  account = 'pkulandh',
+  attribution = DEFAULT_ATTRIBUTION,
+  forecastStart = DEFAULT_FORECAST_START
+} = {}) => ({
+  type: 'mapbox',
+  name: `Mapbox tilesets (${account})`,
+  attribution,
+  forecastStart,
+  resolveTileset: ({ dateKey, chunk }) => {
+    const id = `${account}.pm25-${dateKey}-${chunk.name}`;
+    return {
+      id,
+      layer: `pm25_${dateKey}_${chunk.name}`,
+      source: {
+        type: 'vector',
+        url: `mapbox://${id}`,
+        maxzoom: 9,
+        attribution
+      }
+    };
+  }
+});
+
+/**
+ * Self-hosted vector tiles (MVT) served from a z/x/y url template
+ * @param {Object} options
+ * @param {string} options.url - Tile url template
+ * @param {string} options.sourceLayer - Source-layer name template
+ * @param {number} options.maxzoom - Highest zoom level the server provides
+ * @param {string} options.attribution - Attribution text for the source
+ * @param {string} options.forecastStart - Where the forecast begins, see resolveForecastStart
+ * @returns {Object} Provider
+ */
+export const createVectorTileProvider = ({
+  url,
+  sourceLayer = 'pm25_{date}_{chunk}',
+  maxzoom = 9,
+  attribution = DEFAULT_ATTRIBUTION,
+  forecastStart = DEFAULT_FORECAST_START
+}) => {
+  if (!url) throw new Error('Vector tile provider requires a url template');
+
+  return {
+    type: 'vector',
+    name: 'Self-hosted vector tiles',
+    attribution,
+    forecastStart,
+    resolveTileset: (chunkInfo) => ({
+      id: `pm25-${chunkInfo.dateKey}-${chunkInfo.chunk.name}`,
+      layer: fillTemplate(sourceLayer, chunkInfo),
+      source: {
+        type: 'vector',
+        tiles: [fillTemplate(url, chunkInfo)],
+        maxzoom,
+        attribution
+      }
+    })
+  };
+};
+
+/**
+ * One GeoJSON FeatureCollection of PM2.5 points per chunk, e.g. a local fixture server
+ * @param {Object} options
+ * @param {string} options.url - GeoJSON url template
+ * @param {string} options.attribution - Attribution text for the source
+ * @param {string} options.forecastStart - Where the forecast begins, see resolveForecastStart
+ * @returns {Object} Provider
+ */
+export const createGeoJSONProvider = ({
+  url,
+  attribution = DEFAULT_ATTRIBUTION,
+  forecastStart = DEFAULT_FORECAST_START
+}) => {
+  if (!url) throw new Error('GeoJSON provider requires a url template');
+
+  return {
+    type: 'geojson',
+    name: 'GeoJSON files',
+    attribution,
+    forecastStart,
+    resolveTileset: (chunkInfo) => ({
+      id: `pm25-${chunkInfo.dateKey}-${chunkInfo.chunk.name}`,
+      layer: null,
+      source: {
+        type: 'geojson',
+        data: fillTemplate(url, chunkInfo),
+        attribution
+      }
+    })
+  };
+};
+
+const providerFactories = {
+  mapbox: () => createMapboxProvider({
+    account: process.env.REACT_APP_PM25_MAPBOX_ACCOUNT || undefined,
+    attribution: process.env.REACT_APP_PM25_ATTRIBUTION || undefined,
+    forecastStart: process.env.REACT_APP_PM25_FORECAST_START || undefined
+  }),
+  vector: () => createVectorTileProvider({
+    url: process.env.REACT_APP_PM25_TILES_URL,
+    sourceLayer: process.env.REACT_APP_PM25_SOURCE_LAYER || undefined,
+    attribution: process.env.REACT_APP_PM25_ATTRIBUTION || undefined,
+    forecastStart: process.env.REACT_APP_PM25_FORECAST_START || undefined
+  }),
+  geojson: () => createGeoJSONProvider({
+    url: process.env.REACT_APP_PM25_GEOJSON_URL,
+    attribution: process.env.REACT_APP_PM25_ATTRIBUTION || undefined,
+    forecastStart: process.env.REACT_APP_PM25_FORECAST_START || undefined
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * Registers an additional provider type selectable through REACT_APP_PM25_SOURCE
+ * @param {string} type - Provider type name
+ * @param {Function} factory - Returns a provider object with a resolveTileset method
+ */
+export const registerDataSourceProvider = (type, factory) => {
+  providerFactories[type] = factory;
+  activeProvider = null;
+};
+
+/**
+ * Returns the provider selected by REACT_APP_PM25_SOURCE, falling back to Mapbox
+ * @returns {Object} Provider
+ */
+export const getDataSource = () => {
+  if (activeProvider) return activeProvider;
+
+  const type = process.env.REACT_APP_PM25_SOURCE || 'mapbox';
+  const factory = providerFactories[type];
+
+  try {
+    if (!factory) throw new Error(`Unknown PM2.5 data source "${type}"`);
+    activeProvider = factory();
+  } catch (error) {
+    console.error('Error configuring PM2.5 data source, using Mapbox tilesets:', error);
+    activeProvider = providerFactories.mapbox();
+  }
+
+  return activeProvider;
+};
+
+/**
+ * Returns the `source-layer` property for a tileset's map layer
+ * GeoJSON sources have no source layers, so the property is omitted for them
+ * @param {Object} tileset - Tileset descriptor from TILESET_INFO
+ * @returns {Object} Layer properties to spread into `map.addLayer`
+ */
+export const getSourceLayerProps = (tileset) => {
+  return tileset.layer ? { 'source-layer': tileset.layer } : {};
+};
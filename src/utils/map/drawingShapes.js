@@ -0,0 +1,183 @@
+import turf from 'turf';
+import { DISTANCE_UNITS } from '../../constants/map/drawingTools';
+
+const CIRCLE_STEPS = 64;
+
+// Freehand paths are simplified to this share of their larger side
+const FREEHAND_TOLERANCE = 0.002;
+
+// Corridor ends and bends are rounded with circles of this many points
+const CORRIDOR_JOIN_STEPS = 32;
+
+// Longer route segments are split so their straight edges stay close to the great circle
+const CORRIDOR_MAX_SEGMENT_KM = 25;
+
+/**
+ * Converts a distance in the chosen unit to kilometres
+ * @param {number} value - Distance
+ * @param {string} unit - Key in DISTANCE_UNITS
+ * @returns {number} Distance in kilometres
+ */
+export const toKilometers = (value, unit) => value * (DISTANCE_UNITS[unit]?.toKm ?? 1);
+
+/**
+ * Circle whose radius is the same ground distance in every direction
+ * @param {Array} center - [lng, lat]
+ * @param {number} radiusKm - Radius in kilometres
+ * @param {number} steps - Number of points on the outline
+ * @returns {Array} Closed ring of [lng, lat] coordinates
+ */
+export const createGeodesicCircle = (center, radiusKm, steps = CIRCLE_STEPS) => {
+  const origin = turf.point(center);
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    ring.push(turf.destination(origin, radiusKm, (i * 360) / steps - 180, 'kilometers').geometry.coordinates);
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+/**
+ * Axis-aligned rectangle between two opposite corners
+ * @param {Array} start - [lng, lat] of one corner
+ * @param {Array} end - [lng, lat] of the opposite corner
+ * @returns {Array} Closed ring of [lng, lat] coordinates
+ */
+export const createRectangle = ([startLng, startLat], [endLng, endLat]) => [
+  [startLng, startLat],
+  [endLng, startLat],
+  [endLng, endLat],
+  [startLng, endLat],
+  [startLng, startLat]
+];
+
+/**
+ * Closes a freehand path and drops the points that do not change its shape
+ * @param {Array} path - [lng, lat] positions in drawing order
+ * @returns {Array|null} Closed ring of [lng, lat] coordinates, or null for fewer than 3 points
+ */
+export const createFreehandPolygon = (path) => {
+  if (path.length < 3) return null;
+
+  const ring = [...path, path[0]];
+  const lngs = path.map(([lng]) => lng);
+  const lats = path.map(([, lat]) => lat);
+  const size = Math.max(Math.max(...lngs) - Math.min(...lngs), Math.max(...lats) - Math.min(...lats));
+
+  try {
+    const simplified = turf.simplify(turf.polygon([ring]), size * FREEHAND_TOLERANCE, false);
+    const [outerRing] = simplified.geometry.coordinates;
+    return outerRing.length >= 4 ? outerRing : ring;
+  } catch (error) {
+    console.warn('Could not simplify freehand path:', error);
+    return ring;
+  }
+};
+
+// Route with repeated positions dropped and long segments split along the great circle
+const densifyRoute = (route) => route.reduce((points, position) => {
+  const previous = points[points.length - 1];
+  if (!previous) return [position];
+
+  const lengthKm = turf.distance(turf.point(previous), turf.point(position), 'kilometers');
+  if (lengthKm === 0) return points;
+
+  const pieces = Math.ceil(lengthKm / CORRIDOR_MAX_SEGMENT_KM);
+  const segment = turf.lineString([previous, position]);
+  for (let i = 1; i < pieces; i++) {
+    points.push(turf.along(segment, (lengthKm * i) / pieces, 'kilometers').geometry.coordinates);
+  }
+  points.push(position);
+  return points;
+}, []);
+
+// Quadrilateral whose corners sit half the width to either side of a segment's ends
+const createSegmentBand = (start, end, halfWidthKm) => {
+  const startPoint = turf.point(start);
+  const endPoint = turf.point(end);
+  const startBearing = turf.bearing(startPoint, endPoint);
+  const endBearing = turf.bearing(endPoint, startPoint) + 180;
+  const offset = (point, bearing) => turf.destination(point, halfWidthKm, bearing, 'kilometers').geometry.coordinates;
+
+  const startLeft = offset(startPoint, startBearing - 90);
+  return turf.polygon([[
+    startLeft,
+    offset(endPoint, endBearing - 90),
+    offset(endPoint, endBearing + 90),
+    offset(startPoint, startBearing + 90),
+    startLeft
+  ]]);
+};
+
+// Unions neighbours pairwise so no single step merges into one large outline
+const unionAll = (features) => {
+  let merged = features;
+  while (merged.length > 1) {
+    const next = [];
+    for (let i = 0; i < merged.length; i += 2) {
+      next.push(i + 1 < merged.length ? turf.union(merged[i], merged[i + 1]) : merged[i]);
+    }
+    merged = next;
+  }
+  return merged[0];
+};
+
+/**
+ * Area within half the corridor width of a route
+ * Each segment is offset by the ground distance along its bearing and each position gets a
+ * geodesic circle, so the width holds at any latitude and heading
+ * @param {Array} route - [lng, lat] positions along the route
+ * @param {number} widthKm - Full corridor width in kilometres
+ * @returns {Object|null} Polygon or MultiPolygon geometry, or null for fewer than 2 points
+ */
+export const createCorridor = (route, widthKm) => {
+  if (route.length < 2 || widthKm <= 0) return null;
+
+  try {
+    const points = densifyRoute(route);
+    if (points.length < 2) return null;
+
+    const halfWidthKm = widthKm / 2;
+    // Each circle sits next to the bands it joins, so the pairwise union merges neighbours
+    const pieces = points.flatMap((point, i) => [
+      turf.polygon([createGeodesicCircle(point, halfWidthKm, CORRIDOR_JOIN_STEPS)]),
+      ...(i > 0 ? [createSegmentBand(points[i - 1], point, halfWidthKm)] : [])
+    ]);
+
+    return unionAll(pieces).geometry;
+  } catch (error) {
+    console.error('Error buffering corridor:', error);
+    return null;
+  }
+};
+
+/**
+ * Outline of the shape being drawn, following the pointer
+ * @param {string} tool - Key in DRAWING_TOOLS
+ * @param {Array} points - Positions placed so far
+ * @param {Array|null} mousePosition - [lng, lat] under the pointer
+ * @param {Object} options - { circleRadius, corridorWidth, unit }
+ * @returns {Object|null} Polygon or MultiPolygon geometry
+ */
+export const getDrawingPreview = (tool, points, mousePosition, options) => {
+  switch (tool) {
+    case 'rectangle':
+      return points.length === 1 && mousePosition
+        ? { type: 'Polygon', coordinates: [createRectangle(points[0], mousePosition)] }
+        : null;
+    case 'circle':
+      return mousePosition
+        ? { type: 'Polygon', coordinates: [createGeodesicCircle(mousePosition, toKilometers(options.circleRadius, options.unit))] }
+        : null;
+    case 'freehand':
+      return points.length >= 2
+        ? { type: 'Polygon', coordinates: [[...points, points[0]]] }
+        : null;
+    case 'corridor': {
+      const route = mousePosition ? [...points, mousePosition] : points;
+      return createCorridor(route, toKilometers(options.corridorWidth, options.unit));
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,57 @@
+import turf from 'turf';
+import { createCorridor, createGeodesicCircle } from './drawingShapes';
+
+const getCoordinates = (geometry) => (geometry.type === 'Polygon'
+  ? geometry.coordinates.flat()
+  : geometry.coordinates.flat(2));
+
+const distanceKm = (from, to) => turf.distance(turf.point(from), turf.point(to), 'kilometers');
+
+describe('createGeodesicCircle', () => {
+  test('keeps every point at the radius', () => {
+    const center = [-120, 60];
+    createGeodesicCircle(center, 10).forEach(position => {
+      expect(distanceKm(center, position)).toBeCloseTo(10, 2);
+    });
+  });
+});
+
+describe('createCorridor', () => {
+  test('is the requested width across a north-south route at 45°N', () => {
+    const geometry = createCorridor([[-100, 44.5], [-100, 45.5]], 5);
+    const lngs = getCoordinates(geometry).map(([lng]) => lng);
+
+    expect(geometry.type).toBe('Polygon');
+    expect(distanceKm([Math.min(...lngs), 45], [Math.max(...lngs), 45])).toBeCloseTo(5, 1);
+  });
+
+  test('is the requested width across an east-west route', () => {
+    // The route follows the great circle, so measure across its midpoint rather than the whole extent
+    const geometry = createCorridor([[-100.5, 45], [-99.5, 45]], 5);
+    const lats = getCoordinates(geometry)
+      .filter(([lng]) => Math.abs(lng + 100) < 0.01)
+      .map(([, lat]) => lat);
+
+    expect(distanceKm([-100, Math.min(...lats)], [-100, Math.max(...lats)])).toBeCloseTo(5, 1);
+  });
+
+  test('rounds the ends to half the width beyond the route', () => {
+    const geometry = createCorridor([[-100, 44.5], [-100, 45.5]], 5);
+    const lats = getCoordinates(geometry).map(([, lat]) => lat);
+
+    expect(distanceKm([-100, 45.5], [-100, Math.max(...lats)])).toBeCloseTo(2.5, 1);
+  });
+
+  test('joins a bent route into one polygon without holes', () => {
+    const geometry = createCorridor([[-100, 45], [-99.8, 45.1], [-99.9, 45.3], [-99.9, 45.3]], 2);
+
+    expect(geometry.type).toBe('Polygon');
+    expect(geometry.coordinates).toHaveLength(1);
+  });
+
+  test('returns null without a route or width', () => {
+    expect(createCorridor([[-100, 45]], 5)).toBeNull();
+    expect(createCorridor([[-100, 45], [-100, 45]], 5)).toBeNull();
+    expect(createCorridor([[-100, 45], [-100, 46]], 0)).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+import Papa from 'papaparse';
+import { getDataSource } from './dataSources';
+import { formatDateParam } from './constants';
+import { getPolygons, toAreaGeometry } from './geometryUtils';
+import { toUtcDate, toZonedIsoString } from './timeZones';
+
+const CSV_OPTIONS = { newline: '\n' };
+
+/**
+ * Builds the metadata written at the top of every export
+ * @param {Object} options
+ * @param {Object} options.timeWindow - Loaded time window
+ * @param {number} options.pm25Threshold - PM2.5 threshold of the map layer
+ * @param {Array|Object} options.polygon - Selected polygon ring or imported geometry
+ * @param {string} options.timeZone - Time zone the times are shown in
+ * @returns {Object} Metadata
+ */
+export const buildExportMetadata = ({ timeWindow, pm25Threshold, polygon, timeZone = 'UTC' }) => {
+  const dataSource = getDataSource();
+  const lastDay = timeWindow.days[timeWindow.days.length - 1];
+
+  return {
+    title: 'PM2.5 area analysis',
+    dataSource: dataSource.name,
+    attribution: dataSource.attribution,
+    timeRangeStart: `${formatDateParam(timeWindow.startDate)}T00:00:00Z`,
+    timeRangeEnd: `${formatDateParam(lastDay)}T23:00:00Z`,
+    timeZone,
+    pm25Threshold,
+    units: 'μg/m³',
+    areaVertices: getPolygons(toAreaGeometry(polygon))
+      .flat()
+      .reduce((count, ring) => count + ring.length - 1, 0),
+    exportedAt: new Date().toISOString()
+  };
+};
+
+// Rows of the hourly series with the times written as UTC ISO strings, plus the shown zone's time
+const toTimeSeriesRows = (data, timeZone = 'UTC') => data.map(row => ({
+  time: `${row.time.replace(' ', 'T')}:00Z`,
+  ...(timeZone !== 'UTC' && { localTime: toZonedIsoString(toUtcDate(row.time), timeZone) }),
+  averagePM25: Number(row.averagePM25.toFixed(2)),
+  minPM25: Number(row.minPM25.toFixed(2)),
+  maxPM25: Number(row.maxPM25.toFixed(2)),
+  points: row.points
+}));
+
+const toTractRows = (tracts) => Object.values(tracts || {}).map(tract => ({
+  geoid: tract.metadata.geoid,
+  state: tract.metadata.state,
+  county: tract.metadata.county,
+  tract: tract.metadata.tract,
+  population: tract.population,
+  tractPopulation: tract.tractPopulation,
+  fractionInArea: Number(tract.fraction.toFixed(4)),
+  landAreaM2: tract.metadata.landArea
+}));
+
+// CSV has no header block, so metadata goes into leading comment lines
+const withMetadataHeader = (csv, metadata) => {
+  const header = Object.entries(metadata)
+    .map(([key, value]) => `# ${key}: ${value}`)
+    .join('\n');
+  return `${header}\n${csv}`;
+};
+
+/**
+ * Hourly average/min/max PM2.5 as CSV
+ * @param {Array} data - Chart rows from AreaAnalysis
+ * @param {Object} metadata - From buildExportMetadata
+ * @returns {string} CSV text
+ */
+export const timeSeriesToCSV = (data, metadata) => {
+  return withMetadataHeader(Papa.unparse(toTimeSeriesRows(data, metadata.timeZone), CSV_OPTIONS), metadata);
+};
+
+/**
+ * Population per census tract as CSV
+ * @param {Object} tracts - Selected tracts keyed by GEOID
+ * @param {Object} metadata - From buildExportMetadata
+ * @returns {string} CSV text
+ */
+export const tractsToCSV = (tracts, metadata) => {
+  const rows = toTractRows(tracts);
+  const csv = Papa.unparse(rows.length > 0 ? rows : {
+    fields: ['geoid', 'state', 'county', 'tract', 'population', 'tractPopulation', 'fractionInArea', 'landAreaM2'],
+    data: []
+  }, CSV_OPTIONS);
+  return withMetadataHeader(csv, metadata);
+};
+
+/**
+ * Selected area as a GeoJSON Feature carrying the hourly series and tract breakdown
+ * @param {Array|Object} polygon - Selected polygon ring or imported geometry
+ * @param {Array} data - Chart rows from AreaAnalysis
+ * @param {Object} tracts - Selected tracts keyed by GEOID
+ * @param {Object} metadata - From buildExportMetadata
+ * @returns {string} GeoJSON text
+ */
+export const areaToGeoJSON = (polygon, data, tracts, metadata) => {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    metadata,
+    features: [{
+      type: 'Feature',
+      geometry: toAreaGeometry(polygon),
+      properties: {
+        timeSeries: toTimeSeriesRows(data, metadata.timeZone),
+        tracts: toTractRows(tracts)
+      }
+    }]
+  }, null, 2);
+};
+
+/**
+ * Full analysis as plain JSON
+ * @param {Array|Object} polygon - Selected polygon ring or imported geometry
+ * @param {Array} data - Chart rows from AreaAnalysis
+ * @param {Object} tracts - Selected tracts keyed by GEOID
+ * @param {Object} metadata - From buildExportMetadata
+ * @returns {string} JSON text
+ */
+export const areaToJSON = (polygon, data, tracts, metadata) => {
+  return JSON.stringify({
+    metadata,
+    area: toAreaGeometry(polygon),
+    timeSeries: toTimeSeriesRows(data, metadata.timeZone),
+    tracts: toTractRows(tracts)
+  }, null, 2);
+};
+
+/**
+ * Starts a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - Content type used when content is a string
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Base file name for exports, e.g. pm25-area-2024-09-01_2024-09-04
+ * @param {string} prefix - File name prefix
+ * @param {Object} timeWindow - Loaded time window
+ * @returns {string} File name without extension
+ */
+export const getExportFilename = (prefix, timeWindow) => {
+  const lastDay = timeWindow.days[timeWindow.days.length - 1];
+  return `${prefix}-${formatDateParam(timeWindow.startDate)}_${formatDateParam(lastDay)}`;
+};
@@ -0,0 +1,64 @@
+import { DEFAULT_FORECAST_START } from '../../constants/map/time';
+import { getDataSource } from './dataSources';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * First forecast hour for a forecast-start setting
+ * @param {string} setting - 'today', 'now', 'none' or an ISO 8601 time
+ * @param {Date} now - Current time
+ * @returns {Date|null} Start of the forecast, or null when no hour is a forecast
+ */
+export const resolveForecastStart = (setting = DEFAULT_FORECAST_START, now = new Date()) => {
+  if (setting === 'none') return null;
+  if (setting === 'today') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  if (setting === 'now') {
+    return new Date(Math.floor(now.getTime() / MS_PER_HOUR) * MS_PER_HOUR);
+  }
+
+  const date = new Date(setting);
+  if (isNaN(date.getTime())) {
+    console.warn(`Unknown forecast start "${setting}", using ${DEFAULT_FORECAST_START}`);
+    return resolveForecastStart(DEFAULT_FORECAST_START, now);
+  }
+  return date;
+};
+
+/**
+ * First forecast hour of the active dataset
+ * @param {Date} now - Current time
+ * @param {Object} dataSource - Provider, the active one by default
+ * @returns {Date|null} Start of the forecast, or null when no hour is a forecast
+ */
+export const getForecastStart = (now = new Date(), dataSource = getDataSource()) =>
+  resolveForecastStart(dataSource.forecastStart, now);
+
+/**
+ * Whether a data hour comes from the forecast rather than observations
+ * @param {Date} date - Instant of the hour
+ * @param {Date|null} forecastStart - Start of the forecast
+ * @returns {boolean} True for forecast hours
+ */
+export const isForecastTime = (date, forecastStart) =>
+  Boolean(forecastStart && date && date.getTime() >= forecastStart.getTime());
+
+/**
+ * Position of an instant on a time window's hour scale
+ * @param {Object} timeWindow - Window from buildTimeWindow
+ * @param {Date} date - Instant
+ * @returns {number} Hours since the window start, fractional and possibly outside the window
+ */
+export const getWindowHourOffset = (timeWindow, date) =>
+  (date.getTime() - timeWindow.startDate.getTime()) / MS_PER_HOUR;
+
+/**
+ * Marks a time label as a forecast where it is one, for images that leave the app
+ * @param {string} label - Time label, e.g. '2024-09-01 14:00 UTC'
+ * @param {Date} date - Instant the label shows
+ * @param {Date|null} forecastStart - Start of the forecast
+ * @returns {string} Label, with ' · Forecast' added for forecast hours
+ */
+export const tagForecastLabel = (label, date, forecastStart) =>
+  isForecastTime(date, forecastStart) ? `${label} · Forecast` : label;
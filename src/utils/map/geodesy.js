@@ -0,0 +1,287 @@
+import { toAreaGeometry, getPolygons } from './geometryUtils';
+import { DISTANCE_UNITS } from '../../constants/map/drawingTools';
+
+/**
+ * Measurements on the WGS84 ellipsoid
+ * Distances use Vincenty's inverse formula. Areas and centroids are worked out on the
+ * authalic sphere, which has the ellipsoid's surface area, with latitudes mapped so
+ * that equal areas stay equal.
+ */
+
+const WGS84_A = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const E2 = WGS84_F * (2 - WGS84_F);
+const E = Math.sqrt(E2);
+
+const VINCENTY_MAX_ITERATIONS = 200;
+const VINCENTY_TOLERANCE = 1e-12;
+
+const KM2_PER_MI2 = DISTANCE_UNITS.mi.toKm ** 2;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+const authalicQ = (sinLat) => (1 - E2) * (
+  sinLat / (1 - E2 * sinLat * sinLat) -
+  Math.log((1 - E * sinLat) / (1 + E * sinLat)) / (2 * E)
+);
+
+const QP = authalicQ(1);
+const AUTHALIC_RADIUS = WGS84_A * Math.sqrt(QP / 2);
+
+// Geodetic to authalic latitude, in radians
+const toAuthalicLatitude = (lat) => Math.asin(Math.max(-1, Math.min(1, authalicQ(Math.sin(lat)) / QP)));
+
+// Authalic to geodetic latitude, in radians (series accurate to well under a millimetre)
+const fromAuthalicLatitude = (beta) => beta +
+  (E2 / 3 + 31 * E2 ** 2 / 180 + 517 * E2 ** 3 / 5040) * Math.sin(2 * beta) +
+  (23 * E2 ** 2 / 360 + 251 * E2 ** 3 / 3780) * Math.sin(4 * beta) +
+  (761 * E2 ** 3 / 45360) * Math.sin(6 * beta);
+
+// Unit vector on the authalic sphere
+const toAuthalicVector = ([lng, lat]) => {
+  const lambda = toRadians(lng);
+  const beta = toAuthalicLatitude(toRadians(lat));
+  return [Math.cos(beta) * Math.cos(lambda), Math.cos(beta) * Math.sin(lambda), Math.sin(beta)];
+};
+
+const cross = ([ax, ay, az], [bx, by, bz]) => [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+const dot = ([ax, ay, az], [bx, by, bz]) => ax * bx + ay * by + az * bz;
+const norm = (v) => Math.sqrt(dot(v, v));
+
+// Drops a repeated closing position so every ring is handled the same way
+const openRing = (ring) => {
+  if (ring.length < 2) return ring;
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  return firstLng === lastLng && firstLat === lastLat ? ring.slice(0, -1) : ring;
+};
+
+/**
+ * Shortest distance between two points on the ellipsoid
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {number} Distance in kilometres
+ */
+export const geodesicDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const L = toRadians(lng2 - lng1);
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(lat1)));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(lat2)));
+  const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+
+  for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+    const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+    sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    if (sinSigma === 0) return 0;
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // Both points on the equator
+    cos2SigmaM = cosSqAlpha === 0 ? 0 : cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha;
+
+    const C = WGS84_F / 16 * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+    const previousLambda = lambda;
+    lambda = L + (1 - C) * WGS84_F * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - previousLambda) < VINCENTY_TOLERANCE) break;
+  }
+
+  // Nearly antipodal points may not converge; the last iterate is still within a few metres
+  const uSq = cosSqAlpha * (WGS84_A ** 2 - WGS84_B ** 2) / (WGS84_B ** 2);
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+    cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+  ));
+
+  return WGS84_B * A * (sigma - deltaSigma);
+};
+
+/**
+ * Total length of a path on the ellipsoid
+ * @param {Array} path - [lng, lat] positions in order
+ * @returns {number} Length in kilometres
+ */
+export const geodesicLength = (path) => {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += geodesicDistance(path[i - 1], path[i]);
+  }
+  return length;
+};
+
+/**
+ * Intermediate points along the shortest route between two positions, so the
+ * route can be drawn as the curve it follows on a Mercator map
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @param {number} steps - Number of segments
+ * @returns {Array} [lng, lat] positions from start to end
+ */
+export const interpolateGeodesic = (from, to, steps = 32) => {
+  const a = toAuthalicVector(from);
+  const b = toAuthalicVector(to);
+  const omega = Math.acos(Math.max(-1, Math.min(1, dot(a, b))));
+  if (omega < 1e-9) return [from, to];
+
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const wa = Math.sin((1 - t) * omega) / Math.sin(omega);
+    const wb = Math.sin(t * omega) / Math.sin(omega);
+    const [x, y, z] = [0, 1, 2].map(k => wa * a[k] + wb * b[k]);
+    points.push([
+      toDegrees(Math.atan2(y, x)),
+      toDegrees(fromAuthalicLatitude(Math.atan2(z, Math.hypot(x, y))))
+    ]);
+  }
+
+  // Keep longitudes continuous so routes across the antimeridian draw as one line
+  for (let i = 1; i < points.length; i++) {
+    const delta = points[i][0] - points[i - 1][0];
+    if (delta > 180) points[i][0] -= 360;
+    if (delta < -180) points[i][0] += 360;
+  }
+  return points;
+};
+
+// Signed area of a ring in km², positive when it runs anticlockwise
+const ringArea = (ring) => {
+  const points = openRing(ring);
+  if (points.length < 3) return 0;
+
+  let excess = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [lng1, lat1] = points[i];
+    const [lng2, lat2] = points[(i + 1) % points.length];
+    const t1 = Math.tan(toAuthalicLatitude(toRadians(lat1)) / 2);
+    const t2 = Math.tan(toAuthalicLatitude(toRadians(lat2)) / 2);
+    let dLng = toRadians(lng2 - lng1);
+    if (dLng > Math.PI) dLng -= 2 * Math.PI;
+    if (dLng < -Math.PI) dLng += 2 * Math.PI;
+    excess += 2 * Math.atan2(Math.tan(dLng / 2) * (t1 + t2), 1 + t1 * t2);
+  }
+
+  return excess * AUTHALIC_RADIUS ** 2;
+};
+
+/**
+ * Surface area of a Polygon or MultiPolygon, less its holes
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Area in km²
+ */
+export const geodesicArea = (geometry) => {
+  return getPolygons(geometry).reduce((total, [outerRing, ...holes]) =>
+    total + Math.abs(ringArea(outerRing)) -
+      holes.reduce((sum, hole) => sum + Math.abs(ringArea(hole)), 0),
+  0);
+};
+
+/**
+ * Length of every ring of a Polygon or MultiPolygon, holes included
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Perimeter in kilometres
+ */
+export const geodesicPerimeter = (geometry) => {
+  return getPolygons(geometry).flat().reduce((total, ring) => total + geodesicLength(ring), 0);
+};
+
+/**
+ * Area-weighted centre of a Polygon or MultiPolygon on the ellipsoid
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array|null} [lng, lat], or null for an empty geometry
+ */
+export const geodesicCentroid = (geometry) => {
+  // The surface integral of position over a spherical polygon is half the sum, over its
+  // edges, of each edge's angle times the unit normal of its great circle, taken so that
+  // the normal points away from the interior
+  const moment = [0, 0, 0];
+
+  getPolygons(geometry).forEach(rings => rings.forEach((ring, ringIndex) => {
+    const points = openRing(ring).map(toAuthalicVector);
+    const area = ringArea(ring);
+    if (points.length < 3 || area === 0) return;
+
+    // Outer rings add and holes subtract, whichever way they were drawn
+    const sign = (ringIndex === 0) === (area > 0) ? 1 : -1;
+
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const n = cross(b, a);
+      const length = norm(n);
+      if (length === 0) return;
+      const angle = Math.atan2(length, dot(a, b));
+      for (let k = 0; k < 3; k++) {
+        moment[k] += sign * angle * n[k] / length;
+      }
+    });
+  }));
+
+  const [x, y, z] = moment;
+  if (norm(moment) === 0) return null;
+
+  return [
+    toDegrees(Math.atan2(y, x)),
+    toDegrees(fromAuthalicLatitude(Math.atan2(z, Math.hypot(x, y))))
+  ];
+};
+
+/**
+ * Area, perimeter and centroid of a selected area
+ * @param {Array|Object} polygon - Closed ring of [lng, lat] coordinates, or a Polygon/MultiPolygon geometry
+ * @returns {Object|null} { areaKm2, perimeterKm, centroid }, or null when there is nothing to measure
+ */
+export const measureArea = (polygon) => {
+  const geometry = toAreaGeometry(polygon);
+  if (!geometry || getPolygons(geometry).every(([outerRing]) => !outerRing || openRing(outerRing).length < 3)) {
+    return null;
+  }
+
+  return {
+    areaKm2: geodesicArea(geometry),
+    perimeterKm: geodesicPerimeter(geometry),
+    centroid: geodesicCentroid(geometry)
+  };
+};
+
+const formatNumber = (value) => value.toLocaleString(undefined, {
+  maximumFractionDigits: value < 10 ? 2 : value < 1000 ? 1 : 0
+});
+
+/**
+ * Area in both square kilometres and square miles
+ * @param {number} areaKm2 - Area in km²
+ * @returns {string} e.g. "1,234 km² (476.4 mi²)"
+ */
+export const formatArea = (areaKm2) => `${formatNumber(areaKm2)} km² (${formatNumber(areaKm2 / KM2_PER_MI2)} mi²)`;
+
+/**
+ * Distance in the chosen unit, switching to metres or feet for short distances
+ * @param {number} km - Distance in kilometres
+ * @param {string} unit - Key in DISTANCE_UNITS
+ * @returns {string} e.g. "12.4 km" or "850 ft"
+ */
+export const formatDistance = (km, unit = 'km') => {
+  if (unit === 'mi') {
+    const miles = km / DISTANCE_UNITS.mi.toKm;
+    return miles < 0.1 ? `${Math.round(miles * 5280).toLocaleString()} ft` : `${formatNumber(miles)} mi`;
+  }
+  return km < 1 ? `${Math.round(km * 1000).toLocaleString()} m` : `${formatNumber(km)} km`;
+};
+
+/**
+ * Position as hemisphere-labelled degrees
+ * @param {Array} position - [lng, lat]
+ * @returns {string} e.g. "34.0522°N, 118.2437°W"
+ */
+export const formatCoordinate = ([lng, lat]) =>
+  `${Math.abs(lat).toFixed(4)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(4)}°${lng >= 0 ? 'E' : 'W'}`;
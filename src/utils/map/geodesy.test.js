@@ -0,0 +1,131 @@
+import {
+  geodesicDistance,
+  geodesicArea,
+  geodesicPerimeter,
+  geodesicCentroid,
+  measureArea
+} from './geodesy';
+
+const dms = (degrees, minutes, seconds) => Math.sign(degrees) * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+
+const box = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat]
+];
+
+describe('geodesicDistance', () => {
+  test('matches Vincenty\'s Flinders Peak to Buninyong example', () => {
+    const flindersPeak = [dms(144, 25, 29.5244), dms(-37, 57, 3.7203)];
+    const buninyong = [dms(143, 55, 35.3839), dms(-37, 39, 10.1561)];
+    expect(geodesicDistance(flindersPeak, buninyong)).toBeCloseTo(54.972, 3);
+  });
+
+  test('measures a degree of longitude along the equator', () => {
+    expect(geodesicDistance([0, 0], [1, 0])).toBeCloseTo(111.319, 3);
+  });
+
+  test('is zero between a point and itself', () => {
+    expect(geodesicDistance([-120, 45], [-120, 45])).toBe(0);
+  });
+});
+
+describe('geodesicArea', () => {
+  test('measures a one-degree box at the equator', () => {
+    expect(geodesicArea({ type: 'Polygon', coordinates: [box(0, 0, 1, 1)] })).toBeCloseTo(12308.78, 1);
+  });
+
+  test('does not depend on the winding of the outer ring', () => {
+    const ring = box(-100, 40, -99, 41);
+    expect(geodesicArea({ type: 'Polygon', coordinates: [[...ring].reverse()] }))
+      .toBeCloseTo(geodesicArea({ type: 'Polygon', coordinates: [ring] }), 6);
+  });
+
+  test('subtracts holes', () => {
+    const outer = box(0, 0, 1, 1);
+    const hole = box(0.25, 0.25, 0.75, 0.75);
+    const holeArea = geodesicArea({ type: 'Polygon', coordinates: [hole] });
+
+    expect(geodesicArea({ type: 'Polygon', coordinates: [outer, hole] })).toBeCloseTo(12308.78 - holeArea, 1);
+    expect(holeArea).toBeCloseTo(12308.78 / 4, 0);
+  });
+
+  test('adds the parts of a MultiPolygon', () => {
+    const geometry = {
+      type: 'MultiPolygon',
+      coordinates: [[box(0, 0, 1, 1)], [box(10, 0, 11, 1), box(10.25, 0.25, 10.75, 0.75)]]
+    };
+    const holeArea = geodesicArea({ type: 'Polygon', coordinates: [box(10.25, 0.25, 10.75, 0.75)] });
+
+    expect(geodesicArea(geometry)).toBeCloseTo(2 * 12308.78 - holeArea, 1);
+  });
+});
+
+describe('geodesicPerimeter', () => {
+  test('adds the length of every ring, holes included', () => {
+    const outer = box(0, -0.5, 1, 0.5);
+    const hole = box(0.25, -0.25, 0.75, 0.25);
+    const outerLength = geodesicPerimeter({ type: 'Polygon', coordinates: [outer] });
+    const holeLength = geodesicPerimeter({ type: 'Polygon', coordinates: [hole] });
+
+    expect(outerLength).toBeCloseTo(2 * 111.319 + 2 * 110.574, 0);
+    expect(geodesicPerimeter({ type: 'Polygon', coordinates: [outer, hole] })).toBeCloseTo(outerLength + holeLength, 6);
+  });
+});
+
+describe('geodesicCentroid', () => {
+  test('finds the centre of a symmetric box', () => {
+    const [lng, lat] = geodesicCentroid({ type: 'Polygon', coordinates: [box(10, -0.5, 11, 0.5)] });
+    expect(lng).toBeCloseTo(10.5, 6);
+    expect(lat).toBeCloseTo(0, 6);
+  });
+
+  test('moves away from an off-centre hole', () => {
+    const [lng, lat] = geodesicCentroid({
+      type: 'Polygon',
+      coordinates: [box(10, -0.5, 11, 0.5), box(10.1, -0.2, 10.4, 0.2)]
+    });
+    expect(lng).toBeGreaterThan(10.5);
+    expect(lat).toBeCloseTo(0, 6);
+  });
+
+  test('ignores the winding of holes', () => {
+    const outer = box(10, -0.5, 11, 0.5);
+    const hole = box(10.1, -0.2, 10.4, 0.2);
+    expect(geodesicCentroid({ type: 'Polygon', coordinates: [outer, [...hole].reverse()] }))
+      .toEqual(geodesicCentroid({ type: 'Polygon', coordinates: [outer, hole] }).map(value => expect.closeTo(value, 9)));
+  });
+
+  test('weights the parts of a MultiPolygon by area', () => {
+    const [equalLng, equalLat] = geodesicCentroid({
+      type: 'MultiPolygon',
+      coordinates: [[box(10, -0.5, 11, 0.5)], [box(12, -0.5, 13, 0.5)]]
+    });
+    expect(equalLng).toBeCloseTo(11.5, 6);
+    expect(equalLat).toBeCloseTo(0, 6);
+
+    const [weightedLng] = geodesicCentroid({
+      type: 'MultiPolygon',
+      coordinates: [[box(10, -0.5, 11, 0.5)], [box(12, -0.5, 13, 0.5), box(12.1, -0.4, 12.9, 0.4)]]
+    });
+    expect(weightedLng).toBeLessThan(11.5);
+  });
+
+  test('returns null for an empty geometry', () => {
+    expect(geodesicCentroid({ type: 'MultiPolygon', coordinates: [] })).toBeNull();
+  });
+});
+
+describe('measureArea', () => {
+  test('accepts a closed ring', () => {
+    const result = measureArea(box(0, 0, 1, 1));
+    expect(result.areaKm2).toBeCloseTo(12308.78, 1);
+    expect(result.centroid[0]).toBeCloseTo(0.5, 6);
+  });
+
+  test('returns null for fewer than three positions', () => {
+    expect(measureArea([[0, 0], [1, 1], [0, 0]])).toBeNull();
+  });
+});
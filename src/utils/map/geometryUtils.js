@@ -46,4 +46,62 @@ export const getBoundingBox = (polygon) => {
     minLat: Infinity,
     maxLat: -Infinity
   });
-};
\ No newline at end of file
+};
+/**
+ * Lists the polygons of a Polygon or MultiPolygon geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Array of polygons, each an array of rings (outer ring first)
+ */
+export const getPolygons = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Checks if a point is inside a Polygon or MultiPolygon, honouring holes
+ * @param {Array} point - [lng, lat] coordinates of the point to check
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point is inside the geometry
+ */
+export const isPointInGeometry = (point, geometry) => {
+  return getPolygons(geometry).some(([outerRing, ...holes]) =>
+    isPointInPolygon(point, outerRing) &&
+    !holes.some(hole => isPointInPolygon(point, hole))
+  );
+};
+
+/**
+ * Calculates the bounding box of a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} Bounding box with minLng, maxLng, minLat, maxLat
+ */
+export const getGeometryBoundingBox = (geometry) => {
+  return getBoundingBox(getPolygons(geometry).map(([outerRing]) => outerRing).flat());
+};
+
+/**
+ * Normalises a selected area to a GeoJSON geometry
+ * @param {Array|Object} polygon - Closed ring of [lng, lat] coordinates, or a Polygon/MultiPolygon geometry
+ * @returns {Object|null} Polygon or MultiPolygon geometry
+ */
+export const toAreaGeometry = (polygon) => {
+  if (!polygon) return null;
+  if (Array.isArray(polygon)) {
+    return { type: 'Polygon', coordinates: [polygon] };
+  }
+  return polygon.type === 'Feature' ? polygon.geometry : polygon;
+};
+
+/**
+ * Turns an area geometry into the value kept in the `polygon` selection state
+ * Single-ring polygons become a plain ring like a drawn area
+ * @param {Object} geometry - Polygon or MultiPolygon geometry
+ * @returns {Array|Object} Ring of [lng, lat] coordinates, or the geometry itself
+ */
+export const toSelectionArea = (geometry) => {
+  const polygons = getPolygons(geometry);
+  if (polygons.length === 1 && polygons[0].length === 1) return polygons[0][0];
+  return polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : geometry;
+};
@@ -0,0 +1,371 @@
+/**
+ * Ground monitor observations and their comparison with the modelled PM2.5 grid
+ *
+ * Supported formats, one reading per row or feature:
+ *   .csv               station id, latitude, longitude, time and PM2.5 columns; name and type are optional
+ *   .geojson / .json   Point features with the same properties, or one feature per station
+ *                      with an `observations` array of { time, pm25 }
+ *
+ * Times without an offset are read as UTC. Readings are averaged into UTC hours, which is
+ * how the model is published, so sensors reporting every few minutes line up with it.
+ */
+import Papa from 'papaparse';
+import { getDistanceKm, MAX_PROBE_DISTANCE_KM } from './probeSeries';
+
+export const MONITOR_FILE_ACCEPT = '.csv,.geojson,.json';
+
+// Column and property names accepted for each field, compared without case or punctuation
+const FIELD_ALIASES = {
+  id: ['stationid', 'siteid', 'id', 'station', 'site', 'sensorid', 'monitorid', 'aqsid'],
+  name: ['name', 'stationname', 'sitename', 'location'],
+  type: ['type', 'network', 'sensortype', 'monitortype', 'source'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lon', 'lng', 'long', 'longitude', 'x'],
+  time: ['time', 'datetime', 'timestamp', 'dateutc', 'datetimeutc', 'utc', 'date'],
+  pm25: ['pm25', 'pm25ugm3', 'pm2.5', 'value', 'concentration', 'rawconcentration']
+};
+
+// Fields also found by the start of their name, e.g. 'PM2.5 (µg/m³)'
+const FIELD_PREFIXES = {
+  pm25: ['pm25', 'pm2.5']
+};
+
+// Types containing any of these words are drawn as regulatory monitors
+const REGULATORY_TYPES = ['regulatory', 'fem', 'frm', 'airnow', 'aqs', 'reference'];
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const getExtension = (name) => name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9.]/g, '');
+
+const findField = (keys, field) => {
+  const normalized = keys.map(normalizeKey);
+  for (const alias of FIELD_ALIASES[field]) {
+    const index = normalized.indexOf(alias);
+    if (index !== -1) return keys[index];
+  }
+  for (const prefix of FIELD_PREFIXES[field] || []) {
+    const index = normalized.findIndex(key => key.startsWith(prefix));
+    if (index !== -1) return keys[index];
+  }
+  return null;
+};
+
+/**
+ * UTC hour key of a reading time, in the format used by the PM2.5 tiles
+ * @param {string|number} value - ISO 8601 time, 'YYYY-MM-DD HH:MM' in UTC or epoch milliseconds
+ * @returns {string|null} 'YYYY-MM-DDTHH:00:00', or null when the time cannot be read
+ */
+export const toHourKey = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  let date;
+  if (typeof value === 'number') {
+    date = new Date(value);
+  } else {
+    const text = String(value).trim().replace(' ', 'T');
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+    date = new Date(hasOffset || !text.includes('T') ? text : `${text}Z`);
+  }
+  if (isNaN(date.getTime())) return null;
+
+  const hour = new Date(Math.floor(date.getTime() / MS_PER_HOUR) * MS_PER_HOUR);
+  return hour.toISOString().replace('.000Z', '');
+};
+
+/**
+ * Whether a station's type names a regulatory network rather than a low-cost sensor
+ * @param {string} type - Type from the file
+ * @returns {boolean} True for regulatory monitors
+ */
+export const isRegulatoryType = (type) => {
+  const normalized = normalizeKey(type || '');
+  return REGULATORY_TYPES.some(word => normalized.includes(word));
+};
+
+// Collects readings into stations with hourly means
+const buildMonitors = (readings) => {
+  const stations = new Map();
+  const sums = new Map();
+
+  readings.forEach(({ id, name, type, lng, lat, time, pm25 }) => {
+    const hourKey = toHourKey(time);
+    if (!id || hourKey === null || !Number.isFinite(pm25) || pm25 < 0) return;
+
+    if (!stations.has(id)) {
+      if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) return;
+      stations.set(id, {
+        id,
+        name: name || id,
+        type: type || 'unknown',
+        isRegulatory: isRegulatoryType(type),
+        coordinates: [lng, lat]
+      });
+    }
+
+    const key = `${id}|${hourKey}`;
+    const sum = sums.get(key) || { id, time: hourKey, total: 0, count: 0 };
+    sum.total += pm25;
+    sum.count++;
+    sums.set(key, sum);
+  });
+
+  if (stations.size === 0) {
+    throw new Error('No readings with a station id, location, time and PM2.5 value were found');
+  }
+
+  const observations = {};
+  sums.forEach(({ id, time, total, count }) => {
+    observations[id] = observations[id] || {};
+    observations[id][time] = Math.round(total / count * 100) / 100;
+  });
+
+  return { stations: Array.from(stations.values()), observations };
+};
+
+/**
+ * Parses monitor readings from CSV text
+ * @param {string} text - CSV document with a header row
+ * @returns {Object} { stations, observations } as returned by parseMonitorFile
+ */
+export const parseMonitorCSV = (text) => {
+  const [header, ...rows] = Papa.parse(text, { skipEmptyLines: true }).data;
+  if (!header) throw new Error('The file is empty');
+
+  const keys = header.map(key => key.trim());
+  const columns = {};
+  Object.keys(FIELD_ALIASES).forEach(field => {
+    const key = findField(keys, field);
+    columns[field] = key === null ? -1 : keys.indexOf(key);
+  });
+
+  const missing = ['id', 'lat', 'lng', 'time', 'pm25'].filter(field => columns[field] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`);
+  }
+
+  const read = (fields, field) => (columns[field] === -1 ? '' : (fields[columns[field]] || '').trim());
+
+  return buildMonitors(rows.map(fields => ({
+    id: read(fields, 'id'),
+    name: read(fields, 'name'),
+    type: read(fields, 'type'),
+    lng: parseFloat(read(fields, 'lng')),
+    lat: parseFloat(read(fields, 'lat')),
+    time: read(fields, 'time'),
+    pm25: parseFloat(read(fields, 'pm25'))
+  })));
+};
+
+/**
+ * Parses monitor readings from GeoJSON text
+ * @param {string} text - GeoJSON FeatureCollection of points
+ * @returns {Object} { stations, observations } as returned by parseMonitorFile
+ */
+export const parseMonitorGeoJSON = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  const readings = [];
+
+  features.forEach(feature => {
+    if (feature?.geometry?.type !== 'Point') return;
+
+    const properties = feature.properties || {};
+    const keys = Object.keys(properties);
+    const value = (field) => {
+      const key = findField(keys, field);
+      return key === null ? undefined : properties[key];
+    };
+
+    const [lng, lat] = feature.geometry.coordinates;
+    const station = {
+      id: String(value('id') ?? feature.id ?? ''),
+      name: value('name'),
+      type: value('type'),
+      lng,
+      lat
+    };
+
+    const series = Array.isArray(properties.observations)
+      ? properties.observations
+      : [{ time: value('time'), pm25: value('pm25') }];
+
+    series.forEach(observation => {
+      readings.push({ ...station, time: observation.time, pm25: parseFloat(observation.pm25) });
+    });
+  });
+
+  return buildMonitors(readings);
+};
+
+/**
+ * Reads a ground monitor file
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} { stations: [{ id, name, type, isRegulatory, coordinates }],
+ *   observations: { [stationId]: { 'YYYY-MM-DDTHH:00:00': pm25 } } }
+ */
+export const parseMonitorFile = async (file) => {
+  const extension = getExtension(file.name);
+
+  switch (extension) {
+    case 'csv':
+      return parseMonitorCSV(await file.text());
+    case 'geojson':
+    case 'json':
+      return parseMonitorGeoJSON(await file.text());
+    default:
+      throw new Error(`Unsupported file type .${extension}`);
+  }
+};
+
+// Grid points bucketed by hour and by cell, so each station only checks points close to it
+const CELL_DEGREES = 0.5;
+
+const getCellKey = (lngCell, latCell) => `${lngCell},${latCell}`;
+
+/**
+ * Pairs each station's hourly observations with the nearest modelled grid value
+ * @param {Array} stations - Stations as returned by parseMonitorFile
+ * @param {Object} observations - Hourly observations by station
+ * @param {Array} points - Grid points as { time, pm25, coordinates: [lng, lat] }
+ * @param {number} maxDistanceKm - Grid points farther than this are not used
+ * @returns {Array} Pairs as { stationId, time, observed, modelled, distanceKm }
+ */
+export const matchMonitorsToGrid = (stations, observations, points, maxDistanceKm = MAX_PROBE_DISTANCE_KM) => {
+  const cellsByTime = new Map();
+  points.forEach(point => {
+    const [lng, lat] = point.coordinates;
+    if (!cellsByTime.has(point.time)) cellsByTime.set(point.time, new Map());
+    const cells = cellsByTime.get(point.time);
+    const key = getCellKey(Math.floor(lng / CELL_DEGREES), Math.floor(lat / CELL_DEGREES));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  });
+
+  const latReach = Math.ceil(maxDistanceKm / 111 / CELL_DEGREES);
+  const pairs = [];
+
+  stations.forEach(({ id, coordinates }) => {
+    const [lng, lat] = coordinates;
+    const lngCell = Math.floor(lng / CELL_DEGREES);
+    const latCell = Math.floor(lat / CELL_DEGREES);
+    const kmPerLngDegree = Math.max(1, 111 * Math.cos(lat * Math.PI / 180));
+    const lngReach = Math.ceil(maxDistanceKm / kmPerLngDegree / CELL_DEGREES);
+
+    Object.entries(observations[id] || {}).forEach(([time, observed]) => {
+      const cells = cellsByTime.get(time);
+      if (!cells) return;
+
+      let nearest = null;
+      for (let dx = -lngReach; dx <= lngReach; dx++) {
+        for (let dy = -latReach; dy <= latReach; dy++) {
+          for (const point of cells.get(getCellKey(lngCell + dx, latCell + dy)) || []) {
+            const distanceKm = getDistanceKm(coordinates, point.coordinates);
+            if (distanceKm <= maxDistanceKm && (!nearest || distanceKm < nearest.distanceKm)) {
+              nearest = { modelled: point.pm25, distanceKm };
+            }
+          }
+        }
+      }
+
+      if (nearest) {
+        pairs.push({ stationId: id, time, observed, ...nearest });
+      }
+    });
+  });
+
+  return pairs;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Agreement between modelled and observed values
+ * @param {Array} pairs - Pairs as returned by matchMonitorsToGrid
+ * @returns {Object|null} { count, bias, rmse, correlation, meanObserved, meanModelled }; bias is
+ *   modelled minus observed, and correlation is null with fewer than three pairs or no spread
+ */
+export const computeValidationStats = (pairs) => {
+  const count = pairs.length;
+  if (count === 0) return null;
+
+  let sumObserved = 0;
+  let sumModelled = 0;
+  let sumError = 0;
+  let sumSquaredError = 0;
+  pairs.forEach(({ observed, modelled }) => {
+    sumObserved += observed;
+    sumModelled += modelled;
+    sumError += modelled - observed;
+    sumSquaredError += (modelled - observed) ** 2;
+  });
+
+  const meanObserved = sumObserved / count;
+  const meanModelled = sumModelled / count;
+
+  let covariance = 0;
+  let varianceObserved = 0;
+  let varianceModelled = 0;
+  pairs.forEach(({ observed, modelled }) => {
+    covariance += (observed - meanObserved) * (modelled - meanModelled);
+    varianceObserved += (observed - meanObserved) ** 2;
+    varianceModelled += (modelled - meanModelled) ** 2;
+  });
+
+  const hasSpread = varianceObserved > 0 && varianceModelled > 0;
+
+  return {
+    count,
+    bias: round2(sumError / count),
+    rmse: round2(Math.sqrt(sumSquaredError / count)),
+    correlation: count >= 3 && hasSpread
+      ? round2(covariance / Math.sqrt(varianceObserved * varianceModelled))
+      : null,
+    meanObserved: round2(meanObserved),
+    meanModelled: round2(meanModelled)
+  };
+};
+
+/**
+ * Validation statistics overall and for each station
+ * @param {Array} stations - Stations as returned by parseMonitorFile
+ * @param {Array} pairs - Pairs as returned by matchMonitorsToGrid
+ * @returns {Object} { overall, byStation: [{ station, stats }] } with stations lacking pairs last
+ */
+export const summarizeValidation = (stations, pairs) => {
+  const pairsByStation = {};
+  pairs.forEach(pair => {
+    (pairsByStation[pair.stationId] = pairsByStation[pair.stationId] || []).push(pair);
+  });
+
+  const byStation = stations
+    .map(station => ({ station, stats: computeValidationStats(pairsByStation[station.id] || []) }))
+    .sort((a, b) => (b.stats?.count || 0) - (a.stats?.count || 0));
+
+  return { overall: computeValidationStats(pairs), byStation };
+};
+
+/**
+ * Stations as map features for one hour
+ * @param {Array} stations - Stations as returned by parseMonitorFile
+ * @param {Object} observations - Hourly observations by station
+ * @param {string} time - Hour as 'YYYY-MM-DDTHH:00:00'
+ * @returns {Object} FeatureCollection; stations without a reading that hour have no pm25
+ */
+export const getMonitorFeatures = (stations, observations, time) => ({
+  type: 'FeatureCollection',
+  features: stations.map(station => {
+    const pm25 = observations[station.id]?.[time];
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: station.coordinates },
+      properties: {
+        id: station.id,
+        name: station.name,
+        isRegulatory: station.isRegulatory,
+        ...(pm25 === undefined ? {} : { pm25 })
+      }
+    };
+  })
+});
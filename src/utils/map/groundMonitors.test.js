@@ -0,0 +1,199 @@
+import {
+  toHourKey,
+  isRegulatoryType,
+  parseMonitorCSV,
+  parseMonitorGeoJSON,
+  matchMonitorsToGrid,
+  computeValidationStats,
+  summarizeValidation
+} from './groundMonitors';
+
+describe('toHourKey', () => {
+  test('reads times without an offset as UTC', () => {
+    expect(toHourKey('2024-09-01T07:45:00')).toBe('2024-09-01T07:00:00');
+    expect(toHourKey('2024-09-01 07:45')).toBe('2024-09-01T07:00:00');
+  });
+
+  test('converts times with an offset to the UTC hour', () => {
+    expect(toHourKey('2024-09-01T07:30:00-07:00')).toBe('2024-09-01T14:00:00');
+    expect(toHourKey('2024-09-01T23:59:59+0530')).toBe('2024-09-01T18:00:00');
+    expect(toHourKey('2024-09-01T07:00:00Z')).toBe('2024-09-01T07:00:00');
+  });
+
+  test('accepts epoch milliseconds and bare dates', () => {
+    expect(toHourKey(Date.UTC(2024, 8, 1, 7, 59))).toBe('2024-09-01T07:00:00');
+    expect(toHourKey('2024-09-01')).toBe('2024-09-01T00:00:00');
+  });
+
+  test('returns null for missing or unreadable times', () => {
+    expect(toHourKey(null)).toBeNull();
+    expect(toHourKey('')).toBeNull();
+    expect(toHourKey('yesterday')).toBeNull();
+  });
+});
+
+describe('isRegulatoryType', () => {
+  test('recognises regulatory networks', () => {
+    expect(isRegulatoryType('AirNow')).toBe(true);
+    expect(isRegulatoryType('FEM BAM')).toBe(true);
+    expect(isRegulatoryType('PurpleAir')).toBe(false);
+    expect(isRegulatoryType(undefined)).toBe(false);
+  });
+});
+
+describe('parseMonitorCSV', () => {
+  test('averages readings into UTC hours by station', () => {
+    const csv = [
+      'Site ID,Site Name,Latitude,Longitude,Date (UTC),PM2.5 (µg/m³),Network',
+      '060370016,"Glendora, Laredo",34.144,-117.85,2024-09-01T07:10:00Z,10,AirNow',
+      '060370016,"Glendora, Laredo",34.144,-117.85,2024-09-01T07:40:00Z,14,AirNow',
+      '',
+      'pa-123,"Backyard ""north""",34.2,-117.9,2024-09-01 08:00,22.5,PurpleAir',
+      'pa-123,"Backyard ""north""",34.2,-117.9,not a time,30,PurpleAir',
+      'pa-123,"Backyard ""north""",34.2,-117.9,2024-09-01 09:00,-3,PurpleAir'
+    ].join('\r\n');
+
+    expect(parseMonitorCSV(csv)).toEqual({
+      stations: [
+        {
+          id: '060370016',
+          name: 'Glendora, Laredo',
+          type: 'AirNow',
+          isRegulatory: true,
+          coordinates: [-117.85, 34.144]
+        },
+        {
+          id: 'pa-123',
+          name: 'Backyard "north"',
+          type: 'PurpleAir',
+          isRegulatory: false,
+          coordinates: [-117.9, 34.2]
+        }
+      ],
+      observations: {
+        '060370016': { '2024-09-01T07:00:00': 12 },
+        'pa-123': { '2024-09-01T08:00:00': 22.5 }
+      }
+    });
+  });
+
+  test('names the missing columns', () => {
+    expect(() => parseMonitorCSV('station,lat,lon\na,1,2')).toThrow('Missing columns: time, pm25');
+    expect(() => parseMonitorCSV('')).toThrow('The file is empty');
+  });
+
+  test('rejects files without usable readings', () => {
+    expect(() => parseMonitorCSV('id,lat,lon,time,pm25\na,95,2,2024-09-01T00:00Z,5'))
+      .toThrow('No readings');
+  });
+});
+
+describe('parseMonitorGeoJSON', () => {
+  test('reads point features and per-station observation arrays', () => {
+    const geojson = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          id: 'a',
+          geometry: { type: 'Point', coordinates: [-120, 38] },
+          properties: { datetime: '2024-09-01T00:20:00Z', 'PM2.5': '8' }
+        },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-121, 39] },
+          properties: {
+            station_id: 'b',
+            type: 'FRM',
+            observations: [{ time: '2024-09-01T00:00:00Z', pm25: 5 }, { time: '2024-09-01T01:00:00Z', pm25: 7 }]
+          }
+        },
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [] }, properties: { id: 'c' } }
+      ]
+    });
+
+    const { stations, observations } = parseMonitorGeoJSON(geojson);
+    expect(stations.map(({ id, isRegulatory }) => [id, isRegulatory])).toEqual([['a', false], ['b', true]]);
+    expect(observations).toEqual({
+      a: { '2024-09-01T00:00:00': 8 },
+      b: { '2024-09-01T00:00:00': 5, '2024-09-01T01:00:00': 7 }
+    });
+  });
+});
+
+describe('matchMonitorsToGrid', () => {
+  const stations = [
+    { id: 'a', coordinates: [-120, 38] },
+    { id: 'b', coordinates: [-100, 45] }
+  ];
+  const observations = {
+    a: { '2024-09-01T00:00:00': 10, '2024-09-01T01:00:00': 12 },
+    b: { '2024-09-01T00:00:00': 4 }
+  };
+
+  test('pairs each observed hour with the nearest grid point of that hour', () => {
+    const points = [
+      { time: '2024-09-01T00:00:00', pm25: 20, coordinates: [-120.1, 38] },
+      { time: '2024-09-01T00:00:00', pm25: 11, coordinates: [-120.02, 38.01] },
+      // Across a cell boundary from the station, and nearest at this hour
+      { time: '2024-09-01T01:00:00', pm25: 13, coordinates: [-119.99, 37.99] },
+      { time: '2024-09-01T02:00:00', pm25: 50, coordinates: [-120, 38] }
+    ];
+
+    const pairs = matchMonitorsToGrid(stations, observations, points);
+    expect(pairs.map(({ stationId, time, observed, modelled }) => [stationId, time, observed, modelled])).toEqual([
+      ['a', '2024-09-01T00:00:00', 10, 11],
+      ['a', '2024-09-01T01:00:00', 12, 13]
+    ]);
+    expect(pairs[0].distanceKm).toBeCloseTo(2.03, 1);
+  });
+
+  test('leaves out grid points beyond the distance limit', () => {
+    const points = [{ time: '2024-09-01T00:00:00', pm25: 9, coordinates: [-100, 45.3] }];
+
+    expect(matchMonitorsToGrid(stations, observations, points)).toEqual([]);
+    expect(matchMonitorsToGrid(stations, observations, points, 40)).toHaveLength(1);
+  });
+});
+
+describe('computeValidationStats', () => {
+  test('computes bias, RMSE and correlation', () => {
+    const pairs = [
+      { observed: 10, modelled: 12 },
+      { observed: 20, modelled: 18 },
+      { observed: 30, modelled: 36 }
+    ];
+
+    expect(computeValidationStats(pairs)).toEqual({
+      count: 3,
+      bias: 2,
+      rmse: 3.83,
+      correlation: 0.96,
+      meanObserved: 20,
+      meanModelled: 22
+    });
+  });
+
+  test('leaves correlation out without enough pairs or spread', () => {
+    expect(computeValidationStats([{ observed: 1, modelled: 2 }, { observed: 3, modelled: 5 }]).correlation).toBeNull();
+    expect(computeValidationStats([
+      { observed: 5, modelled: 1 },
+      { observed: 5, modelled: 2 },
+      { observed: 5, modelled: 3 }
+    ]).correlation).toBeNull();
+    expect(computeValidationStats([])).toBeNull();
+  });
+
+  test('summarizes by station with unpaired stations last', () => {
+    const stations = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    const pairs = [
+      { stationId: 'b', observed: 1, modelled: 2 },
+      { stationId: 'b', observed: 2, modelled: 2 },
+      { stationId: 'a', observed: 3, modelled: 1 }
+    ];
+
+    const { overall, byStation } = summarizeValidation(stations, pairs);
+    expect(overall.count).toBe(3);
+    expect(byStation.map(({ station, stats }) => [station.id, stats?.count ?? 0])).toEqual([['b', 2], ['a', 1], ['c', 0]]);
+  });
+});
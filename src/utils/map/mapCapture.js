@@ -0,0 +1,163 @@
+import { getAqiStandard, formatPM25, getPM25UnitLabel } from './aqi';
+
+const OVERLAY_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const FOREST = '#2d5954';
+const GOLD_LIGHT = '#deb77d';
+
+/**
+ * Resolves once the map has finished rendering everything that is pending
+ * Falls back to resolving after `timeout` so a stalled tile request cannot block a capture
+ * @param {Object} map - Mapbox map instance
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<void>}
+ */
+export const waitForMapRender = (map, timeout = 10000) => {
+  return new Promise(resolve => {
+    let timer = null;
+    const done = () => {
+      clearTimeout(timer);
+      map.off('idle', done);
+      resolve();
+    };
+
+    timer = setTimeout(done, timeout);
+    map.on('idle', done);
+    map.triggerRepaint();
+  });
+};
+
+/**
+ * Draws the map canvas into a target canvas, cropping to the target's aspect ratio
+ * The map must be created with preserveDrawingBuffer so its WebGL canvas can be read
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} map - Mapbox map instance
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ */
+export const drawMapCanvas = (ctx, map, width, height) => {
+  const source = map.getCanvas();
+  const scale = Math.max(width / source.width, height / source.height);
+  const cropWidth = width / scale;
+  const cropHeight = height / scale;
+
+  ctx.drawImage(
+    source,
+    (source.width - cropWidth) / 2,
+    (source.height - cropHeight) / 2,
+    cropWidth,
+    cropHeight,
+    0,
+    0,
+    width,
+    height
+  );
+};
+
+const drawRoundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+const getPanelColors = (isDarkMode) => ({
+  background: isDarkMode ? 'rgba(17, 24, 39, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+  text: isDarkMode ? GOLD_LIGHT : FOREST,
+  muted: isDarkMode ? '#9CA3AF' : '#4B5563'
+});
+
+/**
+ * Draws the date and hour badge in the top-left corner
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {string} label - Text to show, e.g. "2024-09-01 14:00 UTC"
+ * @param {Object} options
+ * @param {number} options.scale - Size multiplier relative to a 720px tall frame
+ * @param {boolean} options.isDarkMode - Use dark panel colours
+ */
+export const drawTimestamp = (ctx, label, { scale = 1, isDarkMode = false } = {}) => {
+  const colors = getPanelColors(isDarkMode);
+  const padding = 12 * scale;
+  const margin = 16 * scale;
+
+  ctx.font = `600 ${20 * scale}px ${OVERLAY_FONT}`;
+  const width = ctx.measureText(label).width + padding * 2;
+  const height = 40 * scale;
+
+  ctx.fillStyle = colors.background;
+  drawRoundedRect(ctx, margin, margin, width, height, 8 * scale);
+  ctx.fill();
+  ctx.strokeStyle = FOREST;
+  ctx.lineWidth = 2 * scale;
+  ctx.stroke();
+
+  ctx.fillStyle = colors.text;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, margin + padding, margin + height / 2);
+};
+
+/**
+ * Draws the PM2.5 category legend in the bottom-left corner
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} canvasHeight - Height of the target canvas
+ * @param {Object} options
+ * @param {number} options.scale - Size multiplier relative to a 720px tall frame
+ * @param {boolean} options.isDarkMode - Use dark-mode category colours
+ * @param {number} options.pm25Threshold - Categories entirely below the threshold are dimmed
+ * @param {Object} options.standard - Entry of AQI_STANDARDS whose categories are listed
+ * @param {string} options.displayUnit - Label breakpoints as concentrations or index values
+ */
+export const drawLegend = (ctx, canvasHeight, {
+  scale = 1,
+  isDarkMode = false,
+  pm25Threshold = 0,
+  standard = getAqiStandard(),
+  displayUnit = 'concentration'
+} = {}) => {
+  const colors = getPanelColors(isDarkMode);
+  // The last level only marks the top of the scale
+  const levels = standard.levels.slice(0, -1);
+  const padding = 10 * scale;
+  const margin = 16 * scale;
+  const rowHeight = 20 * scale;
+  const swatch = 12 * scale;
+
+  ctx.font = `${13 * scale}px ${OVERLAY_FONT}`;
+  const labels = levels.map(level =>
+    `${level.shortLabel || level.label}  ${formatPM25(level.value, standard, displayUnit)}+`
+  );
+  const title = `PM2.5 (${getPM25UnitLabel(standard, displayUnit)}) · ${standard.label}`;
+  const textWidth = Math.max(
+    ...labels.map(label => ctx.measureText(label).width),
+    ctx.measureText(title).width
+  );
+
+  const width = textWidth + swatch + padding * 3;
+  const height = rowHeight * (levels.length + 1) + padding * 2;
+  const x = margin;
+  const y = canvasHeight - height - margin;
+
+  ctx.fillStyle = colors.background;
+  drawRoundedRect(ctx, x, y, width, height, 8 * scale);
+  ctx.fill();
+
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = colors.text;
+  ctx.font = `600 ${13 * scale}px ${OVERLAY_FONT}`;
+  ctx.fillText(title, x + padding, y + padding + rowHeight / 2);
+
+  ctx.font = `${13 * scale}px ${OVERLAY_FONT}`;
+  levels.forEach((level, index) => {
+    const rowY = y + padding + rowHeight * (index + 1);
+    ctx.globalAlpha = level.maxValue < pm25Threshold ? 0.35 : 1;
+    ctx.fillStyle = isDarkMode ? level.darkColor : level.color;
+    ctx.beginPath();
+    ctx.arc(x + padding + swatch / 2, rowY + rowHeight / 2, swatch / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = colors.muted;
+    ctx.fillText(labels[index], x + padding * 2 + swatch, rowY + rowHeight / 2);
+  });
+  ctx.globalAlpha = 1;
+};
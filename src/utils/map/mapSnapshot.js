@@ -0,0 +1,338 @@
+import { MAPBOX_TOKEN } from './constants';
+import { getDataSource } from './dataSources';
+import { waitForMapRender, drawTimestamp, drawLegend } from './mapCapture';
+
+export const SNAPSHOT_DPI_OPTIONS = [96, 150, 300];
+
+// Print sizes are in inches; the current view keeps the on-screen size
+export const SNAPSHOT_SIZES = [
+  { id: 'view', label: 'Current view' },
+  { id: 'letter', label: 'Letter landscape', width: 10, height: 7.5 },
+  { id: 'a4', label: 'A4 landscape', width: 10.7, height: 7.3 }
+];
+
+const CSS_DPI = 96;
+// Most WebGL implementations cannot allocate larger drawing buffers
+const MAX_CANVAS_SIZE = 8192;
+const OVERLAY_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+/**
+ * Renders the current view into an offscreen map at a given pixel ratio
+ * mapbox-gl sizes its drawing buffer from window.devicePixelRatio, so the ratio is
+ * overridden while the offscreen map renders and restored afterwards
+ * mapbox-gl is loaded on first use so importing this module does not pull it in
+ * @param {Object} map - Mapbox map instance to copy
+ * @param {Object} options
+ * @param {number} options.width - Map width in CSS pixels
+ * @param {number} options.height - Map height in CSS pixels
+ * @param {number} options.pixelRatio - Device pixels per CSS pixel
+ * @returns {Promise<HTMLCanvasElement>} 2D canvas holding the rendered map
+ */
+export const renderMapImage = async (map, { width, height, pixelRatio }) => {
+  const { default: mapboxgl } = await import('mapbox-gl');
+
+  const container = document.createElement('div');
+  Object.assign(container.style, {
+    position: 'absolute',
+    top: '0',
+    left: '-100000px',
+    width: `${width}px`,
+    height: `${height}px`
+  });
+  document.body.appendChild(container);
+
+  const originalDescriptor = Object.getOwnPropertyDescriptor(window, 'devicePixelRatio');
+  Object.defineProperty(window, 'devicePixelRatio', {
+    get: () => pixelRatio,
+    configurable: true
+  });
+
+  let snapshotMap = null;
+  try {
+    snapshotMap = new mapboxgl.Map({
+      container,
+      accessToken: MAPBOX_TOKEN,
+      style: map.getStyle(),
+      bounds: map.getBounds(),
+      bearing: map.getBearing(),
+      pitch: map.getPitch(),
+      interactive: false,
+      attributionControl: false,
+      preserveDrawingBuffer: true,
+      fadeDuration: 0
+    });
+
+    await new Promise((resolve, reject) => {
+      snapshotMap.once('load', resolve);
+      snapshotMap.once('error', event => reject(event.error || new Error('Snapshot map failed to load')));
+    });
+    await waitForMapRender(snapshotMap, 30000);
+
+    const source = snapshotMap.getCanvas();
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.getContext('2d').drawImage(source, 0, 0);
+    return canvas;
+  } finally {
+    snapshotMap?.remove();
+    container.remove();
+    if (originalDescriptor) {
+      Object.defineProperty(window, 'devicePixelRatio', originalDescriptor);
+    } else {
+      delete window.devicePixelRatio;
+    }
+  }
+};
+
+/**
+ * Works out the CSS size and pixel ratio for a snapshot
+ * @param {Object} map - Mapbox map instance
+ * @param {Object} size - Entry from SNAPSHOT_SIZES
+ * @param {number} dpi - Requested dots per inch
+ * @returns {Object} { width, height, pixelRatio }
+ */
+export const getSnapshotDimensions = (map, size, dpi) => {
+  const container = map.getContainer();
+  const width = size.width ? size.width * CSS_DPI : container.clientWidth;
+  const height = size.height ? size.height * CSS_DPI : container.clientHeight;
+  const pixelRatio = Math.min(dpi / CSS_DPI, MAX_CANVAS_SIZE / Math.max(width, height));
+  return { width, height, pixelRatio };
+};
+
+/**
+ * Collects the basemap and PM2.5 data-source attribution
+ * @param {Object} map - Mapbox map instance
+ * @returns {string} Attribution line
+ */
+export const getSnapshotAttribution = (map) => {
+  const basemap = map.getContainer()
+    .querySelector('.mapboxgl-ctrl-attrib-inner')
+    ?.textContent
+    .replace(/Improve this map/i, '')
+    .trim();
+  return [getDataSource().attribution, basemap].filter(Boolean).join(' · ');
+};
+
+const wrapText = (ctx, text, maxWidth) => {
+  return text.split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(/\s+/).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
+};
+
+/**
+ * Measures the title/notes block that sits above the map
+ * @param {Object} options
+ * @param {string} options.title - Optional title
+ * @param {string} options.notes - Optional notes
+ * @param {number} options.width - Snapshot width in device pixels
+ * @param {number} options.scale - Device pixels per CSS pixel
+ * @returns {Object} { height, titleLines, noteLines }
+ */
+export const measureSnapshotHeader = ({ title, notes, width, scale }) => {
+  const ctx = document.createElement('canvas').getContext('2d');
+  const padding = 24 * scale;
+  const maxWidth = width - padding * 2;
+
+  ctx.font = `700 ${24 * scale}px ${OVERLAY_FONT}`;
+  const titleLines = title ? wrapText(ctx, title.trim(), maxWidth) : [];
+  ctx.font = `${14 * scale}px ${OVERLAY_FONT}`;
+  const noteLines = notes ? wrapText(ctx, notes.trim(), maxWidth) : [];
+
+  if (titleLines.length === 0 && noteLines.length === 0) {
+    return { height: 0, titleLines, noteLines };
+  }
+
+  const height = Math.ceil(padding * 2 +
+    titleLines.length * 32 * scale +
+    (titleLines.length && noteLines.length ? 8 * scale : 0) +
+    noteLines.length * 20 * scale);
+
+  return { height, titleLines, noteLines };
+};
+
+/**
+ * Lays out the header, map image and overlays into the final snapshot
+ * @param {Object} options
+ * @param {HTMLCanvasElement} options.mapCanvas - From renderMapImage
+ * @param {Object} options.header - From measureSnapshotHeader
+ * @param {string} options.dateTimeLabel - Date and hour shown on the map
+ * @param {string} options.attribution - From getSnapshotAttribution
+ * @param {number} options.scale - Device pixels per CSS pixel
+ * @param {boolean} options.isDarkMode - Use dark colours
+ * @param {number} options.pm25Threshold - Passed through to the legend
+ * @param {Object} options.standard - Passed through to the legend
+ * @param {string} options.displayUnit - Passed through to the legend
+ * @returns {HTMLCanvasElement}
+ */
+export const composeSnapshot = ({
+  mapCanvas,
+  header,
+  dateTimeLabel,
+  attribution,
+  scale,
+  isDarkMode,
+  pm25Threshold,
+  standard,
+  displayUnit
+}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = mapCanvas.width;
+  canvas.height = mapCanvas.height + header.height;
+  const ctx = canvas.getContext('2d');
+
+  if (header.height > 0) {
+    const padding = 24 * scale;
+    ctx.fillStyle = isDarkMode ? '#111827' : '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, header.height);
+    ctx.textBaseline = 'top';
+
+    let y = padding;
+    ctx.fillStyle = isDarkMode ? '#deb77d' : '#2d5954';
+    ctx.font = `700 ${24 * scale}px ${OVERLAY_FONT}`;
+    header.titleLines.forEach(line => {
+      ctx.fillText(line, padding, y);
+      y += 32 * scale;
+    });
+    if (header.titleLines.length && header.noteLines.length) y += 8 * scale;
+
+    ctx.fillStyle = isDarkMode ? '#D1D5DB' : '#4B5563';
+    ctx.font = `${14 * scale}px ${OVERLAY_FONT}`;
+    header.noteLines.forEach(line => {
+      ctx.fillText(line, padding, y);
+      y += 20 * scale;
+    });
+  }
+
+  ctx.save();
+  ctx.translate(0, header.height);
+  ctx.drawImage(mapCanvas, 0, 0);
+  drawTimestamp(ctx, dateTimeLabel, { scale, isDarkMode });
+  drawLegend(ctx, mapCanvas.height, { scale, isDarkMode, pm25Threshold, standard, displayUnit });
+
+  if (attribution) {
+    ctx.font = `${11 * scale}px ${OVERLAY_FONT}`;
+    const padding = 4 * scale;
+    const textWidth = ctx.measureText(attribution).width;
+    const boxHeight = 18 * scale;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.fillRect(mapCanvas.width - textWidth - padding * 2, mapCanvas.height - boxHeight, textWidth + padding * 2, boxHeight);
+    ctx.fillStyle = '#374151';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(attribution, mapCanvas.width - textWidth - padding, mapCanvas.height - boxHeight / 2);
+  }
+  ctx.restore();
+
+  return canvas;
+};
+
+let crcTable = null;
+
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c >>> 0;
+    });
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encodes a canvas as PNG with a pHYs chunk, so documents place it at the intended size
+ * @param {HTMLCanvasElement} canvas - Finished snapshot
+ * @param {number} dpi - Dots per inch of the image
+ * @returns {Promise<Blob>} PNG file
+ */
+export const canvasToPng = async (canvas, dpi) => {
+  const png = await new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode snapshot'))), 'image/png');
+  });
+  const bytes = new Uint8Array(await png.arrayBuffer());
+
+  // pHYs: pixels per metre on both axes, unit = metre
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1;
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // Insert right after the 8-byte signature and the 25-byte IHDR chunk
+  const insertAt = 33;
+  return new Blob([bytes.subarray(0, insertAt), chunk, bytes.subarray(insertAt)], { type: 'image/png' });
+};
+
+/**
+ * Wraps a canvas in a single-page PDF sized so the image prints at the given DPI
+ * @param {HTMLCanvasElement} canvas - Finished snapshot
+ * @param {number} dpi - Dots per inch of the image
+ * @returns {Promise<Blob>} PDF file
+ */
+export const canvasToPdf = async (canvas, dpi) => {
+  const jpeg = await new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode snapshot'))), 'image/jpeg', 0.92);
+  });
+  const imageBytes = new Uint8Array(await jpeg.arrayBuffer());
+
+  const pageWidth = (canvas.width * 72 / dpi).toFixed(2);
+  const pageHeight = (canvas.height * 72 / dpi).toFixed(2);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = () => offsets.push(length);
+
+  push('%PDF-1.4\n');
+  startObject();
+  push('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  startObject();
+  push('2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+  startObject();
+  push(`3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+    '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n');
+  startObject();
+  push(`4 0 obj\n<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} ` +
+    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${imageBytes.length} >>\nstream\n`);
+  push(imageBytes);
+  push('\nendstream\nendobj\n');
+  startObject();
+  push(`5 0 obj\n<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+  const xrefOffset = length;
+  push(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+};
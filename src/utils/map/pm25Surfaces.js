@@ -0,0 +1,235 @@
+import { PM25_LEVELS } from '../../constants/pm25Levels';
+
+/**
+ * Aggregated PM2.5 surfaces built from grid points, drawn as GeoJSON fills
+ * Features carry a `PM25` property so they colour with getPM25ColorInterpolation
+ */
+
+// Hexagon radius on screen, whatever the zoom
+const HEX_RADIUS_PX = 16;
+const TILE_SIZE = 512;
+
+const CONTOUR_COLUMNS = 96;
+const MAX_CONTOUR_ROWS = 160;
+const MAX_SEARCH_CELLS = 6;
+
+const toMercator = ([lng, lat]) => {
+  const sin = Math.sin(lat * Math.PI / 180);
+  return [
+    (lng + 180) / 360,
+    0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  ];
+};
+
+const fromMercator = ([x, y]) => [
+  x * 360 - 180,
+  Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI
+];
+
+// Nearest hexagon centre in axial coordinates, for pointy-top hexagons
+const roundHex = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return [rq, rr];
+};
+
+/**
+ * Groups points into hexagons sized for the current zoom
+ * @param {Array} points - Points as { pm25, coordinates: [lng, lat] }
+ * @param {Object} options - { zoom, aggregation: 'max' | 'mean' }
+ * @returns {Object} FeatureCollection of hexagons with PM25 and count properties
+ */
+export const binPointsToHexagons = (points, { zoom, aggregation = 'max' }) => {
+  const radius = HEX_RADIUS_PX / (TILE_SIZE * 2 ** zoom);
+  const width = Math.sqrt(3) * radius;
+  const bins = new Map();
+
+  points.forEach(({ pm25, coordinates }) => {
+    const [x, y] = toMercator(coordinates);
+    const [q, r] = roundHex((x * Math.sqrt(3) / 3 - y / 3) / radius, (y * 2 / 3) / radius);
+    const key = `${q},${r}`;
+
+    const bin = bins.get(key) || { q, r, sum: 0, count: 0, max: -Infinity };
+    bin.sum += pm25;
+    bin.count += 1;
+    bin.max = Math.max(bin.max, pm25);
+    bins.set(key, bin);
+  });
+
+  const features = Array.from(bins.values()).map(({ q, r, sum, count, max }) => {
+    const centerX = width * (q + r / 2);
+    const centerY = radius * 1.5 * r;
+
+    const ring = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = Math.PI / 180 * (60 * i - 30);
+      ring.push(fromMercator([centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle)]));
+    }
+    ring.push(ring[0]);
+
+    return {
+      type: 'Feature',
+      properties: {
+        PM25: Math.round((aggregation === 'mean' ? sum / count : max) * 10) / 10,
+        count
+      },
+      geometry: { type: 'Polygon', coordinates: [ring] }
+    };
+  });
+
+  return { type: 'FeatureCollection', features };
+};
+
+// Inverse-distance weighted values on a regular lng/lat grid; NaN where no point is near
+const interpolateGrid = (points, bounds, columns, rows) => {
+  const cellWidth = (bounds.maxLng - bounds.minLng) / columns;
+  const cellHeight = (bounds.maxLat - bounds.minLat) / rows;
+  const lngScale = Math.cos((bounds.minLat + bounds.maxLat) / 2 * Math.PI / 180);
+
+  const buckets = new Map();
+  points.forEach(point => {
+    const i = Math.round((point.coordinates[0] - bounds.minLng) / cellWidth);
+    const j = Math.round((point.coordinates[1] - bounds.minLat) / cellHeight);
+    const key = `${i},${j}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(point);
+  });
+
+  // Reach far enough to find a point even where the data is coarser than the grid
+  const spacing = Math.sqrt((bounds.maxLng - bounds.minLng) * lngScale * (bounds.maxLat - bounds.minLat) / points.length);
+  const reach = Math.min(MAX_SEARCH_CELLS, Math.max(1, Math.ceil(spacing / Math.min(cellWidth * lngScale, cellHeight))));
+
+  const values = [];
+  for (let j = 0; j <= rows; j++) {
+    const row = [];
+    for (let i = 0; i <= columns; i++) {
+      const lng = bounds.minLng + i * cellWidth;
+      const lat = bounds.minLat + j * cellHeight;
+      let weightSum = 0;
+      let valueSum = 0;
+      let exact = null;
+
+      for (let di = -reach; di <= reach && exact === null; di++) {
+        for (let dj = -reach; dj <= reach && exact === null; dj++) {
+          for (const { pm25, coordinates } of buckets.get(`${i + di},${j + dj}`) || []) {
+            const dx = (coordinates[0] - lng) * lngScale;
+            const dy = coordinates[1] - lat;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq < 1e-18) {
+              exact = pm25;
+              break;
+            }
+            weightSum += 1 / distanceSq;
+            valueSum += pm25 / distanceSq;
+          }
+        }
+      }
+
+      row.push(exact !== null ? exact : weightSum > 0 ? valueSum / weightSum : NaN);
+    }
+    values.push(row);
+  }
+
+  return { values, cellWidth, cellHeight };
+};
+
+/**
+ * Filled PM2.5 bands at the breakpoints of a levels table
+ * Each band covers everywhere at or above its breakpoint and bands are ordered low to high,
+ * so drawing them in order leaves every place coloured by the highest band it reaches
+ * @param {Array} points - Points as { pm25, coordinates: [lng, lat] }
+ * @param {Object} bounds - { minLng, maxLng, minLat, maxLat } to cover
+ * @param {Object} options - { threshold } below which nothing is drawn, and { levels }, PM25_LEVELS by default
+ * @returns {Object} FeatureCollection of band pieces with PM25 set to the band's breakpoint
+ */
+export const buildContourBands = (points, bounds, { threshold = 0, levels = PM25_LEVELS } = {}) => {
+  const features = [];
+  if (points.length === 0) return { type: 'FeatureCollection', features };
+
+  const [minX, maxY] = toMercator([bounds.minLng, bounds.minLat]);
+  const [maxX, minY] = toMercator([bounds.maxLng, bounds.maxLat]);
+  const columns = CONTOUR_COLUMNS;
+  const rows = Math.max(8, Math.min(MAX_CONTOUR_ROWS, Math.round(columns * (maxY - minY) / (maxX - minX))));
+
+  const { values, cellWidth, cellHeight } = interpolateGrid(points, bounds, columns, rows);
+  const position = (i, j) => [bounds.minLng + i * cellWidth, bounds.minLat + j * cellHeight];
+
+  levels.forEach((level, index) => {
+    const nextLevel = levels[index + 1];
+    // Bands entirely under the threshold are covered by the next band up
+    if (nextLevel && nextLevel.value <= threshold) return;
+
+    const breakpoint = Math.max(level.value, threshold);
+    const isAbove = (value) => !isNaN(value) && value >= breakpoint;
+    const properties = { PM25: level.value };
+
+    for (let j = 0; j < rows; j++) {
+      let runStart = null;
+
+      const closeRun = (end) => {
+        if (runStart === null) return;
+        const [west, south] = position(runStart, j);
+        const [east, north] = position(end, j + 1);
+        features.push({
+          type: 'Feature',
+          properties,
+          geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+          }
+        });
+        runStart = null;
+      };
+
+      for (let i = 0; i < columns; i++) {
+        // Corners anticlockwise from the south-west
+        const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+        const cornerValues = corners.map(([ci, cj]) => values[cj][ci]);
+        const above = cornerValues.map(isAbove);
+
+        if (above.every(Boolean)) {
+          if (runStart === null) runStart = i;
+          continue;
+        }
+        closeRun(i);
+        if (!above.some(Boolean)) continue;
+
+        // Walk the cell edge, keeping corners above the breakpoint and where each edge crosses it
+        const ring = [];
+        corners.forEach((corner, k) => {
+          const next = (k + 1) % 4;
+          if (above[k]) ring.push(position(...corner));
+          if (above[k] !== above[next]) {
+            const a = cornerValues[k];
+            const b = cornerValues[next];
+            const t = isNaN(a) || isNaN(b) ? 0.5 : (breakpoint - a) / (b - a);
+            const [x1, y1] = position(...corner);
+            const [x2, y2] = position(...corners[next]);
+            ring.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]);
+          }
+        });
+        ring.push(ring[0]);
+
+        features.push({
+          type: 'Feature',
+          properties,
+          geometry: { type: 'Polygon', coordinates: [ring] }
+        });
+      }
+      closeRun(columns);
+    }
+  });
+
+  return { type: 'FeatureCollection', features };
+};
@@ -0,0 +1,82 @@
+import { getAqiReading } from './aqi';
+
+const EARTH_RADIUS_KM = 6371;
+// Grid points farther than this from the probe are not treated as its value
+export const MAX_PROBE_DISTANCE_KM = 25;
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ * @param {Array} a - [lng, lat]
+ * @param {Array} b - [lng, lat]
+ * @returns {number} Distance in kilometres
+ */
+export const getDistanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Nearest PM2.5 grid value to a location for every hour among a set of points
+ * @param {Array} points - Points as { time, pm25, coordinates: [lng, lat] }
+ * @param {Array} lngLat - Probe location as [lng, lat]
+ * @param {number} maxDistanceKm - Farthest point that still counts
+ * @returns {Array} { time: 'YYYY-MM-DDTHH:00:00', pm25, distanceKm } sorted by time
+ */
+export const findNearestByTime = (points, lngLat, maxDistanceKm = MAX_PROBE_DISTANCE_KM) => {
+  const nearestByTime = {};
+
+  points.forEach(({ time, pm25, coordinates }) => {
+    const distanceKm = getDistanceKm(lngLat, coordinates);
+    if (distanceKm > maxDistanceKm) return;
+
+    const current = nearestByTime[time];
+    if (!current || distanceKm < current.distanceKm) {
+      nearestByTime[time] = { time, pm25, distanceKm };
+    }
+  });
+
+  return Object.values(nearestByTime).sort((a, b) => a.time.localeCompare(b.time));
+};
+
+/**
+ * Merges two probe series, the later one winning for hours both hold
+ * @param {Array} previous - Earlier series
+ * @param {Array} next - Series to add
+ * @returns {Array} Combined series sorted by time
+ */
+export const mergeProbeSeries = (previous, next) => {
+  const byTime = {};
+  previous.forEach(entry => { byTime[entry.time] = entry; });
+  next.forEach(entry => { byTime[entry.time] = entry; });
+  return Object.values(byTime).sort((a, b) => a.time.localeCompare(b.time));
+};
+
+/**
+ * Value of a probe series at one hour
+ * @param {Array} series - Probe series
+ * @param {Object} dateTime - { date, hour } as returned by getCurrentDateTime
+ * @returns {Object|null} Series entry for that hour
+ */
+export const getProbeValueAt = (series, { date, hour }) => {
+  const time = `${date}T${String(hour).padStart(2, '0')}:00:00`;
+  return series.find(entry => entry.time === time) || null;
+};
+
+/**
+ * Averaged index reading of a probe series at one hour
+ * @param {Array} series - Probe series
+ * @param {Object} dateTime - { date, hour } as returned by getCurrentDateTime
+ * @param {Object} standard - Entry of AQI_STANDARDS
+ * @param {string} averaging - Key in AQI_AVERAGING
+ * @returns {Object|null} Result of getAqiReading
+ */
+export const getProbeAqiReading = (series, { date, hour }, standard, averaging) => getAqiReading(
+  series.map(entry => ({ timestamp: new Date(`${entry.time}Z`).getTime(), pm25: entry.pm25 })),
+  new Date(`${date}T${String(hour).padStart(2, '0')}:00:00Z`).getTime(),
+  standard,
+  averaging
+);
@@ -0,0 +1,47 @@
+import { getDistanceKm, findNearestByTime, mergeProbeSeries, getProbeValueAt } from './probeSeries';
+
+describe('getDistanceKm', () => {
+  test('measures one degree of latitude', () => {
+    expect(getDistanceKm([-120, 35], [-120, 36])).toBeCloseTo(111.19, 1);
+  });
+});
+
+describe('findNearestByTime', () => {
+  const probe = [-120, 35];
+
+  test('keeps the nearest point of each hour', () => {
+    const series = findNearestByTime([
+      { time: '2024-01-01T01:00:00', pm25: 20, coordinates: [-120.1, 35] },
+      { time: '2024-01-01T00:00:00', pm25: 12, coordinates: [-120.05, 35] },
+      { time: '2024-01-01T00:00:00', pm25: 30, coordinates: [-120.01, 35] }
+    ], probe);
+
+    expect(series.map(({ time, pm25 }) => [time, pm25])).toEqual([
+      ['2024-01-01T00:00:00', 30],
+      ['2024-01-01T01:00:00', 20]
+    ]);
+    expect(series[0].distanceKm).toBeCloseTo(0.91, 1);
+  });
+
+  test('leaves out points beyond the distance limit', () => {
+    expect(findNearestByTime([{ time: '2024-01-01T00:00:00', pm25: 12, coordinates: [-121, 35] }], probe)).toEqual([]);
+  });
+});
+
+describe('mergeProbeSeries', () => {
+  test('sorts by time and lets the later series win', () => {
+    const merged = mergeProbeSeries(
+      [{ time: '2024-01-01T02:00:00', pm25: 5 }, { time: '2024-01-01T00:00:00', pm25: 1 }],
+      [{ time: '2024-01-01T00:00:00', pm25: 9 }]
+    );
+    expect(merged).toEqual([{ time: '2024-01-01T00:00:00', pm25: 9 }, { time: '2024-01-01T02:00:00', pm25: 5 }]);
+  });
+});
+
+describe('getProbeValueAt', () => {
+  test('finds the entry for a date and hour', () => {
+    const series = [{ time: '2024-01-01T07:00:00', pm25: 4 }];
+    expect(getProbeValueAt(series, { date: '2024-01-01', hour: 7 })).toBe(series[0]);
+    expect(getProbeValueAt(series, { date: '2024-01-01', hour: 8 })).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+import { TILESET_INFO, MAPBOX_TOKEN } from './constants';
+import { toAreaGeometry, getGeometryBoundingBox } from './geometryUtils';
+import { runAnalysis } from './analysisClient';
+import { getAnalysisZoom, getTilesInBounds, fillTileUrl } from './vectorTiles';
+
+// Hours kept across areas; the oldest are dropped first
+const MAX_CACHED_HOURS = 1000;
+// Tile requests in flight at once per read; Mapbox rate-limits larger bursts
+export const MAX_CONCURRENT_TILES = 6;
+
+// Stats per area and hour, null where the tiles held no points for that hour
+const hourCache = new Map();
+
+const getAreaKey = (areaGeometry) => JSON.stringify(areaGeometry.coordinates, (key, value) =>
+  typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value
+);
+
+const getHourKey = (areaKey, tileset, hour) => `${areaKey}|${tileset.id}|${hour}`;
+
+const cacheHour = (key, hourData) => {
+  hourCache.delete(key);
+  hourCache.set(key, hourData);
+  if (hourCache.size > MAX_CACHED_HOURS) {
+    hourCache.delete(hourCache.keys().next().value);
+  }
+};
+
+const getTilesetHours = (tileset) => {
+  const hours = [];
+  for (let hour = tileset.startHour; hour <= tileset.endHour; hour++) hours.push(hour);
+  return hours;
+};
+
+/**
+ * z/x/y url template for a tileset
+ * @param {Object} tileset - Entry of TILESET_INFO
+ * @returns {string|null} Url template, or null for sources that are not tiled
+ */
+export const getTileUrlTemplate = ({ source }) => {
+  if (source.type !== 'vector') return null;
+  if (source.tiles?.length) return source.tiles[0];
+  if (source.url?.startsWith('mapbox://')) {
+    const tilesetId = source.url.replace('mapbox://', '');
+    return `https://api.mapbox.com/v4/${tilesetId}/{z}/{x}/{y}.vector.pbf?access_token=${MAPBOX_TOKEN}`;
+  }
+  return null;
+};
+
+/**
+ * Downloads one tile
+ * @param {string} template - Url template from getTileUrlTemplate
+ * @param {Object} tile - { z, x, y }
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object|null>} { z, x, y, buffer }, or null where the tileset has no tile
+ */
+export const fetchTile = async (template, tile, signal) => {
+  const response = await fetch(fillTileUrl(template, tile), { signal });
+  // Tiles without any points are often left out of a tileset
+  if (response.status === 404 || response.status === 204) return null;
+  if (!response.ok) throw new Error(`Tile ${tile.z}/${tile.x}/${tile.y} failed with ${response.status}`);
+  return { ...tile, buffer: await response.arrayBuffer() };
+};
+
+/**
+ * Runs an async task over a list with a limited number in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Tasks running at once
+ * @param {Function} task - Called with each item, returns a promise
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+export const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+/**
+ * Downloads tiles, MAX_CONCURRENT_TILES at a time
+ * @param {string} template - Url template from getTileUrlTemplate
+ * @param {Array} tiles - Tiles as { z, x, y }
+ * @param {AbortSignal} signal - Cancels the requests
+ * @returns {Promise<Array>} Tiles the tileset has, as { z, x, y, buffer }
+ */
+export const fetchTiles = async (template, tiles, signal) => {
+  const buffers = await mapWithConcurrency(tiles, MAX_CONCURRENT_TILES, tile => fetchTile(template, tile, signal));
+  return buffers.filter(Boolean);
+};
+
+const readTiledChunk = async (tileset, areaGeometry, signal) => {
+  const template = getTileUrlTemplate(tileset);
+  const bounds = getGeometryBoundingBox(areaGeometry);
+  const tiles = getTilesInBounds(bounds, getAnalysisZoom(tileset.source));
+
+  const buffers = await fetchTiles(template, tiles, signal);
+  if (buffers.length === 0) return [];
+
+  return runAnalysis('tileAreaStats', {
+    tiles: buffers,
+    layerName: tileset.layer,
+    tileset: { id: tileset.id, date: tileset.date, startHour: tileset.startHour, endHour: tileset.endHour },
+    areaGeometry
+  }, { signal });
+};
+
+/**
+ * Points of a GeoJSON chunk grouped by time; these chunks are read whole, which needs no tiles
+ * @param {Object} tileset - Entry of TILESET_INFO with a geojson source
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Map>} 'YYYY-MM-DDTHH:00:00' to points as { pm25, coordinates }
+ */
+export const fetchGeoJSONPoints = async (tileset, signal) => {
+  const response = await fetch(tileset.source.data, { signal });
+  if (!response.ok) throw new Error(`${tileset.source.data} failed with ${response.status}`);
+  const { features = [] } = await response.json();
+
+  const pointsByTime = new Map();
+  features.forEach(feature => {
+    const time = feature.properties?.time;
+    const pm25 = parseFloat(feature.properties?.PM25);
+    if (!time || isNaN(pm25) || feature.geometry?.type !== 'Point') return;
+    if (!pointsByTime.has(time)) pointsByTime.set(time, []);
+    pointsByTime.get(time).push({ pm25, coordinates: feature.geometry.coordinates });
+  });
+  return pointsByTime;
+};
+
+const readGeoJSONChunk = async (tileset, areaGeometry, signal) => {
+  const pointsByTime = await fetchGeoJSONPoints(tileset, signal);
+  const batches = getTilesetHours(tileset).flatMap(hour => {
+    const points = pointsByTime.get(`${tileset.date}T${String(hour).padStart(2, '0')}:00:00`);
+    return points ? [{ tilesetId: tileset.id, date: tileset.date, startHour: tileset.startHour, hour, points }] : [];
+  });
+
+  return batches.length > 0 ? runAnalysis('areaStats', { batches, areaGeometry }, { signal }) : [];
+};
+
+const readChunk = (tileset, areaGeometry, signal) => {
+  if (tileset.source.type === 'geojson') {
+    return readGeoJSONChunk(tileset, areaGeometry, signal);
+  }
+  if (!getTileUrlTemplate(tileset)) {
+    throw new Error(`Tileset ${tileset.id} cannot be read outside the map`);
+  }
+  return readTiledChunk(tileset, areaGeometry, signal);
+};
+
+/**
+ * Hourly PM2.5 statistics for an area read from the data tiles rather than the rendered map
+ * Tiles are read at the same full-detail zoom for any area, so every point in it counts whatever
+ * the map zoom, view or loaded chunks, and results are cached per area and hour
+ * @param {Array|Object} polygon - Selected area
+ * @param {Array} tilesets - Tilesets to read, normally the whole time window
+ * @param {Object} options - { signal } to cancel, { onProgress } called with { completed, total } chunks
+ * @returns {Promise<Array>} Per-tileset stats in the shape returned by calculateAreaStats
+ */
+export const calculateTileAreaStats = async (polygon, tilesets = TILESET_INFO, { signal, onProgress } = {}) => {
+  if (!polygon) return [];
+
+  const areaGeometry = toAreaGeometry(polygon);
+  const areaKey = getAreaKey(areaGeometry);
+  const results = [];
+  let completed = 0;
+
+  onProgress?.({ completed, total: tilesets.length });
+
+  for (const tileset of tilesets) {
+    const hours = getTilesetHours(tileset);
+    const isCached = hours.every(hour => hourCache.has(getHourKey(areaKey, tileset, hour)));
+
+    if (!isCached) {
+      const [chunkStats] = await readChunk(tileset, areaGeometry, signal);
+      const hourlyData = chunkStats?.hourlyData || [];
+      hours.forEach(hour => {
+        cacheHour(getHourKey(areaKey, tileset, hour), hourlyData.find(hourData => hourData.hour === hour) || null);
+      });
+    }
+
+    const hourlyData = hours
+      .map(hour => hourCache.get(getHourKey(areaKey, tileset, hour)))
+      .filter(Boolean);
+    if (hourlyData.length > 0) {
+      results.push({ tilesetId: tileset.id, date: tileset.date, startHour: tileset.startHour, hourlyData });
+    }
+
+    completed++;
+    onProgress?.({ completed, total: tilesets.length });
+  }
+
+  return results;
+};
+
+export default calculateTileAreaStats;
@@ -0,0 +1,117 @@
+import calculateTileAreaStats, { mapWithConcurrency, MAX_CONCURRENT_TILES } from './tileAreaStats';
+
+const box = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+];
+
+const vectorTileset = (id, maxzoom) => ({
+  id,
+  date: '2024-01-01',
+  startHour: 0,
+  endHour: 1,
+  layer: 'pm25',
+  source: { type: 'vector', tiles: [`https://tiles.example.com/${id}/{z}/{x}/{y}.pbf`], maxzoom }
+});
+
+const geojsonTileset = (id, startHour, endHour, features) => ({
+  id,
+  date: '2024-01-01',
+  startHour,
+  endHour,
+  layer: null,
+  source: { type: 'geojson', data: `https://example.com/${id}.geojson` },
+  features
+});
+
+const point = (hour, pm25, coordinates) => ({
+  type: 'Feature',
+  properties: { time: `2024-01-01T${String(hour).padStart(2, '0')}:00:00`, PM25: pm25 },
+  geometry: { type: 'Point', coordinates }
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps the order of the items with tasks finishing out of order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return delay * 2;
+    });
+    expect(results).toEqual([60, 20, 40, 0]);
+  });
+});
+
+describe('calculateTileAreaStats', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('reads a state-sized area at full detail, a few tiles at a time', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    global.fetch = jest.fn(async (url) => {
+      requests.push(url);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      inFlight--;
+      return { ok: false, status: 404 };
+    });
+
+    const stats = await calculateTileAreaStats(box(-124, 32, -114, 42), [vectorTileset('state', 9)]);
+
+    expect(stats).toEqual([]);
+    expect(requests.length).toBeGreaterThan(64);
+    expect(requests.every(url => url.includes('/state/8/'))).toBe(true);
+    expect(maxInFlight).toBeLessThanOrEqual(MAX_CONCURRENT_TILES);
+  });
+
+  test('does not read past the source maxzoom', async () => {
+    global.fetch = jest.fn(async (url) => {
+      requests.push(url);
+      return { ok: false, status: 404 };
+    });
+
+    await calculateTileAreaStats(box(-122.5, 37.75, -122.4, 37.85), [vectorTileset('shallow', 6)]);
+    expect(requests).toEqual(['https://tiles.example.com/shallow/6/10/24.pbf']);
+  });
+
+  test('caches each hour so an area is read once', async () => {
+    const tilesets = [
+      geojsonTileset('morning', 0, 2, [
+        point(0, '10', [0.5, 0.5]),
+        point(0, '20', [0.6, 0.5]),
+        point(0, '90', [5, 5]),
+        point(1, '40', [0.5, 0.5])
+      ])
+    ];
+    global.fetch = jest.fn(async (url) => {
+      requests.push(url);
+      const tileset = tilesets.find(({ source }) => source.data === url);
+      return { ok: true, json: async () => ({ features: tileset.features }) };
+    });
+    const area = box(0, 0, 1, 1);
+    const progress = [];
+
+    const first = await calculateTileAreaStats(area, tilesets, { onProgress: update => progress.push(update) });
+    const second = await calculateTileAreaStats(area, tilesets);
+
+    expect(requests).toHaveLength(1);
+    expect(second).toEqual(first);
+    expect(progress).toEqual([{ completed: 0, total: 1 }, { completed: 1, total: 1 }]);
+    expect(first).toHaveLength(1);
+    expect(first[0].hourlyData.map(({ hour, averagePM25, numPoints }) => [hour, averagePM25, numPoints]))
+      .toEqual([[0, 15, 2], [1, 40, 1]]);
+  });
+
+  test('rejects sources it cannot read outside the map', async () => {
+    await expect(calculateTileAreaStats(box(0, 0, 1, 1), [{ id: 'raster', startHour: 0, endHour: 0, source: { type: 'raster' } }]))
+      .rejects.toThrow('cannot be read outside the map');
+  });
+});
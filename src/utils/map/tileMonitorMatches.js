@@ -0,0 +1,100 @@
+import { runAnalysis } from './analysisClient';
+import { getAnalysisZoom, getTilesInBounds } from './vectorTiles';
+import { getTileUrlTemplate, fetchTiles, fetchGeoJSONPoints } from './tileAreaStats';
+import { getProbeBounds } from './tileProbeSeries';
+
+const getTilesetTimes = (tileset) => {
+  const times = new Set();
+  for (let hour = tileset.startHour; hour <= tileset.endHour; hour++) {
+    times.add(`${tileset.date}T${String(hour).padStart(2, '0')}:00:00`);
+  }
+  return times;
+};
+
+// Observations falling in a chunk's hours, leaving out stations without any
+const getChunkObservations = (observations, times) => {
+  const chunkObservations = {};
+  Object.entries(observations).forEach(([stationId, series]) => {
+    const inChunk = Object.entries(series).filter(([time]) => times.has(time));
+    if (inChunk.length > 0) chunkObservations[stationId] = Object.fromEntries(inChunk);
+  });
+  return chunkObservations;
+};
+
+// Tiles within pairing distance of any station, once each
+const getStationTiles = (stations, zoom) => {
+  const tiles = new Map();
+  stations.forEach(({ coordinates }) => {
+    getTilesInBounds(getProbeBounds(coordinates), zoom).forEach(tile => {
+      tiles.set(`${tile.x}/${tile.y}`, tile);
+    });
+  });
+  return Array.from(tiles.values());
+};
+
+const readTiledChunk = async (tileset, stations, observations, signal) => {
+  const tiles = getStationTiles(stations, getAnalysisZoom(tileset.source));
+  const buffers = await fetchTiles(getTileUrlTemplate(tileset), tiles, signal);
+  if (buffers.length === 0) return [];
+
+  return runAnalysis('tileMonitorMatches', {
+    tiles: buffers,
+    layerName: tileset.layer,
+    stations,
+    observations
+  }, { signal });
+};
+
+const readGeoJSONChunk = async (tileset, stations, observations, times, signal) => {
+  const pointsByTime = await fetchGeoJSONPoints(tileset, signal);
+  const points = Array.from(pointsByTime)
+    .filter(([time]) => times.has(time))
+    .flatMap(([time, timePoints]) => timePoints.map(({ pm25, coordinates }) => ({ time, pm25, coordinates })));
+
+  return points.length > 0 ? runAnalysis('monitorMatches', { stations, observations, points }, { signal }) : [];
+};
+
+/**
+ * Pairs ground monitor observations with the modelled grid read from the data tiles
+ * Only the tiles around the stations are read, at full detail and one chunk at a time, so the
+ * pairs for a file and time window are the same whatever the map has loaded
+ * @param {Array} stations - Stations as returned by parseMonitorFile
+ * @param {Object} observations - Hourly observations by station
+ * @param {Array} tilesets - Tilesets of the time window
+ * @param {Object} options - { signal } to cancel, { onProgress } called with { completed, total } chunks
+ * @returns {Promise<Array>} Pairs as returned by matchMonitorsToGrid
+ */
+export const calculateTileMonitorMatches = async (stations, observations, tilesets, { signal, onProgress } = {}) => {
+  const chunks = tilesets
+    .map(tileset => {
+      const times = getTilesetTimes(tileset);
+      const chunkObservations = getChunkObservations(observations, times);
+      const chunkStations = stations.filter(station => chunkObservations[station.id]);
+      return { tileset, times, stations: chunkStations, observations: chunkObservations };
+    })
+    .filter(chunk => chunk.stations.length > 0);
+
+  const pairs = [];
+  let completed = 0;
+  onProgress?.({ completed, total: chunks.length });
+
+  for (const chunk of chunks) {
+    const { tileset } = chunk;
+    let matches;
+    if (tileset.source.type === 'geojson') {
+      matches = await readGeoJSONChunk(tileset, chunk.stations, chunk.observations, chunk.times, signal);
+    } else if (getTileUrlTemplate(tileset)) {
+      matches = await readTiledChunk(tileset, chunk.stations, chunk.observations, signal);
+    } else {
+      throw new Error(`Tileset ${tileset.id} cannot be read outside the map`);
+    }
+    pairs.push(...matches);
+
+    completed++;
+    onProgress?.({ completed, total: chunks.length });
+  }
+
+  return pairs;
+};
+
+export default calculateTileMonitorMatches;
@@ -0,0 +1,102 @@
+import calculateTileMonitorMatches from './tileMonitorMatches';
+
+const geojsonTileset = (id, startHour, endHour, features) => ({
+  id,
+  date: '2024-01-01',
+  startHour,
+  endHour,
+  layer: null,
+  source: { type: 'geojson', data: `https://example.com/${id}.geojson` },
+  features
+});
+
+const time = (hour) => `2024-01-01T${String(hour).padStart(2, '0')}:00:00`;
+
+const point = (hour, pm25, coordinates) => ({
+  type: 'Feature',
+  properties: { time: time(hour), PM25: String(pm25) },
+  geometry: { type: 'Point', coordinates }
+});
+
+const stations = [
+  { id: 'oak', coordinates: [-122.27, 37.8] },
+  { id: 'sac', coordinates: [-121.49, 38.58] }
+];
+
+describe('calculateTileMonitorMatches', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('pairs observations with every chunk holding their hours, and only those', async () => {
+    const tilesets = [
+      geojsonTileset('early', 0, 5, [point(1, 12, [-122.28, 37.8]), point(1, 40, [-121.5, 38.58])]),
+      geojsonTileset('late', 6, 11, [point(7, 30, [-122.26, 37.81])]),
+      geojsonTileset('unobserved', 12, 17, [point(12, 99, [-122.27, 37.8])])
+    ];
+    global.fetch = jest.fn(async (url) => {
+      requests.push(url);
+      const tileset = tilesets.find(({ source }) => source.data === url);
+      return { ok: true, json: async () => ({ features: tileset.features }) };
+    });
+    const progress = [];
+
+    const pairs = await calculateTileMonitorMatches(stations, {
+      oak: { [time(1)]: 10, [time(7)]: 25 },
+      sac: { [time(1)]: 35 }
+    }, tilesets, { onProgress: update => progress.push(update) });
+
+    expect(requests).toEqual(['https://example.com/early.geojson', 'https://example.com/late.geojson']);
+    expect(pairs.map(({ stationId, time: pairTime, observed, modelled }) => [stationId, pairTime, observed, modelled])).toEqual([
+      ['oak', time(1), 10, 12],
+      ['sac', time(1), 35, 40],
+      ['oak', time(7), 25, 30]
+    ]);
+    expect(progress).toEqual([
+      { completed: 0, total: 2 },
+      { completed: 1, total: 2 },
+      { completed: 2, total: 2 }
+    ]);
+  });
+
+  test('reads only the tiles around the stations, at full detail', async () => {
+    global.fetch = jest.fn(async (url) => {
+      requests.push(url);
+      return { ok: false, status: 404 };
+    });
+    const tileset = {
+      id: 'vector',
+      date: '2024-01-01',
+      startHour: 0,
+      endHour: 5,
+      layer: 'pm25',
+      source: { type: 'vector', tiles: ['https://tiles.example.com/{z}/{x}/{y}.pbf'], maxzoom: 9 }
+    };
+
+    const pairs = await calculateTileMonitorMatches(
+      [...stations, { id: 'oak-2', coordinates: [-122.26, 37.81] }],
+      { oak: { [time(1)]: 10 }, sac: { [time(2)]: 35 }, 'oak-2': { [time(1)]: 11 } },
+      [tileset]
+    );
+
+    expect(pairs).toEqual([]);
+    expect(requests.every(url => url.startsWith('https://tiles.example.com/8/'))).toBe(true);
+    expect(new Set(requests).size).toBe(requests.length);
+    // Oakland and Sacramento each need the tiles within 25 km of them, about 2 × 2 at most
+    expect(requests.length).toBeLessThanOrEqual(8);
+  });
+
+  test('rejects sources it cannot read outside the map', async () => {
+    await expect(calculateTileMonitorMatches(stations, { oak: { [time(0)]: 5 } }, [
+      { id: 'raster', date: '2024-01-01', startHour: 0, endHour: 5, source: { type: 'raster' } }
+    ])).rejects.toThrow('cannot be read outside the map');
+  });
+});
@@ -0,0 +1,91 @@
+import { TILESET_INFO } from './constants';
+import { runAnalysis } from './analysisClient';
+import { getAnalysisZoom, getTilesInBounds } from './vectorTiles';
+import { getTileUrlTemplate, fetchTiles, fetchGeoJSONPoints, mapWithConcurrency } from './tileAreaStats';
+import { MAX_PROBE_DISTANCE_KM, mergeProbeSeries } from './probeSeries';
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Chunk series kept across probes; the oldest are dropped first
+const MAX_CACHED_CHUNKS = 200;
+// Chunks read at once; each holds only the few tiles around the probe
+const MAX_CONCURRENT_CHUNKS = 2;
+
+// Series per probe location and chunk
+const chunkCache = new Map();
+
+const getChunkKey = ([lng, lat], tileset) => `${lng.toFixed(5)},${lat.toFixed(5)}|${tileset.id}`;
+
+const cacheChunk = (key, series) => {
+  chunkCache.delete(key);
+  chunkCache.set(key, series);
+  if (chunkCache.size > MAX_CACHED_CHUNKS) {
+    chunkCache.delete(chunkCache.keys().next().value);
+  }
+};
+
+/**
+ * Box holding every point within MAX_PROBE_DISTANCE_KM of a location
+ * @param {Array} lngLat - [lng, lat]
+ * @returns {Object} { minLng, maxLng, minLat, maxLat }
+ */
+export const getProbeBounds = ([lng, lat]) => {
+  const latDelta = MAX_PROBE_DISTANCE_KM / KM_PER_DEGREE_LAT;
+  const lngDelta = latDelta / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+  return {
+    minLng: lng - lngDelta,
+    maxLng: lng + lngDelta,
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta
+  };
+};
+
+const readTiledChunk = async (tileset, lngLat, signal) => {
+  const template = getTileUrlTemplate(tileset);
+  const tiles = getTilesInBounds(getProbeBounds(lngLat), getAnalysisZoom(tileset.source));
+
+  const buffers = await fetchTiles(template, tiles, signal);
+  if (buffers.length === 0) return [];
+
+  return runAnalysis('tileProbeSeries', { tiles: buffers, layerName: tileset.layer, lngLat }, { signal });
+};
+
+const readGeoJSONChunk = async (tileset, lngLat, signal) => {
+  const pointsByTime = await fetchGeoJSONPoints(tileset, signal);
+  const points = Array.from(pointsByTime, ([time, timePoints]) =>
+    timePoints.map(({ pm25, coordinates }) => ({ time, pm25, coordinates }))
+  ).flat();
+
+  return points.length > 0 ? runAnalysis('probeSeries', { points, lngLat }, { signal }) : [];
+};
+
+const readChunk = (tileset, lngLat, signal) => {
+  if (tileset.source.type === 'geojson') {
+    return readGeoJSONChunk(tileset, lngLat, signal);
+  }
+  if (!getTileUrlTemplate(tileset)) {
+    throw new Error(`Tileset ${tileset.id} cannot be read outside the map`);
+  }
+  return readTiledChunk(tileset, lngLat, signal);
+};
+
+/**
+ * Nearest PM2.5 grid value to a location for every hour, read from the data tiles
+ * Every hour of the given tilesets is included whether or not the map has loaded it
+ * @param {Array} lngLat - Probe location as [lng, lat]
+ * @param {Array} tilesets - Tilesets to read, normally the whole time window
+ * @param {Object} options - { signal } to cancel
+ * @returns {Promise<Array>} { time: 'YYYY-MM-DDTHH:00:00', pm25, distanceKm } sorted by time
+ */
+export const calculateTileProbeSeries = async (lngLat, tilesets = TILESET_INFO, { signal } = {}) => {
+  const chunks = await mapWithConcurrency(tilesets, MAX_CONCURRENT_CHUNKS, async (tileset) => {
+    const key = getChunkKey(lngLat, tileset);
+    const series = chunkCache.get(key) || await readChunk(tileset, lngLat, signal);
+    cacheChunk(key, series);
+    return series;
+  });
+
+  return chunks.reduce(mergeProbeSeries, []);
+};
+
+export default calculateTileProbeSeries;
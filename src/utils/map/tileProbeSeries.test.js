@@ -0,0 +1,77 @@
+import calculateTileProbeSeries from './tileProbeSeries';
+
+const geojsonTileset = (id, features) => ({
+  id,
+  source: { type: 'geojson', data: `https://example.com/${id}.geojson` },
+  features
+});
+
+const point = (time, pm25, coordinates) => ({
+  type: 'Feature',
+  properties: { time, PM25: String(pm25) },
+  geometry: { type: 'Point', coordinates }
+});
+
+describe('calculateTileProbeSeries', () => {
+  const tilesets = [
+    geojsonTileset('chunk-1', [
+      point('2024-01-01T00:00:00', 10, [-120, 35.01]),
+      point('2024-01-01T00:00:00', 50, [-120, 35.2]),
+      point('2024-01-01T01:00:00', 11, [-120, 35.01])
+    ]),
+    geojsonTileset('chunk-2', [point('2024-01-01T06:00:00', 16, [-120.02, 35])])
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn(async (url) => {
+      const tileset = tilesets.find(({ source }) => source.data === url);
+      return { ok: true, json: async () => ({ features: tileset.features }) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('reads every chunk of the window whether or not the map shows it', async () => {
+    const series = await calculateTileProbeSeries([-120, 35], tilesets);
+    expect(series.map(({ time, pm25 }) => [time, pm25])).toEqual([
+      ['2024-01-01T00:00:00', 10],
+      ['2024-01-01T01:00:00', 11],
+      ['2024-01-01T06:00:00', 16]
+    ]);
+  });
+
+  test('reads a chunk once per location', async () => {
+    await calculateTileProbeSeries([-119, 36], tilesets);
+    await calculateTileProbeSeries([-119, 36], tilesets);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('reads only a few chunks at a time', async () => {
+    const window = Array.from({ length: 12 }, (_, index) =>
+      geojsonTileset(`window-${index}`, [point('2024-01-02T00:00:00', index, [-118, 34])])
+    );
+    let inFlight = 0;
+    let maxInFlight = 0;
+    global.fetch = jest.fn(async (url) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      const tileset = window.find(({ source }) => source.data === url);
+      return { ok: true, json: async () => ({ features: tileset.features }) };
+    });
+
+    await calculateTileProbeSeries([-118, 34], window);
+    expect(global.fetch).toHaveBeenCalledTimes(12);
+    expect(maxInFlight).toBeLessThanOrEqual(2);
+  });
+
+  test('rejects sources it cannot read outside the map', async () => {
+    const rasterTileset = { id: 'raster', source: { type: 'raster' } };
+    await expect(calculateTileProbeSeries([-120, 35], [rasterTileset])).rejects.toThrow('cannot be read outside the map');
+  });
+});
@@ -0,0 +1,186 @@
+import {
+  STATE_TIME_ZONES,
+  COUNTY_TIME_ZONES,
+  US_LONGITUDE_ZONES,
+  CONTIGUOUS_US_BOUNDS
+} from '../../constants/map/time';
+
+/**
+ * Time-zone conversion for labels; data, keys and URLs stay in UTC throughout
+ */
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone, options) => {
+  const key = `${timeZone}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Intl.DateTimeFormat('en-US', { timeZone, ...options }));
+  }
+  return formatterCache.get(key);
+};
+
+/**
+ * The browser's IANA time zone
+ * @returns {string} Time zone, UTC when the browser does not report one
+ */
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Best guess at the time zone of a place
+ * Census tracts give the county, which settles states split between zones; otherwise US
+ * longitude bands, and elsewhere the nearest whole-hour offset
+ * @param {Array} lngLat - Location as [lng, lat]
+ * @param {string} countyFips - Five-digit state and county FIPS code, the start of a tract GEOID, if known
+ * @returns {string} IANA time zone
+ */
+export const detectTimeZone = (lngLat, countyFips) => {
+  if (countyFips) {
+    const timeZone = COUNTY_TIME_ZONES[countyFips] || STATE_TIME_ZONES[countyFips.slice(0, 2)];
+    if (timeZone) return timeZone;
+  }
+  if (!lngLat) return 'UTC';
+
+  const [lng, lat] = lngLat;
+  const { minLng, maxLng, minLat, maxLat } = CONTIGUOUS_US_BOUNDS;
+  if (lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat) {
+    return US_LONGITUDE_ZONES.find(zone => lng <= zone.maxLng)?.timeZone || 'America/New_York';
+  }
+
+  // Etc zones count the other way round: Etc/GMT+8 is eight hours behind UTC
+  const offset = Math.round(lng / 15);
+  if (offset === 0) return 'UTC';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+};
+
+/**
+ * Time zone for a display mode
+ * @param {string} mode - Key in TIME_ZONE_MODES
+ * @param {string} areaTimeZone - Zone detected for the selected area, if any
+ * @returns {string} IANA time zone
+ */
+export const resolveTimeZone = (mode, areaTimeZone) => {
+  if (mode === 'local') return getBrowserTimeZone();
+  if (mode === 'area' && areaTimeZone) return areaTimeZone;
+  return 'UTC';
+};
+
+/**
+ * A data hour as an instant
+ * @param {string} value - 'YYYY-MM-DD HH:00' as used by chart rows, or a date with hour
+ * @param {number} hour - UTC hour when value is only a date
+ * @returns {Date} The UTC instant
+ */
+export const toUtcDate = (value, hour) => {
+  if (hour !== undefined) {
+    return new Date(`${value}T${String(hour).padStart(2, '0')}:00:00Z`);
+  }
+  return new Date(`${value.replace(' ', 'T')}:00Z`);
+};
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', hour, minute }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Short name of a zone at an instant, which follows daylight saving, e.g. PDT or GMT+5:30
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Abbreviation
+ */
+export const getTimeZoneLabel = (date, timeZone) => {
+  if (timeZone === 'UTC') return 'UTC';
+  const part = getFormatter(timeZone, { timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part?.value || timeZone;
+};
+
+/**
+ * Wall-clock time of an instant, e.g. '14:00' or '19:30'
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} HH:MM
+ */
+export const formatZonedClock = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Date and time of an instant with the zone, e.g. '2024-09-01 07:00 PDT'
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Label
+ */
+export const formatZonedDateTime = (date, timeZone) => {
+  const { date: day } = getZonedParts(date, timeZone);
+  return `${day} ${formatZonedClock(date, timeZone)} ${getTimeZoneLabel(date, timeZone)}`;
+};
+
+/**
+ * Short day of an instant in a time zone, e.g. 'Sep 1'
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Label
+ */
+export const formatZonedDay = (date, timeZone) => getFormatter(timeZone, {
+  month: 'short',
+  day: 'numeric'
+}).format(date);
+
+/**
+ * ISO 8601 time with the zone's offset, e.g. '2024-09-01T07:00:00-07:00'
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Timestamp
+ */
+export const toZonedIsoString = (date, timeZone) => {
+  if (timeZone === 'UTC') return date.toISOString().replace('.000Z', 'Z');
+
+  const { date: day, hour, minute } = getZonedParts(date, timeZone);
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, dayOfMonth, hour, minute);
+  const offsetMinutes = Math.round((wallClock - date.getTime()) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const offset = `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+
+  return `${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00${offset}`;
+};
+
+/**
+ * Compact date and time of an instant with the zone, e.g. 'Sep 1 07:00 PDT'
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Label
+ */
+export const formatZonedHour = (date, timeZone) =>
+  `${formatZonedDay(date, timeZone)} ${formatZonedClock(date, timeZone)} ${getTimeZoneLabel(date, timeZone)}`;
@@ -0,0 +1,40 @@
+import { detectTimeZone, toZonedIsoString } from './timeZones';
+
+describe('detectTimeZone', () => {
+  test('uses the county zone in states split between zones', () => {
+    expect(detectTimeZone([-83.92, 35.96], '47093')).toBe('America/New_York'); // Knoxville, TN
+    expect(detectTimeZone([-86.78, 36.16], '47037')).toBe('America/Chicago'); // Nashville, TN
+    expect(detectTimeZone([-106.44, 31.76], '48141')).toBe('America/Denver'); // El Paso, TX
+    expect(detectTimeZone([-87.22, 30.42], '12033')).toBe('America/Chicago'); // Pensacola, FL
+    expect(detectTimeZone([-85.66, 30.16], '12005')).toBe('America/Chicago'); // Panama City, FL
+    expect(detectTimeZone([-84.28, 30.44], '12073')).toBe('America/New_York'); // Tallahassee, FL
+    expect(detectTimeZone([-116.78, 47.68], '16055')).toBe('America/Los_Angeles'); // Coeur d'Alene, ID
+    expect(detectTimeZone([-87.56, 37.97], '18163')).toBe('America/Chicago'); // Evansville, IN
+  });
+
+  test('falls back to the state zone for other counties', () => {
+    expect(detectTimeZone([-122.42, 37.77], '06075')).toBe('America/Los_Angeles');
+    expect(detectTimeZone([-86.16, 39.77], '18097')).toBe('America/Indiana/Indianapolis');
+  });
+
+  test('uses longitude bands without a county', () => {
+    expect(detectTimeZone([-83.92, 35.96])).toBe('America/New_York');
+    expect(detectTimeZone([-104.99, 39.74])).toBe('America/Denver');
+    expect(detectTimeZone([-122.42, 37.77])).toBe('America/Los_Angeles');
+  });
+
+  test('uses whole-hour offsets outside the US', () => {
+    expect(detectTimeZone([2.35, 48.86])).toBe('UTC');
+    expect(detectTimeZone([139.69, 35.69])).toBe('Etc/GMT-9');
+    expect(detectTimeZone(null)).toBe('UTC');
+  });
+});
+
+describe('toZonedIsoString', () => {
+  test('writes the zone offset at the instant', () => {
+    const date = new Date('2024-09-01T14:00:00Z');
+    expect(toZonedIsoString(date, 'UTC')).toBe('2024-09-01T14:00:00Z');
+    expect(toZonedIsoString(date, 'America/Los_Angeles')).toBe('2024-09-01T07:00:00-07:00');
+    expect(toZonedIsoString(new Date('2024-01-15T14:00:00Z'), 'America/Chicago')).toBe('2024-01-15T08:00:00-06:00');
+  });
+});
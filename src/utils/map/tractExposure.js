@@ -0,0 +1,100 @@
+import { PM25_LEVELS, getPM25Level } from '../../constants/pm25Levels';
+import { isPointInGeometry, getGeometryBoundingBox } from './geometryUtils';
+
+/**
+ * Finds the PM2.5 value for a census tract
+ * Uses the mean of the grid points that fall inside the tract; tracts smaller than
+ * the grid spacing contain no point, so they take the point nearest their centre
+ * @param {Object} geometry - Tract Polygon or MultiPolygon
+ * @param {Array} points - PM2.5 points as { pm25, coordinates: [lng, lat] }
+ * @returns {Object|null} { pm25, pointCount } or null when there are no points
+ */
+export const getTractPM25 = (geometry, points) => {
+  if (!geometry || points.length === 0) return null;
+
+  const bounds = getGeometryBoundingBox(geometry);
+  const inside = points.filter(({ coordinates: [lng, lat] }) =>
+    lng >= bounds.minLng && lng <= bounds.maxLng &&
+    lat >= bounds.minLat && lat <= bounds.maxLat &&
+    isPointInGeometry([lng, lat], geometry)
+  );
+
+  if (inside.length > 0) {
+    return {
+      pm25: inside.reduce((sum, point) => sum + point.pm25, 0) / inside.length,
+      pointCount: inside.length
+    };
+  }
+
+  const centerLng = (bounds.minLng + bounds.maxLng) / 2;
+  const centerLat = (bounds.minLat + bounds.maxLat) / 2;
+  // Scale longitude so distances are roughly isotropic at this latitude
+  const lngScale = Math.cos(centerLat * Math.PI / 180);
+
+  const nearest = points.reduce((best, point) => {
+    const dx = (point.coordinates[0] - centerLng) * lngScale;
+    const dy = point.coordinates[1] - centerLat;
+    const distance = dx * dx + dy * dy;
+    return !best || distance < best.distance ? { point, distance } : best;
+  }, null);
+
+  return { pm25: nearest.point.pm25, pointCount: 0 };
+};
+
+/**
+ * Population-weighted PM2.5 exposure from census tracts
+ * Each tract is assigned the PM2.5 overlapping its geometry and its population in the
+ * selected area, the share apportioned by intersectTracts, is counted in that value's category
+ * @param {Object} tracts - Selected tracts keyed by GEOID, with apportioned population and geometry
+ * @param {Array} points - PM2.5 points as { pm25, coordinates: [lng, lat] }
+ * @param {Array} levels - Categories to count in, PM25_LEVELS by default
+ * @returns {Object} {
+ *   populationByLevel: population per level label,
+ *   distribution: percentage of population per label,
+ *   populationWeightedPM25,
+ *   totalPopulation,
+ *   tractValues: PM2.5 per GEOID
+ * }
+ */
+export const calculateTractExposure = (tracts, points, levels = PM25_LEVELS) => {
+  const populationByLevel = {};
+  const distribution = {};
+  levels.forEach(level => {
+    populationByLevel[level.label] = 0;
+    distribution[level.label] = 0;
+  });
+
+  const tractValues = {};
+  let totalPopulation = 0;
+  let weightedSum = 0;
+
+  Object.entries(tracts || {}).forEach(([geoid, tract]) => {
+    const value = getTractPM25(tract.geometry, points);
+    if (!value) return;
+
+    tractValues[geoid] = value.pm25;
+
+    const level = getPM25Level(value.pm25, levels);
+    if (!level || !tract.population) return;
+
+    populationByLevel[level.label] += tract.population;
+    totalPopulation += tract.population;
+    weightedSum += value.pm25 * tract.population;
+  });
+
+  if (totalPopulation > 0) {
+    levels.forEach(level => {
+      distribution[level.label] = parseFloat(
+        (populationByLevel[level.label] / totalPopulation * 100).toFixed(1)
+      );
+    });
+  }
+
+  return {
+    populationByLevel,
+    distribution,
+    populationWeightedPM25: totalPopulation > 0 ? weightedSum / totalPopulation : null,
+    totalPopulation,
+    tractValues
+  };
+};
@@ -0,0 +1,86 @@
+import { getTractPM25, calculateTractExposure } from './tractExposure';
+
+const box = (minLng, minLat, maxLng, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+});
+
+const point = (pm25, coordinates) => ({ pm25, coordinates });
+
+describe('getTractPM25', () => {
+  test('averages the points inside the tract', () => {
+    const value = getTractPM25(box(0, 0, 1, 1), [
+      point(10, [0.25, 0.5]),
+      point(20, [0.75, 0.5]),
+      point(500, [2, 2])
+    ]);
+    expect(value).toEqual({ pm25: 15, pointCount: 2 });
+  });
+
+  test('takes the point nearest the centre of a tract holding none', () => {
+    const value = getTractPM25(box(0, 0, 0.1, 0.1), [
+      point(40, [0.3, 0.05]),
+      point(8, [0.05, 0.2]),
+      point(90, [1, 1])
+    ]);
+    expect(value).toEqual({ pm25: 8, pointCount: 0 });
+  });
+
+  test('weighs longitude by latitude when finding the nearest point', () => {
+    // At 60° a degree of longitude is half a degree of latitude
+    const value = getTractPM25(box(0, 59.99, 0.02, 60.01), [
+      point(30, [0.21, 60]),
+      point(12, [0.01, 60.15])
+    ]);
+    expect(value.pm25).toBe(30);
+  });
+
+  test('returns null without points or geometry', () => {
+    expect(getTractPM25(box(0, 0, 1, 1), [])).toBeNull();
+    expect(getTractPM25(null, [point(5, [0, 0])])).toBeNull();
+  });
+});
+
+describe('calculateTractExposure', () => {
+  const tracts = {
+    a: { population: 1000, geometry: box(0, 0, 1, 1) },
+    b: { population: 250, geometry: box(1, 0, 2, 1) },
+    c: { population: 750, geometry: box(2, 0, 3, 1) },
+    d: { population: 0, geometry: box(3, 0, 4, 1) }
+  };
+  const points = [
+    point(8, [0.5, 0.5]),
+    point(20, [1.5, 0.5]),
+    point(60, [2.5, 0.5]),
+    point(200, [3.5, 0.5])
+  ];
+
+  test('sums each tract population into its level', () => {
+    const { populationByLevel, distribution, totalPopulation } = calculateTractExposure(tracts, points);
+
+    expect(totalPopulation).toBe(2000);
+    expect(populationByLevel.Good).toBe(1000);
+    expect(populationByLevel.Moderate).toBe(250);
+    expect(populationByLevel.Unhealthy).toBe(750);
+    expect(populationByLevel['Very Unhealthy']).toBe(0);
+    expect(distribution).toMatchObject({ Good: 50, Moderate: 12.5, Unhealthy: 37.5 });
+  });
+
+  test('weights the mean by population', () => {
+    const { populationWeightedPM25, tractValues } = calculateTractExposure(tracts, points);
+    expect(populationWeightedPM25).toBeCloseTo((8 * 1000 + 20 * 250 + 60 * 750) / 2000, 6);
+    expect(tractValues).toEqual({ a: 8, b: 20, c: 60, d: 200 });
+  });
+
+  test('counts apportioned shares as given', () => {
+    const { populationByLevel } = calculateTractExposure({ a: { population: 312.5, geometry: box(0, 0, 1, 1) } }, points);
+    expect(populationByLevel.Good).toBe(312.5);
+  });
+
+  test('leaves everything at zero without population', () => {
+    const result = calculateTractExposure({}, points);
+    expect(result.totalPopulation).toBe(0);
+    expect(result.populationWeightedPM25).toBeNull();
+    expect(result.distribution.Good).toBe(0);
+  });
+});
@@ -0,0 +1,113 @@
+import turf from 'turf';
+import { getPolygons } from './geometryUtils';
+
+const toFeature = (geometry) => ({ type: 'Feature', properties: {}, geometry });
+
+const isAreal = (geometry) => geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon');
+
+/**
+ * Merges the per-tile pieces returned by queryRenderedFeatures into one geometry per tract
+ * Pieces overlap by the tile buffer, so they are unioned rather than concatenated
+ * @param {Array} features - Census tract features from the map
+ * @returns {Array} Tracts as { geoid, properties, geometry }
+ */
+export const mergeTractFeatures = (features) => {
+  const byGeoid = new Map();
+
+  features.forEach(feature => {
+    const geoid = feature.properties?.GEOID;
+    if (!geoid || !isAreal(feature.geometry)) return;
+
+    const existing = byGeoid.get(geoid);
+    if (!existing) {
+      byGeoid.set(geoid, { geoid, properties: feature.properties, geometry: feature.geometry });
+      return;
+    }
+
+    try {
+      const merged = turf.union(toFeature(existing.geometry), toFeature(feature.geometry));
+      existing.geometry = merged.geometry;
+    } catch (error) {
+      console.warn(`Could not union pieces of tract ${geoid}, keeping them separate:`, error);
+      existing.geometry = {
+        type: 'MultiPolygon',
+        coordinates: [...getPolygons(existing.geometry), ...getPolygons(feature.geometry)]
+      };
+    }
+  });
+
+  return Array.from(byGeoid.values());
+};
+
+// Whole tract area in m² from its census attributes, which do not depend on what is rendered
+const getRecordedArea = (properties = {}) => {
+  const land = parseFloat(properties.ALAND);
+  if (!Number.isFinite(land)) return 0;
+  const water = parseFloat(properties.AWATER);
+  return land + (Number.isFinite(water) ? water : 0);
+};
+
+/**
+ * Intersects tracts with the selected area and works out the share of each tract inside it
+ * Rendered tracts are cut off at the edge of the view, so the share is taken of the tract's
+ * recorded ALAND + AWATER area, falling back to the merged geometry for tiles without them
+ * @param {Array} tracts - From mergeTractFeatures
+ * @param {Object} areaGeometry - Selected Polygon or MultiPolygon, holes allowed
+ * @returns {Array} Intersecting tracts with `intersection` geometry and `fraction` (0–1) of tract area inside
+ */
+export const intersectTracts = (tracts, areaGeometry) => {
+  const area = toFeature(areaGeometry);
+
+  return tracts.reduce((selected, tract) => {
+    try {
+      const intersection = turf.intersect(toFeature(tract.geometry), area);
+      // Tracts that only share a border come back as lines
+      if (!intersection || !isAreal(intersection.geometry)) return selected;
+
+      const tractArea = Math.max(turf.area(toFeature(tract.geometry)), getRecordedArea(tract.properties));
+      const insideArea = turf.area(intersection);
+      if (tractArea <= 0 || insideArea <= 0) return selected;
+
+      selected.push({
+        ...tract,
+        intersection: intersection.geometry,
+        fraction: Math.min(1, insideArea / tractArea)
+      });
+    } catch (error) {
+      console.warn(`Could not intersect tract ${tract.geoid}:`, error);
+    }
+    return selected;
+  }, []);
+};
+
+/**
+ * Dissolves tracts into a single outline, e.g. all tracts of a county
+ * Unions neighbours pairwise in rounds, which keeps each union small compared
+ * with adding tracts one at a time to a growing outline
+ * @param {Array} tracts - From mergeTractFeatures
+ * @returns {Object|null} Polygon or MultiPolygon geometry
+ */
+export const dissolveTracts = (tracts) => {
+  let geometries = tracts.map(tract => tract.geometry);
+  if (geometries.length === 0) return null;
+
+  while (geometries.length > 1) {
+    const next = [];
+    for (let i = 0; i < geometries.length; i += 2) {
+      const [a, b] = [geometries[i], geometries[i + 1]];
+      if (!b) {
+        next.push(a);
+        continue;
+      }
+      try {
+        next.push(turf.union(toFeature(a), toFeature(b)).geometry);
+      } catch (error) {
+        console.warn('Could not union tract outlines, keeping them separate:', error);
+        next.push({ type: 'MultiPolygon', coordinates: [...getPolygons(a), ...getPolygons(b)] });
+      }
+    }
+    geometries = next;
+  }
+
+  return geometries[0];
+};
@@ -0,0 +1,58 @@
+import turf from 'turf';
+import { mergeTractFeatures, intersectTracts, dissolveTracts } from './tractIntersection';
+
+const box = (minLng, minLat, maxLng, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+});
+
+const areaOf = (geometry) => turf.area({ type: 'Feature', properties: {}, geometry });
+
+describe('mergeTractFeatures', () => {
+  test('unions the tile pieces of each tract', () => {
+    const tracts = mergeTractFeatures([
+      { properties: { GEOID: '06001400100' }, geometry: box(0, 0, 0.6, 1) },
+      { properties: { GEOID: '06001400100' }, geometry: box(0.4, 0, 1, 1) },
+      { properties: { GEOID: '06001400200' }, geometry: box(1, 0, 2, 1) },
+      { properties: { GEOID: '06001400300' }, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+    ]);
+
+    expect(tracts.map(tract => tract.geoid)).toEqual(['06001400100', '06001400200']);
+    expect(areaOf(tracts[0].geometry)).toBeCloseTo(areaOf(box(0, 0, 1, 1)), -3);
+  });
+});
+
+describe('intersectTracts', () => {
+  test('takes the share of the area inside the selection', () => {
+    const [tract] = intersectTracts(
+      [{ geoid: 'a', properties: {}, geometry: box(0, 0, 1, 1) }],
+      box(0, 0, 0.5, 1)
+    );
+    expect(tract.fraction).toBeCloseTo(0.5, 2);
+  });
+
+  test('measures a tract cut off by the view against its recorded area', () => {
+    const fullArea = areaOf(box(0, 0, 1, 1));
+    const [tract] = intersectTracts(
+      [{ geoid: 'a', properties: { ALAND: fullArea * 0.9, AWATER: fullArea * 0.1 }, geometry: box(0, 0, 0.5, 1) }],
+      box(0, 0, 0.25, 1)
+    );
+    expect(tract.fraction).toBeCloseTo(0.25, 2);
+  });
+
+  test('skips tracts that only touch the selection', () => {
+    expect(intersectTracts(
+      [{ geoid: 'a', properties: {}, geometry: box(0, 0, 1, 1) }],
+      box(1, 0, 2, 1)
+    )).toEqual([]);
+  });
+});
+
+describe('dissolveTracts', () => {
+  test('merges tracts into one outline', () => {
+    const outline = dissolveTracts([0, 1, 2].map(i => ({ geometry: box(i, 0, i + 1, 1) })));
+    expect(outline.type).toBe('Polygon');
+    expect(areaOf(outline)).toBeCloseTo(areaOf(box(0, 0, 3, 1)), -3);
+    expect(dissolveTracts([])).toBeNull();
+  });
+});
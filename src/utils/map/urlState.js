@@ -0,0 +1,271 @@
+/**
+ * Utilities for encoding the map session in the URL query string
+ *
+ * Parameters:
+ *   map=zoom/lat/lng[/bearing/pitch]   viewport
+ *   start=YYYY-MM-DD&end=YYYY-MM-DD    date window (omitted for the rolling default)
+ *   time=YYYY-MM-DDTHH                 current hour (UTC)
+ *   pm=12.5                            PM2.5 threshold
+ *   basemap=darkMatter                 key in BASEMAPS
+ *   dark=1                             dark mode
+ *   area=<encoded polyline>            selected polygon; imported areas with several
+ *                                      polygons or holes separate polygons with ';'
+ *                                      and the rings of a polygon with ','
+ *   event=<id>                         smoke event being replayed
+ */
+import { BASEMAPS } from '../../constants/map/basemaps';
+import { getPolygons } from './geometryUtils';
+import {
+  DEFAULT_TIME_WINDOW,
+  formatDateParam,
+  getTimeWindowFromURL
+} from './constants';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const POLYLINE_PRECISION = 1e5;
+// Detailed imported boundaries are left out of the URL rather than making it unusable
+const MAX_AREA_PARAM_LENGTH = 6000;
+
+// Areas already reported as too detailed, so the URL updates that follow stay quiet
+const oversizedAreas = new WeakSet();
+
+// Parameters owned by the session state; anything else in the URL is left alone
+const STATE_PARAMS = ['map', 'start', 'end', 'time', 'pm', 'basemap', 'dark', 'area', 'event'];
+
+const encodeSignedNumber = (value) => {
+  let number = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (number >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (number & 0x1f)) + 63);
+    number >>= 5;
+  }
+  return encoded + String.fromCharCode(number + 63);
+};
+
+/**
+ * Encodes a ring of [lng, lat] coordinates with the encoded polyline algorithm
+ * @param {Array} ring - Array of [lng, lat] coordinates
+ * @returns {string} Compact ASCII representation of the ring
+ */
+export const encodePolyline = (ring) => {
+  let previousLat = 0;
+  let previousLng = 0;
+
+  return ring.map(([lng, lat]) => {
+    const latValue = Math.round(lat * POLYLINE_PRECISION);
+    const lngValue = Math.round(lng * POLYLINE_PRECISION);
+    const encoded = encodeSignedNumber(latValue - previousLat) + encodeSignedNumber(lngValue - previousLng);
+    previousLat = latValue;
+    previousLng = lngValue;
+    return encoded;
+  }).join('');
+};
+
+/**
+ * Decodes a ring produced by encodePolyline
+ * @param {string} encoded - Encoded polyline string
+ * @returns {Array|null} Array of [lng, lat] coordinates, or null if the string is malformed
+ */
+export const decodePolyline = (encoded) => {
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readNumber = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) throw new Error('Truncated polyline');
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  try {
+    while (index < encoded.length) {
+      lat += readNumber();
+      lng += readNumber();
+      coordinates.push([lng / POLYLINE_PRECISION, lat / POLYLINE_PRECISION]);
+    }
+  } catch (error) {
+    console.warn('Ignoring malformed area in URL:', error);
+    return null;
+  }
+
+  return coordinates;
+};
+
+/**
+ * Encodes a selected area: a drawn ring as a single polyline, a Polygon or
+ * MultiPolygon geometry as its rings joined with ',' and its polygons with ';'
+ * @param {Array|Object} polygon - Ring of [lng, lat] coordinates or GeoJSON geometry
+ * @returns {string} Encoded area
+ */
+export const encodeArea = (polygon) => {
+  if (Array.isArray(polygon)) return encodePolyline(polygon);
+  return getPolygons(polygon)
+    .map(rings => rings.map(encodePolyline).join(','))
+    .join(';');
+};
+
+/**
+ * Decodes an area produced by encodeArea
+ * @param {string} encoded - Encoded area
+ * @returns {Array|Object|null} Ring for a single polyline, otherwise a Polygon or
+ * MultiPolygon geometry; null when malformed
+ */
+export const decodeArea = (encoded) => {
+  const polygons = encoded.split(';').map(part => part.split(',').map(decodePolyline));
+  const isValid = polygons.every(rings => rings.every(ring => ring && ring.length >= 4));
+  if (!isValid) return null;
+
+  if (polygons.length === 1 && polygons[0].length === 1) return polygons[0][0];
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
+
+const getBasemapKey = (url) => {
+  return Object.keys(BASEMAPS).find(key => BASEMAPS[key].url === url);
+};
+
+/**
+ * Checks whether two time windows cover the same days
+ * @param {Object} a - Time window
+ * @param {Object} b - Time window
+ * @returns {boolean}
+ */
+export const isSameTimeWindow = (a, b) => {
+  return formatDateParam(a.startDate) === formatDateParam(b.startDate) &&
+    a.totalHours === b.totalHours;
+};
+
+/**
+ * Reads the session state from a query string
+ * Only parameters that are present and valid are returned
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} Partial session state
+ */
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  const mapParam = params.get('map');
+  if (mapParam) {
+    const [zoom, latitude, longitude, bearing = 0, pitch = 0] = mapParam.split('/').map(Number);
+    if ([zoom, latitude, longitude, bearing, pitch].every(Number.isFinite) &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      state.viewport = { zoom, latitude, longitude, bearing, pitch };
+    }
+  }
+
+  state.timeWindow = getTimeWindowFromURL(search);
+
+  const timeParam = params.get('time');
+  if (timeParam && /^\d{4}-\d{2}-\d{2}T\d{2}$/.test(timeParam)) {
+    const time = new Date(`${timeParam}:00:00Z`);
+    const hour = Math.round((time - state.timeWindow.startDate) / MS_PER_HOUR);
+    if (hour >= 0 && hour < state.timeWindow.totalHours) {
+      state.currentHour = hour;
+    }
+  }
+
+  const threshold = parseFloat(params.get('pm'));
+  if (Number.isFinite(threshold) && threshold >= 0 && threshold <= 500) {
+    state.pm25Threshold = threshold;
+  }
+
+  if (params.has('dark')) {
+    state.isDarkMode = params.get('dark') === '1';
+  }
+
+  const basemap = BASEMAPS[params.get('basemap')];
+  if (basemap) {
+    state.basemap = basemap.url;
+  } else if (state.isDarkMode !== undefined) {
+    state.basemap = state.isDarkMode ? BASEMAPS.darkMatter.url : BASEMAPS.light.url;
+  }
+
+  const areaParam = params.get('area');
+  if (areaParam) {
+    const area = decodeArea(areaParam);
+    if (area) {
+      state.polygon = area;
+    }
+  }
+
+  if (params.get('event')) {
+    state.eventId = params.get('event');
+  }
+
+  return state;
+};
+
+/**
+ * Writes the session state into a query string, keeping unrelated parameters
+ * @param {Object} state - Session state
+ * @param {string} search - Current query string
+ * @returns {string} Query string including the leading '?', or '' when empty
+ */
+export const serializeUrlState = ({
+  viewport,
+  timeWindow,
+  currentHour,
+  pm25Threshold,
+  basemap,
+  isDarkMode,
+  polygon,
+  eventId
+}, search = '') => {
+  const params = new URLSearchParams(search);
+  STATE_PARAMS.forEach(param => params.delete(param));
+
+  if (viewport) {
+    const parts = [
+      viewport.zoom.toFixed(2),
+      viewport.latitude.toFixed(4),
+      viewport.longitude.toFixed(4)
+    ];
+    if (viewport.bearing || viewport.pitch) {
+      parts.push((viewport.bearing || 0).toFixed(1), (viewport.pitch || 0).toFixed(1));
+    }
+    params.set('map', parts.join('/'));
+  }
+
+  if (timeWindow) {
+    if (!isSameTimeWindow(timeWindow, DEFAULT_TIME_WINDOW)) {
+      params.set('start', formatDateParam(timeWindow.days[0]));
+      params.set('end', formatDateParam(timeWindow.days[timeWindow.days.length - 1]));
+    }
+    const time = new Date(timeWindow.startDate.getTime() + currentHour * MS_PER_HOUR);
+    params.set('time', time.toISOString().slice(0, 13));
+  }
+
+  if (pm25Threshold !== undefined) {
+    params.set('pm', String(Math.round(pm25Threshold * 10) / 10));
+  }
+
+  const basemapKey = getBasemapKey(basemap);
+  if (basemapKey) params.set('basemap', basemapKey);
+  if (isDarkMode) params.set('dark', '1');
+
+  if (polygon) {
+    const area = encodeArea(polygon);
+    if (area.length <= MAX_AREA_PARAM_LENGTH) {
+      params.set('area', area);
+    } else if (!oversizedAreas.has(polygon)) {
+      oversizedAreas.add(polygon);
+      console.warn('Selected area is too detailed to keep in the URL');
+    }
+  }
+
+  if (eventId) params.set('event', eventId);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
@@ -0,0 +1,148 @@
+import { BASEMAPS } from '../../constants/map/basemaps';
+import { buildTimeWindow } from './constants';
+import {
+  encodePolyline,
+  decodePolyline,
+  encodeArea,
+  decodeArea,
+  parseUrlState,
+  serializeUrlState
+} from './urlState';
+
+const ring = [[-122.4194, 37.7749], [-122.2711, 37.8044], [-122.3, 37.7], [-122.4194, 37.7749]];
+const hole = [[-122.35, 37.75], [-122.32, 37.76], [-122.33, 37.74], [-122.35, 37.75]];
+const otherRing = [[-121.9, 37.3], [-121.8, 37.35], [-121.85, 37.25], [-121.9, 37.3]];
+
+const timeWindow = buildTimeWindow(new Date('2024-09-01T00:00:00Z'), new Date('2024-09-03T00:00:00Z'));
+
+describe('encodePolyline', () => {
+  test('matches the reference polyline encoding', () => {
+    // Example from the encoded polyline algorithm documentation, as [lng, lat]
+    const path = [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]];
+    expect(encodePolyline(path)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual(path);
+  });
+});
+
+describe('encodeArea and decodeArea', () => {
+  test('round-trip a drawn ring', () => {
+    expect(decodeArea(encodeArea(ring))).toEqual(ring);
+  });
+
+  test('round-trip a Polygon with a hole', () => {
+    const polygon = { type: 'Polygon', coordinates: [ring, hole] };
+    expect(decodeArea(encodeArea(polygon))).toEqual(polygon);
+  });
+
+  test('round-trip a MultiPolygon with holes', () => {
+    const multiPolygon = { type: 'MultiPolygon', coordinates: [[ring, hole], [otherRing]] };
+    expect(decodeArea(encodeArea(multiPolygon))).toEqual(multiPolygon);
+  });
+
+  test('rounds coordinates to five decimals', () => {
+    const [[lng, lat]] = decodeArea(encodeArea([[-122.123456, 37.987654], ...ring.slice(1)]));
+    expect(lng).toBe(-122.12346);
+    expect(lat).toBe(37.98765);
+  });
+
+  describe('with malformed input', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('rejects a truncated polyline', () => {
+      expect(decodePolyline('_p~iF~ps|U_')).toBeNull();
+      expect(decodeArea(`${encodePolyline(ring)}_`)).toBeNull();
+    });
+
+    test('rejects rings with fewer than four positions', () => {
+      expect(decodeArea(encodePolyline(ring.slice(0, 3)))).toBeNull();
+      expect(decodeArea(`${encodePolyline(ring)},`)).toBeNull();
+      expect(decodeArea('')).toBeNull();
+    });
+
+    test('leaves the area out of the parsed state', () => {
+      const state = parseUrlState('?area=_p~iF~ps%7CU_&pm=20');
+      expect(state.polygon).toBeUndefined();
+      expect(state.pm25Threshold).toBe(20);
+    });
+  });
+});
+
+describe('serializeUrlState and parseUrlState', () => {
+  const session = {
+    viewport: { zoom: 6.5, latitude: 37.77, longitude: -122.42, bearing: 0, pitch: 0 },
+    timeWindow,
+    currentHour: 30,
+    pm25Threshold: 35.5,
+    basemap: BASEMAPS.darkMatter.url,
+    isDarkMode: true,
+    polygon: { type: 'MultiPolygon', coordinates: [[ring, hole], [otherRing]] },
+    eventId: 'camp-fire-2018'
+  };
+
+  test('round-trip a session', () => {
+    const state = parseUrlState(serializeUrlState(session));
+
+    expect(state.viewport).toEqual(session.viewport);
+    expect(state.timeWindow.startDate).toEqual(timeWindow.startDate);
+    expect(state.timeWindow.totalHours).toBe(72);
+    expect(state.currentHour).toBe(30);
+    expect(state.pm25Threshold).toBe(35.5);
+    expect(state.basemap).toBe(BASEMAPS.darkMatter.url);
+    expect(state.isDarkMode).toBe(true);
+    expect(state.polygon).toEqual(session.polygon);
+    expect(state.eventId).toBe('camp-fire-2018');
+  });
+
+  test('writes the hour as UTC', () => {
+    const params = new URLSearchParams(serializeUrlState(session));
+    expect(params.get('time')).toBe('2024-09-02T06');
+    expect(params.get('start')).toBe('2024-09-01');
+    expect(params.get('end')).toBe('2024-09-03');
+  });
+
+  test('rounds the threshold to 0.1 µg/m³', () => {
+    const params = new URLSearchParams(serializeUrlState({ pm25Threshold: 12.3456 }));
+    expect(params.get('pm')).toBe('12.3');
+    expect(parseUrlState('?pm=12.35').pm25Threshold).toBe(12.35);
+  });
+
+  test('ignores thresholds outside 0 to 500', () => {
+    expect(parseUrlState('?pm=-1').pm25Threshold).toBeUndefined();
+    expect(parseUrlState('?pm=501').pm25Threshold).toBeUndefined();
+    expect(parseUrlState('?pm=abc').pm25Threshold).toBeUndefined();
+  });
+
+  test('leaves out a detailed area and warns once for it', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const detailed = Array.from({ length: 1500 }, (_, i) => [
+      -122 + Math.cos(i / 1500 * 2 * Math.PI) * (1 + (i % 7) / 100),
+      37 + Math.sin(i / 1500 * 2 * Math.PI) * (1 + (i % 5) / 100)
+    ]);
+    const polygon = [...detailed, detailed[0]];
+
+    expect(new URLSearchParams(serializeUrlState({ polygon })).has('area')).toBe(false);
+    serializeUrlState({ polygon, pm25Threshold: 20 });
+    expect(warn).toHaveBeenCalledTimes(1);
+
+    serializeUrlState({ polygon: [...polygon] });
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  test('keeps parameters it does not own', () => {
+    const search = serializeUrlState({ pm25Threshold: 20 }, '?utm_source=mail&pm=10&area=abc');
+    expect(search).toBe('?utm_source=mail&pm=20');
+  });
+
+  test('ignores a viewport outside the globe and an hour outside the window', () => {
+    const state = parseUrlState('?map=5/95/-120&start=2024-09-01&end=2024-09-01&time=2024-09-02T03');
+    expect(state.viewport).toBeUndefined();
+    expect(state.currentHour).toBeUndefined();
+  });
+});
@@ -0,0 +1,91 @@
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+
+/**
+ * Tile arithmetic and decoding for reading PM2.5 vector tiles without the map
+ */
+
+// Lower zooms are generalised and drop grid points, so reads never go below the source
+// maxzoom or this zoom, whichever is lower, however large the area
+export const ANALYSIS_ZOOM = 8;
+
+const MAX_LATITUDE = 85.0511;
+
+const lngToTileX = (lng, zoom) => Math.floor((lng + 180) / 360 * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const radians = clamped * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** zoom);
+};
+
+/**
+ * Tiles covering a bounding box at one zoom level
+ * @param {Object} bounds - { minLng, maxLng, minLat, maxLat }
+ * @param {number} zoom - Tile zoom level
+ * @returns {Array} Tiles as { z, x, y }
+ */
+export const getTilesInBounds = (bounds, zoom) => {
+  const maxIndex = 2 ** zoom - 1;
+  const minX = Math.max(0, lngToTileX(bounds.minLng, zoom));
+  const maxX = Math.min(maxIndex, lngToTileX(bounds.maxLng, zoom));
+  const minY = Math.max(0, latToTileY(bounds.maxLat, zoom));
+  const maxY = Math.min(maxIndex, latToTileY(bounds.minLat, zoom));
+
+  const tiles = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      tiles.push({ z: zoom, x, y });
+    }
+  }
+  return tiles;
+};
+
+/**
+ * Zoom at which a tileset is read, the same for every area so no point is left out
+ * @param {Object} source - Tileset source, read for its maxzoom
+ * @returns {number} Tile zoom level
+ */
+export const getAnalysisZoom = (source = {}) => (
+  Number.isFinite(source.maxzoom) ? Math.min(source.maxzoom, ANALYSIS_ZOOM) : ANALYSIS_ZOOM
+);
+
+/**
+ * Fills a z/x/y url template for one tile
+ * @param {string} template - Url with {z}, {x} and {y}
+ * @param {Object} tile - { z, x, y }
+ * @returns {string} Tile url
+ */
+export const fillTileUrl = (template, { z, x, y }) => template
+  .replace(/\{z\}/g, z)
+  .replace(/\{x\}/g, x)
+  .replace(/\{y\}/g, y);
+
+/**
+ * PM2.5 points in one vector tile
+ * @param {ArrayBuffer} buffer - Tile data
+ * @param {Object} tile - { z, x, y } the data belongs to
+ * @param {string} layerName - Source layer; the first layer when missing
+ * @returns {Array} Points as { time, pm25, coordinates: [lng, lat] }
+ */
+export const decodePM25Tile = (buffer, { z, x, y }, layerName) => {
+  const vectorTile = new VectorTile(new Pbf(buffer));
+  const layer = vectorTile.layers[layerName] || Object.values(vectorTile.layers)[0];
+  if (!layer) return [];
+
+  const points = [];
+  for (let i = 0; i < layer.length; i++) {
+    const feature = layer.feature(i);
+    const { time, PM25 } = feature.properties;
+    const pm25 = parseFloat(PM25);
+    if (!time || isNaN(pm25)) continue;
+
+    const { geometry } = feature.toGeoJSON(x, y, z);
+    if (geometry.type === 'Point') {
+      points.push({ time, pm25, coordinates: geometry.coordinates });
+    } else if (geometry.type === 'MultiPoint') {
+      geometry.coordinates.forEach(coordinates => points.push({ time, pm25, coordinates }));
+    }
+  }
+  return points;
+};
@@ -0,0 +1,116 @@
+import Pbf from 'pbf';
+import { getTilesInBounds, getAnalysisZoom, fillTileUrl, decodePM25Tile, ANALYSIS_ZOOM } from './vectorTiles';
+
+const EXTENT = 4096;
+const zigzag = (value) => (value << 1) ^ (value >> 31);
+
+// Minimal Mapbox Vector Tile with one layer of point features
+const encodePointTile = (layerName, features) => {
+  const keys = [];
+  const values = [];
+  const indexOf = (list, value) => {
+    if (!list.includes(value)) list.push(value);
+    return list.indexOf(value);
+  };
+
+  const pbf = new Pbf();
+  pbf.writeMessage(3, (layer, layerPbf) => {
+    layerPbf.writeVarintField(15, 2);
+    layerPbf.writeStringField(1, layerName);
+    features.forEach(({ properties, points }) => {
+      layerPbf.writeMessage(2, (feature, featurePbf) => {
+        const tags = Object.entries(properties).flatMap(([key, value]) => [indexOf(keys, key), indexOf(values, value)]);
+        featurePbf.writePackedVarint(2, tags);
+        featurePbf.writeVarintField(3, 1);
+        let x = 0;
+        let y = 0;
+        const geometry = [(points.length << 3) | 1];
+        points.forEach(([px, py]) => {
+          geometry.push(zigzag(px - x), zigzag(py - y));
+          x = px;
+          y = py;
+        });
+        featurePbf.writePackedVarint(4, geometry);
+      });
+    });
+    keys.forEach(key => layerPbf.writeStringField(3, key));
+    values.forEach(value => layerPbf.writeMessage(4, (v, valuePbf) => {
+      if (typeof value === 'number') valuePbf.writeDoubleField(3, value);
+      else valuePbf.writeStringField(1, value);
+    }));
+    layerPbf.writeVarintField(5, EXTENT);
+  });
+  return pbf.finish();
+};
+
+describe('getTilesInBounds', () => {
+  test('covers a box with every tile it touches', () => {
+    const tiles = getTilesInBounds({ minLng: -10, maxLng: 10, minLat: -10, maxLat: 10 }, 2);
+    expect(tiles).toEqual([
+      { z: 2, x: 1, y: 1 }, { z: 2, x: 1, y: 2 },
+      { z: 2, x: 2, y: 1 }, { z: 2, x: 2, y: 2 }
+    ]);
+  });
+
+  test('finds the tile holding a small area', () => {
+    // Tile 8/40/98 spans 37.72°N to 38.82°N
+    expect(getTilesInBounds({ minLng: -122.5, maxLng: -122.4, minLat: 37.75, maxLat: 37.85 }, 8)).toEqual([{ z: 8, x: 40, y: 98 }]);
+    expect(getTilesInBounds({ minLng: -122.5, maxLng: -122.4, minLat: 37.7, maxLat: 37.75 }, 8)).toHaveLength(2);
+  });
+
+  test('clamps to the edges of the world', () => {
+    const tiles = getTilesInBounds({ minLng: -200, maxLng: 200, minLat: -89, maxLat: 89 }, 1);
+    expect(tiles).toHaveLength(4);
+  });
+});
+
+describe('getAnalysisZoom', () => {
+  test('reads at the source maxzoom when it is below the analysis zoom', () => {
+    expect(getAnalysisZoom({ maxzoom: 6 })).toBe(6);
+  });
+
+  test('caps deeper sources at the analysis zoom', () => {
+    expect(getAnalysisZoom({ maxzoom: 9 })).toBe(ANALYSIS_ZOOM);
+    expect(getAnalysisZoom({})).toBe(ANALYSIS_ZOOM);
+    expect(getAnalysisZoom()).toBe(ANALYSIS_ZOOM);
+  });
+});
+
+describe('fillTileUrl', () => {
+  test('fills every placeholder', () => {
+    expect(fillTileUrl('https://tiles.example.com/{z}/{x}/{y}.pbf?z={z}', { z: 8, x: 40, y: 98 }))
+      .toBe('https://tiles.example.com/8/40/98.pbf?z=8');
+  });
+});
+
+describe('decodePM25Tile', () => {
+  const buffer = encodePointTile('pm25', [
+    { properties: { time: '2024-01-01T00:00:00', PM25: 12.5 }, points: [[2048, 2048]] },
+    { properties: { time: '2024-01-01T01:00:00', PM25: '30' }, points: [[1024, 2048], [3072, 2048]] },
+    { properties: { time: '2024-01-01T02:00:00', PM25: 'n/a' }, points: [[0, 0]] }
+  ]);
+
+  test('reads points in longitude and latitude', () => {
+    const points = decodePM25Tile(buffer, { z: 0, x: 0, y: 0 }, 'pm25');
+
+    expect(points).toHaveLength(3);
+    expect(points[0].time).toBe('2024-01-01T00:00:00');
+    expect(points[0].pm25).toBe(12.5);
+    expect(points[0].coordinates[0]).toBeCloseTo(0, 6);
+    expect(points[0].coordinates[1]).toBeCloseTo(0, 6);
+    expect(points.slice(1).map(point => [point.pm25, Math.round(point.coordinates[0])])).toEqual([[30, -90], [30, 90]]);
+  });
+
+  test('places points within the tile they came from', () => {
+    const [point] = decodePM25Tile(buffer, { z: 8, x: 40, y: 98 }, 'pm25');
+    expect(getTilesInBounds({
+      minLng: point.coordinates[0], maxLng: point.coordinates[0],
+      minLat: point.coordinates[1], maxLat: point.coordinates[1]
+    }, 8)).toEqual([{ z: 8, x: 40, y: 98 }]);
+  });
+
+  test('falls back to the first layer and reads nothing from empty tiles', () => {
+    expect(decodePM25Tile(buffer, { z: 0, x: 0, y: 0 }, 'other')).toHaveLength(3);
+    expect(decodePM25Tile(new Pbf().finish(), { z: 0, x: 0, y: 0 }, 'pm25')).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-globals */
+import { ANALYSIS_TASKS } from '../utils/map/analysisEngine';
+
+// One job runs per turn, so a cancel sent while a job waits removes it before it starts
+const queue = [];
+let isScheduled = false;
+
+const scheduleNext = () => {
+  if (isScheduled || queue.length === 0) return;
+  isScheduled = true;
+  setTimeout(runNext, 0);
+};
+
+const runNext = () => {
+  isScheduled = false;
+  if (queue.length === 0) return;
+  const { id, type, payload } = queue.shift();
+
+  try {
+    self.postMessage({ id, result: ANALYSIS_TASKS[type](payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+
+  scheduleNext();
+};
+
+self.onmessage = ({ data }) => {
+  if (data.cancel) {
+    const index = queue.findIndex(job => job.id === data.id);
+    if (index !== -1) queue.splice(index, 1);
+    return;
+  }
+
+  if (!ANALYSIS_TASKS[data.type]) {
+    self.postMessage({ id: data.id, error: `Unknown analysis task: ${data.type}` });
+    return;
+  }
+
+  queue.push(data);
+  scheduleNext();
+};
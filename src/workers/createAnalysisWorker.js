@@ -0,0 +1,2 @@
+// Kept apart from analysisClient so only bundles that start the worker parse import.meta
+export const createAnalysisWorker = () => new Worker(new URL('./analysis.worker.js', import.meta.url));